@@ -1,2 +1,11 @@
 export { default as Threebox } from './src/Threebox';
+export { default as MapAdapter } from './src/adapters/MapAdapter';
+export { default as MapboxAdapter } from './src/adapters/MapboxAdapter';
+export { default as MapLibreAdapter } from './src/adapters/MapLibreAdapter';
+export { default as createMapAdapter } from './src/adapters/createMapAdapter';
+export { default as StubMapAdapter } from './src/adapters/StubMapAdapter';
+export { default as StubRenderer, createStubRenderer } from './src/adapters/StubRenderer';
+export { default as ModelLoadError } from './src/objects/loaders/ModelLoadError';
+export { registerModelFormat, registerLoader } from './src/objects/loaders/modelFormats';
+export { defineCrs } from './src/utils/crs';
 export * as THREE from 'three';
\ No newline at end of file
@@ -33,6 +33,7 @@ http.createServer(function (request, response) {
             ".obj": "model/obj",
             ".glb": "model/gltf-binary",
             ".gltf": "model/gltf+json",
+            ".b3dm": "application/octet-stream",
             ".fbx": "application/octet-stream",
             ".ttf": "application/octet-stream",
             ".woff": "font/woff",
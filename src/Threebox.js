@@ -3,7 +3,7 @@
  * @author jscastro / https://github.com/jscastro76
  */
 
-import { WebGLRenderer, SRGBColorSpace, Scene, Group, Raycaster, PerspectiveCamera, OrthographicCamera, Vector2, AmbientLight, Color, DirectionalLight, DirectionalLightHelper, HemisphereLight } from "three";
+import { WebGLRenderer, SRGBColorSpace, Scene, Group, Raycaster, PerspectiveCamera, OrthographicCamera, Vector2, Vector3, AmbientLight, Color, DirectionalLight, DirectionalLightHelper, HemisphereLight } from "three";
 import CameraSync from "./camera/CameraSync.js";
 import * as utils from "./utils/utils.js";
 import { _validate, projectToWorld as _projectToWorld, degreeify, toDecimal, projectedUnitsPerMeter as _projectedUnitsPerMeter, getFeatureCenter as _getFeatureCenter, getObjectHeightOnFloor as _getObjectHeightOnFloor } from "./utils/utils.js";
@@ -16,19 +16,43 @@ import sphere from "./objects/sphere.js";
 import extrusion from "./objects/extrusion.js";
 import label from "./objects/label.js";
 import tooltip from "./objects/tooltip.js";
-import loader from "./objects/loadObj.js";
+import loader, { download } from "./objects/loadObj.js";
 import Object3D from "./objects/Object3D.js";
 import line from "./objects/line.js";
 import tube from "./objects/tube.js";
 import LabelRenderer from "./objects/LabelRenderer.js";
 import BuildingShadows from "./objects/effects/BuildingShadows.js";
+import Highlight from "./objects/effects/Highlight.js";
+import GeoJSONLayer from "./objects/GeoJSONLayer.js";
+import instances from "./objects/instances.js";
+import pointCloud from "./objects/pointCloud.js";
+import { detectPointCloudFormat, parsePointCloud } from "./objects/loaders/pointCloudFormats.js";
+import { stamp, exportScene, importScene } from "./objects/sceneSerializer.js";
+import History from "./history/History.js";
+import TransformGizmo from "./objects/TransformGizmo.js";
+import Selection from "./selection/Selection.js";
+import Events from "./events/Events.js";
+import AnimationClock from "./animation/AnimationClock.js";
+import ModelLoadError from "./objects/loaders/ModelLoadError.js";
+import { registerModelFormat, registerLoader } from "./objects/loaders/modelFormats.js";
+import AssetManager from "./assets/AssetManager.js";
+import TilesLayer from "./tiles/TilesLayer.js";
+import GLTFDecoders from "./objects/loaders/GLTFDecoders.js";
+import createMapAdapter from "./adapters/createMapAdapter.js";
+import { defineCrs, WGS84 } from "./utils/crs.js";
+import { geoidHeight } from "./utils/geoid.js";
+
+// the terrain of threebox is the Mapbox DEM, MapLibre maps need their own DEM source set on the map, that the objects follow too
+function terrainNotSupported(engine) {
+	console.warn("tb.terrain requires Mapbox GL JS v2+" + (engine === 'maplibre' ? ", set the MapLibre terrain on the map through map.setTerrain" : ""));
+}
 
 class Threebox {
 
 
 	/**
 	 * Threebox constructor
-	 * @param {mapboxgl.map} map
+	 * @param {mapboxgl.map|MapAdapter} map
 	 * @param {WebGLRenderingContext} glContext
 	 * @param {defaultOptions} options
 	 */
@@ -42,7 +66,7 @@ class Threebox {
 
 	/**
 	 * Threebox constructor init method
-	 * @param {mapboxgl.map} map
+	 * @param {mapboxgl.map|MapAdapter} map
 	 * @param {WebGLRenderingContext} glContext
 	 * @param {defaultOptions} options
 	 */
@@ -51,36 +75,55 @@ class Threebox {
 		// apply starter options
 		this.options = _validate(options || {}, defaultOptions);
 
-		this.map = map;
+		// the core only reaches the map through the adapter of its engine, a StubMapAdapter allows to run it headless
+		this.adapter = createMapAdapter(map);
+		this.map = this.adapter.map;
+		map = this.map; // map event handlers below refer to the map itself, not to the adapter
 		this.map.tb = this; //[jscastro] needed if we want to queryRenderedFeatures from map.onload
 
 		this.objects = new Objects();
+		// time of the animations, it can be paused or driven by an external time source
+		this.clock = new AnimationClock();
+		this.objects.animationManager.clock = this.clock;
 
-		this.mapboxVersion = parseFloat(this.map.version); 
+		this.mapboxVersion = this.adapter.version;
+		this.engine = this.adapter.engine;
 
 		// Set up a THREE.js scene
-		this.renderer = new WebGLRenderer({
+		this.renderer = this.options.rendererFactory({
 			alpha: true,
 			antialias: true,
-			preserveDrawingBuffer: options.preserveDrawingBuffer,
-			canvas: map.getCanvas(),
+			preserveDrawingBuffer: this.options.preserveDrawingBuffer,
+			canvas: this.adapter.getCanvas(),
 			context: glContext
 		});
 
-		this.renderer.setPixelRatio(window.devicePixelRatio);
-		this.renderer.setSize(this.map.getCanvas().clientWidth, this.map.getCanvas().clientHeight);
+		const size = this.adapter.getCanvasSize();
+		this.renderer.setPixelRatio(this.adapter.getPixelRatio());
+		this.renderer.setSize(size.width, size.height);
 		this.renderer.outputEncoding = SRGBColorSpace;
 		this.renderer.autoClear = false;
 
 		// [jscastro] set labelRendered
-		this.labelRenderer = new LabelRenderer(this.map);
+		this.labelRenderer = new LabelRenderer(this.adapter);
 
 		this.scene = new Scene();
 		this.world = new Group();
 		this.world.name = "world";
+		// the objects in the world find their threebox through it, there can be several instances
+		this.world.threebox = this;
 		this.scene.add(this.world);
 
 		this.objectsCache = new Map();
+		// reference count of the resources shared by the copies of the cached models
+		this.assets = new AssetManager(this, this.options.memoryBudget);
+		// Draco, KTX2 and Meshopt decoders of the compressed glTF/GLB models
+		this.decoders = new GLTFDecoders(this, this.options);
+		// 3D Tiles tilesets streamed into the world, updated on every frame
+		this.tilesets = [];
+
+		// undo/redo of the edits made to the objects in the world
+		this.history = new History(this, this.options.historySize);
 		this.zoomLayers = [];
 
 		this.fov = this.options.fov;
@@ -89,9 +132,10 @@ class Threebox {
 		//raycaster for mouse events
 		this.raycaster = new Raycaster();
 		this.raycaster.layers.set(0);
-		//this.raycaster.params.Points.threshold = 100;
+		// distance to pick the points of point clouds, in pixels around the map center
+		this.raycaster.params.Points.threshold = this.options.pointsThreshold;
 
-		this.mapCenter = this.map.getCenter();
+		this.mapCenter = this.adapter.getCenter();
 		this.mapCenterUnits = _projectToWorld([this.mapCenter.lng, this.mapCenter.lat]);
 		this.lightDateTime = new Date();
 		this.lightLng = this.mapCenter.lng;
@@ -107,17 +151,26 @@ class Threebox {
 		if (this.options.realSunlight) this.realSunlight(this.options.realSunlightHelper);
 		this.skyLayerName = 'sky-layer';
 		this.terrainSourceName = 'mapbox-dem';
-		this.terrainExaggeration = 1.0;
+		this._terrainExaggeration = 1.0;
 		this.terrainLayerName = '';
 		this.enableSelectingFeatures = this.options.enableSelectingFeatures || false;
 		this.enableSelectingObjects = this.options.enableSelectingObjects || false;
 		this.enableDraggingObjects = this.options.enableDraggingObjects || false;
 		this.enableRotatingObjects = this.options.enableRotatingObjects || false;
+		this.enableScalingObjects = this.options.enableScalingObjects || false;
+		this.enableGizmo = this.options.enableGizmo || false;
+		this.enableMultiSelectingObjects = this.options.enableMultiSelectingObjects || false;
+		this.selection = new Selection(this);
+		// interaction events of the objects delegated to the listeners of tb.on
+		this.events = new Events(this);
+		// bounding box, tint and outline of the objects over and selected
+		this.highlight = new Highlight(this, this.options.highlight);
+		this.gizmo = new TransformGizmo(this);
 		this.enableTooltips = this.options.enableTooltips || false;
 		this.multiLayer = this.options.multiLayer || false;
 		this.enableHelpTooltips = this.options.enableHelpTooltips || false;
 
-		this.map.on('style.load', function () {
+		this.adapter.on('style.load', function () {
 			this.tb.zoomLayers = [];
 			//[jscastro] if multiLayer, create a by default layer in the map, so tb.update won't be needed in client side to avoid duplicating calls to render
 			if (this.tb.options.multiLayer) this.addLayer({ id: "threebox_layer", type: 'custom', renderingMode: '3d', map: this, onAdd: function (map, gl) { }, render: function (gl, matrix) { this.map.tb.update(); } })
@@ -138,8 +191,14 @@ class Threebox {
 			})
 		});
 
+		// objects over the terrain are placed again as the tiles of its source are loaded
+		this.adapter.on('sourcedata', function (e) {
+			let terrain = this.tb.adapter.getTerrain();
+			if (terrain && e.sourceId === terrain.source) this.tb.updateTerrainObjects();
+		});
+
 		//[jscastro] new event map on load
-		this.map.on('load', function () {
+		this.adapter.on('load', function () {
 
 			//[jscastro] new fields to manage events on map
 			this.selectedObject; //selected object through click
@@ -150,6 +209,8 @@ class Threebox {
 			this.overedFeature; //overed state for extrusion layer features
 
 			let canvas = this.getCanvasContainer();
+			// shift + drag draws the box to select multiple objects instead of zooming
+			if (map.tb.enableMultiSelectingObjects && this.boxZoom) this.boxZoom.disable();
 			this.getCanvasContainer().style.cursor = this.tb.defaultCursor;
 			// Variable to hold the starting xy coordinates
 			// when 'mousedown' occured.
@@ -162,6 +223,12 @@ class Threebox {
 			let latDiff; // difference between cursor and model bottom corner
 			let altDiff; // difference between cursor and model height
 			let rotationDiff; 
+			let selectionBox; // start point and element of the box drawn to select multiple objects
+
+			// threebox object of the nearest intersection of the raycaster
+			function hitObject(intersects) {
+				return intersects.length ? Threebox.prototype.findParent3DObject(intersects[0]) : null;
+			}
 
 			// Return the xy coordinates of the mouse position
 			function mousePos(e) {
@@ -174,8 +241,14 @@ class Threebox {
 			
 			this.unselectObject = function () {
 				//deselect, reset and return
-				this.selectedObject.selected = false;
-				this.selectedObject = null;
+				this.tb.selection.clear();
+			}
+
+			// true if the point is over an object of the selection
+			this.overSelection = function (point) {
+				let intersects = map.tb.enableSelectingObjects ? this.tb.queryRenderedFeatures(point) : [];
+				let obj = intersects.length ? Threebox.prototype.findParent3DObject(intersects[0]) : null;
+				return !!obj && this.tb.selection.has(obj);
 			}
 
 			this.outObject = function () {
@@ -230,8 +303,9 @@ class Threebox {
 					mapboxStyle: true,
 					feature: f
 				});
-				t.setCoords(coordinates);
-				this.tb.add(t, f.layer.id);
+				t.setCoords(coordinates, WGS84);
+				// hovering the features doesn't change the history
+				this.tb.history.ignore(() => this.tb.add(t, f.layer.id));
 				f.tooltip = t;
 				f.tooltip.tooltip.visible = true;
 			}
@@ -239,7 +313,7 @@ class Threebox {
 			this.removeTooltip = function(f) {
 				if (f.tooltip) {
 					f.tooltip.visibility = false;
-					this.tb.remove(f.tooltip);
+					this.tb.history.ignore(() => this.tb.remove(f.tooltip));
 					f.tooltip = null;
 				}
 			}
@@ -250,12 +324,17 @@ class Threebox {
 
 			// onclick function
 			this.onClick = function (e) {
+				// clicks on the gizmo handles keep the selection
+				if (this.tb.gizmo.pick(e.point)) return;
 				let intersectionExists
 				let intersects = [];
-				if (map.tb.enableSelectingObjects) {
+				if (map.tb.enableSelectingObjects || this.tb.events.listens('click')) {
 					//raycast only if we are in a custom layer, for other layers go to the else, this avoids duplicated calls to raycaster
 					intersects = this.tb.queryRenderedFeatures(e.point);
 				}
+				// listeners of tb.on receive the click before the selection changes
+				this.tb.events.fire('click', hitObject(intersects), e, intersects[0]);
+				if (!map.tb.enableSelectingObjects) intersects = [];
 				intersectionExists = typeof intersects[0] == 'object';
 				// if intersect exists, highlight it
 				if (intersectionExists) {
@@ -267,18 +346,30 @@ class Threebox {
 						if (this.selectedFeature) {
 							this.unselectFeature(this.selectedFeature);
 						}
+						//shift + click adds or removes the object from a multiple selection
+						if (map.tb.enableMultiSelectingObjects && e.originalEvent.shiftKey && !nearestObject.isInstances && !nearestObject.isPointCloud) {
+							this.tb.selection.toggle(nearestObject);
+							e.preventDefault();
+							return;
+						}
+						//instanced models report the index of the instance clicked, point clouds the index of the point
+						let instanceId = intersects[0].instanceId;
+						let sameInstance = !nearestObject.isInstances || nearestObject.selectedInstance === instanceId;
+						if (nearestObject.isInstances) nearestObject.selectInstance(instanceId);
+						if (nearestObject.isPointCloud) {
+							sameInstance = nearestObject.selectedPoint === nearestObject.getPointIndex(intersects[0].index);
+							nearestObject.selectPoint(intersects[0].index);
+						}
 						//if not selected yet, select it
 						if (!this.selectedObject) {
-							this.selectedObject = nearestObject;
-							this.selectedObject.selected = true;
+							this.tb.selection.add(nearestObject);
 						}
-						else if (this.selectedObject.uuid != nearestObject.uuid) {
-							//it's a different object, restore the previous and select the new one
-							this.selectedObject.selected = false;
-							nearestObject.selected = true;
-							this.selectedObject = nearestObject;
+						else if (this.selectedObject.uuid != nearestObject.uuid || this.tb.selection.size > 1) {
+							//it's a different object, restore the previous ones and select the new one
+							this.tb.selection.clear();
+							this.tb.selection.add(nearestObject);
 
-						} else if (this.selectedObject.uuid == nearestObject.uuid) {
+						} else if (this.selectedObject.uuid == nearestObject.uuid && sameInstance) {
 							//deselect, reset and return
 							this.unselectObject();
 							return;
@@ -333,6 +424,28 @@ class Threebox {
 				let current = mousePos(e);
 
 				this.getCanvasContainer().style.cursor = this.tb.defaultCursor;
+				//check if a gizmo handle is being dragged or overed
+				if (this.tb.gizmo.dragging) {
+					this.getCanvasContainer().style.cursor = 'move';
+					this.tb.gizmo.drag(e);
+					this.tb.events.fire('drag', this.draggedObject, e, null, { action: draggedAction });
+					return;
+				}
+				if (this.tb.gizmo.hover(e.point)) {
+					this.getCanvasContainer().style.cursor = 'move';
+					return;
+				}
+				//check if a selection box is being drawn
+				if (selectionBox) {
+					if (selectionBox.element) {
+						let s = selectionBox.element.style;
+						s.left = Math.min(selectionBox.start.x, e.point.x) + 'px';
+						s.top = Math.min(selectionBox.start.y, e.point.y) + 'px';
+						s.width = Math.abs(e.point.x - selectionBox.start.x) + 'px';
+						s.height = Math.abs(e.point.y - selectionBox.start.y) + 'px';
+					}
+					return;
+				}
 				//check if being rotated
 				if (e.originalEvent.altKey && this.draggedObject) {
 
@@ -346,10 +459,12 @@ class Threebox {
 						maxY = Math.max(start.y, current.y);
 					//set the movement fluid we rotate only every 10px moved, in steps of 10 degrees up to 360
 					let rotation = { x: 0, y: 0, z: (Math.round(rotationDiff[2] + (~~((current.x - start.x) / this.tb.rotationStep) % 360 * this.tb.rotationStep) % 360)) };
-					//now rotate the model depending the axis
-					this.draggedObject.setRotation(rotation);
+					//now rotate the model depending the axis, a multiple selection around its centroid
+					if (this.tb.selection.dragging) this.tb.selection.dragBy([0, 0, 0], rotation.z - rotationDiff[2]);
+					else this.draggedObject.setRotation(rotation);
 					if (map.tb.enableHelpTooltips) this.draggedObject.addHelp("rot: " + rotation.z + "&#176;");
 					//this.draggedObject.setRotationAxis(rotation);
+					this.tb.events.fire('drag', this.draggedObject, e, null, { action: draggedAction });
 					return;
 				}
 
@@ -363,32 +478,40 @@ class Threebox {
 					// Capture the first xy coordinates, height must be the same to move on the same plane
 					let coords = e.lngLat;
 					let options = [Number((coords.lng + lngDiff).toFixed(this.tb.gridStep)), Number((coords.lat + latDiff).toFixed(this.tb.gridStep)), this.draggedObject.modelHeight];
-					this.draggedObject.setCoords(options);
+					if (this.tb.selection.dragging) this.tb.selection.dragBy([options[0] - startCoords[0], options[1] - startCoords[1], 0]);
+					else this.draggedObject.setCoords(options, WGS84);
 					if (map.tb.enableHelpTooltips) this.draggedObject.addHelp("lng: " + options[0] + "&#176;, lat: " + options[1] + "&#176;");
+					this.tb.events.fire('drag', this.draggedObject, e, null, { action: draggedAction });
 					return;
 				}
 
 				//check if being moved on altitude
 				if (e.originalEvent.ctrlKey && this.draggedObject) {
 					if (!map.tb.enableDraggingObjects) return;
+					// clamped objects can't leave the ground
+					if (this.draggedObject.altitudeMode === 'clampToGround') return;
 					draggedAction = 'altitude';
 					// Set a UI indicator for dragging.
 					this.getCanvasContainer().style.cursor = 'move';
 					// Capture the first xy coordinates, height must be the same to move on the same plane
 					let now = (e.point.y * this.tb.altitudeStep);
 					let options = [this.draggedObject.coordinates[0], this.draggedObject.coordinates[1], Number((- now - altDiff).toFixed(this.tb.gridStep))];
-					this.draggedObject.setCoords(options);
+					if (this.tb.selection.dragging) this.tb.selection.dragBy([0, 0, options[2] - (startCoords[2] || 0)]);
+					else this.draggedObject.setCoords(options, WGS84);
 					if (map.tb.enableHelpTooltips) this.draggedObject.addHelp("alt: " + options[2] + "m");
+					this.tb.events.fire('drag', this.draggedObject, e, null, { action: draggedAction });
 					return;
 				}
 
 				let intersectionExists
 				let intersects = [];
 
-				if (map.tb.enableSelectingObjects) {
+				if (map.tb.enableSelectingObjects || this.tb.events.listens('mouseenter', 'mouseleave')) {
 					// calculate objects intersecting the picking ray
 					intersects = this.tb.queryRenderedFeatures(e.point);
 				}
+				this.tb.events.hover(hitObject(intersects), e, intersects[0]);
+				if (!map.tb.enableSelectingObjects) intersects = [];
 				intersectionExists = typeof intersects[0] == 'object';
 
 				// if intersect exists, highlight it, if not check the extrusion layer
@@ -397,6 +520,8 @@ class Threebox {
 					if (nearestObject) {
 						this.outFeature(this.overedFeature);
 						this.getCanvasContainer().style.cursor = 'pointer';
+						if (nearestObject.isInstances) nearestObject.overInstance(intersects[0].instanceId);
+						if (nearestObject.isPointCloud) nearestObject.overPoint(intersects[0].index);
 						if (!this.selectedObject || nearestObject.uuid != this.selectedObject.uuid) {
 							if (this.overedObject && this.overedObject.uuid != nearestObject.uuid) {
 								this.outObject();
@@ -442,9 +567,40 @@ class Threebox {
 
 			this.onMouseDown = function (e) {
 
+				// the gizmo handles are dragged without modifier keys
+				let handle = (e.originalEvent.button === 0) ? this.tb.gizmo.pick(e.point) : null;
+				if (handle) {
+					e.preventDefault();
+					map.once('mouseup', this.onMouseUp);
+					this.draggedObject = this.selectedObject;
+					this.tb.history.beginEdit(this.tb.selection.beginDrag(this.draggedObject));
+					draggedAction = this.tb.gizmo.startDrag(handle, e);
+					this.tb.events.fire('dragstart', this.draggedObject, e, null, { action: draggedAction });
+					return;
+				}
+
+				// with multiple selection, shift + drag out of the selected objects draws a box to select them
+				if (map.tb.enableMultiSelectingObjects && e.originalEvent.shiftKey && e.originalEvent.button === 0 && !this.overSelection(e.point)) {
+					e.preventDefault();
+					map.once('mouseup', this.onMouseUp);
+					selectionBox = { start: e.point };
+					if (typeof document !== 'undefined') {
+						selectionBox.element = document.createElement('div');
+						selectionBox.element.className = 'threebox-selection-box';
+						selectionBox.element.style.cssText = 'position: absolute; left: ' + e.point.x + 'px; top: ' + e.point.y + 'px; width: 0; height: 0; border: 1px dashed #00ff00; background: rgba(0, 255, 0, 0.1); pointer-events: none;';
+						canvas.appendChild(selectionBox.element);
+					}
+					return;
+				}
+
+				// the gizmo replaces the dragging with modifier keys
+				if (map.tb.enableGizmo) return;
+
 				// Continue the rest of the function shiftkey or altkey are pressed, and if object is selected
 				if (!((e.originalEvent.shiftKey || e.originalEvent.altKey || e.originalEvent.ctrlKey) && e.originalEvent.button === 0 && this.selectedObject)) return;
 				if (!map.tb.enableDraggingObjects && !map.tb.enableRotatingObjects) return;
+				//instanced models are moved through their own methods per instance, point clouds are static
+				if (this.selectedObject.isInstances || this.selectedObject.isPointCloud) return;
 
 				e.preventDefault();
 
@@ -463,11 +619,16 @@ class Threebox {
 				// Capture the first xy coordinates
 				start = mousePos(e);
 				startCoords = this.draggedObject.coordinates;
+				// all the changes until mouseup are a single entry in the history, a multiple selection is dragged as a group
+				this.tb.history.beginEdit(this.tb.selection.beginDrag(this.draggedObject));
 
 				rotationDiff = degreeify(this.draggedObject.rotation);
 				lngDiff = startCoords[0] - e.lngLat.lng;
 				latDiff = startCoords[1] - e.lngLat.lat;
 				altDiff = -this.draggedObject.modelHeight - (e.point.y * this.tb.altitudeStep);
+				// the same modifier keys of onMouseMove choose the action
+				let action = e.originalEvent.altKey ? 'rotate' : (e.originalEvent.shiftKey ? 'translate' : 'altitude');
+				this.tb.events.fire('dragstart', this.draggedObject, e, null, { action: action });
 			}
 
 			this.onMouseUp = function (e) {
@@ -480,9 +641,19 @@ class Threebox {
 				this.off('mouseup', this.onMouseUp);
 				this.off('mouseout', this.onMouseUp);
 				this.dragPan.enable();
+				this.tb.gizmo.endDrag();
+				this.tb.selection.endDrag();
+
+				if (selectionBox) {
+					if (selectionBox.element) selectionBox.element.remove();
+					this.tb.selection.addBox(selectionBox.start, e.point);
+					selectionBox = null;
+				}
 
 				if (this.draggedObject) {
+					this.tb.history.endEdit(draggedAction);
 					this.draggedObject.dispatchEvent({ type: 'ObjectDragged', detail: { draggedObject: this.draggedObject, draggedAction: draggedAction } });
+					this.tb.events.fire('dragend', this.draggedObject, e, null, { action: draggedAction });
 					this.draggedObject.removeHelp();
 					this.draggedObject = null;
 					draggedAction = null;
@@ -490,6 +661,7 @@ class Threebox {
 			}
 
 			this.onMouseOut = function (e) {
+				this.tb.events.hover(null, e);
 				if (this.overedFeature) {
 					let features = this.queryRenderedFeatures(e.point);
 					if (features.length > 0 && this.overedFeature.id != features[0].id) {
@@ -500,20 +672,43 @@ class Threebox {
 				}
 			}
 
+			// double click and right click over the objects are only delegated to the listeners of tb.on
+			this.onObjectEvent = function (e) {
+				if (!this.tb.events.listens(e.type)) return;
+				let intersects = this.tb.queryRenderedFeatures(e.point);
+				this.tb.events.fire(e.type, hitObject(intersects), e, intersects[0]);
+			}
+
 			this.onZoom = function (e) {
 				this.tb.zoomLayers.forEach((l) => { this.tb.toggleLayer(l); });
 				this.tb.setObjectsScale();
+				this.tb.world.children.filter(o => o.isPointCloud).forEach((o) => { o.setZoom(this.getZoom()); });
+				this.tb.world.children.filter(o => o.updateDrape).forEach((o) => { o.updateDrape(); });
 			}
 
 			let ctrlDown = false;
 			let shiftDown = false;
-			let ctrlKey = 17, cmdKey = 91, shiftKey = 16, sK = 83, dK = 68;
+			let ctrlKey = 17, cmdKey = 91, shiftKey = 16, sK = 83, dK = 68, zK = 90, deleteKey = 46;
 
 			function onKeyDown(e) {
 
 				if (e.which === ctrlKey || e.which === cmdKey) ctrlDown = true;
 				if (e.which === shiftKey) shiftDown = true;
 				let obj = this.selectedObject;
+				// keep the native undo of text fields
+				let editing = e.target && (e.target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName));
+				if (ctrlDown && e.which === zK && !editing) {
+					//ctrl + z undo, ctrl + shift + z redo
+					if (shiftDown) this.tb.history.redo();
+					else this.tb.history.undo();
+					e.preventDefault();
+					return false;
+				}
+				if (map.tb.enableMultiSelectingObjects && e.which === deleteKey && !editing && this.tb.selection.size) {
+					//delete removes all the selected objects
+					this.tb.selection.removeObjects();
+					return false;
+				}
 				if (shiftDown && e.which === sK && obj) {
 					//shift + sS
 					let dc = toDecimal;
@@ -549,11 +744,15 @@ class Threebox {
 			this.on('mousemove', this.onMouseMove);
 			this.on('mouseout', this.onMouseOut)
 			this.on('mousedown', this.onMouseDown);
+			this.on('dblclick', this.onObjectEvent);
+			this.on('contextmenu', this.onObjectEvent);
 			this.on('zoom', this.onZoom);
 			this.on('zoomend', this.onZoom);
 
-			document.addEventListener('keydown', onKeyDown.bind(this), true);
-			document.addEventListener('keyup', onKeyUp.bind(this));
+			if (typeof document !== 'undefined') {
+				document.addEventListener('keydown', onKeyDown.bind(this), true);
+				document.addEventListener('keyup', onKeyUp.bind(this));
+			}
 
 		});
 
@@ -575,26 +774,38 @@ class Threebox {
 	get terrain() { return this.options.terrain; }
 	set terrain(value) {
 		this.terrainLayerName = '';
+		if (this.engine !== 'mapbox') { terrainNotSupported(this.engine); this.options.terrain = false; return };
 		if (value) {
 			this.createTerrainLayer();
 		}
 		else {
-			if (this.mapboxVersion < 2.0) { console.warn("Terrain layer are only supported by Mapbox-gl-js > v2.0"); return };
-
 			if (this.map.getTerrain()) {
 				this.map.setTerrain(null); //
 				this.map.removeSource(this.terrainSourceName);
+				this.updateTerrainObjects();
 			}
 		}
 		this.options.terrain = value;
 	}
 
+	// exaggeration of the terrain height, the one of the map terrain if it was set outside threebox
+	get terrainExaggeration() {
+		let terrain = this.adapter.getTerrain();
+		return terrain && typeof terrain.exaggeration === 'number' ? terrain.exaggeration : this._terrainExaggeration;
+	}
+	set terrainExaggeration(value) {
+		this._terrainExaggeration = value;
+		let terrain = this.adapter.getTerrain();
+		if (terrain) this.map.setTerrain(Object.assign({}, terrain, { exaggeration: value }));
+		this.updateTerrainObjects();
+	}
+
 	//[jscastro] added property to manage FOV for perspective camera
 	get fov() { return this.options.fov;}
 	set fov(value) {
 		if (this.camera instanceof PerspectiveCamera && this.options.fov !== value) {
-			this.map.transform.fov = value;
-			this.camera.fov = this.map.transform.fov;
+			this.adapter.transform.fov = value;
+			this.camera.fov = this.adapter.transform.fov;
 			this.cameraSync.setupCamera();
 			this.map.repaint = true;
 			this.options.fov = value;
@@ -605,14 +816,13 @@ class Threebox {
 	//[jscastro] added property to manage camera type
 	get orthographic() { return this.options.orthographic; }
 	set orthographic(value) {
-		const h = this.map.getCanvas().clientHeight;
-		const w = this.map.getCanvas().clientWidth;
+		const { width: w, height: h } = this.adapter.getCanvasSize();
 		if (value) {
-			this.map.transform.fov = 0;
+			this.adapter.transform.fov = 0;
 			this.camera = new OrthographicCamera(w / - 2, w / 2, h / 2, h / - 2, 0.1, 1e21);
 		} else {
-			this.map.transform.fov = this.fov;
-			this.camera = new PerspectiveCamera(this.map.transform.fov, w / h, 0.1, 1e21);
+			this.adapter.transform.fov = this.fov;
+			this.camera = new PerspectiveCamera(this.adapter.transform.fov, w / h, 0.1, 1e21);
 		}
 		this.camera.layers.enable(0);
 		this.camera.layers.enable(1);
@@ -620,7 +830,7 @@ class Threebox {
 		// It requires a world group to scale as we zoom in. Rotation is handled in the camera's
 		// projection matrix itself (as is field of view and near/far clipping)
 		// It automatically registers to listen for move events on the map so we don't need to do that here
-		this.cameraSync = new CameraSync(this.map, this.camera, this.world);
+		this.cameraSync = new CameraSync(this.adapter, this.camera, this.world, { relativeToCenter: this.options.relativeToCenter, origin: this.cameraSync && this.cameraSync.origin });
 		this.map.repaint = true; // repaint the map
 		this.options.orthographic = value;
 
@@ -628,7 +838,7 @@ class Threebox {
 
 	//[jscastro] method to create an athmospheric sky layer
 	createSkyLayer () {
-		if (this.mapboxVersion < 2.0) { console.warn("Sky layer are only supported by Mapbox-gl-js > v2.0"); this.options.sky = false; return };
+		if (this.engine !== 'mapbox') { console.warn("tb.sky requires Mapbox GL JS v2+" + (this.engine === 'maplibre' ? ", set the MapLibre sky in the map style" : "")); this.options.sky = false; return };
 
 		let layer = this.map.getLayer(this.skyLayerName);
 		if (!layer) {
@@ -665,7 +875,7 @@ class Threebox {
 
 	//[jscastro] method to create a terrain layer
 	createTerrainLayer () {
-		if (this.mapboxVersion < 2.0) { console.warn("Terrain layer are only supported by Mapbox-gl-js > v2.0"); this.options.terrain = false; return };
+		if (this.engine !== 'mapbox') { terrainNotSupported(this.engine); this.options.terrain = false; return };
 		let layer = this.map.getTerrain();
 		if (!layer) {
 			// add the DEM source as a terrain layer with exaggerated height
@@ -679,71 +889,193 @@ class Threebox {
 			this.map.once('idle', () => {
 				//alert("idle");
 				this.cameraSync.updateCamera();
-				this.repaint();
+				this.updateTerrainObjects();
 			});
 
 		}
 	}
 
 	// Objects
+	// every object is stamped with its kind and options, so exportScene can rebuild it later
+	line (options) {
+		return stamp(line(options), 'line', options);
+	}
+
+	label (options) {
+		return stamp(label(options), 'label', options);
+	}
+
+	tooltip (options) {
+		return tooltip(options);
+	}
+
 	sphere (options) {
 		this.setDefaultView(options, this.options);
-		return sphere(options, this.world)
+		return stamp(sphere(options, this.world), 'sphere', options);
 	}
 
 	tube (options) {
 		this.setDefaultView(options, this.options);
-		return tube(options, this.world)
+		return stamp(tube(options, this.world), 'tube', options);
 	}
 
 	extrusion (options) {
 		this.setDefaultView(options, this.options);
-		return extrusion(options);
+		return stamp(extrusion(options), 'extrusion', options);
 	}
 
 	Object3D (options) {
 		this.setDefaultView(options, this.options);
-		return Object3D(options)
+		return stamp(Object3D(options), 'Object3D', options);
 	}
 
+	/**
+	 * @param {object} options of the model, plus an optional AbortSignal in signal and an onProgress({ url, loaded, total, percent }) function
+	 * @param {function} cb optional callback with the object loaded
+	 * @returns {Promise} the object loaded, or a ModelLoadError
+	 */
 	async loadObj(options, cb) {
+		if (options === undefined) throw new ModelLoadError('invalid-options', "Invalid options provided to loadObj()");
 		this.setDefaultView(options, this.options);
+		const factoryOptions = Object.assign({}, options);
+		const loaded = (obj) => {
+			stamp(obj, 'loadObj', factoryOptions);
+			if (cb) cb(obj);
+			return obj;
+		};
 		if (options.clone === false) {
-			return new Promise(
-				async (resolve) => {
-					loader(options, cb, async (obj) => {
-						resolve(obj);
-					});
-				});
+			return loader(options, this.decoders).then(loaded);
 		}
-		else {
-			//[jscastro] new added cache for 3D Objects
-			let cache = this.objectsCache.get(options.obj);
-			if (cache) {
-				cache.promise
-					.then(obj => {
-						cb(obj.duplicate(options));
-					})
-					.catch(err => {
-						this.objectsCache.delete(options.obj);
-						console.error("Could not load model file: " + options.obj);
-					});
-			} else {
-				this.objectsCache.set(options.obj, {
-					promise: new Promise(
-						async (resolve, reject) => {
-							loader(options, cb, async (obj) => {
-								if (obj.duplicate) {
-									resolve(obj.duplicate());
-								} else {
-									reject(obj);
-								}
-							});
-						})
-				});
 
+		//[jscastro] new added cache for 3D Objects
+		let cache = this.objectsCache.get(options.obj);
+		// the copies get the defaults of the options as the first call, so they're compared with the ones of the model
+		if (cache) return this._waitForModel(cache, options, cache.promise).then(obj => loaded(obj.duplicate(_validate(options, Objects.prototype._defaults.loadObj))));
+
+		// the download is shared by all the calls for the same url, and only aborted when all of them are aborted
+		const controller = new AbortController();
+		cache = { controller: controller, waiting: 0, listeners: new Set() };
+		const loading = loader(Object.assign({}, options, {
+			signal: controller.signal,
+			onProgress: (e) => cache.listeners.forEach(fn => fn(e))
+		}), this.decoders);
+		// the first call gets the model loaded, the cache keeps a master copy for the next ones, all of them share its resources
+		cache.promise = loading.then((obj) => {
+			const master = obj.duplicate();
+			cache.model = this.assets.register(options.obj, master, obj);
+			return master;
+		});
+		this.objectsCache.set(options.obj, cache);
+		// failed models are evicted from the cache so they can be loaded again
+		cache.promise.catch(() => {
+			if (this.objectsCache.get(options.obj) === cache) this.objectsCache.delete(options.obj);
+		});
+		return this._waitForModel(cache, options, loading).then(loaded);
+	}
+
+	// waits for a cached model until it's loaded or the signal of the call is aborted
+	_waitForModel(cache, options, promise) {
+		const signal = options.signal;
+		if (signal && signal.aborted) return Promise.reject(new ModelLoadError('aborted', "Loading of " + options.obj + " was aborted", { url: options.obj }));
+		if (options.onProgress) cache.listeners.add(options.onProgress);
+		cache.waiting++;
+		return new Promise((resolve, reject) => {
+			// the call ends once, either when it's aborted or when the model is loaded
+			let ended = false;
+			const end = () => {
+				if (ended) return false;
+				ended = true;
+				cache.listeners.delete(options.onProgress);
+				cache.waiting--;
+				if (signal) signal.removeEventListener('abort', abort);
+				return true;
+			};
+			const abort = () => {
+				if (!end()) return;
+				if (cache.waiting === 0) {
+					cache.controller.abort();
+					if (this.objectsCache.get(options.obj) === cache) this.objectsCache.delete(options.obj);
+				}
+				reject(new ModelLoadError('aborted', "Loading of " + options.obj + " was aborted", { url: options.obj }));
+			};
+			if (signal) signal.addEventListener('abort', abort);
+			promise.then((obj) => { if (end()) resolve(obj); }, (error) => { if (end()) reject(error); });
+		});
+	}
+
+	// adds a format to loadObj, see modelFormats.registerModelFormat
+	registerModelFormat (type, format) {
+		registerModelFormat(type, format);
+	}
+
+	// adds a format to loadObj parsed by a three.js style loader, see modelFormats.registerLoader
+	registerLoader (type, options) {
+		registerLoader(type, options);
+	}
+
+	// registers a crs for the coordinates by its proj4 definition, see crs.defineCrs
+	defineCrs (name, definition) {
+		defineCrs(name, definition);
+	}
+
+	// loads the model once and places it at every position through instanced meshes
+	async instances(options, cb) {
+		const factoryOptions = Object.assign({}, options);
+		this.setDefaultView(options, this.options);
+		return loader(Object.assign({}, options, { clone: false }), this.decoders).then((model) => {
+			let obj = stamp(instances(model, options, this), 'instances', factoryOptions);
+			if (cb) cb(obj);
+			return obj;
+		});
+	}
+
+	/**
+	 * @param {object} options of the point cloud, its url or positions, plus an optional AbortSignal in signal and an onProgress({ url, loaded, total, percent }) function
+	 * @param {function} cb optional callback with the point cloud
+	 * @returns {Promise} the point cloud, or a ModelLoadError
+	 */
+	async pointCloud (options, cb) {
+		if (!options || (!options.url && !options.positions)) throw new ModelLoadError('invalid-options', "Invalid options provided to pointCloud()");
+		const factoryOptions = Object.assign({}, options);
+		let data = null;
+		if (options.url) {
+			const bytes = await download(options.url, options);
+			const format = options.format || detectPointCloudFormat(options.url, bytes);
+			try {
+				data = await parsePointCloud(bytes, format, options.lazDecoder);
+			} catch (error) {
+				throw new ModelLoadError('parse', "Could not parse point cloud file: " + options.url, { url: options.url, cause: error });
 			}
 		}
+		let obj = stamp(pointCloud(options, data), 'pointCloud', factoryOptions);
+		obj.setZoom(this.adapter.getZoom());
+		if (cb) cb(obj);
+		return obj;
+	}
+
+	// creates the objects for a GeoJSON FeatureCollection, returns a handle to update them with setData
+	addGeoJSON (featureCollection, style) {
+		let layer = new GeoJSONLayer(this, style);
+		layer.setData(featureCollection);
+		return layer;
+	}
+
+	// streams a 3D Tiles tileset into the world, returns a handle to remove it. Its ready promise resolves once tileset.json is loaded
+	addTileset (options) {
+		if (typeof options === 'string') options = { url: options };
+		let tileset = new TilesLayer(this, options);
+		this.tilesets.push(tileset);
+		return tileset;
+	}
+
+	// serializes all the threebox objects in the world to a JSON safe object
+	exportScene () {
+		return exportScene(this);
+	}
+
+	// rebuilds the objects of a scene returned by exportScene, it resolves with the objects created
+	async importScene (json) {
+		return importScene(this, json);
 	}
 
 	// Material
@@ -763,18 +1095,39 @@ class Threebox {
 
 	Constants = ThreeboxConstants
 
-	projectToWorld (coords) {
-		return this.utils.projectToWorld(coords)
+	utils = utils
+
+	projectToWorld (coords, crs = this.options.crs) {
+		return this.utils.projectToWorld(coords, crs)
+	}
+
+	unprojectFromWorld (v3, crs = this.options.crs) {
+		return this.utils.unprojectFromWorld(v3, crs)
 	}
 
-	unprojectFromWorld (v3) {
-		return this.utils.unprojectFromWorld(v3)
+	// position of an object on the map canvas in pixels, as e.point in the map mouse events
+	projectToScreen (obj) {
+		obj.updateMatrixWorld();
+		let v = new Vector3().setFromMatrixPosition(obj.matrixWorld).project(this.camera);
+		let t = this.adapter.transform;
+		return { x: (v.x + 1) / 2 * t.width, y: (1 - v.y) / 2 * t.height };
 	}
 
 	projectedUnitsPerMeter (lat) {
 		return this.utils.projectedUnitsPerMeter(lat)
 	}
 
+	// elevation in meters of the terrain at a lnglat with its exaggeration, 0 without terrain or while its tiles are loading
+	queryTerrainElevation (lnglat) {
+		let elevation = this.adapter.queryTerrainElevation(lnglat);
+		return elevation ? elevation * this.terrainExaggeration : 0;
+	}
+
+	// meters of the EGM96 geoid over the WGS84 ellipsoid at a lnglat, GPS heights minus it are altitudes over the sea level
+	geoidHeight (lnglat) {
+		return geoidHeight(lnglat[0], lnglat[1]);
+	}
+
 	//get the center point of a feature
 	getFeatureCenter(feature, obj, level) {
 		return _getFeatureCenter(feature, obj, level);
@@ -784,18 +1137,18 @@ class Threebox {
 		return _getObjectHeightOnFloor(feature, obj, level);
 	}
 
-	queryRenderedFeatures (point) {
+	queryRenderedFeatures (point, objects) {
 
 		let mouse = new Vector2();
 
 		// // scale mouse pixel position to a percentage of the screen's width and height
-		mouse.x = (point.x / this.map.transform.width) * 2 - 1;
-		mouse.y = 1 - (point.y / this.map.transform.height) * 2;
+		mouse.x = (point.x / this.adapter.transform.width) * 2 - 1;
+		mouse.y = 1 - (point.y / this.adapter.transform.height) * 2;
 
 		this.raycaster.setFromCamera(mouse, this.camera);
 
 		// calculate objects intersecting the picking ray
-		let intersects = this.raycaster.intersectObjects(this.world.children, true);
+		let intersects = this.raycaster.intersectObjects(objects || this.world.children, true);
 
 		return intersects
 	}
@@ -806,17 +1159,33 @@ class Threebox {
 		var result;
 		mesh.object.traverseAncestors(function (m) {
 			if (m.parent)
-				if (m.parent.type == "Group" && m.userData.obj) {
+				if (m.parent.type == "Group" && (m.userData.obj || m.isPointCloud)) {
 					result = m;
 				}
 		});
 		return result;
 	}
 
+	// listens to the events of the objects, all of them or only the ones of a layer id or a filter function
+	on (type, target, handler) {
+		this.events.on(type, target, handler);
+		return this;
+	}
+
+	off (type, target, handler) {
+		this.events.off(type, target, handler);
+		return this;
+	}
+
+	// style of the objects over and selected, for all of them or only the ones of a layer
+	setHighlightStyle (style, layerId) {
+		this.highlight.setStyle(style, layerId);
+	}
+
 	//[jscastro] method to replicate behaviour of map.setLayoutProperty when Threebox are affected
 	setLayoutProperty (layerId, name, value) {
 		//first set layout property at the map
-		this.map.setLayoutProperty(layerId, name, value);
+		this.adapter.setLayoutProperty(layerId, name, value);
 		if (value !== null && value !== undefined) {
 			if (name === 'visibility') {
 				this.world.children.filter(o => (o.layer === layerId)).forEach((o) => { o.visibility = value });
@@ -826,8 +1195,8 @@ class Threebox {
 
 	//[jscastro] Custom Layers doesn't work on minzoom and maxzoom attributes, and if the layer is including labels they don't hide either on minzoom
 	setLayerZoomRange (layerId, minZoomLayer, maxZoomLayer) {
-		if (this.map.getLayer(layerId)) {
-			this.map.setLayerZoomRange(layerId, minZoomLayer, maxZoomLayer);
+		if (this.adapter.getLayer(layerId)) {
+			this.adapter.setLayerZoomRange(layerId, minZoomLayer, maxZoomLayer);
 			if (!this.zoomLayers.includes(layerId)) this.zoomLayers.push(layerId);
 			this.toggleLayer(layerId);
 		}
@@ -851,7 +1220,7 @@ class Threebox {
 				if (feature && feature.layer === layerId) {
 					//TODO: this could be a multidimensional array
 					let location = this.tb.getFeatureCenter(feature, obj, level);
-					obj.setCoords(location);
+					obj.setCoords(location, WGS84);
 				}
 			});
 		}
@@ -859,7 +1228,16 @@ class Threebox {
 
 	//[jscastro] method to set globally all the objects that are fixedScale
 	setObjectsScale () {
-		this.world.children.filter(o => (o.fixedZoom != null)).forEach((o) => { o.setObjectScale(this.map.transform.scale); });
+		this.world.children.filter(o => (o.fixedZoom != null)).forEach((o) => { o.setObjectScale(this.adapter.transform.scale); });
+	}
+
+	// places again the objects with an altitudeMode or heightReference over the terrain and rebuilds the draped ones, when its tiles are loaded or its exaggeration changes
+	updateTerrainObjects () {
+		let objects = this.world.children.filter(o => ((o.altitudeMode && o.altitudeMode !== 'absolute') || o.heightReference === 'terrain') && o._setObject);
+		objects.forEach((o) => { o._setObject({ position: o.coordinates.slice() }); });
+		let draped = this.world.children.filter(o => o.updateDrape);
+		draped.forEach((o) => { o.updateDrape(true); });
+		if (objects.length || draped.length) this.repaint();
 	}
 
 	//[jscastro] mapbox setStyle removes all the layers, including custom layers, so tb.world must be cleaned up too
@@ -871,13 +1249,13 @@ class Threebox {
 
 	//[jscastro] method to toggle Layer visibility checking zoom range
 	toggleLayer (layerId, visible = true) {
-		let l = this.map.getLayer(layerId);
+		let l = this.adapter.getLayer(layerId);
 		if (l) {
 			if (!visible) {
 				this.toggle(l.id, false);
 				return;
 			}
-			let z = this.map.getZoom();
+			let z = this.adapter.getZoom();
 			if (l.minzoom && z < l.minzoom) { this.toggle(l.id, false); return; };
 			if (l.maxzoom && z >= l.maxzoom) { this.toggle(l.id, false); return; };
 			this.toggle(l.id, true);
@@ -895,10 +1273,13 @@ class Threebox {
 
 		if (this.map.repaint) this.map.repaint = false
 
-		var timestamp = Date.now();
-
 		// Update any animations
-		this.objects.animationManager.update(timestamp);
+		this.objects.animationManager.update();
+
+		this.gizmo.update();
+
+		// select and request the tiles for the current camera
+		this.tilesets.forEach(tileset => tileset.update());
 
 		this.updateLightHelper();
 
@@ -908,23 +1289,29 @@ class Threebox {
 
 		// [jscastro] Render any label
 		this.labelRenderer.render(this.scene, this.camera);
-		if (this.options.passiveRendering === false) this.map.triggerRepaint();
+		if (this.options.passiveRendering === false) this.adapter.triggerRepaint();
 	}
 
 	add (obj, layerId, sourceId) {
 		//[jscastro] remove the tooltip if not enabled
 		if (!this.enableTooltips && obj.tooltip) { obj.tooltip.visibility = false };
+		let added = obj.parent !== this.world;
+		// an object restored by the history holds again the shared assets it released when it was removed
+		if (added) this.assets.resume(obj);
 		this.world.add(obj);
+		// objects are positioned in world units, in the world relative to its floating origin
+		if (added) this.cameraSync.relativeToOrigin(obj, true);
 		if (layerId) {
 			obj.layer = layerId;
 			obj.source = sourceId;
-			let l = this.map.getLayer(layerId);
+			let l = this.adapter.getLayer(layerId);
 			if (l) {
 				let v = l.visibility;
 				let u = typeof v === 'undefined';
 				obj.visibility = (u || v === 'visible' ? true : false);
 			}
 		}
+		if (added) this.history.record({ action: 'add', object: obj });
 	}
 
 	removeByName (name) {
@@ -933,10 +1320,26 @@ class Threebox {
 	}
 
 	remove (obj) {
-		if (this.map.selectedObject && obj.uuid == this.map.selectedObject.uuid) this.map.unselectObject();
-		if (this.map.draggedObject && obj.uuid == this.map.draggedObject.uuid) this.map.draggedObject = null;
-		if (obj.dispose) obj.dispose();
+		this.selection.remove(obj);
+		this.events.forget(obj);
+		if (this.map.draggedObject && obj.uuid == this.map.draggedObject.uuid) {
+			this.map.draggedObject = null;
+			this.history.cancelEdit();
+		}
+		// the highlight goes with its copies of the materials and outline, that uses the materials shared by the objects highlighted
+		this.highlight.apply(obj, null);
+		if (this.map.overedObject === obj) this.map.overedObject = null;
+		let removed = obj.parent === this.world;
 		this.world.remove(obj);
+		if (removed) this.cameraSync.relativeToOrigin(obj, false);
+		// with undoRemove the object is kept while the removal can be undone, the history disposes it when the entry is dropped.
+		// Meanwhile it releases its shared assets, so the unused models can be evicted
+		if (removed && this.options.undoRemove && this.history.record({ action: 'remove', object: obj })) {
+			this.assets.suspend(obj);
+		} else {
+			if (obj.dispose) obj.dispose();
+			this.history.forget(obj);
+		}
 		obj = null;
 	}
 	
@@ -947,21 +1350,20 @@ class Threebox {
 			this.world.children.forEach(function (object) {
 				objects.push(object);
 			});
-			for (let i = 0; i < objects.length; i++) {
-				let obj = objects[i];
-				//if layerId, check the layer to remove, otherwise always remove
-				if (obj.layer === layerId || !layerId) {
-					this.remove(obj);
+			// clearing is not recorded in the history, objects are disposed
+			this.history.ignore(() => {
+				for (let i = 0; i < objects.length; i++) {
+					let obj = objects[i];
+					//if layerId, check the layer to remove, otherwise always remove
+					if (obj.layer === layerId || !layerId) {
+						// tilesets dispose their own tiles
+						if (obj.userData.tileset) obj.userData.tileset.remove();
+						else this.remove(obj);
+					}
 				}
-			}
-			if (dispose) {
-				this.objectsCache.forEach((value) => {
-					value.promise.then(obj => {
-						obj.dispose();
-						obj = null;
-					})
-				})
-			}
+			});
+			// the cached models no longer used are disposed, the ones still used by other layers are kept
+			if (dispose) this.assets.evictUnused();
 
 			resolve("clear");
 		});
@@ -970,7 +1372,7 @@ class Threebox {
 	//[jscastro] remove a layer clearing first the 3D objects from this layer in tb.world
 	removeLayer (layerId) {
 		this.clear(layerId, true).then( () => {
-			this.map.removeLayer(layerId);
+			this.adapter.removeLayer(layerId);
 		});
 	}
 
@@ -1099,7 +1501,13 @@ class Threebox {
 					this.scene.remove(this.world);
 					this.world.children = [];
 					this.world = null;
+					this.assets.dispose();
 					this.objectsCache.clear();
+					this.history.clear();
+					this.events.clear();
+					this.highlight.dispose();
+					this.gizmo.dispose();
+					this.decoders.dispose();
 					this.labelRenderer.dispose();
 					console.log(this.memory());
 					this.renderer.dispose();
@@ -1164,7 +1572,7 @@ class Threebox {
 	setDefaultView (options, defOptions) {
 		options.bbox = (options.bbox || options.bbox == null) && defOptions.enableSelectingObjects;
 		options.tooltip = (options.tooltip || options.tooltip == null) && defOptions.enableTooltips;
-		options.mapScale = this.map.transform.scale;
+		options.mapScale = this.adapter.transform.scale;
 	}
 
 	memory () { return this.renderer.info.memory }
@@ -1174,7 +1582,13 @@ class Threebox {
 	version = '2.2.7'
 }
 
+// default factory for the renderer, it can be replaced through `rendererFactory` option (i.e. createStubRenderer)
+function createWebGLRenderer(parameters) {
+	return new WebGLRenderer(parameters);
+}
+
 var defaultOptions = {
+	rendererFactory: createWebGLRenderer,
 	defaultLights: false,
 	realSunlight: false,
 	realSunlightHelper: false,
@@ -1184,13 +1598,26 @@ var defaultOptions = {
 	enableSelectingObjects: false,
 	enableDraggingObjects: false,
 	enableRotatingObjects: false,
+	enableScalingObjects: false,
+	enableGizmo: false,
+	enableMultiSelectingObjects: false,
 	enableTooltips: false,
 	enableHelpTooltips: false,
 	multiLayer: false,
 	orthographic: false,
 	fov: FOV_DEGREES,
 	sky: false,
-	terrain: false
+	terrain: false,
+	historySize: 100,
+	undoRemove: false,
+	memoryBudget: false,
+	dracoDecoderPath: '',
+	ktx2TranscoderPath: '',
+	decoderWorkers: 4,
+	pointsThreshold: 5,
+	relativeToCenter: false,
+	crs: '',
+	highlight: false
 }
 export default Threebox;
 
@@ -0,0 +1,102 @@
+/**
+ * MapAdapter is the only door of Threebox core (Threebox, CameraSync and LabelRenderer) to the map instance.
+ * It covers the camera transform, the canvas, the event bus and the layers API, so any object implementing
+ * the same members (i.e. StubMapAdapter) can replace a mapboxgl.Map.
+ * This default implementation wraps a Mapbox GL JS v1 map, or any map exposing the same API (Azure Maps).
+ * Engines with a different camera (MapboxAdapter, MapLibreAdapter) override the camera methods, use createMapAdapter to get the right one.
+ */
+
+import { clamp } from "../utils/utils.js";
+import { GLOBE_ZOOM_THRESHOLD_MIN, GLOBE_ZOOM_THRESHOLD_MAX } from "../utils/constants.js";
+
+class MapAdapter {
+	constructor(map) {
+		this.map = map;
+		this.isMapAdapter = true;
+	}
+
+	// rendering engine of the map: 'mapbox-v1', 'mapbox' or 'maplibre'
+	get engine() { return 'mapbox-v1'; }
+
+	// version of the map library as a number, i.e. 2.2
+	get version() { return parseFloat(this.map.version); }
+
+	// camera state: width, height, scale, tileSize, zoom, center, point, _fov, _pitch, angle, centerOffset...
+	get transform() { return this.map.transform; }
+
+	// far plane of the camera for the current transform, furthest distance optimized by @jscastro76
+	getCameraFrustum(cameraToCenterDistance) {
+		const t = this.transform;
+		const halfFov = t._fov / 2;
+		const groundAngle = Math.PI / 2 + t._pitch;
+		const topHalfSurfaceDistance = Math.sin(halfFov) * cameraToCenterDistance / Math.sin(Math.PI - groundAngle - halfFov);
+
+		// Calculate z distance of the farthest fragment that should be rendered.
+		const furthestDistance = Math.cos(Math.PI / 2 - t._pitch) * topHalfSurfaceDistance + cameraToCenterDistance;
+
+		// Add a bit extra to avoid precision problems when a fragment's distance is exactly `furthestDistance`
+		return { farZ: furthestDistance * 1.01, furthestDistance: furthestDistance };
+	}
+
+	// camera altitude in pixels, `altitude` is the one calculated without terrain
+	getCameraAltitude(worldSize, altitude) { return altitude; }
+
+	getCanvas() { return this.map.getCanvas(); }
+
+	// element that will contain the labels, it can be null when there's no DOM
+	getCanvasContainer() { return this.map.getCanvasContainer(); }
+
+	getCanvasSize() {
+		const canvas = this.map.getCanvas();
+		return { width: canvas.clientWidth, height: canvas.clientHeight };
+	}
+
+	getPixelRatio() { return window.devicePixelRatio; }
+
+	getCenter() { return this.map.getCenter(); }
+
+	getZoom() { return this.map.getZoom(); }
+
+	triggerRepaint() { this.map.triggerRepaint(); }
+
+	// progress of the transition from the globe (0) to mercator (1) of the globe projection (Mapbox GL JS v2.9+),
+	// null without it or over the transition zoom range, where the map is flat
+	getGlobeTransition() {
+		const projection = typeof this.map.getProjection === 'function' ? this.map.getProjection() : null;
+		if (!projection || projection.name !== 'globe') return null;
+		const t = clamp((this.getZoom() - GLOBE_ZOOM_THRESHOLD_MIN) / (GLOBE_ZOOM_THRESHOLD_MAX - GLOBE_ZOOM_THRESHOLD_MIN), 0, 1);
+		const transition = t * t * (3 - 2 * t);
+		return transition < 1 ? transition : null;
+	}
+
+	// terrain specification of the map ({ source, exaggeration }), null without terrain
+	getTerrain() { return typeof this.map.getTerrain === 'function' ? this.map.getTerrain() : null; }
+
+	// elevation in meters of the terrain at a lnglat without exaggeration, null without terrain or while its tiles are loading
+	queryTerrainElevation(lnglat) {
+		if (typeof this.map.queryTerrainElevation !== 'function') return null;
+		return this.map.queryTerrainElevation(lnglat, { exaggerated: false });
+	}
+
+	// event bus, listeners are called with the map as `this`
+	on(type, listener) { this.map.on(type, listener); return this; }
+
+	once(type, listener) { this.map.once(type, listener); return this; }
+
+	off(type, listener) { this.map.off(type, listener); return this; }
+
+	fire(type, data) { this.map.fire(type, data); return this; }
+
+	// layers API
+	getLayer(layerId) { return this.map.getLayer(layerId); }
+
+	addLayer(layer, beforeId) { this.map.addLayer(layer, beforeId); return this; }
+
+	removeLayer(layerId) { this.map.removeLayer(layerId); return this; }
+
+	setLayoutProperty(layerId, name, value) { this.map.setLayoutProperty(layerId, name, value); return this; }
+
+	setLayerZoomRange(layerId, minZoom, maxZoom) { this.map.setLayerZoomRange(layerId, minZoom, maxZoom); return this; }
+}
+
+export default MapAdapter;
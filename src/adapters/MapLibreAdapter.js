@@ -0,0 +1,57 @@
+/**
+ * Adapter for MapLibre GL JS 3/4. Its transform has no FreeCamera, the camera is calculated from center, pitch and bearing
+ * as in Mapbox GL JS v1, but it allows a pitch up to 85 degrees and the terrain elevates the camera over the map center.
+ */
+import MapAdapter from "./MapAdapter.js";
+import { clamp } from "../utils/utils.js";
+import { EARTH_CIRCUMFERENCE } from "../utils/constants.js";
+
+class MapLibreAdapter extends MapAdapter {
+
+	// MapLibre keeps terrain API without the Mapbox GL JS v2 FreeCamera
+	static detect(map) {
+		return !!(map && map.transform && !map.transform._camera && typeof map.setTerrain === 'function');
+	}
+
+	get engine() { return 'maplibre'; }
+
+	// same far plane as MapLibre Transform._calcMatrices, limited by the horizon for high pitch values
+	getCameraFrustum(cameraToCenterDistance) {
+		const t = this.transform;
+		const offset = t.centerOffset || { x: 0, y: 0 };
+		const groundAngle = Math.PI / 2 + t._pitch;
+		const fovAboveCenter = t._fov * (0.5 + offset.y / t.height);
+		const topHalfSurfaceDistance = Math.sin(fovAboveCenter) * cameraToCenterDistance / Math.sin(clamp(Math.PI - groundAngle - fovAboveCenter, 0.01, Math.PI - 0.01));
+
+		// Find the distance from the center point to the horizon
+		const horizon = Math.tan(Math.PI / 2 - t._pitch) * cameraToCenterDistance * 0.85;
+		const horizonAngle = Math.atan(horizon / cameraToCenterDistance);
+		const fovCenterToHorizon = 2 * horizonAngle * (0.5 + offset.y / (horizon * 2));
+		const topHalfSurfaceDistanceHorizon = Math.sin(fovCenterToHorizon) * cameraToCenterDistance / Math.sin(clamp(Math.PI - groundAngle - fovCenterToHorizon, 0.01, Math.PI - 0.01));
+
+		// Calculate z distance of the farthest fragment that should be rendered.
+		const furthestDistance = Math.cos(Math.PI / 2 - t._pitch) * Math.min(topHalfSurfaceDistance, topHalfSurfaceDistanceHorizon) + cameraToCenterDistance;
+
+		// Add a bit extra to avoid precision problems when a fragment's distance is exactly `furthestDistance`
+		return { farZ: furthestDistance * 1.01, furthestDistance: furthestDistance };
+	}
+
+	// t.elevation is the terrain elevation in meters at the map center, the camera is moved up the same distance
+	getCameraAltitude(worldSize, altitude) {
+		const t = this.transform;
+		if (!t.elevation) return altitude;
+		const pixelsPerMeter = worldSize / (EARTH_CIRCUMFERENCE * Math.cos(t.center.lat * Math.PI / 180));
+		return altitude + t.elevation * pixelsPerMeter;
+	}
+
+	// MapLibre returns the exaggerated elevation relative to the one at the map center
+	queryTerrainElevation(lnglat) {
+		const terrain = this.getTerrain();
+		if (!terrain || typeof this.map.queryTerrainElevation !== 'function') return null;
+		const elevation = this.map.queryTerrainElevation(lnglat);
+		if (elevation === null || elevation === undefined) return null;
+		return (elevation + (this.transform.elevation || 0)) / (terrain.exaggeration || 1);
+	}
+}
+
+export default MapLibreAdapter;
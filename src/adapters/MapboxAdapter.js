@@ -0,0 +1,45 @@
+/**
+ * Adapter for Mapbox GL JS v2+, whose transform keeps a FreeCamera (t._camera) and an elevation model for the terrain
+ */
+import MapAdapter from "./MapAdapter.js";
+import { clamp } from "../utils/utils.js";
+import { EARTH_CIRCUMFERENCE } from "../utils/constants.js";
+
+class MapboxAdapter extends MapAdapter {
+
+	// Mapbox GL JS v2 transform is the only one with a FreeCamera
+	static detect(map) {
+		return !!(map && map.transform && map.transform._camera);
+	}
+
+	get engine() { return 'mapbox'; }
+
+	getCameraFrustum(cameraToCenterDistance) {
+		const t = this.transform;
+		const worldSize = t.tileSize * t.scale;
+		const pixelsPerMeter = worldSize / (EARTH_CIRCUMFERENCE * Math.cos(t.center.lat * Math.PI / 180));
+		const groundAngle = Math.PI / 2 + t._pitch;
+		const fovAboveCenter = t._fov * (0.5 + t.centerOffset.y / t.height);
+
+		// Adjust distance to MSL by the minimum possible elevation visible on screen,
+		// this way the far plane is pushed further in the case of negative elevation.
+		const minElevationInPixels = t.elevation ? t.elevation.getMinElevationBelowMSL() * pixelsPerMeter : 0;
+		const cameraToSeaLevelDistance = ((t._camera.position[2] * worldSize) - minElevationInPixels) / Math.cos(t._pitch);
+		const topHalfSurfaceDistance = Math.sin(fovAboveCenter) * cameraToSeaLevelDistance / Math.sin(clamp(Math.PI - groundAngle - fovAboveCenter, 0.01, Math.PI - 0.01));
+
+		// Calculate z distance of the farthest fragment that should be rendered.
+		const furthestDistance = Math.cos(Math.PI / 2 - t._pitch) * topHalfSurfaceDistance + cameraToSeaLevelDistance;
+
+		// Add a bit extra to avoid precision problems when a fragment's distance is exactly `furthestDistance`
+		const horizonDistance = cameraToSeaLevelDistance * (1 / t._horizonShift);
+		return { farZ: Math.min(furthestDistance * 1.01, horizonDistance), furthestDistance: furthestDistance };
+	}
+
+	// When terrain layers are included, height of 3D layers must be modified from t_camera.z * worldSize
+	getCameraAltitude(worldSize, altitude) {
+		const t = this.transform;
+		return t.elevation ? t._camera.position[2] * worldSize : altitude;
+	}
+}
+
+export default MapboxAdapter;
@@ -0,0 +1,185 @@
+/**
+ * In-memory map adapter to run Threebox without a browser, a map library or a GPU (i.e. unit tests in Node).
+ * It keeps a Mapbox GL JS v1 like transform from center, zoom, pitch and bearing, a small event bus and a layers registry.
+ * The adapter is also its own `map`, so Threebox internals writing on `tb.map` work the same way.
+ */
+import MapAdapter from "./MapAdapter.js";
+import { TILE_SIZE, FOV, DEG2RAD } from "../utils/constants.js";
+
+class StubTransform {
+	constructor(options) {
+		this.tileSize = TILE_SIZE;
+		this.width = options.width;
+		this.height = options.height;
+		this.center = { lng: options.center[0], lat: options.center[1] };
+		this.zoom = options.zoom;
+		this._fov = options.fov !== undefined ? options.fov * DEG2RAD : FOV;
+		this._pitch = options.pitch * DEG2RAD;
+		this.angle = -options.bearing * DEG2RAD;
+		this._maxPitch = 60;
+		this.centerOffset = { x: 0, y: 0 };
+	}
+
+	get fov() { return this._fov / DEG2RAD; }
+	set fov(value) { this._fov = Math.max(0.01, Math.min(60, value)) * DEG2RAD; }
+
+	get scale() { return Math.pow(2, this.zoom); }
+
+	get worldSize() { return this.tileSize * this.scale; }
+
+	// center projected in pixels, same as Transform.point in Mapbox GL JS
+	get point() {
+		const lat = Math.max(-85.051129, Math.min(85.051129, this.center.lat));
+		return {
+			x: (180 + this.center.lng) / 360 * this.worldSize,
+			y: (180 - (180 / Math.PI * Math.log(Math.tan(Math.PI / 4 + lat * DEG2RAD / 2)))) / 360 * this.worldSize
+		};
+	}
+}
+
+const defaults = {
+	center: [0, 0],
+	zoom: 0,
+	pitch: 0,
+	bearing: 0,
+	width: 800,
+	height: 600,
+	version: '1.13.0'
+};
+
+class StubMapAdapter extends MapAdapter {
+	constructor(options) {
+		super(null);
+		const opt = Object.assign({}, defaults, options);
+		this.map = this;
+		this.version = opt.version;
+		this._transform = new StubTransform(opt);
+		this._listeners = {};
+		this._layers = new Map();
+		this._container = {
+			style: {},
+			clientLeft: 0,
+			clientTop: 0,
+			getBoundingClientRect: () => ({ left: 0, top: 0, width: this._transform.width, height: this._transform.height })
+		};
+		this.repaint = false;
+		this.dragPan = { enable() { }, disable() { } };
+	}
+
+	get version() { return parseFloat(this._version); }
+	set version(value) { this._version = value; }
+
+	get transform() { return this._transform; }
+
+	getCanvas() { return null; }
+
+	getCanvasContainer() { return this._container; }
+
+	getCanvasSize() { return { width: this._transform.width, height: this._transform.height }; }
+
+	getPixelRatio() { return 1; }
+
+	getCenter() { return Object.assign({}, this._transform.center); }
+
+	getZoom() { return this._transform.zoom; }
+
+	triggerRepaint() { this.repaint = true; }
+
+	loaded() { return true; }
+
+	queryRenderedFeatures() { return []; }
+
+	// projection like map.setProjection, 'mercator' or 'globe'
+	setProjection(projection) {
+		this._projection = typeof projection === 'string' ? { name: projection } : projection;
+		return this.fire('move');
+	}
+
+	getProjection() { return this._projection || { name: 'mercator' }; }
+
+	// terrain like map.setTerrain, its `elevation` function (lng, lat) returns the meters of the ground
+	setTerrain(terrain) { this._terrain = terrain; return this; }
+
+	getTerrain() { return this._terrain || null; }
+
+	queryTerrainElevation(lnglat) {
+		return this._terrain && this._terrain.elevation ? this._terrain.elevation(lnglat[0], lnglat[1]) : null;
+	}
+
+	remove() { this._listeners = {}; }
+
+	// moves the camera like map.jumpTo and fires 'move'
+	jumpTo(options) {
+		const t = this._transform;
+		if (options.center) t.center = Array.isArray(options.center) ? { lng: options.center[0], lat: options.center[1] } : options.center;
+		if (options.zoom !== undefined) t.zoom = options.zoom;
+		if (options.pitch !== undefined) t._pitch = options.pitch * DEG2RAD;
+		if (options.bearing !== undefined) t.angle = -options.bearing * DEG2RAD;
+		return this.fire('move');
+	}
+
+	resize(width, height) {
+		this._transform.width = width;
+		this._transform.height = height;
+		return this.fire('resize');
+	}
+
+	on(type, listener) {
+		(this._listeners[type] = this._listeners[type] || []).push(listener);
+		return this;
+	}
+
+	once(type, listener) {
+		const wrapper = function () {
+			this.off(type, wrapper);
+			listener.apply(this, arguments);
+		};
+		wrapper.listener = listener;
+		return this.on(type, wrapper);
+	}
+
+	off(type, listener) {
+		const listeners = this._listeners[type];
+		if (listeners) this._listeners[type] = listeners.filter(l => l !== listener && l.listener !== listener);
+		return this;
+	}
+
+	// events are shaped like mapboxgl.MapMouseEvent, so map.fire('click', { point, lngLat }) reaches the Threebox handlers
+	fire(type, data) {
+		const event = Object.assign({
+			type: type,
+			target: this,
+			originalEvent: {},
+			defaultPrevented: false,
+			preventDefault() { this.defaultPrevented = true; }
+		}, data);
+		(this._listeners[type] || []).slice().forEach(l => l.call(this, event));
+		return this;
+	}
+
+	getLayer(layerId) { return this._layers.get(layerId); }
+
+	addLayer(layer) {
+		this._layers.set(layer.id, Object.assign({ visibility: 'visible' }, layer));
+		return this;
+	}
+
+	removeLayer(layerId) {
+		this._layers.delete(layerId);
+		return this;
+	}
+
+	setLayoutProperty(layerId, name, value) {
+		const layer = this._layers.get(layerId);
+		if (layer && name === 'visibility') layer.visibility = value;
+		return this;
+	}
+
+	setLayerZoomRange(layerId, minZoom, maxZoom) {
+		const layer = this._layers.get(layerId);
+		if (layer) { layer.minzoom = minZoom; layer.maxzoom = maxZoom; }
+		return this;
+	}
+}
+
+export default StubMapAdapter;
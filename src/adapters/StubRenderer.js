@@ -0,0 +1,45 @@
+/**
+ * Renderer that draws nothing, to be injected through Threebox `rendererFactory` option when there's no WebGL context.
+ * It only keeps the members of THREE.WebGLRenderer used by Threebox.
+ */
+class StubRenderer {
+	constructor(parameters) {
+		this.parameters = parameters || {};
+		this.domElement = this.parameters.canvas || null;
+		this.autoClear = true;
+		this.shadowMap = { enabled: false, type: null };
+		this.info = {
+			memory: { geometries: 0, textures: 0 },
+			render: { frame: 0, calls: 0, triangles: 0, points: 0, lines: 0 },
+			programs: []
+		};
+		this.pixelRatio = 1;
+		this.width = 0;
+		this.height = 0;
+	}
+
+	setPixelRatio(value) { this.pixelRatio = value; }
+
+	setSize(width, height) {
+		this.width = width;
+		this.height = height;
+	}
+
+	resetState() { }
+
+	// keeps the matrices updated as a real render would do, so raycasting works
+	render(scene, camera) {
+		if (scene.matrixWorldAutoUpdate !== false) scene.updateMatrixWorld();
+		if (camera.parent === null && camera.matrixWorldAutoUpdate !== false) camera.updateMatrixWorld();
+		this.info.render.frame++;
+	}
+
+	dispose() { }
+}
+
+// factory with the same signature than the default one creating a THREE.WebGLRenderer
+export function createStubRenderer(parameters) {
+	return new StubRenderer(parameters);
+}
+
+export default StubRenderer;
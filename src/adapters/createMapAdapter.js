@@ -0,0 +1,19 @@
+/**
+ * Engine detection, it chooses the adapter from the map instance features rather than from `map.version`,
+ * that is not defined in MapLibre GL JS
+ */
+import MapAdapter from "./MapAdapter.js";
+import MapboxAdapter from "./MapboxAdapter.js";
+import MapLibreAdapter from "./MapLibreAdapter.js";
+
+// ordered from the most specific, MapAdapter is the fallback for Mapbox GL JS v1 and Azure Maps
+const engines = [MapboxAdapter, MapLibreAdapter];
+
+// returns the adapter received or wraps the map received into the adapter of its engine
+function createMapAdapter(mapOrAdapter) {
+	if (mapOrAdapter && mapOrAdapter.isMapAdapter) return mapOrAdapter;
+	const Adapter = engines.find(e => e.detect(mapOrAdapter)) || MapAdapter;
+	return new Adapter(mapOrAdapter);
+}
+
+export default createMapAdapter;
@@ -0,0 +1,56 @@
+/**
+ * Clock of the threebox animations (tb.clock). By default it follows the wall-clock time,
+ * but it can be paused, scaled, set to any time or driven by an external time source such as a replay slider
+ */
+class AnimationClock {
+  constructor() {
+    this._timeScale = 1;
+    // function returning the current time in milliseconds, it replaces the wall-clock time when set
+    this.source = null;
+    this._paused = false;
+    this._time = Date.now();
+    this._realTime = this._time;
+  }
+
+  get paused() {
+    return this._paused;
+  }
+
+  // speed of the wall-clock time, i.e. 2 plays the animations twice as fast
+  get timeScale() {
+    return this._timeScale;
+  }
+
+  set timeScale(value) {
+    this.setTime(this.now());
+    this._timeScale = value;
+  }
+
+  // current time in milliseconds
+  now() {
+    if (this.source) return this.source();
+    if (this._paused) return this._time;
+    return this._time + (Date.now() - this._realTime) * this._timeScale;
+  }
+
+  pause() {
+    this.setTime(this.now());
+    this._paused = true;
+    return this;
+  }
+
+  play() {
+    this.setTime(this.now());
+    this._paused = false;
+    return this;
+  }
+
+  // moves the clock to a time in milliseconds, the animations jump to that time on the next frame
+  setTime(time) {
+    this._time = time;
+    this._realTime = Date.now();
+    return this;
+  }
+}
+
+export default AnimationClock;
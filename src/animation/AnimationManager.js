@@ -3,6 +3,11 @@
  */
 import { Clock, AnimationMixer, CatmullRomCurve3, Vector3 } from 'three';
 import * as utils from '../utils/utils.js';
+import AnimationClock from './AnimationClock.js';
+import Timeline from './Timeline.js';
+import { getEasing } from './easing.js';
+import Trajectory from './Trajectory.js';
+import { geoidHeight } from '../utils/geoid.js';
 
 const defaults = {
   followPath: {
@@ -10,14 +15,52 @@ const defaults = {
     duration: 1000,
     trackHeading: true,
   },
+  followTrajectory: {
+    coordinates: null,
+    timestamps: null,
+    trackHeading: true,
+    headingSmoothing: 0,
+    maxGap: Infinity,
+    sync: true,
+    timeOffset: 0,
+  },
 };
 
+// true if the altitude of an object depends on the terrain
+function onTerrain(obj) {
+  return (obj.altitudeMode && obj.altitudeMode !== 'absolute') || obj.heightReference === 'terrain';
+}
+
+// world position of an object at a lnglat, over the terrain if its altitudeMode is 'relativeToGround' or 'clampToGround' or its heightReference is 'terrain'.
+// Absolute altitudes are over the sea level as the terrain of the map, or over the WGS84 ellipsoid with heightReference 'ellipsoid'
+function worldPosition(obj, lnglat) {
+  if (!onTerrain(obj)) {
+    if (obj.heightReference !== 'ellipsoid') return utils.projectToWorld(lnglat);
+    return utils.projectToWorld([lnglat[0], lnglat[1], (lnglat[2] || 0) - geoidHeight(lnglat[0], lnglat[1])]);
+  }
+  const ground = tb.queryTerrainElevation(lnglat);
+  return utils.projectToWorld([lnglat[0], lnglat[1], obj.altitudeMode === 'clampToGround' ? ground : ground + (lnglat[2] || 0)]);
+}
+
 class AnimationManager {
   constructor(map) {
     this.map = map;
     this.enrolledObjects = [];
     this.previousFrameTime = undefined;
     this.isAnimating = false;
+    // time of all the animations, Threebox replaces it with tb.clock
+    this.clock = new AnimationClock();
+  }
+
+  // adds the timeline and the easing function to a new entry of the queue, the timeline is also kept in obj.timeline
+  _timeline(obj, entry) {
+    const options = entry.parameters;
+    // the name is kept to export the animation
+    if (typeof options.easing === 'string') options.easingName = options.easing;
+    options.easing = getEasing(options.easing);
+    entry.timeline = new Timeline(this.clock, options.duration, options);
+    obj.timeline = entry.timeline;
+    return entry;
   }
 
   unenroll(obj) {
@@ -28,6 +71,7 @@ class AnimationManager {
   }
 
   enroll(obj) {
+    const manager = this;
     // Set up basic animation properties.
     obj.clock = new Clock();
     obj.hasDefaultAnimation = false;
@@ -95,9 +139,10 @@ class AnimationManager {
     // "set" method to animate object properties over a duration.
     obj.set = function (options) {
       if (options.duration > 0) {
+        const now = manager.clock.now();
         const newParams = {
-          start: Date.now(),
-          expiration: Date.now() + options.duration,
+          start: now,
+          expiration: now + options.duration,
           endState: {},
         };
         utils.extend(options, newParams);
@@ -132,11 +177,11 @@ class AnimationManager {
 
         if (translating) {
           options.pathCurve = new CatmullRomCurve3(
-            utils.lnglatsToWorld([obj.coordinates, options.coords])
+            [utils.projectToWorld(obj.coordinates), utils.projectToWorld(options.coords, obj.crs)]
           );
         }
 
-        const entry = { type: 'set', parameters: options };
+        const entry = manager._timeline(this, { type: 'set', parameters: options });
         this.animationQueue.push(entry);
         tb.map.repaint = true;
       } else {
@@ -167,17 +212,45 @@ class AnimationManager {
         parameters: utils._validate(options, defaults.followPath),
       };
 
-      // Create the curve from lng/lat coordinates.
+      // Create the curve from lng/lat coordinates, or the ones of the crs of the object.
       entry.parameters.pathCurve = new CatmullRomCurve3(
-        utils.lnglatsToWorld(options.path)
+        utils.lnglatsToWorld(options.path, obj.crs)
       );
 
+      const now = manager.clock.now();
       Object.assign(entry.parameters, {
-        start: Date.now(),
-        expiration: Date.now() + entry.parameters.duration,
+        start: now,
+        expiration: now + entry.parameters.duration,
+        cb: cb,
+      });
+
+      this.animationQueue.push(manager._timeline(this, entry));
+      tb.map.repaint = true;
+      return this;
+    };
+
+    // "followTrajectory" method, positions interpolated by the timestamps of the fixes.
+    // With sync the timestamps are times of the clock (plus timeOffset), so all the objects replay in lockstep.
+    obj.followTrajectory = function (options, cb) {
+      const parameters = utils._validate(options, defaults.followTrajectory);
+      if (!parameters) return this;
+      const error = Trajectory.validate(parameters.coordinates, parameters.timestamps);
+      if (error) {
+        console.error('followTrajectory: ' + error);
+        return this;
+      }
+
+      parameters.trajectory = new Trajectory(parameters.coordinates, parameters.timestamps, Object.assign({ crs: obj.crs }, parameters));
+      parameters.duration = parameters.trajectory.duration;
+      const now = manager.clock.now();
+      Object.assign(parameters, {
+        start: parameters.sync ? parameters.trajectory.start + parameters.timeOffset : now,
         cb: cb,
       });
+      parameters.expiration = parameters.start + parameters.duration;
 
+      const entry = manager._timeline(this, { type: 'followTrajectory', parameters: parameters });
+      if (parameters.sync) entry.timeline.seek(now - parameters.start);
       this.animationQueue.push(entry);
       tb.map.repaint = true;
       return this;
@@ -192,8 +265,8 @@ class AnimationManager {
 
       if (p) {
         this.coordinates = p;
-        const c = utils.projectToWorld(p);
-        this.position.copy(c);
+        const c = worldPosition(this, p);
+        this.position.copy(c).sub(utils.worldOrigin(this));
       }
 
       if (t) {
@@ -211,7 +284,7 @@ class AnimationManager {
         this.translateX(wt.x);
         this.translateY(wt.y);
         this.translateZ(wt.z);
-        const p = utils.unprojectFromWorld(this.position);
+        const p = utils.unprojectFromWorld(this.position.clone().add(utils.worldOrigin(this)));
         this.coordinates = options.position = p;
       }
 
@@ -231,8 +304,9 @@ class AnimationManager {
       }
 
       if (w) {
-        this.position.copy(w);
+        // paths are defined by the altitudes of the object (i.e. over the ground or the ellipsoid), so coordinates keep them
         const p = utils.unprojectFromWorld(w);
+        this.position.copy(onTerrain(this) || this.heightReference === 'ellipsoid' ? worldPosition(this, p) : w).sub(utils.worldOrigin(this));
         this.coordinates = options.position = p;
       }
 
@@ -256,17 +330,18 @@ class AnimationManager {
     // Play the default animation.
     obj.playDefault = function (options) {
       if (obj.mixer && obj.hasDefaultAnimation) {
+        const now = manager.clock.now();
         const newParams = {
-          start: Date.now(),
-          expiration: Date.now() + options.duration,
+          start: now,
+          expiration: now + options.duration,
           endState: {},
         };
         utils.extend(options, newParams);
         obj.mixer.timeScale = options.speed || 1;
-        const entry = {
+        const entry = manager._timeline(this, {
           type: 'playDefault',
           parameters: options,
-        };
+        });
         this.animationQueue.push(entry);
         tb.map.repaint = true;
         return this;
@@ -310,9 +385,55 @@ class AnimationManager {
     this.enrolledObjects.push(obj);
   }
 
-  update(now) {
-    // Cache current time once per update.
-    const currentTime = Date.now();
+  // values of a 'set' animation at a progress from 0 to 1
+  _setState(options, progress) {
+    const objectState = {};
+    if (options.pathCurve) {
+      objectState.worldCoordinates = options.pathCurve.getPoint(progress);
+    }
+    if (options.rotationPerMs) {
+      objectState.rotation = options.startRotation.map(
+        (rad, index) =>
+          rad + options.rotationPerMs[index] * progress * options.duration
+      );
+    }
+    if (options.scalePerMs) {
+      objectState.scale = options.startScale.map(
+        (scale, index) =>
+          scale + options.scalePerMs[index] * progress * options.duration
+      );
+    }
+    return objectState;
+  }
+
+  // position and heading of a 'followPath' animation at a progress from 0 to 1
+  _followPathState(options, progress, up, tempAxis) {
+    const objectState = {};
+    objectState.worldCoordinates = options.pathCurve.getPointAt(progress);
+    if (options.trackHeading) {
+      // Calculate heading using temporary vectors.
+      const tangent = options.pathCurve.getTangentAt(progress).normalize();
+      tempAxis.crossVectors(up, tangent).normalize();
+      const radians = Math.acos(up.dot(tangent));
+      objectState.quaternion = [tempAxis.clone(), radians];
+    }
+    return objectState;
+  }
+
+  // position and heading of a 'followTrajectory' animation at a time from the start of the track
+  _followTrajectoryState(options, time) {
+    const objectState = {};
+    objectState.worldCoordinates = options.trajectory.positionAt(time);
+    if (options.trackHeading) {
+      // the object looks to its y axis, as in followPath
+      objectState.quaternion = [new Vector3(0, 0, 1), options.trajectory.headingAt(time) - Math.PI / 2];
+    }
+    return objectState;
+  }
+
+  update() {
+    // Cache current time once per update, animations are measured against the clock and not the wall-clock time.
+    const currentTime = this.clock.now();
     let repaintNeeded = false;
 
     // Pre-create temporary vectors for tangent calculations.
@@ -329,72 +450,68 @@ class AnimationManager {
         const item = object.animationQueue[i];
         if (!item) continue;
         const options = item.parameters;
+        const timeline = item.timeline;
 
         // Remove items with no expiration.
         if (!options.expiration) {
           object.animationQueue.splice(i, 1);
-          if (object.animationQueue[i]) {
-            object.animationQueue[i].parameters.start = currentTime;
+          const next = object.animationQueue[i];
+          if (next && !(next.type === 'followTrajectory' && next.parameters.sync)) {
+            next.parameters.start = currentTime;
+            next.timeline.restart();
           }
           continue;
         }
 
-        const expiring = currentTime >= options.expiration;
-        if (expiring) {
-          options.expiration = false;
-          if (item.type === 'playDefault') {
-            object.stop();
-          } else {
-            if (options.endState) object._setObject(options.endState);
-            if (typeof options.cb !== 'undefined') options.cb();
-          }
-        } else {
-          const timeProgress = (currentTime - options.start) / options.duration;
-
-          if (item.type === 'set') {
-            const objectState = {};
-            if (options.pathCurve) {
-              objectState.worldCoordinates = options.pathCurve.getPoint(timeProgress);
-            }
-            if (options.rotationPerMs) {
-              objectState.rotation = options.startRotation.map(
-                (rad, index) =>
-                  rad + options.rotationPerMs[index] * timeProgress * options.duration
-              );
-            }
-            if (options.scalePerMs) {
-              objectState.scale = options.startScale.map(
-                (scale, index) =>
-                  scale + options.scalePerMs[index] * timeProgress * options.duration
-              );
-            }
-            object._setObject(objectState);
-          }
+        // Synced trajectories follow the clock time instead of the time elapsed since they were added.
+        const synced = item.type === 'followTrajectory' && options.sync;
+        if (synced && !timeline.paused) {
+          const time = Math.min(Math.max(currentTime - options.start, 0), timeline.duration);
+          if (time !== timeline.time) timeline.seek(time);
+        }
+
+        // Nothing to update while the timeline is paused or its clock stopped.
+        if (!(synced ? timeline.changed : timeline.update())) continue;
+        timeline.changed = false;
+        const progress = options.easing(timeline.progress);
+
+        if (item.type === 'set') {
+          object._setObject(this._setState(options, progress));
+        }
+
+        if (item.type === 'followPath') {
+          object._setObject(this._followPathState(options, progress, up, tempAxis));
+        }
 
-          if (item.type === 'followPath') {
-            const objectState = {};
-            objectState.worldCoordinates = options.pathCurve.getPointAt(timeProgress);
-            if (options.trackHeading) {
-              // Calculate heading using temporary vectors.
-              const tangent = options.pathCurve.getTangentAt(timeProgress).normalize();
-              tempAxis.crossVectors(up, tangent).normalize();
-              const radians = Math.acos(up.dot(tangent));
-              objectState.quaternion = [tempAxis.clone(), radians];
-            }
-            object._setObject(objectState);
+        if (item.type === 'followTrajectory') {
+          // the timestamps already give the speed, so easing is not applied
+          object._setObject(this._followTrajectoryState(options, timeline.time));
+        }
+
+        if (item.type === 'playDefault') {
+          object.activateAllActions();
+          object.isPlaying = true;
+          // Centralize scheduling of the update loop.
+          if (!this.isAnimating) {
+            this.isAnimating = true;
+            requestAnimationFrame(this.update.bind(this));
           }
+          // the mixer follows the timeline, so it can be paused, seeked or played backwards
+          object.mixer.update(timeline.delta / 1000);
+        }
+        repaintNeeded = true;
 
+        // The end is notified once, animations with persist option are kept in the queue to be seeked or reversed.
+        if (timeline.finished && !item.completed) {
+          item.completed = true;
+          if (!options.persist) options.expiration = false;
           if (item.type === 'playDefault') {
-            object.activateAllActions();
-            object.isPlaying = true;
-            // Centralize scheduling of the update loop.
-            if (!this.isAnimating) {
-              this.isAnimating = true;
-              requestAnimationFrame(this.update.bind(this));
-            }
-            object.mixer.update(object.clock.getDelta());
+            if (!options.persist) object.stop();
+          } else if (typeof options.cb !== 'undefined') {
+            options.cb();
           }
-          repaintNeeded = true;
+        } else if (!timeline.finished) {
+          item.completed = false;
         }
       }
     }
@@ -0,0 +1,95 @@
+/**
+ * Playback of an animation in the queue of an object (entry.timeline), measured against tb.clock.
+ * It can be paused, seeked, reversed, looped and played at any rate
+ */
+import { EventDispatcher } from 'three';
+
+class Timeline extends EventDispatcher {
+  constructor(clock, duration, options = {}) {
+    super();
+    this.clock = clock;
+    this.duration = duration;
+    this.loop = options.loop || false;
+    this.playbackRate = options.playbackRate !== undefined ? options.playbackRate : 1;
+    this.reversed = options.reverse || false;
+    this.paused = false;
+    this.finished = false;
+    // local time in milliseconds, from 0 to duration
+    this.time = this.reversed ? duration : 0;
+    // local time advanced in the last update
+    this.delta = 0;
+    // true when the time has changed and the animated values must be updated
+    this.changed = true;
+    this._lastTime = clock.now();
+  }
+
+  get progress() {
+    return this.duration > 0 ? this.time / this.duration : 1;
+  }
+
+  // advances the local time with the time elapsed in the clock, it's called on every frame by the AnimationManager
+  update() {
+    const now = this.clock.now();
+    const elapsed = now - this._lastTime;
+    this._lastTime = now;
+    this.delta = 0;
+    if (!this.paused && elapsed !== 0) this._advance(elapsed * this.playbackRate * (this.reversed ? -1 : 1));
+    return this.changed;
+  }
+
+  play() {
+    if (this.finished) this.restart();
+    this.paused = false;
+    this._lastTime = this.clock.now();
+    return this;
+  }
+
+  pause() {
+    this.paused = true;
+    return this;
+  }
+
+  // moves the animation to a time in milliseconds from its beginning
+  seek(time) {
+    this.time = Math.min(Math.max(time, 0), this.duration);
+    this.changed = true;
+    this._advance(0);
+    return this;
+  }
+
+  // plays the animation backwards from its current time, or forwards again
+  reverse() {
+    this.reversed = !this.reversed;
+    this._advance(0);
+    return this;
+  }
+
+  // back to the beginning, or to the end if reversed
+  restart() {
+    this.finished = false;
+    this._lastTime = this.clock.now();
+    return this.seek(this.reversed ? this.duration : 0);
+  }
+
+  _advance(dt) {
+    // an animation without duration can't loop, it ends at once
+    const loop = this.loop && this.duration > 0;
+    let time = this.time + dt;
+    if (loop) time = ((time % this.duration) + this.duration) % this.duration;
+    else time = Math.min(Math.max(time, 0), this.duration);
+    this.delta = loop ? dt : time - this.time;
+    if (time !== this.time) {
+      this.time = time;
+      this.changed = true;
+    }
+    const finished = !loop && (this.reversed ? time <= 0 : time >= this.duration);
+    if (finished && !this.finished) {
+      this.finished = true;
+      this.dispatchEvent({ type: 'finished', detail: this });
+    } else if (!finished) {
+      this.finished = false;
+    }
+  }
+}
+
+export default Timeline;
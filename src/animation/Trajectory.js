@@ -0,0 +1,118 @@
+/**
+ * Time-stamped track (i.e. GPS fixes) used by obj.followTrajectory. Positions are interpolated by the timestamps of the fixes,
+ * stops keep the last heading and gaps longer than maxGap are not interpolated
+ */
+import { Vector3 } from 'three';
+import * as utils from '../utils/utils.js';
+
+// timestamps can be milliseconds, Date objects or date strings
+function toTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string') return Date.parse(value);
+  return value;
+}
+
+// shortest interpolation between two angles in radians
+function lerpAngle(a, b, t) {
+  let d = (b - a) % (Math.PI * 2);
+  if (d > Math.PI) d -= Math.PI * 2;
+  if (d < -Math.PI) d += Math.PI * 2;
+  return a + d * t;
+}
+
+class Trajectory {
+  constructor(coordinates, timestamps, options = {}) {
+    this.times = timestamps.map(toTime);
+    this.points = utils.lnglatsToWorld(coordinates, options.crs);
+    this.maxGap = options.maxGap !== undefined ? options.maxGap : Infinity;
+    this.headingSmoothing = options.headingSmoothing || 0;
+
+    // heading of every segment on the map plane, stops take the heading of the previous movement
+    const n = this.points.length;
+    this.headings = [];
+    let last = null;
+    for (let i = 0; i < n - 1; i++) {
+      const dx = this.points[i + 1].x - this.points[i].x;
+      const dy = this.points[i + 1].y - this.points[i].y;
+      if (dx !== 0 || dy !== 0) last = Math.atan2(dy, dx);
+      this.headings.push(last);
+    }
+    // a track starting with a stop takes the heading of its first movement
+    const first = this.headings.find(h => h !== null);
+    this.headings = this.headings.map(h => (h === null ? (first !== undefined ? first : 0) : h));
+    if (this.headings.length === 0) this.headings.push(0);
+  }
+
+  // returns an error message if the track can't be followed
+  static validate(coordinates, timestamps) {
+    if (!Array.isArray(coordinates) || !Array.isArray(timestamps)) return 'coordinates and timestamps are required';
+    if (coordinates.length < 2) return 'at least 2 coordinates are required';
+    if (coordinates.length !== timestamps.length) return 'coordinates and timestamps must have the same length';
+    const times = timestamps.map(toTime);
+    if (times.some(t => typeof t !== 'number' || isNaN(t))) return 'timestamps must be numbers, dates or date strings';
+    for (let i = 1; i < times.length; i++) {
+      if (times[i] < times[i - 1]) return 'timestamps must be sorted';
+    }
+    return null;
+  }
+
+  get start() {
+    return this.times[0];
+  }
+
+  get end() {
+    return this.times[this.times.length - 1];
+  }
+
+  get duration() {
+    return this.end - this.start;
+  }
+
+  // index of the segment for a time, the last fix before it
+  segment(time) {
+    const times = this.times;
+    if (time <= times[0]) return 0;
+    if (time >= times[times.length - 1]) return times.length - 2;
+    let lo = 0;
+    let hi = times.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] <= time) lo = mid;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  // world position at a time from the start of the track in milliseconds
+  positionAt(time) {
+    const t = this.start + time;
+    const i = this.segment(t);
+    const t0 = this.times[i];
+    const t1 = this.times[i + 1];
+    let f = t1 > t0 ? (t - t0) / (t1 - t0) : 1;
+    f = Math.min(Math.max(f, 0), 1);
+    // gaps in the track are not interpolated, the object waits at the last fix
+    if (t1 - t0 > this.maxGap && f < 1) f = 0;
+    return new Vector3().lerpVectors(this.points[i], this.points[i + 1], f);
+  }
+
+  // heading in radians at a time from the start of the track, blended around the fixes by headingSmoothing milliseconds
+  headingAt(time) {
+    const t = this.start + time;
+    const i = this.segment(t);
+    const h = this.headings;
+    const s = this.headingSmoothing;
+    if (s > 0) {
+      const half = s / 2;
+      if (i > 0 && t - this.times[i] < half) {
+        return lerpAngle(h[i - 1], h[i], (t - this.times[i] + half) / s);
+      }
+      if (i < h.length - 1 && this.times[i + 1] - t < half) {
+        return lerpAngle(h[i], h[i + 1], (t - this.times[i + 1] + half) / s);
+      }
+    }
+    return h[i];
+  }
+}
+
+export default Trajectory;
@@ -0,0 +1,28 @@
+/**
+ * Easing functions for the animations, they map the progress of a timeline in [0, 1] to the progress of the animated values
+ */
+const easing = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => t * (2 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeInSine: (t) => 1 - Math.cos((t * Math.PI) / 2),
+  easeOutSine: (t) => Math.sin((t * Math.PI) / 2),
+  easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+};
+
+// resolves an easing option, that can be the name of a function above or a function
+export function getEasing(value) {
+  if (typeof value === 'function') return value;
+  if (value === undefined || value === null) return easing.linear;
+  if (!easing[value]) {
+    console.warn(`Unknown easing '${value}', linear is used instead`);
+    return easing.linear;
+  }
+  return easing[value];
+}
+
+export default easing;
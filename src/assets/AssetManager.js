@@ -0,0 +1,196 @@
+/**
+ * Reference count of the geometries, materials and textures shared by the copies of the models cached by tb.loadObj.
+ * Every copy returned by loadObj or obj.duplicate holds the resources of its model, that are disposed with the last copy.
+ * With a memory budget the unused models are kept in the cache until renderer.info.memory goes over it
+ */
+
+// geometries, materials and textures used by an object and its children
+function collect(obj) {
+	let resources = new Set();
+	obj.traverse((o) => {
+		if (o.geometry) resources.add(o.geometry);
+		if (!o.material) return;
+		let materials = Array.isArray(o.material) ? o.material : [o.material];
+		materials.forEach((m) => {
+			resources.add(m);
+			Object.keys(m).forEach((key) => {
+				if (m[key] && m[key].isTexture) resources.add(m[key]);
+			});
+		});
+	});
+	return resources;
+}
+
+class AssetManager {
+	constructor(threebox, memoryBudget) {
+		this.tb = threebox;
+		// maximum { geometries, textures } in renderer.info.memory while unused models are kept, without it they're freed at once
+		this.memoryBudget = memoryBudget || null;
+		// models by url, { url, master, copies, lastUsed }
+		this.models = new Map();
+		this.refs = new Map();
+		// resources and model of every object holding them
+		this.holders = new Map();
+	}
+
+	// true if the resource is shared through the cache, so it must not be disposed by a single object
+	owns(resource) {
+		return this.refs.has(resource);
+	}
+
+	// model of an object loaded through the cache, if any
+	modelOf(obj) {
+		let holder = this.holders.get(obj);
+		return holder ? holder.model : null;
+	}
+
+	// keeps the master copy of a model loaded from an url, that is duplicated for every call to loadObj, and its first copy
+	register(url, master, copy) {
+		let model = { url: url, master: master, copies: new Set(), lastUsed: Date.now() };
+		this.models.set(url, model);
+		this._hold(master, model);
+		this.share(master, copy);
+		this.enforceBudget();
+		return model;
+	}
+
+	// a copy of an object shares the resources of its model, it's called by obj.duplicate
+	share(source, copy) {
+		let model = this.modelOf(source);
+		if (!model || this.holders.has(copy)) return;
+		this._hold(copy, model);
+		model.copies.add(copy);
+		model.lastUsed = Date.now();
+	}
+
+	// releases the resources of a copy when it's disposed, the resources no longer used are disposed
+	release(obj) {
+		let holder = this.holders.get(obj);
+		if (!holder) return false;
+		this.holders.delete(obj);
+		if (!holder.suspended) this._drop(obj, holder);
+		return true;
+	}
+
+	// releases the resources of a copy kept by tb.history while its removal can be undone, as if it was disposed.
+	// The resources disposed meanwhile are uploaded again by the renderer when the copy is restored
+	suspend(obj) {
+		let holder = this.holders.get(obj);
+		if (!holder || holder.suspended) return false;
+		holder.suspended = true;
+		this._drop(obj, holder);
+		return true;
+	}
+
+	// holds again the resources of a copy restored by tb.history, its model could have been evicted meanwhile
+	resume(obj) {
+		let holder = this.holders.get(obj);
+		if (!holder || !holder.suspended) return false;
+		holder.suspended = false;
+		holder.resources.forEach(r => this.refs.set(r, (this.refs.get(r) || 0) + 1));
+		holder.model.copies.add(obj);
+		holder.model.lastUsed = Date.now();
+		return true;
+	}
+
+	// disposes the models without copies and removes them from tb.objectsCache, it returns their urls
+	evictUnused() {
+		let evicted = [];
+		this.models.forEach((model) => {
+			if (model.copies.size === 0) {
+				this._evict(model);
+				evicted.push(model.url);
+			}
+		});
+		if (evicted.length) this.tb.repaint();
+		return evicted;
+	}
+
+	// evicts the unused models, least recently used first, while renderer.info.memory is over the budget
+	enforceBudget() {
+		let budget = this.memoryBudget;
+		if (!budget) return [];
+		let evicted = [];
+		let unused = Array.from(this.models.values()).filter(m => m.copies.size === 0).sort((a, b) => a.lastUsed - b.lastUsed);
+		while (unused.length && this._overBudget()) {
+			let model = unused.shift();
+			this._evict(model);
+			evicted.push(model.url);
+		}
+		return evicted;
+	}
+
+	get stats() {
+		let models = Array.from(this.models.values());
+		let count = { geometries: 0, materials: 0, textures: 0 };
+		this.refs.forEach((n, r) => {
+			if (r.isBufferGeometry) count.geometries++;
+			else if (r.isMaterial) count.materials++;
+			else if (r.isTexture) count.textures++;
+		});
+		return {
+			models: models.length,
+			unused: models.filter(m => m.copies.size === 0).length,
+			copies: models.reduce((n, m) => n + m.copies.size, 0),
+			geometries: count.geometries,
+			materials: count.materials,
+			textures: count.textures,
+			memory: Object.assign({}, this.tb.memory()),
+			memoryBudget: this.memoryBudget
+		};
+	}
+
+	// disposes all the models, the copies still alive keep working until they're disposed
+	dispose() {
+		this.models.forEach(model => this._evict(model));
+	}
+
+	_overBudget() {
+		let budget = this.memoryBudget;
+		let memory = this.tb.memory();
+		return (budget.geometries !== undefined && memory.geometries > budget.geometries)
+			|| (budget.textures !== undefined && memory.textures > budget.textures);
+	}
+
+	_hold(obj, model) {
+		let resources = collect(obj);
+		resources.forEach(r => this.refs.set(r, (this.refs.get(r) || 0) + 1));
+		this.holders.set(obj, { model: model, resources: resources });
+		// the object finds the manager of its resources through it, even once it's removed from the world
+		obj.assets = this;
+	}
+
+	// the model without copies is evicted, or kept in the cache under the memory budget
+	_drop(obj, holder) {
+		let model = holder.model;
+		model.copies.delete(obj);
+		holder.resources.forEach(r => this._unref(r));
+		if (model.copies.size === 0 && model.master !== obj) {
+			if (this.memoryBudget) this.enforceBudget();
+			else this._evict(model);
+		}
+	}
+
+	_unref(resource) {
+		let n = this.refs.get(resource) - 1;
+		if (n > 0) {
+			this.refs.set(resource, n);
+			return;
+		}
+		this.refs.delete(resource);
+		resource.dispose();
+	}
+
+	// drops the master copy of a model, its resources are disposed once no copy uses them
+	_evict(model) {
+		if (this.models.get(model.url) === model) this.models.delete(model.url);
+		let cache = this.tb.objectsCache.get(model.url);
+		if (cache && cache.model === model) this.tb.objectsCache.delete(model.url);
+		let holder = this.holders.get(model.master);
+		if (!holder) return;
+		this.holders.delete(model.master);
+		holder.resources.forEach(r => this._unref(r));
+	}
+}
+
+export default AssetManager;
@@ -3,12 +3,34 @@
  * @author jscastro / https://github.com/jscastro76
  */
 import { Group, Matrix4, Vector3, OrthographicCamera, Quaternion } from "three";
-import { clamp, makeOrthographicMatrix, makePerspectiveMatrix } from "../utils/utils.js";
-import { WORLD_SIZE, TILE_SIZE, EARTH_CIRCUMFERENCE } from "../utils/constants.js";
+import { makeOrthographicMatrix, makePerspectiveMatrix, projectToWorld, unprojectFromWorld, projectedUnitsPerMeter } from "../utils/utils.js";
+import { WORLD_SIZE, TILE_SIZE, EARTH_CIRCUMFERENCE, DEG2RAD } from "../utils/constants.js";
+
+// east-north-up frame of a lnglat on a sphere, in earth-centered coordinates
+function sphereFrame(lng, lat, radius) {
+    const lambda = lng * DEG2RAD;
+    const phi = lat * DEG2RAD;
+    const east = new Vector3(-Math.sin(lambda), Math.cos(lambda), 0);
+    const north = new Vector3(-Math.sin(phi) * Math.cos(lambda), -Math.sin(phi) * Math.sin(lambda), Math.cos(phi));
+    const up = new Vector3(Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi));
+    return new Matrix4().makeBasis(east, north, up).setPosition(up.clone().multiplyScalar(radius));
+}
+
+// distance in world units (~40m each) from the floating origin to the map center that moves the origin
+const REBASE_DISTANCE = 10;
 
-function CameraSync(map, camera, world) {
+/**
+ * @param {MapAdapter} adapter map adapter providing the transform and the event bus
+ * @param {THREE.Camera} camera
+ * @param {THREE.Group} world
+ * @param {object} options
+ * @param {boolean} options.relativeToCenter keeps the origin of the world near the map center, so the positions of its children stay small in float32
+ * @param {THREE.Vector3} options.origin current origin of the world when the camera is replaced
+ */
+function CameraSync(adapter, camera, world, options = {}) {
     //    console.log("CameraSync constructor");
-    this.map = map;
+    this.adapter = adapter;
+    this.map = adapter.map;
     this.camera = camera;
     this.active = true;
 
@@ -19,16 +41,28 @@ function CameraSync(map, camera, world) {
     this.world.position.x = this.world.position.y = WORLD_SIZE / 2
     this.world.matrixAutoUpdate = false;
 
+    // floating origin in world units, the children of the world are positioned relative to it
+    this.relativeToCenter = !!options.relativeToCenter;
+    this.origin = options.origin ? options.origin.clone() : new Vector3();
+
+    // On the globe the world can't be placed by a single matrix, every object gets its own one (see globeMatrix)
+    this.globe = null;
+    let sync = this;
+    this.world.updateMatrixWorld = function (force) {
+        Group.prototype.updateMatrixWorld.call(this, force);
+        if (sync.globe) this.children.forEach(o => sync.placeOnGlobe(o));
+    };
+
     // set up basic camera state
     this.state = {
         translateCenter: new Matrix4().makeTranslation(WORLD_SIZE / 2, -WORLD_SIZE / 2, 0),
         worldSizeRatio: TILE_SIZE / WORLD_SIZE,
-        worldSize: TILE_SIZE * this.map.transform.scale
+        worldSize: TILE_SIZE * this.adapter.transform.scale
     };
 
     // Listen for move events from the map and update the Three.js camera
     let _this = this; // keep the function on _this
-    this.map
+    this.adapter
         .on('move', function () {
             _this.updateCamera();
         })
@@ -41,7 +75,7 @@ function CameraSync(map, camera, world) {
 
 CameraSync.prototype = {
     setupCamera: function () {
-        const t = this.map.transform;
+        const t = this.adapter.transform;
         this.camera.aspect = t.width / t.height; //bug fixed, if aspect is not reset raycast will fail on map resize
         this.halfFov = t._fov / 2;
         this.cameraToCenterDistance = 0.5 / Math.tan(this.halfFov) * t.height;
@@ -56,46 +90,19 @@ CameraSync.prototype = {
             return;
         }
 
-        const t = this.map.transform;
+        const t = this.adapter.transform;
         this.camera.aspect = t.width / t.height; //bug fixed, if aspect is not reset raycast will fail on map resize
         const offset = t.centerOffset || new Vector3(); //{ x: t.width / 2, y: t.height / 2 };
-        let farZ = 0;
-        let furthestDistance = 0;
         this.halfFov = t._fov / 2;
-        const groundAngle = Math.PI / 2 + t._pitch;
         const pitchAngle = Math.cos((Math.PI / 2) - t._pitch); //pitch seems to influence heavily the depth calculation and cannot be more than 60 = PI/3 < v1 and 85 > v2
         this.cameraToCenterDistance = 0.5 / Math.tan(this.halfFov) * t.height;
-        let pixelsPerMeter = 1;
         const worldSize = this.worldSize();
 
-        if (this.map.tb.mapboxVersion >= 2.0) {
-            // mapbox version >= 2.0
-            pixelsPerMeter = this.mercatorZfromAltitude(1, t.center.lat) * worldSize;
-            const fovAboveCenter = t._fov * (0.5 + t.centerOffset.y / t.height);
-
-            // Adjust distance to MSL by the minimum possible elevation visible on screen,
-            // this way the far plane is pushed further in the case of negative elevation.
-            const minElevationInPixels = t.elevation ? t.elevation.getMinElevationBelowMSL() * pixelsPerMeter : 0;
-            const cameraToSeaLevelDistance = ((t._camera.position[2] * worldSize) - minElevationInPixels) / Math.cos(t._pitch);
-            const topHalfSurfaceDistance = Math.sin(fovAboveCenter) * cameraToSeaLevelDistance / Math.sin(clamp(Math.PI - groundAngle - fovAboveCenter, 0.01, Math.PI - 0.01));
-
-            // Calculate z distance of the farthest fragment that should be rendered.
-            furthestDistance = pitchAngle * topHalfSurfaceDistance + cameraToSeaLevelDistance;
-
-            // Add a bit extra to avoid precision problems when a fragment's distance is exactly `furthestDistance`
-            const horizonDistance = cameraToSeaLevelDistance * (1 / t._horizonShift);
-            farZ = Math.min(furthestDistance * 1.01, horizonDistance);
-        } else {
-            // mapbox version < 2.0 or azure maps
-            // Furthest distance optimized by @jscastro76
-            const topHalfSurfaceDistance = Math.sin(this.halfFov) * this.cameraToCenterDistance / Math.sin(Math.PI - groundAngle - this.halfFov);
-
-            // Calculate z distance of the farthest fragment that should be rendered. 
-            furthestDistance = pitchAngle * topHalfSurfaceDistance + this.cameraToCenterDistance;
-
-            // Add a bit extra to avoid precision problems when a fragment's distance is exactly `furthestDistance`
-            farZ = furthestDistance * 1.01;
-        }
+        // far plane depends on the camera of each map engine (Mapbox GL JS v1, v2+ or MapLibre)
+        let { farZ, furthestDistance } = this.adapter.getCameraFrustum(this.cameraToCenterDistance);
+        this.globe = this.globeState(worldSize);
+        // the far plane reaches the center of the globe, the objects on its far side are hidden by the depth of the map
+        if (this.globe) farZ = Math.max(farZ, (this.cameraToCenterDistance + this.globe.radius) * 1.01);
         this.cameraTranslateZ = new Matrix4().makeTranslation(0, 0, this.cameraToCenterDistance);
 
         // someday @ansis set further near plane to fix precision for deckgl,so we should fix it to use mapbox-gl v1.3+ correctly
@@ -116,8 +123,8 @@ CameraSync.prototype = {
         // Unlike the Mapbox GL JS camera, separate camera translation and rotation out into its world matrix
         // If this is applied directly to the projection matrix, it will work OK but break raycasting
         let cameraWorldMatrix = this.calcCameraMatrix(t._pitch, t.angle);
-        // When terrain layers are included, height of 3D layers must be modified from t_camera.z * worldSize
-        if (t.elevation) cameraWorldMatrix.elements[14] = t._camera.position[2] * worldSize;
+        // When terrain layers are included, height of 3D layers must be modified from the camera altitude over the terrain
+        cameraWorldMatrix.elements[14] = this.adapter.getCameraAltitude(worldSize, cameraWorldMatrix.elements[14]);
         //this.camera.matrixWorld.elements is equivalent to t._camera._transform
         this.camera.matrixWorld.copy(cameraWorldMatrix);
         
@@ -134,24 +141,100 @@ CameraSync.prototype = {
         translateMap.makeTranslation(-x, y, 0);
         rotateMap.makeRotationZ(Math.PI);
 
+        // the origin follows the map center when it's far, the world is moved back to it
+        if (this.relativeToCenter) {
+            const center = projectToWorld([t.center.lng, t.center.lat]);
+            if (center.distanceTo(this.origin) > REBASE_DISTANCE) this.rebase(center);
+        }
+
         this.world.matrix = new Matrix4()
+            .premultiply(new Matrix4().makeTranslation(this.origin.x, this.origin.y, this.origin.z))
             .premultiply(rotateMap)
             .premultiply(this.state.translateCenter)
             .premultiply(scale)
             .premultiply(translateMap)
 
         // utils.prettyPrintMatrix(this.camera.projectionMatrix.elements);
-        this.map.fire('CameraSynced', { detail: { nearZ: nearZ, farZ: farZ, pitch: t._pitch, angle: t.angle, furthestDistance: furthestDistance, cameraToCenterDistance: this.cameraToCenterDistance, t: this.map.transform, tbProjMatrix: this.camera.projectionMatrix.elements, tbWorldMatrix: this.world.matrix.elements, cameraSyn: CameraSync } });
+        this.adapter.fire('CameraSynced', { detail: { nearZ: nearZ, farZ: farZ, pitch: t._pitch, angle: t.angle, furthestDistance: furthestDistance, cameraToCenterDistance: this.cameraToCenterDistance, t: t, tbProjMatrix: this.camera.projectionMatrix.elements, tbWorldMatrix: this.world.matrix.elements, cameraSyn: CameraSync } });
 
     },
 
+    // moves the floating origin, the children of the world keep their place on the map
+    rebase(origin) {
+        const delta = this.origin.clone().sub(origin);
+        this.origin.copy(origin);
+        this.world.children.forEach((o) => this.move(o, delta));
+    },
+
+    // moves an object added to the world to be relative to the origin, or back to world units when it's removed
+    relativeToOrigin(obj, relative) {
+        if (this.origin.lengthSq() === 0) return;
+        this.move(obj, relative ? this.origin.clone().negate() : this.origin);
+    },
+
+    move(obj, delta) {
+        obj.position.add(delta);
+        if (!obj.matrixAutoUpdate) obj.updateMatrix();
+    },
+
+    // globe projection state for the current transform, null when the map is flat
+    globeState(worldSize) {
+        const transition = this.adapter.getGlobeTransition();
+        if (transition === null) return null;
+        const t = this.adapter.transform;
+        const radius = worldSize / (2 * Math.PI);
+        // the globe is a sphere under the map center, turned so the center is on its top
+        const center = sphereFrame(t.center.lng, t.center.lat, 0).invert();
+        return {
+            transition: transition,
+            radius: radius,
+            pixelsPerMeter: worldSize / EARTH_CIRCUMFERENCE,
+            // mercator is scaled around the center to the size of the globe, as Mapbox GL JS does through the transition
+            ratio: Math.cos(t.center.lat * DEG2RAD),
+            toCamera: new Matrix4().makeTranslation(0, 0, -radius).multiply(center)
+        };
+    },
+
+    // Matrix from the world units around a position to the camera on the globe, the units are placed on the sphere at the lnglat of the position
+    // and oriented by its surface normal. Through the transition zoom range it's mixed with the mercator placement.
+    globeMatrix(position) {
+        const g = this.globe;
+        const lnglat = unprojectFromWorld(position.clone().add(this.origin));
+        // world units are the mercator ones at the latitude, on the globe the meters have the same size everywhere
+        const k = g.pixelsPerMeter / projectedUnitsPerMeter(lnglat[1]);
+        // world x and y grow to the west and the south, the frame is turned 180 degrees
+        const matrix = sphereFrame(lnglat[0], lnglat[1], g.radius + lnglat[2] * g.pixelsPerMeter)
+            .premultiply(g.toCamera)
+            .multiply(new Matrix4().makeScale(-k, -k, k))
+            .multiply(new Matrix4().makeTranslation(-position.x, -position.y, -position.z));
+        if (!g.transition) return matrix;
+        // every vertex is mixed between both placements, as the map does with its own layers
+        const mercator = new Matrix4().makeScale(g.ratio, g.ratio, g.ratio).multiply(this.world.matrix);
+        matrix.elements.forEach((e, i) => { matrix.elements[i] = e + (mercator.elements[i] - e) * g.transition; });
+        return matrix;
+    },
+
+    // world matrix of a child of the world on the globe, 3D tiles are placed tile by tile
+    placeOnGlobe(obj) {
+        if (obj.userData.tileset) {
+            obj.children.forEach((tile) => {
+                const local = new Matrix4().multiplyMatrices(obj.matrix, tile.matrix);
+                tile.matrixWorld.multiplyMatrices(this.globeMatrix(new Vector3().setFromMatrixPosition(local)), local);
+                tile.children.forEach(c => c.updateMatrixWorld(true));
+            });
+            return;
+        }
+        obj.matrixWorld.multiplyMatrices(this.globeMatrix(obj.position), obj.matrix);
+        obj.children.forEach(c => c.updateMatrixWorld(true));
+    },
+
     worldSize() {
-        let t = this.map.transform;
+        let t = this.adapter.transform;
         return t.tileSize * t.scale;
     },
 
     worldSizeFromZoom() {
-        let t = this.map.transform;
+        let t = this.adapter.transform;
         return Math.pow(2.0, t.zoom) * t.tileSize;
     },
 
@@ -168,7 +251,7 @@ CameraSync.prototype = {
     },
 
     calcCameraMatrix(pitch, angle, trz) {
-        const t = this.map.transform;
+        const t = this.adapter.transform;
         const _pitch = (pitch === undefined) ? t._pitch : pitch;
         const _angle = (angle === undefined) ? t.angle : angle;
         const _trz = (trz === undefined) ? this.cameraTranslateZ : trz;
@@ -180,7 +263,7 @@ CameraSync.prototype = {
     },
 
     updateCameraState() {
-        let t = this.map.transform;
+        let t = this.adapter.transform;
         if (!t.height) return;
 
         // Set camera orientation and move it to a proper distance from the map
@@ -213,7 +296,7 @@ CameraSync.prototype = {
 
         // worldToCamera: flip * cam^-1 * zScale
         // cameraToWorld: (flip * cam^-1 * zScale)^-1 => (zScale^-1 * cam * flip^-1)
-        let t = this.map.transform;
+        let t = this.adapter.transform;
         const matrix = new Matrix4();
         const matrixT = new Matrix4();
 
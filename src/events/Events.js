@@ -0,0 +1,118 @@
+/**
+ * Interaction events of the threebox objects delegated to listeners on threebox through tb.on and tb.off,
+ * so the apps don't need to add listeners to every object. The listeners can be scoped to the objects of a layer or to a filter
+ */
+
+// types of events delegated, the per object events (SelectedChange, ObjectMouseOver, ObjectDragged...) are still dispatched
+const TYPES = ['click', 'dblclick', 'contextmenu', 'mouseenter', 'mouseleave', 'dragstart', 'drag', 'dragend', 'selectionchange'];
+
+class Events {
+	constructor(threebox) {
+		this.tb = threebox;
+		this._listeners = [];
+		this._hovered = null;
+		// selected objects before the last change, the ones cleared from the selection are notified too
+		this._selected = [];
+		['SelectionAdded', 'SelectionRemoved', 'SelectionCleared'].forEach((type) => {
+			threebox.selection.addEventListener(type, () => this._selectionChanged());
+		});
+	}
+
+	/**
+	 * @param {string} type one of TYPES
+	 * @param {string|function} [target] layer id of the objects, or function receiving the object that returns true for the ones listened
+	 * @param {function} handler receives { type, object, layer, lngLat, point, face, instanceId, originalEvent } and the values of each type
+	 */
+	on(type, target, handler) {
+		if (typeof handler === 'undefined') { handler = target; target = null; }
+		if (!TYPES.includes(type)) {
+			console.warn("Unknown event type '" + type + "', it must be one of " + TYPES.join(', '));
+			return;
+		}
+		if (typeof handler !== 'function') {
+			console.warn("The listener of '" + type + "' must be a function");
+			return;
+		}
+		this._listeners.push({ type: type, target: target, handler: handler });
+	}
+
+	// removes the listeners of a type with the same target and handler, all the ones of the target without handler.
+	// With two arguments a function is the handler, unless it's the target function of a listener of the type
+	off(type, target, handler) {
+		if (typeof handler === 'undefined' && typeof target === 'function' && !this._listeners.some(l => l.type === type && l.target === target)) { handler = target; target = null; }
+		this._listeners = this._listeners.filter(l => !(l.type === type && (!target || l.target === target) && (!handler || l.handler === handler)));
+	}
+
+	// true if any listener of the types is registered, the raycasting of the mouse events is skipped without them
+	listens(...types) {
+		return this._listeners.some(l => types.includes(l.type));
+	}
+
+	/**
+	 * @param {string} type
+	 * @param {Object3D} object threebox object of the event
+	 * @param {object} e event of the map, with point, lngLat and originalEvent
+	 * @param {object} [hit] intersection of the raycaster with the object, with its face and instanceId
+	 * @param {object} [values] values specific of the type, i.e. the action of the drag events
+	 */
+	fire(type, object, e, hit, values) {
+		if (!object) return;
+		let listeners = this._listeners.filter(l => l.type === type && this._matches(l.target, object));
+		if (!listeners.length) return;
+		let event = Object.assign({
+			type: type,
+			object: object,
+			layer: object.layer || null,
+			lngLat: e ? e.lngLat : null,
+			point: e ? e.point : null,
+			face: hit ? hit.face : null,
+			instanceId: hit ? hit.instanceId : undefined,
+			originalEvent: e ? e.originalEvent : null
+		}, values);
+		listeners.forEach((l) => {
+			try {
+				l.handler.call(this.tb, event);
+			} catch (error) {
+				console.error(error);
+			}
+		});
+	}
+
+	// fires mouseleave on the object left and mouseenter on the new one, object is null out of the objects
+	hover(object, e, hit) {
+		if (object === this._hovered) return;
+		let previous = this._hovered;
+		this._hovered = object;
+		this.fire('mouseleave', previous, e);
+		this.fire('mouseenter', object, e, hit);
+	}
+
+	// objects removed from the world can't be left by the mouse anymore
+	forget(object) {
+		if (this._hovered === object) this._hovered = null;
+		this._selected = this._selected.filter(o => o !== object);
+	}
+
+	clear() {
+		this._listeners = [];
+		this._hovered = null;
+		this._selected = [];
+	}
+
+	_matches(target, object) {
+		if (!target) return true;
+		if (typeof target === 'function') return !!target(object);
+		return object.layer === target;
+	}
+
+	// a selectionchange for every object selected or unselected
+	_selectionChanged() {
+		let objects = this.tb.selection.objects;
+		let previous = this._selected;
+		this._selected = objects;
+		previous.filter(o => !objects.includes(o)).forEach(o => this.fire('selectionchange', o, null, null, { selected: false, objects: objects }));
+		objects.filter(o => !previous.includes(o)).forEach(o => this.fire('selectionchange', o, null, null, { selected: true, objects: objects }));
+	}
+}
+
+export default Events;
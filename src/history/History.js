@@ -0,0 +1,202 @@
+/**
+ * Undo/redo history of the edits made to the threebox objects in tb.world,
+ * both interactive (drag, rotate, altitude) and programmatic (setCoords, setRotation, add, remove)
+ */
+import { EventDispatcher } from 'three';
+import { degreeify } from '../utils/utils.js';
+import { WGS84 } from '../utils/crs.js';
+
+class History extends EventDispatcher {
+	constructor(threebox, maxSize) {
+		super();
+		this.tb = threebox;
+		this.maxSize = maxSize;
+		this.undoStack = [];
+		this.redoStack = [];
+		this._ignored = 0;
+		this._edit = null;
+		this._batch = null;
+	}
+
+	get canUndo() { return this.undoStack.length > 0; }
+
+	get canRedo() { return this.redoStack.length > 0; }
+
+	get enabled() { return this.maxSize > 0; }
+
+	// current state of an object that can be restored
+	state(obj) {
+		return { coordinates: obj.coordinates.slice(), rotation: degreeify(obj.rotation), scale: [obj.scale.x, obj.scale.y, obj.scale.z] };
+	}
+
+	// records an entry { action, object, before, after }, it returns false if the history is not recording
+	record(entry) {
+		if (!this.enabled || this._ignored > 0) return false;
+		// changes of the objects being dragged are recorded at once by endEdit
+		if (this._edit && this._edit.objects.includes(entry.object)) return false;
+		if (this._batch) {
+			this._batch.push(entry);
+			return true;
+		}
+
+		this.undoStack.push(entry);
+		this.redoStack.forEach(e => this._release(e, 'redo'));
+		this.redoStack = [];
+		while (this.undoStack.length > this.maxSize) this._release(this.undoStack.shift(), 'undo');
+		this._changed('record', entry);
+		return true;
+	}
+
+	// records a programmatic change of an object only if it's in the world
+	recordChange(obj, action, before, after) {
+		if (obj.parent !== this.tb.world) return false;
+		return this.record({ action: action, object: obj, before: before, after: after });
+	}
+
+	// starts an interactive edit of an object or an array of objects, all the changes until endEdit are recorded as a single entry
+	beginEdit(objects) {
+		if (!this.enabled) return;
+		objects = Array.isArray(objects) ? objects.slice() : [objects];
+		this._edit = { objects: objects, before: objects.map(o => this.state(o)) };
+	}
+
+	endEdit(action) {
+		let edit = this._edit;
+		this._edit = null;
+		if (!edit || !action) return false;
+		let entries = [];
+		edit.objects.forEach((obj, i) => {
+			let after = this.state(obj);
+			if (JSON.stringify(after) !== JSON.stringify(edit.before[i])) entries.push({ action: action, object: obj, before: edit.before[i], after: after });
+		});
+		if (entries.length === 0) return false;
+		return this.record(entries.length === 1 ? entries[0] : { action: action, entries: entries });
+	}
+
+	// runs fn recording all its changes as a single entry
+	batch(action, fn) {
+		if (this._batch) return fn();
+		this._batch = [];
+		let entries;
+		try {
+			fn();
+		} finally {
+			entries = this._batch;
+			this._batch = null;
+		}
+		if (entries.length === 0) return false;
+		return this.record(entries.length === 1 ? entries[0] : { action: action, entries: entries });
+	}
+
+	cancelEdit() {
+		this._edit = null;
+	}
+
+	// runs fn without recording its changes
+	ignore(fn) {
+		this._ignored++;
+		try {
+			return fn();
+		} finally {
+			this._ignored--;
+		}
+	}
+
+	undo() {
+		let entry = this.undoStack.pop();
+		if (!entry) return false;
+		this.ignore(() => this._apply(entry, true));
+		this.redoStack.push(entry);
+		this._changed('undo', entry);
+		return true;
+	}
+
+	redo() {
+		let entry = this.redoStack.pop();
+		if (!entry) return false;
+		this.ignore(() => this._apply(entry, false));
+		this.undoStack.push(entry);
+		this._changed('redo', entry);
+		return true;
+	}
+
+	// removes all the entries of an object, i.e. when it's disposed
+	forget(obj) {
+		let changed = false;
+		[this.undoStack, this.redoStack].forEach((stack) => {
+			for (let i = stack.length - 1; i >= 0; i--) {
+				let entry = stack[i];
+				if (entry.entries) {
+					let entries = entry.entries.filter(e => e.object !== obj);
+					if (entries.length === entry.entries.length) continue;
+					entry.entries = entries;
+					if (entries.length === 0) stack.splice(i, 1);
+					changed = true;
+				}
+				else if (entry.object === obj) { stack.splice(i, 1); changed = true; }
+			}
+		});
+		if (this._edit && this._edit.objects.includes(obj)) this._edit = null;
+		if (changed) this._changed('forget');
+	}
+
+	clear() {
+		this.undoStack.forEach(e => this._release(e, 'undo'));
+		this.redoStack.forEach(e => this._release(e, 'redo'));
+		this.undoStack = [];
+		this.redoStack = [];
+		this._edit = null;
+		this._changed('clear');
+	}
+
+	_apply(entry, undo) {
+		// entries of a group are undone in reverse order
+		if (entry.entries) {
+			let entries = undo ? entry.entries.slice().reverse() : entry.entries;
+			entries.forEach(e => this._apply(e, undo));
+			return;
+		}
+		let obj = entry.object;
+		let state = undo ? entry.before : entry.after;
+		switch (entry.action) {
+			case 'add':
+				if (undo) this._detach(obj); else this._attach(obj);
+				break;
+			case 'remove':
+				if (undo) this._attach(obj); else this._detach(obj);
+				break;
+			default:
+				if (state.coordinates) obj.setCoords(state.coordinates.slice(), WGS84);
+				if (state.rotation) obj.set({ rotation: state.rotation.slice() });
+				if (state.scale) obj.set({ scale: state.scale.slice() });
+		}
+		this.tb.repaint();
+	}
+
+	_attach(obj) {
+		this.tb.add(obj, obj.layer, obj.source);
+	}
+
+	// removed objects are kept alive while they can be restored, without holding the assets shared with other copies
+	_detach(obj) {
+		let map = this.tb.map;
+		this.tb.selection.remove(obj);
+		if (map.overedObject && map.overedObject.uuid == obj.uuid) map.overedObject = null;
+		if (obj.parent === this.tb.world) this.tb.cameraSync.relativeToOrigin(obj, false);
+		this.tb.world.remove(obj);
+		this.tb.assets.suspend(obj);
+	}
+
+	// disposes the objects that can't be restored anymore once their entry is dropped
+	_release(entry, stack) {
+		if (entry.entries) return entry.entries.forEach(e => this._release(e, stack));
+		let gone = (entry.action === 'remove' && stack === 'undo') || (entry.action === 'add' && stack === 'redo');
+		if (gone && entry.object.parent !== this.tb.world && entry.object.dispose) entry.object.dispose();
+	}
+
+	_changed(action, entry) {
+		this.dispatchEvent({ type: 'HistoryChanged', detail: { action: action, entry: entry, canUndo: this.canUndo, canRedo: this.canRedo } });
+	}
+}
+
+export default History;
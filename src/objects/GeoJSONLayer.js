@@ -0,0 +1,269 @@
+/**
+ * Bulk importer that turns a GeoJSON FeatureCollection into Threebox objects
+ * and keeps them in sync with later data updates through setData()
+ */
+import { Color, MeshPhongMaterial, DoubleSide } from "three";
+import Objects from "./objects.js";
+import ValueGenerator from "../utils/ValueGenerator.js";
+import { projectToWorld, projectedUnitsPerMeter } from "../utils/utils.js";
+import { WGS84 } from "../utils/crs.js";
+
+// style keys that configure the layer itself and are never evaluated per feature
+const layerKeys = ['kind', 'layerId', 'sourceId', 'idProperty', 'height'];
+
+class GeoJSONLayer {
+	constructor(threebox, style) {
+		this.tb = threebox;
+		this.style = style || {};
+		this.layerId = this.style.layerId;
+		this.sourceId = this.style.sourceId;
+		this.idProperty = this.style.idProperty;
+		this.entries = new Map();
+
+		// every style value is an expression as understood by ValueGenerator
+		this.generators = {};
+		Object.keys(this.style).forEach((key) => {
+			if (key === 'layerId' || key === 'sourceId' || key === 'idProperty') return;
+			this.generators[key] = ValueGenerator(this.style[key]);
+		});
+	}
+
+	// ids of the features currently managed by this layer
+	get ids() { return Array.from(this.entries.keys()); }
+
+	// all the threebox objects created for a feature id, or for every feature if no id
+	getObjects(id) {
+		if (id !== undefined) {
+			let entry = this.entries.get(id);
+			return entry ? entry.objects.slice() : [];
+		}
+		let objects = [];
+		this.entries.forEach((entry) => { objects.push(...entry.objects); });
+		return objects;
+	}
+
+	// diffs the new collection against the current one by feature id
+	setData(featureCollection) {
+		let features = (featureCollection && featureCollection.features) || [];
+		let incoming = new Map();
+		features.forEach((f, i) => {
+			let id = this._featureId(f, i);
+			if (incoming.has(id)) console.warn("Duplicated feature id " + id + " in GeoJSON data, only the last one is used.");
+			incoming.set(id, f);
+		});
+
+		// remove the objects whose feature is gone
+		Array.from(this.entries.keys()).forEach((id) => {
+			if (!incoming.has(id)) this._removeEntry(id);
+		});
+
+		incoming.forEach((f, id) => {
+			let signature = this._signature(f);
+			let entry = this.entries.get(id);
+			if (!entry) {
+				this._addEntry(id, f, signature);
+			}
+			else if (entry.signature !== signature) {
+				if (!this._moveEntry(entry, f, signature)) {
+					this._removeEntry(id);
+					this._addEntry(id, f, signature);
+				}
+			}
+		});
+
+		this.tb.repaint();
+		return this;
+	}
+
+	// removes all the objects created by this layer
+	remove() {
+		Array.from(this.entries.keys()).forEach((id) => this._removeEntry(id));
+		this.tb.repaint();
+	}
+
+	_featureId(f, index) {
+		if (f.id !== undefined && f.id !== null) return f.id;
+		if (this.idProperty && f.properties && f.properties[this.idProperty] !== undefined) return f.properties[this.idProperty];
+		return index;
+	}
+
+	_signature(f) {
+		return JSON.stringify({ geometry: f.geometry, properties: f.properties || {} });
+	}
+
+	// resolves which kind of object a feature becomes, based on Objects.prototype.geometries
+	_kind(f) {
+		let type = f.geometry && f.geometry.type;
+		let geometries = Objects.prototype.geometries;
+		let kind = this.generators.kind ? this.generators.kind(f) : undefined;
+		if (kind) {
+			if (!geometries[kind]) {
+				console.warn("Unknown object kind '" + kind + "' for GeoJSON feature.");
+				return;
+			}
+			if (!geometries[kind].includes(type)) {
+				console.warn("Object kind '" + kind + "' doesn't support geometry type " + type + ".");
+				return;
+			}
+			return kind;
+		}
+		return Object.keys(geometries).find(k => geometries[k].includes(type));
+	}
+
+	// evaluates all the style expressions that are passed through to the object factory
+	_evaluate(f) {
+		let options = {};
+		Object.keys(this.generators).forEach((key) => {
+			if (layerKeys.includes(key)) return;
+			let value = this.generators[key](f);
+			if (value !== undefined) options[key] = value;
+		});
+		options.height = this.generators.height ? this.generators.height(f) : undefined;
+		return options;
+	}
+
+	_addEntry(id, f, signature) {
+		// copy the feature, so the uuid stamped by _makeGroup doesn't change the incoming data
+		let feature = Object.assign({}, f, { properties: Object.assign({}, f.properties) });
+		let entry = { id: id, feature: feature, signature: signature, properties: JSON.stringify(f.properties || {}), kind: this._kind(feature), objects: [], removed: false, controller: new AbortController() };
+		this.entries.set(id, entry);
+		if (!entry.kind) return;
+
+		let options = this._evaluate(feature);
+		let type = feature.geometry.type;
+		let parts = type.startsWith('Multi') ? feature.geometry.coordinates : [feature.geometry.coordinates];
+		parts.forEach((coords) => this._create(entry, options, coords));
+	}
+
+	// moves a point object in place when only its coordinates have changed
+	_moveEntry(entry, f, signature) {
+		if (entry.kind !== 'sphere' && entry.kind !== 'loadObj') return false;
+		if (f.geometry.type !== 'Point' || entry.feature.geometry.type !== 'Point') return false;
+		if (JSON.stringify(f.properties || {}) !== entry.properties) return false;
+		if (entry.objects.length !== 1) return false;
+
+		entry.feature.geometry = f.geometry;
+		entry.signature = signature;
+		// data updates are not edits, so they're not recorded in tb.history
+		this.tb.history.ignore(() => entry.objects[0].setCoords(this._pointCoords(f.geometry.coordinates, this._evaluate(f).height)));
+		return true;
+	}
+
+	_removeEntry(id) {
+		let entry = this.entries.get(id);
+		if (!entry) return;
+		entry.removed = true;
+		// the models still loading for the feature are not needed anymore
+		entry.controller.abort();
+		entry.objects.forEach((obj) => {
+			this.tb.history.ignore(() => this.tb.remove(obj));
+			// static objects such as lines don't have a dispose method
+			if (!obj.dispose) {
+				if (obj.geometry) obj.geometry.dispose();
+				if (obj.material) obj.material.dispose();
+			}
+		});
+		entry.objects = [];
+		this.entries.delete(id);
+	}
+
+	_add(entry, obj) {
+		// a model loaded once its feature is removed releases its shared assets
+		if (entry.removed) {
+			if (obj.dispose) obj.dispose();
+			return;
+		}
+		if (obj.userData) obj.userData.feature = entry.feature;
+		entry.objects.push(obj);
+		this.tb.history.ignore(() => this.tb.add(obj, this.layerId, this.sourceId));
+	}
+
+	_pointCoords(coords, height) {
+		let c = coords.slice();
+		if (c.length < 3) c[2] = height || 0;
+		return c;
+	}
+
+	_lineCoords(coords, height) {
+		return coords.map(c => this._pointCoords(c, height));
+	}
+
+	_create(entry, options, coords) {
+		// GeoJSON coordinates are always WGS84 lnglats, whatever the crs of threebox
+		let o = Object.assign({}, options, { crs: WGS84 });
+		let height = o.height;
+		delete o.height;
+		let obj;
+
+		switch (entry.kind) {
+			case 'sphere':
+				obj = this.tb.sphere(o);
+				obj.setCoords(this._pointCoords(coords, height));
+				this._add(entry, obj);
+				break;
+			case 'loadObj':
+				o.feature = entry.feature;
+				o.signal = entry.controller.signal;
+				if (!o.units) o.units = 'meters';
+				this.tb.loadObj(o, (model) => {
+					if (o.color !== undefined) model.color = new Color(o.color).getHex();
+					model.setCoords(this._pointCoords(coords, height));
+					this._add(entry, model);
+				}).catch((error) => {
+					if (error.code !== 'aborted') console.error(error.message);
+				});
+				break;
+			case 'line':
+				o.geometry = this._lineCoords(coords, height);
+				obj = this.tb.line(o);
+				this._add(entry, obj);
+				break;
+			case 'tube':
+				obj = this._tube(o, this._lineCoords(coords, height));
+				this._add(entry, obj);
+				break;
+			case 'extrusion':
+				obj = this._extrusion(o, coords, height, entry.feature);
+				this._add(entry, obj);
+				break;
+		}
+	}
+
+	// tube geometry is built in meters relative to the first vertex of the line
+	_tube(o, coords) {
+		let origin = [coords[0][0], coords[0][1], 0];
+		let o0 = projectToWorld(origin);
+		let s = projectedUnitsPerMeter(origin[1]);
+		o.geometry = coords.map((c) => {
+			let p = projectToWorld(c).sub(o0).divideScalar(s);
+			return [p.x, p.y, p.z];
+		});
+		o.units = 'meters';
+		o.anchor = 'none';
+		let obj = this.tb.tube(o);
+		obj.setCoords(origin);
+		return obj;
+	}
+
+	// extrusion shape is built by extrusion.buildPoints, so only the depth has to be projected
+	_extrusion(o, coords, height, feature) {
+		let ring = coords[0];
+		let min = [Infinity, Infinity], max = [-Infinity, -Infinity];
+		ring.forEach((c) => {
+			min = [Math.min(min[0], c[0]), Math.min(min[1], c[1])];
+			max = [Math.max(max[0], c[0]), Math.max(max[1], c[1])];
+		});
+		let center = [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, 0];
+		// same fallback as a fill-extrusion layer reading the feature height
+		if (height === undefined) height = feature.properties.height;
+		if (height === undefined) height = Objects.prototype._defaults.extrusion.height;
+		o.coordinates = coords;
+		o.geometryOptions = Object.assign({ curveSegments: 1, bevelEnabled: false }, o.geometryOptions, { depth: height * projectedUnitsPerMeter(center[1]) });
+		if (o.color !== undefined && !o.materials) o.materials = new MeshPhongMaterial({ color: o.color, side: DoubleSide });
+		let obj = this.tb.extrusion(o);
+		obj.setCoords(center);
+		return obj;
+	}
+}
+
+export default GeoJSONLayer;
@@ -4,24 +4,32 @@
 
 import * as THREE from "./CSS2DRenderer.js";
 
-function LabelRenderer(map) {
+// without a DOM (headless) labels are not rendered, but the renderer keeps the same API
+function LabelRenderer(adapter) {
 
-	this.map = map;
+	this.adapter = adapter;
+	this.map = adapter.map;
+	this.headless = (typeof document === 'undefined');
 
-	this.renderer = new THREE.CSS2DRenderer();
+	this.renderer = this.headless ? { cacheList: [], setSize() { }, render() { } } : new THREE.CSS2DRenderer();
 
-	this.renderer.setSize(this.map.getCanvas().clientWidth, this.map.getCanvas().clientHeight);
-	this.renderer.domElement.style.position = 'absolute';
-	this.renderer.domElement.id = 'labelCanvas'; //TODO: this value must come by parameter
-	this.renderer.domElement.style.top = 0;
-	this.renderer.domElement.style.zIndex = "0";
-	this.map.getCanvasContainer().appendChild(this.renderer.domElement);
+	let size = this.adapter.getCanvasSize();
+	this.renderer.setSize(size.width, size.height);
+	if (!this.headless) {
+		this.renderer.domElement.style.position = 'absolute';
+		this.renderer.domElement.id = 'labelCanvas'; //TODO: this value must come by parameter
+		this.renderer.domElement.style.top = 0;
+		this.renderer.domElement.style.zIndex = "0";
+		this.adapter.getCanvasContainer().appendChild(this.renderer.domElement);
+	}
 
 	this.scene, this.camera;
 
 	this.dispose = function () {
-		this.map.getCanvasContainer().removeChild(this.renderer.domElement)
-		this.renderer.domElement.remove();
+		if (!this.headless) {
+			this.adapter.getCanvasContainer().removeChild(this.renderer.domElement)
+			this.renderer.domElement.remove();
+		}
 		this.renderer = {};
 	}
 
@@ -29,8 +37,9 @@ function LabelRenderer(map) {
 		this.renderer.setSize(width, height);
 	}
 
-	this.map.on('resize', function () {
-		this.renderer.setSize(this.map.getCanvas().clientWidth, this.map.getCanvas().clientHeight);
+	this.adapter.on('resize', function () {
+		let size = this.adapter.getCanvasSize();
+		this.renderer.setSize(size.width, size.height);
 	}.bind(this));
 
 	this.state = {
@@ -6,7 +6,7 @@ import Object from './objects.js';
 import { _validate, types } from "../utils/utils.js";
 
 function Object3D(opt) {
-	opt = _validate(opt, prototype._defaults.Object3D);
+	opt = _validate(opt, Object.prototype._defaults.Object3D);
 	// [jscastro] full refactor of Object3D to behave exactly like 3D Models loadObj
 	let obj = opt.obj;
 	// [jscastro] options.rotation was wrongly used
@@ -0,0 +1,213 @@
+/**
+ * On-map gizmo attached to the selected object to move it in lng/lat, change its altitude, rotate and scale it with the mouse.
+ * It's rendered in the threebox scene over the rest of the objects and picked through tb.raycaster
+ */
+import { Group, Mesh, MeshBasicMaterial, CylinderGeometry, ConeGeometry, TorusGeometry, BoxGeometry, Vector3 } from "three";
+import { toDecimal } from "../utils/utils.js";
+import { DEG2RAD, RAD2DEG } from "../utils/constants.js";
+import { WGS84 } from "../utils/crs.js";
+
+// size of the handles on screen in pixels
+const SIZE = 100;
+
+// draggedAction notified through ObjectDragged for every handle
+const actions = { lng: 'translate', lat: 'translate', altitude: 'altitude', rotate: 'rotate', scale: 'scale' };
+
+const colors = { lng: 0xff3333, lat: 0x33cc33, altitude: 0x3377ff, rotate: 0xffcc00, scale: 0xffffff };
+const overColor = 0xffff66;
+
+class TransformGizmo {
+	constructor(threebox) {
+		this.tb = threebox;
+		this.root = new Group();
+		this.root.name = "gizmo";
+		this.root.matrixAutoUpdate = false;
+		this.root.visible = false;
+		this.handles = new Group();
+		this.root.add(this.handles);
+
+		// invisible and thicker meshes make the handles easier to pick
+		this.pickerMaterial = new MeshBasicMaterial({ visible: false });
+		this.materials = {};
+		this.parts = {
+			lng: this._arrow('lng', new Vector3(1, 0, 0)),
+			lat: this._arrow('lat', new Vector3(0, 1, 0)),
+			altitude: this._arrow('altitude', new Vector3(0, 0, 1)),
+			rotate: this._handle('rotate', new TorusGeometry(0.6, 0.02, 8, 48), new TorusGeometry(0.6, 0.08, 4, 24)),
+			scale: this._handle('scale', new BoxGeometry(0.12, 0.12, 0.12), new BoxGeometry(0.25, 0.25, 0.25))
+		};
+		this.parts.scale.position.set(0.75, 0.75, 0);
+		Object.values(this.parts).forEach(part => this.handles.add(part));
+
+		this.over = null;
+		this._drag = null;
+		this.tb.scene.add(this.root);
+	}
+
+	get dragging() { return this._drag !== null; }
+
+	// the gizmo is attached to the selected object while it can be edited, not to its instances or points
+	get target() {
+		let obj = this.tb.map.selectedObject;
+		if (!this.tb.enableGizmo || !obj || obj.isInstances || obj.isPointCloud || obj.parent !== this.tb.world) return null;
+		return obj;
+	}
+
+	// places the gizmo over its target, it's called on every frame by tb.update
+	update() {
+		let obj = this.target;
+		this.root.visible = !!obj;
+		if (!obj) return;
+
+		let tb = this.tb;
+		this.parts.lng.visible = this.parts.lat.visible = tb.enableDraggingObjects;
+		// clamped objects can't leave the ground
+		this.parts.altitude.visible = tb.enableDraggingObjects && obj.altitudeMode !== 'clampToGround';
+		this.parts.rotate.visible = tb.enableRotatingObjects;
+		// objects in meters get their scale from their latitude, so only objects in scene units can be scaled
+		this.parts.scale.visible = tb.enableScalingObjects && obj.userData.units === 'scene' && !obj.fixedZoom;
+
+		// the world matrix scales the map to the zoom, the handles are scaled back to keep their size on screen
+		this.root.matrix.copy(tb.world.matrix);
+		let zoomScale = new Vector3().setFromMatrixScale(tb.world.matrix).x;
+		this.handles.position.copy(obj.position);
+		this.handles.scale.setScalar(SIZE / zoomScale);
+		this.root.updateMatrixWorld(true);
+	}
+
+	// name of the handle under a point in pixels, if any
+	pick(point) {
+		this.update();
+		if (!this.root.visible) return null;
+		let parts = Object.values(this.parts).filter(part => part.visible);
+		let intersects = this.tb.queryRenderedFeatures(point, parts);
+		return intersects.length ? intersects[0].object.userData.handle : null;
+	}
+
+	// highlights the handle under the point
+	hover(point) {
+		let handle = this.dragging ? this._drag.handle : this.pick(point);
+		if (handle !== this.over) {
+			if (this.over) this.materials[this.over].color.setHex(colors[this.over]);
+			if (handle) this.materials[handle].color.setHex(overColor);
+			this.over = handle;
+			this.tb.repaint();
+		}
+		return handle;
+	}
+
+	// starts dragging a handle from a mousedown event, it returns the draggedAction
+	startDrag(handle, e) {
+		let obj = this.target;
+		this._drag = {
+			handle: handle,
+			object: obj,
+			point: e.point,
+			lngLat: e.lngLat,
+			coordinates: obj.coordinates.slice(),
+			rotation: [obj.rotation.x, obj.rotation.y, obj.rotation.z],
+			scale: obj.scale.x,
+			center: this.tb.projectToScreen(obj)
+		};
+		return actions[handle];
+	}
+
+	// applies a mousemove event to the object being dragged, snapped to tb.gridStep and tb.rotationStep.
+	// A multiple selection is moved and rotated as a group, only the object of the gizmo is scaled
+	drag(e) {
+		let d = this._drag;
+		let obj = d.object;
+		let tb = this.tb;
+		if (obj.parent !== tb.world) return;
+
+		let c = d.coordinates;
+		let alt = c[2] || 0;
+		let group = tb.selection.dragging;
+		let help;
+		switch (d.handle) {
+			case 'lng':
+			case 'lat':
+				let lng = d.handle === 'lng' ? Number((c[0] + e.lngLat.lng - d.lngLat.lng).toFixed(tb.gridStep)) : c[0];
+				let lat = d.handle === 'lat' ? Number((c[1] + e.lngLat.lat - d.lngLat.lat).toFixed(tb.gridStep)) : c[1];
+				if (group) tb.selection.dragBy([lng - c[0], lat - c[1], 0]);
+				else obj.setCoords([lng, lat, alt], WGS84);
+				help = "lng: " + lng + "&#176;, lat: " + lat + "&#176;";
+				break;
+			case 'altitude':
+				if (obj.altitudeMode === 'clampToGround') return;
+				let delta = Number((-(e.point.y - d.point.y) * tb.altitudeStep).toFixed(tb.gridStep));
+				alt = Number((alt + delta).toFixed(tb.gridStep));
+				if (group) tb.selection.dragBy([0, 0, delta]);
+				else obj.setCoords([c[0], c[1], alt], WGS84);
+				help = "alt: " + alt + "m";
+				break;
+			case 'rotate':
+				let angle = this._angle(e.point) - this._angle(d.point);
+				let z = (Math.round((d.rotation[2] * RAD2DEG + angle) / tb.rotationStep) * tb.rotationStep % 360 + 360) % 360;
+				if (group) tb.selection.dragBy([0, 0, 0], z - d.rotation[2] * RAD2DEG);
+				else obj._setObject({ rotation: [d.rotation[0], d.rotation[1], z * DEG2RAD] });
+				help = "rot: " + z + "&#176;";
+				break;
+			case 'scale':
+				let factor = this._distance(e.point) / (this._distance(d.point) || 1);
+				let s = Math.max(0.01, toDecimal(d.scale * factor, 2));
+				obj._setObject({ scale: [s, s, s] });
+				help = "scale: " + s;
+				break;
+		}
+		if (tb.enableHelpTooltips) obj.addHelp(help);
+		tb.repaint();
+	}
+
+	// ends the drag, it returns the draggedAction
+	endDrag() {
+		let action = this._drag ? actions[this._drag.handle] : null;
+		this._drag = null;
+		return action;
+	}
+
+	dispose() {
+		this.tb.scene.remove(this.root);
+		this.root.traverse((m) => { if (m.geometry) m.geometry.dispose(); });
+		Object.values(this.materials).forEach(m => m.dispose());
+		this.pickerMaterial.dispose();
+	}
+
+	// handle made of a visible mesh and a picker, both named through userData.handle
+	_handle(name, geometry, pickerGeometry) {
+		let handle = new Group();
+		let material = this.materials[name] = new MeshBasicMaterial({ color: colors[name], depthTest: false, depthWrite: false, transparent: true, opacity: 0.9, toneMapped: false });
+		let mesh = new Mesh(geometry, material);
+		let picker = new Mesh(pickerGeometry, this.pickerMaterial);
+		[mesh, picker].forEach((m) => {
+			m.userData.handle = name;
+			m.renderOrder = 999;
+			handle.add(m);
+		});
+		return handle;
+	}
+
+	_arrow(name, direction) {
+		let handle = this._handle(name, new CylinderGeometry(0.02, 0.02, 0.8, 8).translate(0, 0.4, 0), new CylinderGeometry(0.08, 0.08, 1, 4).translate(0, 0.5, 0));
+		let tip = new Mesh(new ConeGeometry(0.07, 0.2, 12).translate(0, 0.9, 0), this.materials[name]);
+		tip.userData.handle = name;
+		tip.renderOrder = 999;
+		handle.add(tip);
+		// cylinders and cones are built along the y axis
+		handle.quaternion.setFromUnitVectors(new Vector3(0, 1, 0), direction);
+		return handle;
+	}
+
+	// angle in degrees of a point around the object, counterclockwise on screen as the rotation on z axis
+	_angle(point) {
+		let c = this._drag.center;
+		return Math.atan2(c.y - point.y, point.x - c.x) * RAD2DEG;
+	}
+
+	_distance(point) {
+		let c = this._drag.center;
+		return Math.hypot(point.x - c.x, point.y - c.y);
+	}
+}
+
+export default TransformGizmo;
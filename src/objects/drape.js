@@ -0,0 +1,51 @@
+/**
+ * Draping of lines and tubes over the terrain. Their lnglat coordinates are densified to the resolution of the terrain
+ * at the zoom of the map, and every vertex is placed at the terrain elevation plus an offset
+ */
+import { DEG2RAD, EARTH_CIRCUMFERENCE } from "../utils/constants.js";
+
+// DEM tiles (i.e. mapbox-terrain-dem-v1) have their maximum resolution at zoom 14, over it they're overzoomed
+const DEM_MAX_ZOOM = 14;
+// vertices along the side of a terrain tile, enough to follow the terrain mesh rendered by the map
+const SAMPLES_PER_TILE = 64;
+
+// zoom of the terrain resolution for a map zoom, draped geometries are rebuilt when it changes
+export function drapeZoom(zoom) {
+	return Math.max(0, Math.min(Math.floor(zoom), DEM_MAX_ZOOM));
+}
+
+// approximate distance in meters between two lnglats, enough to split the segments
+function distance(a, b) {
+	const x = (b[0] - a[0]) * Math.cos((a[1] + b[1]) / 2 * DEG2RAD);
+	const y = b[1] - a[1];
+	return Math.sqrt(x * x + y * y) * EARTH_CIRCUMFERENCE / 360;
+}
+
+// lnglats of a line with a vertex at least every `spacing` meters, the original vertices are kept
+export function densify(coords, spacing) {
+	const result = [];
+	coords.forEach((p, i) => {
+		if (i > 0) {
+			const prev = coords[i - 1];
+			const steps = Math.ceil(distance(prev, p) / spacing);
+			for (let s = 1; s < steps; s++) {
+				const t = s / steps;
+				result.push([prev[0] + (p[0] - prev[0]) * t, prev[1] + (p[1] - prev[1]) * t, (prev[2] || 0) + ((p[2] || 0) - (prev[2] || 0)) * t]);
+			}
+		}
+		result.push(p.slice());
+	});
+	return result;
+}
+
+/**
+ * @param {array} coords lnglat coordinates of the line, their altitudes are ignored
+ * @param {number} zoom zoom of the map, the vertices are spaced by the terrain resolution at it
+ * @param {number} offset meters over the terrain
+ * @returns {array} lnglat coordinates over the terrain
+ */
+export function drapeCoordinates(coords, zoom, offset = 0) {
+	const lat = coords.reduce((sum, p) => sum + p[1], 0) / coords.length;
+	const spacing = EARTH_CIRCUMFERENCE * Math.cos(lat * DEG2RAD) / (Math.pow(2, drapeZoom(zoom)) * SAMPLES_PER_TILE);
+	return densify(coords, spacing).map(p => [p[0], p[1], tb.queryTerrainElevation(p) + offset]);
+}
@@ -19,14 +19,13 @@ class BuildingShadows {
 			console.warn(`Can't find layer ${this.buildingsLayerId}'s source.`);
 		}
 
-		// vertex shader of fill-extrusion layer is different in mapbox v1 and v2.
+		// vertex shader of fill-extrusion layer is different in mapbox v1, mapbox v2 and maplibre.
 		// https://github.com/mapbox/mapbox-gl-js/commit/cef95aa0241e748b396236f1269fbb8270f31565
+		this.engine = this.tb.adapter.engine;
+		// maplibre renders through WebGL2 since v3, so its shadow shader is written in GLSL ES 3.00
+		this.glsl3 = (this.engine === 'maplibre' && typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext);
 		const vertexSource = this._getVertexSource();
-		const fragmentSource = `
-			void main() {
-				gl_FragColor = vec4(0.0, 0.0, 0.0, 0.7);
-			}
-			`;
+		const fragmentSource = this._getFragmentSource();
 		const vertexShader = gl.createShader(gl.VERTEX_SHADER);
 		gl.shaderSource(vertexShader, vertexSource);
 		gl.compileShader(vertexShader);
@@ -43,7 +42,7 @@ class BuildingShadows {
 		this.uAltitude = gl.getUniformLocation(this.program, "u_altitude");
 		this.uAzimuth = gl.getUniformLocation(this.program, "u_azimuth");
 
-		if (this.tb.mapboxVersion >= 2.0) {
+		if (this.engine === 'mapbox') {
 			this.aPosNormal = gl.getAttribLocation(this.program, "a_pos_normal_ed");
 		} else {
 			this.aPos = gl.getAttribLocation(this.program, "a_pos");
@@ -88,7 +87,7 @@ class BuildingShadows {
 				gl.enableVertexAttribArray(this.aHeight);
 				gl.enableVertexAttribArray(this.aBase);
 				bucket.layoutVertexBuffer.bind();
-				if (this.tb.mapboxVersion >= 2.0) {
+				if (this.engine === 'mapbox') {
 					gl.enableVertexAttribArray(this.aPosNormal);
 					gl.vertexAttribPointer(this.aPosNormal, 4, gl.SHORT, false, 8, 8 * vertexOffset);
 				} else {
@@ -109,7 +108,30 @@ class BuildingShadows {
 	}
 
 	_getVertexSource() {
-		if (this.tb.mapboxVersion >= 2.0) {
+		if (this.engine === 'maplibre' && this.glsl3) {
+			// same attributes as mapbox v1, a_pos and a_normal_ed, declared as GLSL ES 3.00 inputs
+			return `#version 300 es
+				uniform mat4 u_matrix;
+				uniform float u_height_factor;
+				uniform float u_altitude;
+				uniform float u_azimuth;
+				in vec2 a_pos;
+				in vec4 a_normal_ed;
+				in lowp vec2 a_base;
+				in lowp vec2 a_height;
+				void main() {
+					float base = max(0.0, a_base.x);
+					float height = max(0.0, a_height.x);
+					float t = mod(a_normal_ed.x, 2.0);
+					vec4 pos = vec4(a_pos, t > 0.0 ? height : base, 1);
+					float len = pos.z * u_height_factor / tan(u_altitude);
+					pos.x += cos(u_azimuth) * len;
+					pos.y += sin(u_azimuth) * len;
+					pos.z = 0.0;
+					gl_Position = u_matrix * pos;
+				}
+			`;
+		} else if (this.engine === 'mapbox') {
 			return `
 				uniform mat4 u_matrix;
 				uniform float u_height_factor;
@@ -158,6 +180,23 @@ class BuildingShadows {
 			`;
 		}
 	}
+
+	_getFragmentSource() {
+		if (this.glsl3) {
+			return `#version 300 es
+				precision mediump float;
+				out vec4 fragColor;
+				void main() {
+					fragColor = vec4(0.0, 0.0, 0.0, 0.7);
+				}
+			`;
+		}
+		return `
+			void main() {
+				gl_FragColor = vec4(0.0, 0.0, 0.0, 0.7);
+			}
+			`;
+	}
 }
 
 
@@ -0,0 +1,189 @@
+/**
+ * Styles of the objects over and selected: their bounding box, a tint and emissive overlay of their meshes
+ * and an outline of their silhouette. The styles are set for threebox and can be overriden for the objects of a layer
+ */
+import { BackSide, Color, LineBasicMaterial, Mesh, ShaderMaterial, SkinnedMesh, Vector2 } from 'three';
+import Objects from '../objects.js';
+
+// without styles, the bounding boxes of Objects.prototype._defaults.materials as before
+const DEFAULT_STYLE = {
+	// true for the bounding box of the default materials, a color, or false to not draw it
+	bbox: true,
+	// color mixed with the colors of the materials, by tintOpacity
+	tint: null,
+	tintOpacity: 0.5,
+	// emissive color of the materials that have it (standard, phong, lambert...)
+	emissive: null,
+	emissiveIntensity: 1,
+	// color of the outline around the silhouette of the meshes, width in pixels
+	outline: null,
+	outlineWidth: 2
+};
+
+// the outline is the back faces of the meshes pushed out along their normals by a width in pixels
+const outlineVertexShader = `
+	uniform float width;
+	uniform vec2 resolution;
+	#include <common>
+	#include <skinning_pars_vertex>
+	void main() {
+		#include <beginnormal_vertex>
+		#include <skinbase_vertex>
+		#include <skinnormal_vertex>
+		#include <begin_vertex>
+		#include <skinning_vertex>
+		#include <project_vertex>
+		vec4 clipNormal = projectionMatrix * vec4(normalMatrix * objectNormal, 0.0);
+		vec2 direction = length(clipNormal.xy) > 0.0 ? normalize(clipNormal.xy) : vec2(0.0);
+		gl_Position.xy += direction * width * 2.0 / resolution * gl_Position.w;
+	}
+`;
+
+const outlineFragmentShader = `
+	uniform vec3 color;
+	void main() {
+		gl_FragColor = vec4(color, 1.0);
+		#include <colorspace_fragment>
+	}
+`;
+
+class Highlight {
+	constructor(threebox, style) {
+		this.tb = threebox;
+		this.styles = { selected: {}, over: {} };
+		this.layers = {};
+		// materials shared by all the objects with the same style
+		this._boxMaterials = new Map();
+		this._outlineMaterials = new Map();
+		this._resolution = new Vector2(1, 1);
+		if (style) this.setStyle(style);
+	}
+
+	/**
+	 * @param {object} style { selected, over } with the values of DEFAULT_STYLE to change
+	 * @param {string} [layerId] the style only applies to the objects of the layer, over the one of threebox
+	 */
+	setStyle(style, layerId) {
+		let styles = layerId ? (this.layers[layerId] = this.layers[layerId] || { selected: {}, over: {} }) : this.styles;
+		['selected', 'over'].forEach((state) => {
+			if (style && style[state]) Object.assign(styles[state], style[state]);
+		});
+		// the objects already highlighted change their style
+		this.tb.world.children.forEach((obj) => {
+			if (obj.selected) this.apply(obj, 'selected');
+			else if (obj.over) this.apply(obj, 'over');
+		});
+		this.tb.repaint();
+	}
+
+	// style of an object in a state, 'selected' or 'over'
+	style(obj, state) {
+		let layer = obj.layer && this.layers[obj.layer];
+		return Object.assign({}, DEFAULT_STYLE, this.styles[state], layer ? layer[state] : {});
+	}
+
+	// highlights an object with the style of the state, or removes the highlight without it
+	apply(obj, state) {
+		let style = state ? this.style(obj, state) : null;
+		if (style && style.bbox !== false) {
+			if (obj.userData.bbox && !obj.boundingBox) obj.drawBoundingBox();
+			if (obj.boxGroup) {
+				obj.boundingBox.material = this._boxMaterial(style.bbox, state);
+				obj.boxGroup.visible = true;
+				obj.boundingBox.layers.enable(1);
+				obj.boundingBoxShadow.layers.enable(1);
+			}
+		} else if (obj.boxGroup) {
+			// the box is drawn again with the size of the object when it's highlighted again
+			obj.boxGroup.parent.remove(obj.boxGroup);
+		}
+		if (!obj.model) return;
+		this._setMaterials(obj, style);
+		this._setOutline(obj, style);
+	}
+
+	dispose() {
+		this._boxMaterials.forEach(m => m.dispose());
+		this._outlineMaterials.forEach(m => m.dispose());
+		this._boxMaterials.clear();
+		this._outlineMaterials.clear();
+	}
+
+	_boxMaterial(color, state) {
+		if (color === true) return Objects.prototype._defaults.materials[state === 'selected' ? 'boxSelectedMaterial' : 'boxOverMaterial'];
+		let key = new Color(color).getHex();
+		if (!this._boxMaterials.has(key)) this._boxMaterials.set(key, new LineBasicMaterial({ color: key }));
+		return this._boxMaterials.get(key);
+	}
+
+	// the meshes of the model get a copy of their materials with the tint and emissive colors, the original ones are restored without them
+	_setMaterials(obj, style) {
+		let tint = style && style.tint != null ? new Color(style.tint) : null;
+		let emissive = style && style.emissive != null ? new Color(style.emissive) : null;
+		obj.model.traverse((c) => {
+			if (!c.isMesh || c.userData.isOutline) return;
+			let h = c.userData.highlight;
+			if (h) {
+				// another property (i.e. wireframe) could have replaced the copy meanwhile
+				if (c.material === h.copy) c.material = h.material;
+				(Array.isArray(h.copy) ? h.copy : [h.copy]).forEach(m => m.dispose());
+				c.userData.highlight = null;
+			}
+			if (!tint && !emissive) return;
+			let copies = (Array.isArray(c.material) ? c.material : [c.material]).map((m) => {
+				let copy = m.clone();
+				if (tint && copy.color) copy.color.lerp(tint, style.tintOpacity);
+				if (emissive && copy.emissive) {
+					copy.emissive.copy(emissive);
+					copy.emissiveIntensity = style.emissiveIntensity;
+				}
+				return copy;
+			});
+			let copy = Array.isArray(c.material) ? copies : copies[0];
+			c.userData.highlight = { material: c.material, copy: copy };
+			c.material = copy;
+		});
+	}
+
+	// every mesh of the model with normals gets a child drawing its outline
+	_setOutline(obj, style) {
+		let material = style && style.outline != null ? this._outlineMaterial(style.outline, style.outlineWidth) : null;
+		let meshes = [];
+		obj.model.traverse((c) => { if (c.isMesh && !c.userData.isOutline) meshes.push(c); });
+		meshes.forEach((c) => {
+			let outline = c.children.find(o => o.userData.isOutline);
+			if (outline && !material) c.remove(outline);
+			if (!material || !c.geometry.attributes.normal) return;
+			if (!outline) {
+				outline = c.isSkinnedMesh ? new SkinnedMesh(c.geometry, material) : new Mesh(c.geometry, material);
+				if (c.isSkinnedMesh) outline.bind(c.skeleton, c.bindMatrix);
+				outline.name = "outline";
+				outline.userData.isOutline = true;
+				// visible for the camera but not for the raycaster
+				outline.layers.set(1);
+				outline.onBeforeRender = (renderer) => renderer.getSize(this._resolution);
+				c.add(outline);
+			}
+			outline.material = material;
+		});
+	}
+
+	_outlineMaterial(color, width) {
+		let key = new Color(color).getHex() + '-' + width;
+		if (!this._outlineMaterials.has(key)) {
+			this._outlineMaterials.set(key, new ShaderMaterial({
+				uniforms: {
+					color: { value: new Color(color) },
+					width: { value: width },
+					resolution: { value: this._resolution }
+				},
+				vertexShader: outlineVertexShader,
+				fragmentShader: outlineFragmentShader,
+				side: BackSide
+			}));
+		}
+		return this._outlineMaterials.get(key);
+	}
+}
+
+export default Highlight;
@@ -2,7 +2,7 @@
  * @author jscastro / https://github.com/jscastro76
  */
 import Object from './objects.js';
-import { _validate, projectToWorld, toDecimal } from "../utils/utils.js";
+import { _validate, projectToWorld, toDecimal, coordinatesCrs } from "../utils/utils.js";
 import { Mesh, Vector2, Vector3, Shape, Path, ExtrudeGeometry } from "three";
 import Object3D from './Object3D.js';
 
@@ -14,7 +14,7 @@ import Object3D from './Object3D.js';
 function extrusion(opt) {
 
 	opt = _validate(opt, Object.prototype._defaults.extrusion);
-	let shape = extrusion.prototype.buildShape(opt.coordinates);
+	let shape = extrusion.prototype.buildShape(opt.coordinates, coordinatesCrs(opt));
 	let geometry = extrusion.prototype.buildGeometry(shape, opt.geometryOptions);
 	let mesh = new Mesh(geometry, opt.materials);
 	opt.obj = mesh;
@@ -25,24 +25,24 @@ function extrusion(opt) {
 
 extrusion.prototype = {
 
-	buildShape: function (coords) {
+	buildShape: function (coords, crs) {
 		if (coords[0] instanceof (Vector2 || Vector3)) return new Shape(coords);
 		let shape = new Shape();
 		for (let i = 0; i < coords.length; i++) {
 			if (i === 0) {
-				shape = new Shape(this.buildPoints(coords[0], coords[0]));
+				shape = new Shape(this.buildPoints(coords[0], coords[0], crs));
 			} else {
-				shape.holes.push(new Path(this.buildPoints(coords[i], coords[0])));
+				shape.holes.push(new Path(this.buildPoints(coords[i], coords[0], crs)));
 			}
 		}
 		return shape;
 	},
 
-	buildPoints: function (coords, initCoords) {
+	buildPoints: function (coords, initCoords, crs) {
 		const points = [];
-		let init = projectToWorld([initCoords[0][0], initCoords[0][1], 0]);
+		let init = projectToWorld([initCoords[0][0], initCoords[0][1], 0], crs);
 		for (let i = 0; i < coords.length; i++) {
-			let pos = projectToWorld([coords[i][0], coords[i][1], 0]);
+			let pos = projectToWorld([coords[i][0], coords[i][1], 0], crs);
 			points.push(new Vector2(toDecimal((pos.x - init.x), 9), toDecimal((pos.y - init.y), 9)));
 		}
 		return points;
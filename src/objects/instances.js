@@ -0,0 +1,240 @@
+/**
+ * Mass placement of a single model through one THREE.InstancedMesh per model mesh
+ */
+import { Group, InstancedMesh, Matrix4, Quaternion, Vector3, Color, DynamicDrawUsage } from "three";
+import * as utils from "../utils/utils.js";
+import Objects from './objects.js';
+import { toLnglat } from '../utils/crs.js';
+
+/**
+ *
+ * @param {any} model threebox object returned by loadObj, its meshes are shared by all the instances
+ * @param {any} opt must fit the default defined in Objects.prototype._defaults.instances
+ * @param {arr} opt.positions array of [lng, lat, alt, rotation, scale], rotation in degrees over z axis. lng and lat can be x and y in opt.crs
+ * @param {Threebox} threebox instance repainted when the instances change
+ */
+function instances(model, opt, threebox) {
+
+	opt = utils._validate(opt, Objects.prototype._defaults.instances);
+
+	const crs = utils.coordinatesCrs(opt);
+	const positions = opt.positions.map(p => toLnglat(p.slice(0, 3), crs).concat(p.slice(3)));
+	const count = positions.length;
+
+	// meshes are placed relative to the center of all the instances to keep float32 precision in the instance matrices
+	let center = [0, 0];
+	positions.forEach((p) => { center[0] += p[0] / count; center[1] += p[1] / count; });
+
+	let container = new Group();
+	container.name = "threeboxObject";
+	container.userData = opt;
+	container.userData.isGeoGroup = true;
+	container.isInstances = true;
+	container.count = count;
+	container.position.copy(utils.projectToWorld(center));
+
+	// local matrix of every mesh inside the model, anchor and adjustments included
+	model.position.set(0, 0, 0);
+	model.scale.set(1, 1, 1);
+	model.updateMatrixWorld(true);
+	const inverse = new Matrix4().copy(model.scaleGroup.matrixWorld).invert();
+	let parts = [];
+	model.model.traverse((c) => {
+		if (!c.isMesh) return;
+		let mesh = new InstancedMesh(c.geometry, c.material, count);
+		mesh.instanceMatrix.setUsage(DynamicDrawUsage);
+		mesh.name = c.name;
+		mesh.castShadow = c.castShadow;
+		mesh.receiveShadow = c.receiveShadow;
+		if (!opt.raycasted) { mesh.layers.disable(0); mesh.layers.enable(1); }
+		parts.push({ mesh: mesh, local: new Matrix4().multiplyMatrices(inverse, c.matrixWorld) });
+		container.add(mesh);
+	});
+
+	let coords = positions.map(p => [p[0], p[1], p[2] || 0]);
+	let rotations = positions.map(p => p[3] || 0);
+	let scales = positions.map(p => (p[4] === undefined ? 1 : p[4]));
+	let visible = positions.map(() => true);
+	let colors = positions.map(() => null);
+
+	const _matrix = new Matrix4();
+	const _instance = new Matrix4();
+	const _quaternion = new Quaternion();
+	const _scale = new Vector3();
+	const _axis = new Vector3(0, 0, 1);
+
+	function updateMatrix(i) {
+		let s = visible[i] ? scales[i] : 0;
+		if (opt.units === 'meters') s *= utils.projectedUnitsPerMeter(coords[i][1]);
+		_scale.set(s, s, s);
+		_quaternion.setFromAxisAngle(_axis, utils.radify(rotations[i]));
+		_instance.compose(utils.projectToWorld(coords[i]).sub(container.position), _quaternion, _scale);
+		parts.forEach((p) => {
+			_matrix.multiplyMatrices(_instance, p.local);
+			p.mesh.setMatrixAt(i, _matrix);
+		});
+	}
+
+	function changed() {
+		parts.forEach((p) => {
+			p.mesh.instanceMatrix.needsUpdate = true;
+			// bounding volumes are lazily recalculated for raycasting and frustum culling
+			p.mesh.boundingSphere = null;
+			p.mesh.boundingBox = null;
+		});
+		threebox.repaint();
+	}
+
+	function checkIndex(i) {
+		if (i < 0 || i >= count) {
+			console.error("Instance index " + i + " is out of range");
+			return false;
+		}
+		return true;
+	}
+
+	for (let i = 0; i < count; i++) updateMatrix(i);
+	changed();
+
+	container.getCoords = function (i) {
+		if (!checkIndex(i)) return null;
+		return coords[i].slice();
+	}
+
+	// coordinates in the crs of the instances unless another one is given
+	container.setCoords = function (i, coordinates, coordinatesCrs = crs) {
+		if (!checkIndex(i)) return container;
+		const lnglat = toLnglat(coordinates, coordinatesCrs);
+		coords[i] = [lnglat[0], lnglat[1], lnglat[2] || 0];
+		updateMatrix(i);
+		changed();
+		return container;
+	}
+
+	//rotation in degrees over the z axis
+	container.getRotation = function (i) {
+		if (!checkIndex(i)) return null;
+		return rotations[i];
+	}
+
+	container.setRotation = function (i, degrees) {
+		if (!checkIndex(i)) return container;
+		rotations[i] = (typeof degrees === 'object' ? degrees.z : degrees) || 0;
+		updateMatrix(i);
+		changed();
+		return container;
+	}
+
+	container.getScale = function (i) {
+		if (!checkIndex(i)) return null;
+		return scales[i];
+	}
+
+	container.setScale = function (i, scale) {
+		if (!checkIndex(i)) return container;
+		scales[i] = scale;
+		updateMatrix(i);
+		changed();
+		return container;
+	}
+
+	container.getVisibility = function (i) {
+		if (!checkIndex(i)) return null;
+		return visible[i];
+	}
+
+	//hidden instances are collapsed to a zero scale matrix
+	container.setVisibility = function (i, value) {
+		if (!checkIndex(i)) return container;
+		visible[i] = !!value;
+		updateMatrix(i);
+		changed();
+		return container;
+	}
+
+	//color set to an instance, null for the colors of the model
+	container.getColor = function (i) {
+		if (!checkIndex(i)) return null;
+		return colors[i];
+	}
+
+	container.setColor = function (i, color) {
+		if (!checkIndex(i)) return container;
+		colors[i] = (color === undefined ? null : color);
+		let c = new Color(color === null || color === undefined ? 0xffffff : color);
+		parts.forEach((p) => {
+			p.mesh.setColorAt(i, c);
+			p.mesh.instanceColor.needsUpdate = true;
+		});
+		threebox.repaint();
+		return container;
+	}
+
+	//same visibility values than the rest of the threebox objects
+	Object.defineProperty(container, 'visibility', {
+		get() { return container.visible; },
+		set(value) {
+			if (value == 'visible' || value == true) container.visible = true;
+			else if (value == 'none' || value == false) container.visible = false;
+		}
+	});
+
+	let _selectedInstance = null;
+	//index of the instance selected through the map click
+	Object.defineProperty(container, 'selectedInstance', {
+		get() { return _selectedInstance; }
+	});
+
+	container.selectInstance = function (i) {
+		if (_selectedInstance === i) return;
+		_selectedInstance = i;
+		if (_selected) container.dispatchEvent({ type: 'SelectedChange', detail: container });
+	}
+
+	let _selected = false;
+	Object.defineProperty(container, 'selected', {
+		get() { return _selected; },
+		set(value) {
+			if (!value) _selectedInstance = null;
+			if (_selected != value) {
+				_selected = value;
+				// Dispatch new event SelectedChange
+				container.dispatchEvent({ type: 'SelectedChange', detail: container });
+			}
+		}
+	});
+
+	let _overedInstance = null;
+	Object.defineProperty(container, 'overedInstance', {
+		get() { return _overedInstance; }
+	});
+
+	let _over = false;
+	Object.defineProperty(container, 'over', {
+		get() { return _over; },
+		set(value) {
+			if (!value) _overedInstance = null;
+			_over = value;
+			container.dispatchEvent({ type: (value ? 'ObjectMouseOver' : 'ObjectMouseOut'), detail: container });
+		}
+	});
+
+	container.overInstance = function (i) {
+		_overedInstance = i;
+	}
+
+	container.dispose = function () {
+		parts.forEach((p) => {
+			p.mesh.geometry.dispose();
+			let materials = Array.isArray(p.mesh.material) ? p.mesh.material : [p.mesh.material];
+			materials.forEach(m => m.dispose());
+			p.mesh.dispose();
+		});
+		parts = [];
+		container.children = [];
+	}
+
+	return container;
+}
+
+export default instances;
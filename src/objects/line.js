@@ -18,29 +18,38 @@ import {
   Mesh,
   MathUtils,
 } from "three";
-import { _validate, lnglatsToWorld, normalizeVertices, flattenVectors } from "../utils/utils.js";
+import { _validate, lnglatsToWorld, normalizeVertices, flattenVectors, worldOrigin, coordinatesCrs } from "../utils/utils.js";
 import Object from './objects.js';
+import { drapeZoom, drapeCoordinates } from './drape.js';
+import { toLnglat } from '../utils/crs.js';
 
 import { LineSegmentsGeometry as _LineSegmentsGeometry } from 'three/addons/lines/LineSegmentsGeometry.js';
-import { Line2 as _line2 } from "three/examples/jsm/Addons.js";
+import { Line2 as _Line2 } from "three/examples/jsm/Addons.js";
 import { LineMaterial as _LineMaterial } from 'three/addons/lines/LineMaterial.js';
 import { LineSegments2 as _LineSegments2 } from "three/examples/jsm/lines/webgpu/LineSegments2.js";
 import { LineGeometry as _LineGeometry } from 'three/addons/lines/LineGeometry.js';
 import { Wireframe as _Wireframe } from "three/examples/jsm/Addons.js";
 import { WireframeGeometry2 as _WireframeGeometry2 } from 'three/addons/lines/WireframeGeometry2.js';
 
-function line(obj){
-
-	obj = _validate(obj, Object.prototype._defaults.line);
-
-	// Geometry
-    var straightProject = lnglatsToWorld(obj.geometry);
+// geometry of a line from lnglat coordinates, its vertices are relative to its center
+function lineGeometry(coords) {
+	var straightProject = lnglatsToWorld(coords);
 	var normalized = normalizeVertices(straightProject);
-    var flattenedArray = flattenVectors(normalized.vertices);
-	//console.log('line', normalized.vertices)
+	var flattenedArray = flattenVectors(normalized.vertices);
 
 	var geometry = new _LineGeometry();
 	geometry.setPositions( flattenedArray );
+	return { geometry: geometry, position: normalized.position };
+}
+
+function line(obj){
+
+	obj = _validate(obj, Object.prototype._defaults.line);
+
+	// Geometry, in lnglats from the crs of the line
+	let coords = obj.geometry.map(p => toLnglat(p, coordinatesCrs(obj)));
+	let zoom = obj.drape ? drapeZoom(tb.map.getZoom()) : null;
+	let built = lineGeometry(obj.drape ? drapeCoordinates(coords, zoom, obj.drapeOffset) : coords);
 
 	// Material
 	let matLine = new _LineMaterial( {
@@ -50,17 +59,34 @@ function line(obj){
 		opacity: obj.opacity
 	} );
 	
-	matLine.resolution.set( window.innerWidth, window.innerHeight );
+	// headless there's no window, the size of the map canvas is used instead
+	let size = typeof window !== 'undefined' ? { width: window.innerWidth, height: window.innerHeight } : tb.adapter.getCanvasSize();
+	matLine.resolution.set( size.width, size.height );
 	matLine.isMaterial = true;
 	matLine.transparent = true;
 	matLine.depthWrite = false;
 
 	// Mesh
-	line = new _Line2( geometry, matLine );
-	line.position.copy(normalized.position)
-	line.computeLineDistances();
-
-	return line
+	let mesh = new _Line2( built.geometry, matLine );
+	mesh.position.copy(built.position)
+	mesh.computeLineDistances();
+
+	if (obj.drape) {
+		// rebuilds the line over the terrain when its resolution changes with the zoom, or always if forced (i.e. terrain tiles loaded)
+		mesh.updateDrape = function (force) {
+			let z = drapeZoom(tb.map.getZoom());
+			if (z === zoom && !force) return;
+			zoom = z;
+			built = lineGeometry(drapeCoordinates(coords, zoom, obj.drapeOffset));
+			mesh.geometry.dispose();
+			mesh.geometry = built.geometry;
+			mesh.position.copy(built.position).sub(worldOrigin(mesh));
+			mesh.computeLineDistances();
+			tb.map.repaint = true;
+		}
+	}
+
+	return mesh
 }
 
 export default line;
@@ -4,106 +4,129 @@
  */
 import { _validate, types } from "../utils/utils.js";
 import Object from './objects.js';
-import OBJLoader from "./loaders/OBJLoader.js";
 import MTLLoader from "./loaders/MTLLoader.js";
-import FBXLoader from "./loaders/FBXLoader.js";
-import GLTFLoader from "./loaders/GLTFLoader.js";
-import ColladaLoader from "./loaders/ColladaLoader.js";
-const objLoader = new OBJLoader();
-const materialLoader = new MTLLoader();
-const gltfLoader = new GLTFLoader();
-const fbxLoader = new FBXLoader();
-const daeLoader = new ColladaLoader();
-
-function loadObj(options, cb, promise) {
-
-	if (options === undefined) return console.error("Invalid options provided to loadObj()");
-	options = _validate(options, Object.prototype._defaults.loadObj);
+import ModelLoadError from "./loaders/ModelLoadError.js";
+import { getModelFormat, detectModelType, toModel } from "./loaders/modelFormats.js";
+import { LoaderUtils } from "three";
+
+function aborted(url) {
+	return new ModelLoadError('aborted', "Loading of " + url + " was aborted", { url: url });
+}
 
-	let loader;
-	if (!options.type) { options.type = 'mtl'; };
-	//[jscastro] support other models
-	switch (options.type) {
-		case "mtl":
-			// TODO: Support formats other than OBJ/MTL
-			loader = objLoader;
-			break;
-		case "gltf":
-		case "glb":
-			// [jscastro] Support for GLTF/GLB
-			loader = gltfLoader;
-			break;
-		case "fbx":
-			loader = fbxLoader;
-			break;
-		case "dae":
-			loader = daeLoader;
-			break;
+// downloads a file through fetch to abort it with options.signal and report its progress in bytes, it returns its bytes
+export async function download(url, options) {
+	let response;
+	try {
+		response = await fetch(url, { signal: options.signal, credentials: options.withCredentials ? 'include' : 'same-origin' });
+	} catch (error) {
+		if (options.signal && options.signal.aborted) throw aborted(url);
+		throw new ModelLoadError('network', "Could not load model file: " + url, { url: url, cause: error });
 	}
+	if (!response.ok) throw new ModelLoadError('http', "Could not load model file: " + url + " (" + response.status + " " + response.statusText + ")", { url: url, status: response.status });
+
+	const total = Number(response.headers.get('Content-Length')) || 0;
+	let bytes;
+	try {
+		if (!options.onProgress || !response.body) {
+			bytes = new Uint8Array(await response.arrayBuffer());
+		} else {
+			const reader = response.body.getReader();
+			const chunks = [];
+			let loaded = 0;
+			for (; ;) {
+				const { done, value } = await reader.read();
+				if (done) break;
+				chunks.push(value);
+				loaded += value.length;
+				options.onProgress({ url: url, loaded: loaded, total: total, percent: total ? Math.min(100, loaded / total * 100) : null });
+			}
+			bytes = new Uint8Array(loaded);
+			let offset = 0;
+			chunks.forEach((c) => { bytes.set(c, offset); offset += c.length; });
+		}
+	} catch (error) {
+		if (options.signal && options.signal.aborted) throw aborted(url);
+		throw new ModelLoadError('network', "Could not load model file: " + url, { url: url, cause: error });
+	}
+	return bytes;
+}
 
-	materialLoader.withCredentials = options.withCredentials;
-	materialLoader.load(options.mtl, loadObject, () => (null), error => {
-		console.warn("No material file found " + error.stack);
-	});
+// materials of OBJ models, the model is loaded without them if the MTL file fails
+async function loadMaterials(options) {
+	if (!options.mtl) return null;
+	try {
+		const bytes = await download(options.mtl, { signal: options.signal, withCredentials: options.withCredentials });
+		return new MTLLoader().parse(new TextDecoder().decode(bytes), LoaderUtils.extractUrlBase(options.mtl));
+	} catch (error) {
+		if (error.code === 'aborted') throw error;
+		console.warn("No material file found " + options.mtl);
+		return null;
+	}
+}
 
-	function loadObject(materials) {
+/**
+ * @param {object} options must fit the default defined in Objects.prototype._defaults.loadObj, plus signal (AbortSignal) and onProgress
+ * @param {GLTFDecoders} decoders decoders of the Threebox instance, to load compressed glTF/GLB models
+ * @returns {Promise} threebox object with the model, or a ModelLoadError
+ */
+async function loadObj(options, decoders) {
 
-		if (materials && options.type == "mtl") {
-			materials.preload();
-			loader.setMaterials(materials);
+	if (options === undefined) throw new ModelLoadError('invalid-options', "Invalid options provided to loadObj()");
+	options = _validate(options, Object.prototype._defaults.loadObj);
+	if (!options) throw new ModelLoadError('invalid-options', "Invalid options provided to loadObj()");
+
+	// without type the format is detected from the extension of the file, or from its first bytes once downloaded
+	if (!options.type) options.type = detectModelType(options.obj);
+	if (options.type && !getModelFormat(options.type)) throw new ModelLoadError('invalid-options', "Unknown model type '" + options.type + "' provided to loadObj()", { url: options.obj });
+	if (options.signal && options.signal.aborted) throw aborted(options.obj);
+
+	const bytes = await download(options.obj, options);
+	if (!options.type) options.type = detectModelType(null, bytes);
+	if (!options.type) throw new ModelLoadError('parse', "Could not detect the format of model file: " + options.obj, { url: options.obj });
+	const format = getModelFormat(options.type);
+	// only OBJ models have a material file
+	const materials = options.type === "mtl" ? await loadMaterials(options) : null;
+	if (options.signal && options.signal.aborted) throw aborted(options.obj);
+
+	let model;
+	try {
+		const data = format.responseType === 'text' ? new TextDecoder().decode(bytes) : bytes.buffer;
+		const context = { url: options.obj, path: LoaderUtils.extractUrlBase(options.obj), options: options, materials: materials, decoders: decoders };
+		model = toModel(await format.parse(data, context));
+		if (!model.obj || !model.obj.isObject3D) throw new Error("No model returned by the '" + options.type + "' format");
+	} catch (error) {
+		// i.e. the decoders missing for a compressed glTF
+		if (error instanceof ModelLoadError) {
+			error.url = options.obj;
+			throw error;
 		}
-
-		loader.withCredentials = options.withCredentials;
-		loader.load(options.obj, obj => {
-
-			//[jscastro] MTL/GLTF/FBX models have a different structure
-			let animations = [];
-			switch (options.type) {
-				case "mtl":
-					obj = obj.children[0];
-					break;
-				case "gltf":
-				case "glb":
-				case "dae":
-					animations = obj.animations;
-					obj = obj.scene;
-					break;
-				case "fbx":
-					animations = obj.animations;
-					break;
-			}
-			obj.animations = animations;
-			// [jscastro] options.rotation was wrongly used
-			const r = types.rotation(options.rotation, [0, 0, 0]);
-			const s = types.scale(options.scale, [1, 1, 1]);
-			obj.rotation.set(r[0], r[1], r[2]);
-			obj.scale.set(s[0], s[1], s[2]);
-			// [jscastro] normalize specular/metalness/shininess from meshes in FBX and GLB model as it would need 5 lights to illuminate them properly
-			if (options.normalize) { normalizeSpecular(obj); }
-			obj.name = "model";
-			let userScaleGroup = Object.prototype._makeGroup(obj, options);
-			Object.prototype._addMethods(userScaleGroup);
-			//[jscastro] calculate automatically the pivotal center of the object
-			userScaleGroup.setAnchor(options.anchor);
-			//[jscastro] override the center calculated if the object has adjustments
-			userScaleGroup.setCenter(options.adjustment);
-			//[jscastro] if the object is excluded from raycasting
-			userScaleGroup.raycasted = options.raycasted;
-			//[jscastro] return to cache
-			promise(userScaleGroup);
-			//[jscastro] then return to the client-side callback
-			cb(userScaleGroup);
-			//[jscastro] apply the fixed zoom scale if needed
-			userScaleGroup.setFixedZoom(options.mapScale);
-			//[jscastro] initialize the default animation to avoid issues with skeleton position
-			userScaleGroup.idle();
-
-		}, () => (null), error => {
-				console.error("Could not load model file: " + options.obj + " \n " + error.stack);
-				promise("Error loading the model");
-		});
-
-	};
+		throw new ModelLoadError('parse', "Could not parse model file: " + options.obj, { url: options.obj, cause: error });
+	}
+	if (options.signal && options.signal.aborted) throw aborted(options.obj);
+
+	let obj = model.obj;
+	obj.animations = model.animations;
+	// [jscastro] options.rotation was wrongly used
+	const r = types.rotation(options.rotation, [0, 0, 0]);
+	const s = types.scale(options.scale, [1, 1, 1]);
+	obj.rotation.set(r[0], r[1], r[2]);
+	obj.scale.set(s[0], s[1], s[2]);
+	// [jscastro] normalize specular/metalness/shininess from meshes in FBX and GLB model as it would need 5 lights to illuminate them properly
+	if (options.normalize) { normalizeSpecular(obj); }
+	obj.name = "model";
+	let userScaleGroup = Object.prototype._makeGroup(obj, options);
+	Object.prototype._addMethods(userScaleGroup);
+	//[jscastro] calculate automatically the pivotal center of the object
+	userScaleGroup.setAnchor(options.anchor);
+	//[jscastro] override the center calculated if the object has adjustments
+	userScaleGroup.setCenter(options.adjustment);
+	//[jscastro] if the object is excluded from raycasting
+	userScaleGroup.raycasted = options.raycasted;
+	//[jscastro] apply the fixed zoom scale if needed
+	userScaleGroup.setFixedZoom(options.mapScale);
+	//[jscastro] initialize the default animation to avoid issues with skeleton position
+	userScaleGroup.idle();
+	return userScaleGroup;
 
 	//[jscastro] some FBX/GLTF models have too much specular effects for mapbox
 	function normalizeSpecular(model) {
@@ -0,0 +1,99 @@
+/**
+ * Decoders of the compressed glTF/GLB models used by loadObj: Draco meshes, KTX2 textures and Meshopt buffers.
+ * Draco and KTX2 loaders are created by every Threebox instance on the first model that needs them, and disposed by tb.dispose().
+ * Their decoder files are served by the app from dracoDecoderPath and ktx2TranscoderPath, there's no remote default
+ */
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+import ModelLoadError from './ModelLoadError.js';
+
+// options of Threebox and loadObj that configure the decoders
+const keys = ['dracoLoader', 'dracoDecoderPath', 'ktx2Loader', 'ktx2TranscoderPath', 'meshoptDecoder', 'decoderWorkers'];
+
+// extensions used and required by a glTF or GLB file, read from its JSON without parsing the model
+function extensionsOf(data) {
+	try {
+		let bytes = typeof data === 'string' ? null : new Uint8Array(data);
+		let text = data;
+		if (bytes && new TextDecoder().decode(bytes.subarray(0, 4)) === 'glTF') {
+			let length = new DataView(bytes.buffer, bytes.byteOffset).getUint32(12, true);
+			text = new TextDecoder().decode(bytes.subarray(20, 20 + length));
+		}
+		else if (bytes) text = new TextDecoder().decode(bytes);
+		let json = JSON.parse(text);
+		return { used: json.extensionsUsed || [], required: json.extensionsRequired || [] };
+	} catch (error) {
+		// GLTFLoader reports the invalid files
+		return { used: [], required: [] };
+	}
+}
+
+class GLTFDecoders {
+	constructor(threebox, options) {
+		this.tb = threebox;
+		this.options = {};
+		keys.forEach((key) => { if (options[key] !== undefined) this.options[key] = options[key]; });
+		// loaders created by threebox by decoder path, the ones provided through options are owned by the app
+		this.dracoLoaders = new Map();
+		this.ktx2Loaders = new Map();
+	}
+
+	// sets the decoders to a GLTFLoader, the options of a loadObj call override the ones of Threebox.
+	// Without a path there's no decoder, and the model data received that needs it throws a ModelLoadError
+	configure(gltfLoader, options, data) {
+		let o = Object.assign({}, this.options);
+		if (options) keys.forEach((key) => { if (options[key] !== undefined) o[key] = options[key]; });
+		let draco = o.dracoLoader || this.draco(o.dracoDecoderPath, o.decoderWorkers);
+		let ktx2 = o.ktx2Loader || this.ktx2(o.ktx2TranscoderPath, o.decoderWorkers);
+		if (data) {
+			let extensions = extensionsOf(data);
+			if (!draco && extensions.used.includes('KHR_draco_mesh_compression')) {
+				throw new ModelLoadError('invalid-options', "The model has Draco compressed meshes, set dracoDecoderPath to the Draco decoder files in the Threebox or loadObj options");
+			}
+			// KTX2 textures can have a fallback image when the extension is not required
+			if (!ktx2 && extensions.required.includes('KHR_texture_basisu')) {
+				throw new ModelLoadError('invalid-options', "The model has KTX2 textures, set ktx2TranscoderPath to the Basis transcoder files in the Threebox or loadObj options");
+			}
+		}
+		gltfLoader.setDRACOLoader(draco);
+		gltfLoader.setKTX2Loader(ktx2);
+		gltfLoader.setMeshoptDecoder(o.meshoptDecoder || MeshoptDecoder);
+		return gltfLoader;
+	}
+
+	draco(path, workers) {
+		if (!path) return null;
+		let loader = this.dracoLoaders.get(path);
+		if (!loader) {
+			loader = new DRACOLoader().setDecoderPath(path);
+			if (workers) loader.setWorkerLimit(workers);
+			this.dracoLoaders.set(path, loader);
+		}
+		return loader;
+	}
+
+	ktx2(path, workers) {
+		if (!path) return null;
+		let loader = this.ktx2Loaders.get(path);
+		if (!loader) {
+			loader = new KTX2Loader().setTranscoderPath(path);
+			if (workers) loader.setWorkerLimit(workers);
+			// the supported texture formats come from the renderer, it's not available headless
+			let renderer = this.tb.renderer;
+			if (renderer && renderer.extensions) loader.detectSupport(renderer);
+			this.ktx2Loaders.set(path, loader);
+		}
+		return loader;
+	}
+
+	// terminates the workers of the loaders created by threebox
+	dispose() {
+		this.dracoLoaders.forEach(loader => loader.dispose());
+		this.ktx2Loaders.forEach(loader => loader.dispose());
+		this.dracoLoaders.clear();
+		this.ktx2Loaders.clear();
+	}
+}
+
+export default GLTFDecoders;
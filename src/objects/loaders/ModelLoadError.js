@@ -0,0 +1,16 @@
+/**
+ * Error of the promises returned by tb.loadObj and tb.pointCloud, its code tells why the file couldn't be loaded:
+ * 'invalid-options', 'aborted', 'http' (with the response status), 'network' or 'parse'
+ */
+class ModelLoadError extends Error {
+	constructor(code, message, details = {}) {
+		super(message);
+		this.name = 'ModelLoadError';
+		this.code = code;
+		this.url = details.url;
+		this.status = details.status;
+		if (details.cause !== undefined) this.cause = details.cause;
+	}
+}
+
+export default ModelLoadError;
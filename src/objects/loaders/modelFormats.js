@@ -0,0 +1,180 @@
+/**
+ * Formats of the models loaded by loadObj, by the value of its `type` option.
+ * Every format parses the file downloaded into a THREE.Object3D, and it's detected from the file extension or its first bytes when `type` is omitted.
+ * More formats can be added through registerModelFormat, or registerLoader for the formats with a three.js style loader,
+ * also exposed as tb.registerModelFormat and tb.registerLoader
+ */
+import { Mesh, MeshStandardMaterial } from "three";
+import { STLLoader } from "three/addons/loaders/STLLoader.js";
+import { PLYLoader } from "three/addons/loaders/PLYLoader.js";
+import { ThreeMFLoader } from "three/addons/loaders/3MFLoader.js";
+import { USDZLoader } from "three/addons/loaders/USDZLoader.js";
+import OBJLoader from "./OBJLoader.js";
+import FBXLoader from "./FBXLoader.js";
+import GLTFLoader from "./GLTFLoader.js";
+import ColladaLoader from "./ColladaLoader.js";
+
+const formats = new Map();
+
+/**
+ * @param {string} type value of the `type` option of loadObj
+ * @param {object} format
+ * @param {string[]} format.extensions file extensions without the dot, to detect the format when `type` is omitted
+ * @param {string} format.responseType 'text' or 'arraybuffer', data received by parse
+ * @param {function} format.detect optional function receiving the bytes of the file (Uint8Array), true if the file is in this format
+ * @param {function} format.parse (data, context) returns a THREE.Object3D, a THREE.BufferGeometry, { obj, animations } or a promise of any of them.
+ * context has the `url`, its base `path`, the loadObj `options`, the OBJ `materials` and the glTF `decoders`
+ */
+export function registerModelFormat(type, format) {
+	if (!type || !format || typeof format.parse !== 'function') {
+		console.error("Invalid model format provided to registerModelFormat()");
+		return;
+	}
+	formats.set(type, Object.assign({ extensions: [], responseType: 'arraybuffer' }, format));
+}
+
+/**
+ * Registers a three.js style loader as a format, its parse method receives the data downloaded by loadObj
+ * @param {string} type value of the `type` option of loadObj
+ * @param {object} options
+ * @param {object|function} options.loader loader with a parse(data, path, onLoad, onError) method, returning the result or calling onLoad.
+ * A class is instantiated for every model, so its settings are not shared between models parsed at the same time
+ * @param {function} options.extract optional function receiving the result of parse and returning { object, animations }
+ * @param {string[]} options.extensions file extensions without the dot
+ * @param {string} options.responseType 'text' or 'arraybuffer'
+ * @param {function} options.detect optional function receiving the bytes of the file (Uint8Array), true if the file is in this format
+ */
+export function registerLoader(type, options) {
+	if (!options || !options.loader || (typeof options.loader !== 'function' && typeof options.loader.parse !== 'function')) {
+		console.error("Invalid loader provided to registerLoader()");
+		return;
+	}
+	const extract = options.extract || (result => result);
+	registerModelFormat(type, {
+		extensions: options.extensions || [],
+		responseType: options.responseType || 'arraybuffer',
+		detect: options.detect,
+		parse: (data, context) => new Promise((resolve, reject) => {
+			const loader = typeof options.loader === 'function' ? new options.loader() : options.loader;
+			// glTF based loaders get the Draco, KTX2 and Meshopt decoders of the Threebox instance
+			if (context.decoders && typeof loader.setDRACOLoader === 'function') context.decoders.configure(loader, context.options, data);
+			// three.js loaders either return the result of parse or pass it to onLoad
+			const result = loader.parse(data, context.path, resolve, reject);
+			if (result !== undefined) resolve(result);
+		}).then(extract)
+	});
+}
+
+export function getModelFormat(type) {
+	return formats.get(type);
+}
+
+// type of a model from the extension of its url, or from its first bytes if they're provided
+export function detectModelType(url, bytes) {
+	if (typeof url === 'string' && !/^(data|blob):/.test(url)) {
+		let match = url.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i);
+		if (match) {
+			let ext = match[1].toLowerCase();
+			for (const [type, format] of formats) if (format.extensions.includes(ext)) return type;
+		}
+	}
+	if (!bytes) return null;
+	// formats registered later are more specific, i.e. plugins
+	let types = Array.from(formats.keys()).reverse();
+	return types.find(type => formats.get(type).detect && formats.get(type).detect(bytes)) || null;
+}
+
+// first characters of a file, to detect the text formats
+function head(bytes, length = 1024) {
+	return new TextDecoder().decode(bytes.subarray(0, length));
+}
+
+function startsWith(bytes, text) {
+	if (bytes.length < text.length) return false;
+	for (let i = 0; i < text.length; i++) if (bytes[i] !== text.charCodeAt(i)) return false;
+	return true;
+}
+
+// name of the first file in a zip archive, 3MF and USDZ are zip files
+function firstZipEntry(bytes) {
+	if (!startsWith(bytes, 'PK\u0003\u0004') || bytes.length < 30) return null;
+	let length = bytes[26] | (bytes[27] << 8);
+	return new TextDecoder().decode(bytes.subarray(30, 30 + length));
+}
+
+// binary STL files have a header of 80 bytes, the number of triangles and 50 bytes per triangle
+function isBinarySTL(bytes) {
+	if (bytes.length < 84) return false;
+	let count = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(80, true);
+	return 84 + count * 50 === bytes.length;
+}
+
+// model and animations from the result of a format parse.
+// Scans and parts are only geometries, they get a default material with their vertex colors if any
+export function toModel(result) {
+	if (result && result.isBufferGeometry) {
+		if (!result.attributes.normal) result.computeVertexNormals();
+		let colors = !!result.attributes.color;
+		result = new Mesh(result, new MeshStandardMaterial({ color: colors ? 0xffffff : 0xcccccc, vertexColors: colors }));
+	}
+	if (result && result.isObject3D) return { obj: result, animations: result.animations || [] };
+	// formats return { obj }, loaders registered by registerLoader return { object }
+	return { obj: result && (result.object || result.obj), animations: (result && result.animations) || [] };
+}
+
+registerModelFormat('mtl', {
+	extensions: ['obj'],
+	responseType: 'text',
+	detect: bytes => /^\s*(v|vn|vt|f|o|g|mtllib|usemtl)\s/m.test(head(bytes)),
+	parse: (text, context) => {
+		const loader = new OBJLoader();
+		if (context.materials) {
+			context.materials.preload();
+			loader.setMaterials(context.materials);
+		}
+		//[jscastro] MTL/GLTF/FBX models have a different structure
+		return { obj: loader.parse(text).children[0], animations: [] };
+	}
+});
+
+const gltf = { loader: GLTFLoader, extract: g => ({ object: g.scene, animations: g.animations }) };
+registerLoader('gltf', Object.assign({ extensions: ['gltf'], detect: bytes => /^\s*\{/.test(head(bytes, 64)) }, gltf));
+registerLoader('glb', Object.assign({ extensions: ['glb'], detect: bytes => startsWith(bytes, 'glTF') }, gltf));
+
+registerLoader('fbx', {
+	loader: FBXLoader,
+	extensions: ['fbx'],
+	detect: bytes => startsWith(bytes, 'Kaydara FBX Binary') || /^\s*; FBX/.test(head(bytes, 64))
+});
+
+registerLoader('dae', {
+	loader: ColladaLoader,
+	extract: collada => ({ object: collada.scene, animations: collada.animations }),
+	extensions: ['dae'],
+	responseType: 'text',
+	detect: bytes => head(bytes).includes('<COLLADA')
+});
+
+registerLoader('stl', {
+	loader: STLLoader,
+	extensions: ['stl'],
+	detect: bytes => isBinarySTL(bytes) || /^\s*solid\s/.test(head(bytes, 64))
+});
+
+registerLoader('ply', {
+	loader: PLYLoader,
+	extensions: ['ply'],
+	detect: bytes => startsWith(bytes, 'ply')
+});
+
+registerLoader('3mf', {
+	loader: ThreeMFLoader,
+	extensions: ['3mf'],
+	detect: bytes => { let entry = firstZipEntry(bytes); return entry !== null && !/\.usd[ac]?$/i.test(entry); }
+});
+
+registerLoader('usdz', {
+	loader: USDZLoader,
+	extensions: ['usdz'],
+	detect: bytes => /\.usd[ac]?$/i.test(firstZipEntry(bytes) || '')
+});
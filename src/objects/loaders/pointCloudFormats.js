@@ -0,0 +1,200 @@
+/**
+ * Parsers of the point cloud files loaded by tb.pointCloud: LAS (and LAZ through a decoder provided by the app), PLY and XYZ.
+ * Coordinates are kept as doubles, as lidar surveys need more precision than the Float32 attributes of the three.js loaders
+ */
+
+// every parser returns the same arrays, colors are 0-1 and missing attributes are null
+function cloud(count, colors, intensity, classification) {
+	return {
+		count: count,
+		positions: new Float64Array(count * 3),
+		colors: colors ? new Float32Array(count * 3) : null,
+		intensity: intensity ? new Float32Array(count) : null,
+		classification: classification ? new Uint8Array(count) : null
+	};
+}
+
+function magic(bytes, text) {
+	for (let i = 0; i < text.length; i++) if (bytes[i] !== text.charCodeAt(i)) return false;
+	return true;
+}
+
+// format of a point cloud from the extension of its url, or from its first bytes
+export function detectPointCloudFormat(url, bytes) {
+	let match = typeof url === 'string' && url.split(/[?#]/)[0].match(/\.(las|laz|ply|xyz|txt|csv)$/i);
+	if (match) {
+		let ext = match[1].toLowerCase();
+		return ext === 'txt' || ext === 'csv' ? 'xyz' : ext;
+	}
+	if (!bytes) return null;
+	// LAZ files are LAS files with the compression bit of the point format set
+	if (magic(bytes, 'LASF')) return (bytes[104] & 0x80) ? 'laz' : 'las';
+	if (magic(bytes, 'ply')) return 'ply';
+	return 'xyz';
+}
+
+// LAS 1.0 to 1.4, point formats 0 to 10
+function parseLAS(bytes) {
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	const minor = view.getUint8(25);
+	const offset = view.getUint32(96, true);
+	const format = view.getUint8(104) & 0x3f;
+	const length = view.getUint16(105, true);
+	let count = view.getUint32(107, true);
+	if (minor >= 4 && count === 0) count = Number(view.getBigUint64(247, true));
+	const scale = [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)];
+	const origin = [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)];
+	// byte offset of the red channel in every point format with colors
+	const rgb = { 2: 20, 3: 28, 5: 28, 7: 30, 8: 30, 10: 30 }[format];
+	const result = cloud(count, rgb !== undefined, true, true);
+	let colors16 = false;
+	for (let i = 0, p = offset; i < count; i++, p += length) {
+		result.positions[i * 3] = view.getInt32(p, true) * scale[0] + origin[0];
+		result.positions[i * 3 + 1] = view.getInt32(p + 4, true) * scale[1] + origin[1];
+		result.positions[i * 3 + 2] = view.getInt32(p + 8, true) * scale[2] + origin[2];
+		result.intensity[i] = view.getUint16(p + 12, true);
+		result.classification[i] = format >= 6 ? view.getUint8(p + 16) : view.getUint8(p + 15) & 0x1f;
+		if (rgb !== undefined) {
+			for (let c = 0; c < 3; c++) {
+				let v = view.getUint16(p + rgb + c * 2, true);
+				if (v > 255) colors16 = true;
+				result.colors[i * 3 + c] = v;
+			}
+		}
+	}
+	// colors are 16 bits, but some writers store them as 8 bits
+	if (result.colors) {
+		const max = colors16 ? 65535 : 255;
+		for (let i = 0; i < result.colors.length; i++) result.colors[i] /= max;
+	}
+	return result;
+}
+
+const PLY_TYPES = {
+	char: ['getInt8', 1], int8: ['getInt8', 1], uchar: ['getUint8', 1], uint8: ['getUint8', 1],
+	short: ['getInt16', 2], int16: ['getInt16', 2], ushort: ['getUint16', 2], uint16: ['getUint16', 2],
+	int: ['getInt32', 4], int32: ['getInt32', 4], uint: ['getUint32', 4], uint32: ['getUint32', 4],
+	float: ['getFloat32', 4], float32: ['getFloat32', 4], double: ['getFloat64', 8], float64: ['getFloat64', 8]
+};
+
+// vertices of an ascii or binary PLY file, the rest of the elements are ignored
+function parsePLY(bytes) {
+	const headerEnd = new TextDecoder().decode(bytes.subarray(0, Math.min(bytes.length, 4096))).indexOf('end_header');
+	if (headerEnd < 0) throw new Error("Invalid PLY header");
+	const header = new TextDecoder().decode(bytes.subarray(0, headerEnd)).split(/\r?\n/);
+	let body = headerEnd + 'end_header'.length;
+	body += bytes[body] === 13 ? 2 : 1;
+
+	let format = 'ascii';
+	let elements = [];
+	header.forEach((line) => {
+		const words = line.trim().split(/\s+/);
+		if (words[0] === 'format') format = words[1];
+		else if (words[0] === 'element') elements.push({ name: words[1], count: parseInt(words[2]), properties: [] });
+		else if (words[0] === 'property') {
+			const element = elements[elements.length - 1];
+			if (words[1] === 'list') element.properties.push({ name: words[4], list: true, countType: words[2], type: words[3] });
+			else element.properties.push({ name: words[2], type: words[1] });
+		}
+	});
+	const vertex = elements.find(e => e.name === 'vertex');
+	if (!vertex) throw new Error("PLY file without vertices");
+	const index = name => vertex.properties.findIndex(p => name.includes(p.name));
+	const fields = {
+		x: index(['x']), y: index(['y']), z: index(['z']),
+		r: index(['red', 'r']), g: index(['green', 'g']), b: index(['blue', 'b']),
+		intensity: index(['intensity', 'scalar_intensity']),
+		classification: index(['classification', 'scalar_classification'])
+	};
+	const result = cloud(vertex.count, fields.r >= 0, fields.intensity >= 0, fields.classification >= 0);
+	// 16 bits colors are scaled as 8 bits ones
+	const colorMax = fields.r >= 0 && /short|16/.test(vertex.properties[fields.r].type) ? 65535 : 255;
+	const set = (i, values) => {
+		result.positions[i * 3] = values[fields.x];
+		result.positions[i * 3 + 1] = values[fields.y];
+		result.positions[i * 3 + 2] = fields.z >= 0 ? values[fields.z] : 0;
+		if (result.colors) {
+			result.colors[i * 3] = values[fields.r] / colorMax;
+			result.colors[i * 3 + 1] = values[fields.g] / colorMax;
+			result.colors[i * 3 + 2] = values[fields.b] / colorMax;
+		}
+		if (result.intensity) result.intensity[i] = values[fields.intensity];
+		if (result.classification) result.classification[i] = values[fields.classification];
+	};
+
+	if (format === 'ascii') {
+		// vertices are the first element in almost every file, the ones before them are skipped line by line
+		const lines = new TextDecoder().decode(bytes.subarray(body)).split(/\r?\n/);
+		let line = 0;
+		for (const element of elements) {
+			if (element === vertex) break;
+			line += element.count;
+		}
+		for (let i = 0; i < vertex.count; i++) set(i, lines[line + i].trim().split(/\s+/).map(Number));
+		return result;
+	}
+
+	const little = format === 'binary_little_endian';
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	let p = body;
+	const read = (type) => {
+		const [method, size] = PLY_TYPES[type];
+		const value = view[method](p, little);
+		p += size;
+		return value;
+	};
+	for (const element of elements) {
+		for (let i = 0; i < element.count; i++) {
+			const values = element.properties.map((property) => {
+				if (!property.list) return read(property.type);
+				const n = read(property.countType);
+				for (let j = 0; j < n; j++) read(property.type);
+				return n;
+			});
+			if (element === vertex) set(i, values);
+		}
+		if (element === vertex) break;
+	}
+	return result;
+}
+
+// one point per line: x y z, x y z intensity, x y z r g b or x y z intensity r g b, separated by spaces, commas or semicolons
+function parseXYZ(bytes) {
+	const lines = new TextDecoder().decode(bytes).split(/\r?\n/)
+		.map(line => line.trim())
+		.filter(line => line && !/^[#/]/.test(line))
+		.map(line => line.split(/[\s,;]+/).map(Number))
+		.filter(values => values.length >= 3 && !values.slice(0, 3).some(isNaN));
+	const columns = lines.length ? lines[0].length : 3;
+	const hasIntensity = columns === 4 || columns >= 7;
+	const colorColumn = columns >= 7 ? 4 : (columns >= 6 ? 3 : -1);
+	const result = cloud(lines.length, colorColumn >= 0, hasIntensity, false);
+	lines.forEach((values, i) => {
+		result.positions.set(values.slice(0, 3), i * 3);
+		if (hasIntensity) result.intensity[i] = values[3];
+		if (colorColumn >= 0) for (let c = 0; c < 3; c++) result.colors[i * 3 + c] = values[colorColumn + c] / 255;
+	});
+	return result;
+}
+
+/**
+ * @param {Uint8Array} bytes content of the file
+ * @param {string} format 'las', 'laz', 'ply' or 'xyz'
+ * @param {function} lazDecoder async function returning the LAS bytes of a LAZ file, i.e. through laz-perf
+ * @returns {Promise} { count, positions, colors, intensity, classification }
+ */
+export async function parsePointCloud(bytes, format, lazDecoder) {
+	switch (format) {
+		case 'laz':
+			if (typeof lazDecoder !== 'function') throw new Error("LAZ files need a lazDecoder option to be decompressed");
+			return parseLAS(new Uint8Array(await lazDecoder(bytes)));
+		case 'las':
+			return parseLAS(bytes);
+		case 'ply':
+			return parsePLY(bytes);
+		case 'xyz':
+			return parseXYZ(bytes);
+		default:
+			throw new Error("Unknown point cloud format '" + format + "'");
+	}
+}
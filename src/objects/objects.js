@@ -6,11 +6,46 @@ import * as utils from "../utils/utils.js";
 import { BufferGeometry, BufferAttribute, LineBasicMaterial, Line, Vector3, Group, Box3Helper, PlaneGeometry, ShadowMaterial, Mesh, MeshStandardMaterial, Box3, Matrix4, Color, MeshPhongMaterial, DoubleSide } from 'three';
 import AnimationManager from "../animation/AnimationManager.js";
 import * as CSS2D from "./CSS2DRenderer.js";
+import { toLnglat } from "../utils/crs.js";
 
 function Objects(){
 
 }
 
+// threebox of the world an object is added to, or the global instance before it's added
+function threeboxOf(obj) {
+	for (let o = obj; o; o = o.parent) if (o.threebox) return o.threebox;
+	return typeof tb !== 'undefined' ? tb : null;
+}
+
+// asset manager holding the resources of an object, the one of its threebox if it holds none
+function assetsOf(obj) {
+	if (obj.assets) return obj.assets;
+	let threebox = threeboxOf(obj);
+	return threebox ? threebox.assets : null;
+}
+
+// resources shared by the copies of a model cached by tb.loadObj are disposed by its asset manager with the last copy
+function disposable(obj, resource) {
+	let assets = assetsOf(obj);
+	return !(assets && assets.owns(resource));
+}
+
+// highlights an object with the styles of its threebox, or with the bounding box of the default materials without it
+function highlight(obj, state) {
+	let threebox = threeboxOf(obj);
+	if (threebox && threebox.highlight) return threebox.highlight.apply(obj, state);
+	if (state && obj.userData.bbox && !obj.boundingBox) obj.drawBoundingBox();
+	if (!obj.boxGroup) return;
+	if (state) {
+		obj.boundingBox.material = Objects.prototype._defaults.materials[state === 'selected' ? 'boxSelectedMaterial' : 'boxOverMaterial'];
+		obj.boxGroup.visible = true;
+		obj.boundingBox.layers.enable(1);
+		obj.boundingBoxShadow.layers.enable(1);
+	}
+	else obj.boxGroup.parent.remove(obj.boxGroup);
+}
+
 Objects.prototype = {
 
 	// standard 1px line with gl
@@ -19,7 +54,7 @@ Objects.prototype = {
 		obj = utils._validate(obj, this._defaults.line);
 
 		//project to world and normalize
-		var straightProject = utils.lnglatsToWorld(obj.geometry);
+		var straightProject = utils.lnglatsToWorld(obj.geometry, utils.coordinatesCrs(obj));
 		var normalized = utils.normalizeVertices(straightProject);
 
 		//flatten array for buffergeometry
@@ -96,9 +131,11 @@ Objects.prototype = {
 			// Bestow this mesh with animation superpowers and keeps track of its movements in the global animation queue			
 			root.animationManager.enroll(obj);
 
-			// Place an object on the map at the given lnglat 
-			obj.setCoords = function (lnglat) {
+			// Place an object on the map at the given lnglat, or coordinates in the crs of the object
+			obj.setCoords = function (coords, crs = obj.crs) {
 
+				let lnglat = toLnglat(coords, crs);
+				let before = obj.coordinates.slice();
 				// CSS2DObjects could bring an specific vertical positioning to correct in units
 				if (obj.userData.topMargin && obj.userData.feature) {
 					lnglat[2] += ((obj.userData.feature.properties.height || 0) - (obj.userData.feature.properties.base_height || obj.userData.feature.properties.min_height || 0)) * (obj.userData.topMargin || 0);
@@ -106,6 +143,8 @@ Objects.prototype = {
 
 				obj.coordinates = lnglat;
 				obj.set({ position: lnglat });
+				let threebox = threeboxOf(obj);
+				if (threebox && threebox.history) threebox.history.recordChange(obj, 'setCoords', { coordinates: before }, { coordinates: lnglat.slice() });
 				return obj;
 
 			}
@@ -121,6 +160,7 @@ Objects.prototype = {
 
 				if (typeof xyz === 'number') xyz = { z: xyz }
 
+				let before = utils.degreeify(obj.rotation);
 				var r = {
 					x: utils.radify(xyz.x) || obj.rotation.x,
 					y: utils.radify(xyz.y) || obj.rotation.y,
@@ -128,6 +168,8 @@ Objects.prototype = {
 				}
 
 				obj._setObject({ rotation: [r.x, r.y, r.z] })
+				let threebox = threeboxOf(obj);
+				if (threebox && threebox.history) threebox.history.recordChange(obj, 'setRotation', { rotation: before }, { rotation: utils.degreeify(obj.rotation) });
 			}
 
 			//[jscastro] added method to adjust 3D models to their issues with center position for rotation
@@ -404,6 +446,9 @@ Objects.prototype = {
 				let t = obj.addHelp(tooltipText, tooltipName, mapboxStyle, center, height);
 				t.visible = false;
 				t.custom = custom;
+				// kept to serialize the tooltip
+				t.text = tooltipText;
+				t.mapboxStyle = mapboxStyle;
 			}
 
 			//[jscastro] remove CSS2 tooltip method
@@ -529,7 +574,7 @@ Objects.prototype = {
 				set(value) {
 					if (!obj.model || _wireframe === value) return;
 					obj.model.traverse(function (c) {
-						if (c.type == "Mesh" || c.type == "SkinnedMesh") {
+						if ((c.type == "Mesh" || c.type == "SkinnedMesh") && !c.userData.isOutline) {
 							let materials = [];
 							if (!Array.isArray(c.material)) {
 								materials.push(c.material);
@@ -545,7 +590,7 @@ Objects.prototype = {
 							} else {
 								c.material.dispose();
 								c.material = c.userData.materials;
-								c.userData.materials.dispose();
+								if (disposable(obj, c.userData.materials)) c.userData.materials.dispose();
 								c.userData.materials = null;
 							}
 
@@ -568,7 +613,7 @@ Objects.prototype = {
 				set(value) {
 					if (!obj.model || _color === value) return;
 					obj.model.traverse(function (c) {
-						if (c.type == "Mesh" || c.type == "SkinnedMesh") {
+						if ((c.type == "Mesh" || c.type == "SkinnedMesh") && !c.userData.isOutline) {
 							let materials = [];
 							if (!Array.isArray(c.material)) {
 								materials.push(c.material);
@@ -583,7 +628,7 @@ Objects.prototype = {
 							} else {
 								c.material.dispose();
 								c.material = c.userData.materials;
-								c.userData.materials.dispose();
+								if (disposable(obj, c.userData.materials)) c.userData.materials.dispose();
 								c.userData.materials = null;
 							}
 
@@ -600,19 +645,13 @@ Objects.prototype = {
 				get() { return _selected; },
 				set(value) {
 					if (value) {
-						if (obj.userData.bbox && !obj.boundingBox) obj.drawBoundingBox();
-						if (obj.boxGroup) {
-							obj.boundingBox.material = Objects.prototype._defaults.materials.boxSelectedMaterial;
-							obj.boundingBox.parent.visible = true;
-							obj.boundingBox.layers.enable(1);
-							obj.boundingBoxShadow.layers.enable(1);
-						}
+						//bounding box, tint and outline of the selection style of threebox or the layer
+						highlight(obj, 'selected');
 						if (obj.label && !obj.label.alwaysVisible) obj.label.visible = true;
 					}
 					else {
-						if (obj.boxGroup) {
-							obj.remove(obj.boxGroup); //remove the box group
-						}
+						//the over style is kept while the mouse is over the object
+						highlight(obj, _over ? 'over' : null);
 						if (obj.label && !obj.label.alwaysVisible) obj.label.visible = false;
 						obj.removeHelp();
 					}
@@ -633,7 +672,7 @@ Objects.prototype = {
 				set(value) {
 					if (!obj.model || _raycasted === value) return;
 					obj.model.traverse(function (c) {
-						if (c.type == "Mesh" || c.type == "SkinnedMesh") {
+						if ((c.type == "Mesh" || c.type == "SkinnedMesh") && !c.userData.isOutline) {
 							if (!value) { c.layers.disable(0); c.layers.enable(1); } else { c.layers.disable(1); c.layers.enable(0); }
 						}
 					});
@@ -648,14 +687,8 @@ Objects.prototype = {
 				set(value) {
 					if (value) {
 						if (!obj.selected) {
-							if (obj.userData.bbox && !obj.boundingBox) obj.drawBoundingBox();
 							if (obj.userData.tooltip && !obj.tooltip) obj.addTooltip(obj.uuid, true, obj.anchor, false);
-							if (obj.boxGroup) {
-								obj.boundingBox.material = Objects.prototype._defaults.materials.boxOverMaterial;
-								obj.boundingBox.parent.visible = true;
-								obj.boundingBox.layers.enable(1);
-								obj.boundingBoxShadow.layers.enable(1);
-							}
+							highlight(obj, 'over');
 						}
 						if (obj.label && !obj.label.alwaysVisible) { obj.label.visible = true; }
 						// Dispatch new event ObjectOver
@@ -664,10 +697,8 @@ Objects.prototype = {
 					}
 					else {
 						if (!obj.selected) {
-							if (obj.boxGroup) {
-								obj.remove(obj.boxGroup); //remove the box group
-								if (obj.tooltip && !obj.tooltip.custom) obj.removeTooltip();
-							}
+							if (obj.boxGroup && obj.tooltip && !obj.tooltip.custom) obj.removeTooltip();
+							highlight(obj, null);
 							if (obj.label && !obj.label.alwaysVisible) { obj.label.visible = false; }
 						}
 						// Dispatch new event ObjectOver
@@ -740,6 +771,30 @@ Objects.prototype = {
 				}
 			});
 
+			//altitude of the coordinates: 'absolute' over the sea level, 'relativeToGround' over the terrain or 'clampToGround' on it
+			Object.defineProperty(obj, 'altitudeMode', {
+				get() { return obj.userData.altitudeMode || 'absolute'; },
+				set(value) {
+					obj.userData.altitudeMode = value;
+					obj._setObject({ position: obj.coordinates.slice() });
+				}
+			});
+
+			//reference of the absolute altitudes: 'geoid' over the sea level as the map terrain, 'ellipsoid' over WGS84 as GPS heights,
+			//or 'terrain' over the ground as altitudeMode 'relativeToGround'
+			Object.defineProperty(obj, 'heightReference', {
+				get() { return obj.userData.heightReference || 'geoid'; },
+				set(value) {
+					obj.userData.heightReference = value;
+					obj._setObject({ position: obj.coordinates.slice() });
+				}
+			});
+
+			//crs of the coordinates given to setCoords and the animations, obj.coordinates are always WGS84 lnglats
+			Object.defineProperty(obj, 'crs', {
+				get() { return utils.coordinatesCrs(obj.userData); }
+			});
+
 			//[jscastro] added property to calculate the units per meter in a given latitude
 			//reduced to 7 decimals to avoid deviations on the size of the same object  
 			Object.defineProperty(obj, 'unitsPerMeter', {
@@ -804,7 +859,7 @@ Objects.prototype = {
 			if (!o) return;
 			o.traverse(m => {
 				//console.log('dispose geometry!')
-				if (m.geometry) m.geometry.dispose();
+				if (m.geometry && disposable(obj, m.geometry)) m.geometry.dispose();
 				if (m.material) {
 					if (m.material.isMaterial) {
 						cleanMaterial(m.material)
@@ -830,6 +885,8 @@ Objects.prototype = {
 				dupe.userData.feature.properties.uuid = dupe.uuid;
 			}
 			root._addMethods(dupe); // add methods
+			// the copy shares the geometries, materials and textures of a cached model
+			if (obj.assets) obj.assets.share(obj, dupe);
 
 			if (!options || utils.equal(options.scale, obj.userData.scale)) {
 				//no options, no changes, just return the same object
@@ -878,14 +935,18 @@ Objects.prototype = {
 		obj.dispose = function () {
 
 			Objects.prototype.unenroll(obj);
+			// the original materials are restored to be disposed instead of the copies highlighted
+			highlight(obj, null);
 
 			obj.traverse(o => {
 				//don't dispose th object itself as it will be recursive
 				if (o.parent && o.parent.name == "world") return;
 				if (o.name === "threeboxObject") return;
+				// the outline shares the geometry of its mesh and a material of tb.highlight
+				if (o.userData.isOutline) return;
 
 				//console.log('dispose geometry!')
-				if (o.geometry) o.geometry.dispose();
+				if (o.geometry && disposable(obj, o.geometry)) o.geometry.dispose();
 
 				if (o.material) {
 					if (o.material.isMaterial) {
@@ -898,19 +959,22 @@ Objects.prototype = {
 				if (o.dispose) o.dispose();
 
 			})
+			// the shared resources are disposed if this was their last copy
+			if (obj.assets) obj.assets.release(obj);
 
 			obj.children = [];
 
 		}
 
 		const cleanMaterial = material => {
+			if (!disposable(obj, material)) return;
 			//console.log('dispose material!')
 			material.dispose()
 
 			// dispose textures
 			for (const key of Object.keys(material)) {
 				const value = material[key]
-				if (value && typeof value === 'object' && 'minFilter' in value) {
+				if (value && typeof value === 'object' && 'minFilter' in value && disposable(obj, value)) {
 					//console.log('dispose texture!')
 					value.dispose()
 				}
@@ -918,17 +982,17 @@ Objects.prototype = {
 			let m = material;
 			let md = (m.map || m.alphaMap || m.aoMap || m.bumpMap || m.displacementMap || m.emissiveMap || m.envMap || m.lightMap || m.metalnessMap || m.normalMap || m.roughnessMap)
 			if (md) {
-				if (m.map) m.map.dispose();
-				if (m.alphaMap) m.alphaMap.dispose();
-				if (m.aoMap) m.aoMap.dispose();
-				if (m.bumpMap) m.bumpMap.dispose();
-				if (m.displacementMap) m.displacementMap.dispose();
-				if (m.emissiveMap) m.emissiveMap.dispose();
-				if (m.envMap) m.envMap.dispose();
-				if (m.lightMap) m.lightMap.dispose();
-				if (m.metalnessMap) m.metalnessMap.dispose();
-				if (m.normalMap) m.normalMap.dispose();
-				if (m.roughnessMap) m.roughnessMap.dispose();
+				if (m.map && disposable(obj, m.map)) m.map.dispose();
+				if (m.alphaMap && disposable(obj, m.alphaMap)) m.alphaMap.dispose();
+				if (m.aoMap && disposable(obj, m.aoMap)) m.aoMap.dispose();
+				if (m.bumpMap && disposable(obj, m.bumpMap)) m.bumpMap.dispose();
+				if (m.displacementMap && disposable(obj, m.displacementMap)) m.displacementMap.dispose();
+				if (m.emissiveMap && disposable(obj, m.emissiveMap)) m.emissiveMap.dispose();
+				if (m.envMap && disposable(obj, m.envMap)) m.envMap.dispose();
+				if (m.lightMap && disposable(obj, m.lightMap)) m.lightMap.dispose();
+				if (m.metalnessMap && disposable(obj, m.metalnessMap)) m.metalnessMap.dispose();
+				if (m.normalMap && disposable(obj, m.normalMap)) m.normalMap.dispose();
+				if (m.roughnessMap && disposable(obj, m.roughnessMap)) m.roughnessMap.dispose();
 			}
 		}
 
@@ -1018,7 +1082,10 @@ Objects.prototype = {
 			geometry: null,
 			color: 'black',
 			width: 1,
-			opacity: 1
+			opacity: 1,
+			drape: false,
+			drapeOffset: 0,
+			crs: ''
 		},
 
 		label: {
@@ -1044,8 +1111,10 @@ Objects.prototype = {
 			anchor: 'bottom-left',
 			bbox: true,
 			tooltip: true,
-			raycasted: true
-
+			raycasted: true,
+			altitudeMode: 'absolute',
+			heightReference: 'geoid',
+			crs: ''
 		},
 
 		tube: {
@@ -1057,11 +1126,16 @@ Objects.prototype = {
 			anchor: 'center',
 			bbox: true,
 			tooltip: true,
-			raycasted: true
+			raycasted: true,
+			altitudeMode: 'absolute',
+			heightReference: 'geoid',
+			drape: false,
+			drapeOffset: 0,
+			crs: ''
 		},
 
 		loadObj: {
-			type: null,
+			type: '',
 			obj: null,
 			units: 'scene',
 			scale: 1,
@@ -1071,8 +1145,35 @@ Objects.prototype = {
 			bbox: true,
 			tooltip: true,
 			raycasted: true,
+			altitudeMode: 'absolute',
+			heightReference: 'geoid',
 			clone: true,
-			withCredentials: false
+			withCredentials: false,
+			crs: ''
+		},
+
+		instances: {
+			positions: null,
+			units: 'meters',
+			raycasted: true,
+			crs: ''
+		},
+
+		pointCloud: {
+			url: '',
+			positions: false,
+			format: '',
+			colorBy: 'rgb',
+			classificationColors: {},
+			pointSize: 2,
+			sizeAttenuation: false,
+			opacity: 1,
+			lodZoom: false,
+			project: false,
+			lazDecoder: false,
+			raycasted: true,
+			withCredentials: false,
+			crs: ''
 		},
 
 		Object3D: {
@@ -1081,7 +1182,10 @@ Objects.prototype = {
 			anchor: 'bottom-left',
 			bbox: true,
 			tooltip: true, 
-			raycasted: true
+			raycasted: true,
+			altitudeMode: 'absolute',
+			heightReference: 'geoid',
+			crs: ''
 		},
 
 		extrusion: {
@@ -1095,15 +1199,19 @@ Objects.prototype = {
 			anchor: 'center',
 			bbox: true,
 			tooltip: true,
-			raycasted: true
-
+			raycasted: true,
+			altitudeMode: 'absolute',
+			heightReference: 'geoid',
+			crs: ''
 		}
 	},
 
 	geometries: {
-		line: ['LineString'],
-		tube: ['LineString'],
-		sphere: ['Point'],
+		line: ['LineString', 'MultiLineString'],
+		tube: ['LineString', 'MultiLineString'],
+		sphere: ['Point', 'MultiPoint'],
+		loadObj: ['Point', 'MultiPoint'],
+		extrusion: ['Polygon', 'MultiPolygon']
 	}
 }
 
@@ -0,0 +1,230 @@
+/**
+ * Point clouds (i.e. lidar surveys) drawn as a single THREE.Points in lnglat coordinates
+ */
+import { BufferGeometry, Color, Float32BufferAttribute, Group, Points, PointsMaterial } from "three";
+import * as utils from "../utils/utils.js";
+import Objects from './objects.js';
+import { toLnglat } from '../utils/crs.js';
+
+// ASPRS standard lidar point classes
+const classificationColors = {
+	0: 0x999999, 1: 0xaaaaaa, 2: 0xa0522d, 3: 0x9acd32, 4: 0x32cd32, 5: 0x228b22, 6: 0xe34234,
+	7: 0xff00ff, 8: 0xffff00, 9: 0x1e90ff, 10: 0x8b4513, 11: 0x696969, 12: 0xffd700, 13: 0xffffe0,
+	14: 0xfffacd, 15: 0xd3d3d3, 16: 0xf0e68c, 17: 0x8a2be2, 18: 0xff1493
+};
+
+// points from the positions option, [lng, lat, alt] and optional colors ([r, g, b] 0-255), intensity and classification arrays
+function fromArrays(opt) {
+	const count = opt.positions.length;
+	return {
+		count: count,
+		positions: Float64Array.from(opt.positions.flatMap(p => [p[0], p[1], p[2] || 0])),
+		colors: opt.colors ? Float32Array.from(opt.colors.flatMap(c => [c[0] / 255, c[1] / 255, c[2] / 255])) : null,
+		intensity: opt.intensity ? Float32Array.from(opt.intensity) : null,
+		classification: opt.classification ? Uint8Array.from(opt.classification) : null
+	};
+}
+
+// min and max of every nth value of an array
+function range(values, stride = 1, offset = 0) {
+	let min = Infinity, max = -Infinity;
+	for (let i = offset; i < values.length; i += stride) {
+		if (values[i] < min) min = values[i];
+		if (values[i] > max) max = values[i];
+	}
+	return [min, max];
+}
+
+/**
+ *
+ * @param {any} opt must fit the default defined in Objects.prototype._defaults.pointCloud
+ * @param {object} data points parsed from a file, { count, positions, colors, intensity, classification }. Without it opt.positions is used
+ */
+function pointCloud(opt, data) {
+
+	opt = utils._validate(opt, Objects.prototype._defaults.pointCloud);
+	if (!data) data = fromArrays(opt);
+	const count = data.count;
+
+	// lnglat of every point, files in projected coordinates are converted through opt.project or from their crs
+	const crs = utils.coordinatesCrs(opt);
+	const coords = new Float64Array(count * 3);
+	let center = [0, 0];
+	for (let i = 0; i < count; i++) {
+		let p = [data.positions[i * 3], data.positions[i * 3 + 1], data.positions[i * 3 + 2]];
+		p = opt.project ? opt.project(p) : toLnglat(p, crs);
+		coords.set([p[0], p[1], p[2] || 0], i * 3);
+		center[0] += p[0] / count;
+		center[1] += p[1] / count;
+	}
+
+	// points are drawn in a random order, so any number of them from the start is an even sample for the level of detail
+	const order = new Uint32Array(count);
+	for (let i = 0; i < count; i++) order[i] = i;
+	let seed = 1;
+	for (let i = count - 1; i > 0; i--) {
+		seed = (seed * 16807) % 2147483647;
+		let j = seed % (i + 1);
+		let t = order[i]; order[i] = order[j]; order[j] = t;
+	}
+
+	let container = new Group();
+	container.name = "threeboxObject";
+	container.userData = opt;
+	container.userData.isGeoGroup = true;
+	container.isPointCloud = true;
+	container.count = count;
+	// points are placed relative to the center of the cloud to keep float32 precision
+	container.position.copy(utils.projectToWorld(center));
+
+	const positions = new Float32Array(count * 3);
+	for (let i = 0; i < count; i++) {
+		let s = order[i];
+		let p = utils.projectToWorld([coords[s * 3], coords[s * 3 + 1], coords[s * 3 + 2]]).sub(container.position);
+		positions.set([p.x, p.y, p.z], i * 3);
+	}
+	let geometry = new BufferGeometry();
+	geometry.setAttribute('position', new Float32BufferAttribute(positions, 3));
+	geometry.setAttribute('color', new Float32BufferAttribute(new Float32Array(count * 3), 3));
+
+	let material = new PointsMaterial({ size: opt.pointSize, sizeAttenuation: opt.sizeAttenuation, vertexColors: true, transparent: opt.opacity < 1, opacity: opt.opacity });
+	let points = new Points(geometry, material);
+	points.name = "pointCloud";
+	if (!opt.raycasted) { points.layers.disable(0); points.layers.enable(1); }
+	container.add(points);
+
+	// colors of the points by 'rgb', 'intensity', 'elevation' or 'classification'
+	container.setColorBy = function (colorBy) {
+		if (colorBy === 'rgb' && !data.colors) colorBy = 'elevation';
+		if (colorBy === 'intensity' && !data.intensity) colorBy = 'elevation';
+		if (colorBy === 'classification' && !data.classification) colorBy = 'elevation';
+		const palette = Object.assign({}, classificationColors, opt.classificationColors);
+		const [minAlt, maxAlt] = range(coords, 3, 2);
+		const [minIntensity, maxIntensity] = data.intensity ? range(data.intensity) : [0, 0];
+		const colors = geometry.attributes.color;
+		const c = new Color();
+		for (let i = 0; i < count; i++) {
+			let s = order[i];
+			switch (colorBy) {
+				case 'rgb':
+					c.setRGB(data.colors[s * 3], data.colors[s * 3 + 1], data.colors[s * 3 + 2]);
+					break;
+				case 'intensity': {
+					let v = maxIntensity > minIntensity ? (data.intensity[s] - minIntensity) / (maxIntensity - minIntensity) : 1;
+					c.setRGB(v, v, v);
+					break;
+				}
+				case 'classification':
+					c.set(palette[data.classification[s]] !== undefined ? palette[data.classification[s]] : 0xffffff);
+					break;
+				default: {
+					// blue for the lowest points to red for the highest ones
+					let t = maxAlt > minAlt ? (coords[s * 3 + 2] - minAlt) / (maxAlt - minAlt) : 0;
+					c.setHSL((1 - t) * 0.66, 1, 0.5);
+				}
+			}
+			colors.setXYZ(i, c.r, c.g, c.b);
+		}
+		colors.needsUpdate = true;
+		container.colorBy = colorBy;
+		tb.map.repaint = true;
+		return container;
+	}
+
+	// values of a point by its index in the source data
+	container.getPoint = function (i) {
+		if (i < 0 || i >= count) return null;
+		return {
+			coordinates: [coords[i * 3], coords[i * 3 + 1], coords[i * 3 + 2]],
+			color: data.colors ? [data.colors[i * 3], data.colors[i * 3 + 1], data.colors[i * 3 + 2]] : null,
+			intensity: data.intensity ? data.intensity[i] : null,
+			classification: data.classification ? data.classification[i] : null
+		};
+	}
+
+	// index in the source data of a point raycasted, points are drawn in a different order
+	container.getPointIndex = function (index) {
+		return order[index];
+	}
+
+	// level of detail, from opt.lodZoom all the points are drawn and every zoom level below draws a quarter of them
+	container.setZoom = function (zoom) {
+		let drawn = count;
+		if (opt.lodZoom !== false && zoom < opt.lodZoom) drawn = Math.max(1, Math.ceil(count * Math.pow(4, zoom - opt.lodZoom)));
+		if (geometry.drawRange.count !== drawn) {
+			geometry.setDrawRange(0, drawn);
+			tb.map.repaint = true;
+		}
+		return container;
+	}
+
+	Object.defineProperty(container, 'drawnPoints', {
+		get() { return Math.min(count, geometry.drawRange.count); }
+	});
+
+	//same visibility values than the rest of the threebox objects
+	Object.defineProperty(container, 'visibility', {
+		get() { return container.visible; },
+		set(value) {
+			if (value == 'visible' || value == true) container.visible = true;
+			else if (value == 'none' || value == false) container.visible = false;
+		}
+	});
+
+	let _selectedPoint = null;
+	//index in the source data of the point selected through the map click
+	Object.defineProperty(container, 'selectedPoint', {
+		get() { return _selectedPoint; }
+	});
+
+	// receives the index of the point raycasted
+	container.selectPoint = function (index) {
+		let i = order[index];
+		if (_selectedPoint === i) return;
+		_selectedPoint = i;
+		if (_selected) container.dispatchEvent({ type: 'SelectedChange', detail: container });
+	}
+
+	let _selected = false;
+	Object.defineProperty(container, 'selected', {
+		get() { return _selected; },
+		set(value) {
+			if (!value) _selectedPoint = null;
+			if (_selected != value) {
+				_selected = value;
+				// Dispatch new event SelectedChange
+				container.dispatchEvent({ type: 'SelectedChange', detail: container });
+			}
+		}
+	});
+
+	let _overedPoint = null;
+	Object.defineProperty(container, 'overedPoint', {
+		get() { return _overedPoint; }
+	});
+
+	let _over = false;
+	Object.defineProperty(container, 'over', {
+		get() { return _over; },
+		set(value) {
+			if (!value) _overedPoint = null;
+			_over = value;
+			container.dispatchEvent({ type: (value ? 'ObjectMouseOver' : 'ObjectMouseOut'), detail: container });
+		}
+	});
+
+	container.overPoint = function (index) {
+		_overedPoint = order[index];
+	}
+
+	container.dispose = function () {
+		geometry.dispose();
+		material.dispose();
+		container.children = [];
+	}
+
+	container.setColorBy(opt.colorBy);
+	return container;
+}
+
+export default pointCloud;
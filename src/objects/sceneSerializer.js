@@ -0,0 +1,244 @@
+/**
+ * Serialization of the threebox objects in tb.world to plain JSON and back.
+ * Objects are rebuilt through the same Threebox factory methods that created them,
+ * that's why every factory method stamps its kind and creation options through `stamp`.
+ */
+import { ObjectLoader } from "three";
+import { degreeify } from "../utils/utils.js";
+import { WGS84 } from "../utils/crs.js";
+
+const SCENE_VERSION = 1;
+
+// kinds that can be rebuilt from their creation options
+const kinds = ['sphere', 'tube', 'extrusion', 'line', 'label', 'Object3D', 'loadObj', 'pointCloud', 'instances'];
+
+// keeps the kind and a JSON safe copy of the creation options in the object userData
+export function stamp(obj, kind, options) {
+	if (obj && obj.userData) obj.userData.factory = { kind: kind, options: toJSONValue(options, ['factory', 'feature', 'mapScale']) };
+	return obj;
+}
+
+// deep copy with only the values that survive JSON, colors as hex strings, html elements as html and vectors as arrays.
+// THREE instances such as materials and meshes are dropped as they can't be rebuilt from options
+function toJSONValue(value, skip) {
+	if (value === null || value === undefined) return value;
+	switch (typeof value) {
+		case 'number':
+		case 'string':
+		case 'boolean':
+			return value;
+		case 'object':
+			if (value.isColor) return '#' + value.getHexString();
+			if (value.isVector3) return [value.x, value.y, value.z];
+			if (value.isEuler) return [value.x, value.y, value.z];
+			if (typeof value.outerHTML === 'string') return value.outerHTML;
+			if (Array.isArray(value)) return value.map(v => toJSONValue(v));
+			if (Object.getPrototypeOf(value) !== Object.prototype) return undefined;
+			let result = {};
+			Object.keys(value).forEach((key) => {
+				if (skip && skip.includes(key)) return;
+				let v = toJSONValue(value[key]);
+				if (v !== undefined) result[key] = v;
+			});
+			return result;
+		default:
+			return undefined;
+	}
+}
+
+// pending animations of the queue, callbacks are not serialized
+function exportAnimation(obj) {
+	if (!obj.animationQueue || obj.animationQueue.length === 0) return undefined;
+	let animations = [];
+	obj.animationQueue.forEach((item) => {
+		let p = item.parameters;
+		let timeline = item.timeline;
+		if (!p.expiration) return;
+		// playback of the timeline, only the values that differ from the defaults
+		let playback = {};
+		if (timeline.loop) playback.loop = true;
+		if (timeline.reversed) playback.reverse = true;
+		if (timeline.playbackRate !== 1) playback.playbackRate = timeline.playbackRate;
+		if (timeline.paused) playback.paused = true;
+		if (p.persist) playback.persist = true;
+		if (p.easingName) playback.easing = p.easingName;
+		switch (item.type) {
+			case 'followPath':
+				animations.push(Object.assign({ type: item.type, path: toJSONValue(p.path), duration: p.duration, trackHeading: p.trackHeading, elapsed: timeline.time }, playback));
+				break;
+			case 'followTrajectory':
+				animations.push(Object.assign({ type: item.type, coordinates: toJSONValue(p.coordinates), timestamps: p.trajectory.times.slice(), trackHeading: p.trackHeading, headingSmoothing: p.headingSmoothing, maxGap: isFinite(p.maxGap) ? p.maxGap : undefined, sync: p.sync, timeOffset: p.timeOffset, elapsed: timeline.time }, playback));
+				break;
+			case 'playDefault':
+				animations.push(Object.assign({ type: item.type, duration: p.duration, speed: p.speed, elapsed: timeline.time }, playback));
+				break;
+			case 'set':
+				// the current state is already exported, so only the remaining part is kept
+				animations.push({ type: item.type, coords: toJSONValue(p.coords), rotation: toJSONValue(p.rotation), scale: toJSONValue(p.scale), duration: Math.max(timeline.duration - timeline.time, 1) });
+				break;
+		}
+	});
+	return animations.length ? animations : undefined;
+}
+
+function exportObject(obj) {
+	let factory = obj.userData && obj.userData.factory;
+	if (!factory || !kinds.includes(factory.kind)) {
+		console.warn("Object " + (obj.name || obj.uuid) + " was not created through a Threebox factory method and can't be exported.");
+		return;
+	}
+
+	let entry = {
+		kind: factory.kind,
+		options: JSON.parse(JSON.stringify(factory.options)),
+		layer: obj.layer,
+		source: obj.source
+	};
+
+	// the mesh of an Object3D is only kept as THREE.js JSON
+	if (entry.kind === 'Object3D' && obj.model) entry.options.obj = obj.model.toJSON();
+
+	// lines and point clouds are static meshes positioned by their geometry
+	if (entry.kind === 'line' || entry.kind === 'pointCloud') return entry;
+
+	// instances are created again at their current positions in WGS84, with the ones hidden and colored
+	if (entry.kind === 'instances') {
+		let indexes = Array.from({ length: obj.count }, (v, i) => i);
+		entry.options.positions = indexes.map(i => obj.getCoords(i).concat([obj.getRotation(i), obj.getScale(i)]));
+		delete entry.options.crs;
+		entry.hidden = indexes.filter(i => !obj.getVisibility(i));
+		entry.colors = {};
+		indexes.forEach((i) => {
+			let color = toJSONValue(obj.getColor(i));
+			if (color !== null && color !== undefined) entry.colors[i] = color;
+		});
+		return entry;
+	}
+
+	entry.coordinates = obj.coordinates ? obj.coordinates.slice() : undefined;
+	entry.rotation = degreeify(obj.rotation);
+	entry.scale = [obj.scale.x, obj.scale.y, obj.scale.z];
+	if (obj.tooltip && obj.tooltip.custom) entry.tooltip = { text: obj.tooltip.text, mapboxStyle: obj.tooltip.mapboxStyle };
+	if (obj.label && entry.kind !== 'label') entry.label = { html: obj.label.element.innerHTML, alwaysVisible: obj.label.alwaysVisible };
+	if (obj.isPlaying !== undefined) entry.animation = exportAnimation(obj);
+	return entry;
+}
+
+/**
+ * @param {Threebox} threebox
+ * @returns {object} JSON safe scene with all the threebox objects in tb.world
+ */
+export function exportScene(threebox) {
+	let objects = [];
+	threebox.world.children.forEach((obj) => {
+		// tilesets are streamed from their url, they're not part of the scene
+		if (obj.userData.tileset) return;
+		let entry = exportObject(obj);
+		if (entry) objects.push(entry);
+	});
+	return { version: SCENE_VERSION, objects: objects };
+}
+
+// creates the object through the factory method of its kind, models are loaded through tb.loadObj to use objectsCache
+function createObject(threebox, entry) {
+	let options = JSON.parse(JSON.stringify(entry.options));
+	switch (entry.kind) {
+		case 'loadObj':
+			return threebox.loadObj(options).catch((error) => {
+				console.error(error.message);
+				return null;
+			});
+		case 'pointCloud':
+			return threebox.pointCloud(options).catch((error) => {
+				console.error(error.message);
+				return null;
+			});
+		case 'instances':
+			return threebox.instances(options).catch((error) => {
+				console.error(error.message);
+				return null;
+			});
+		case 'Object3D':
+			options.obj = new ObjectLoader().parse(options.obj);
+			return Promise.resolve(threebox.Object3D(options));
+		default:
+			return Promise.resolve(threebox[entry.kind](options));
+	}
+}
+
+function restoreAnimation(obj, animations) {
+	animations.forEach((a) => {
+		let playback = { loop: a.loop, reverse: a.reverse, playbackRate: a.playbackRate, persist: a.persist, easing: a.easing };
+		switch (a.type) {
+			case 'followPath':
+				obj.followPath(Object.assign({ path: a.path, duration: a.duration, trackHeading: a.trackHeading }, playback));
+				break;
+			case 'followTrajectory':
+				obj.followTrajectory(Object.assign({ coordinates: a.coordinates, timestamps: a.timestamps, trackHeading: a.trackHeading, headingSmoothing: a.headingSmoothing, maxGap: a.maxGap, sync: a.sync, timeOffset: a.timeOffset }, playback));
+				break;
+			case 'playDefault':
+				obj.playDefault(Object.assign({ duration: a.duration, speed: a.speed }, playback));
+				break;
+			case 'set':
+				obj.set({ coords: a.coords, rotation: a.rotation, scale: a.scale, duration: a.duration });
+				break;
+		}
+		// continue the animation where it was exported
+		let item = obj.animationQueue[obj.animationQueue.length - 1];
+		if (item && item.timeline) {
+			if (a.elapsed !== undefined) item.timeline.seek(a.elapsed);
+			if (a.paused) item.timeline.pause();
+		}
+	});
+}
+
+async function importObject(threebox, entry) {
+	if (!kinds.includes(entry.kind)) {
+		console.warn("Unknown object kind '" + entry.kind + "' in scene.");
+		return null;
+	}
+	let obj = await createObject(threebox, entry);
+	if (!obj) {
+		console.error("Could not import object of kind '" + entry.kind + "'.");
+		return null;
+	}
+
+	if (entry.kind === 'instances') {
+		(entry.hidden || []).forEach(i => obj.setVisibility(i, false));
+		Object.keys(entry.colors || {}).forEach(i => obj.setColor(Number(i), entry.colors[i]));
+	}
+	else if (entry.kind !== 'line' && entry.kind !== 'pointCloud') {
+		if (entry.coordinates) obj.setCoords(entry.coordinates.slice(), WGS84);
+		if (entry.rotation) obj.set({ rotation: entry.rotation });
+		// scale of objects in meters is recalculated from their latitude
+		if (entry.scale && obj.userData.units === 'scene' && !obj.fixedZoom) obj.set({ scale: entry.scale });
+		if (entry.tooltip) obj.addTooltip(entry.tooltip.text, entry.tooltip.mapboxStyle);
+		if (entry.label) obj.addLabel(entry.label.html, entry.label.alwaysVisible);
+		if (entry.animation) restoreAnimation(obj, entry.animation);
+	}
+	return obj;
+}
+
+/**
+ * @param {Threebox} threebox
+ * @param {object|string} json scene returned by exportScene
+ * @returns {Promise<Array>} objects created, in the same order than the scene
+ */
+export async function importScene(threebox, json) {
+	let scene = typeof json === 'string' ? JSON.parse(json) : json;
+	if (!scene || !Array.isArray(scene.objects)) {
+		console.error("Invalid scene provided to importScene()");
+		return [];
+	}
+	if (scene.version > SCENE_VERSION) console.warn("Scene version " + scene.version + " is newer than the supported one (" + SCENE_VERSION + ").");
+
+	let objects = await Promise.all(scene.objects.map(entry => importObject(threebox, entry)));
+	// the objects are added once all of them are created, so the import is undone in a single step of tb.history
+	threebox.history.batch('import', () => {
+		objects.forEach((obj, i) => {
+			if (obj) threebox.add(obj, scene.objects[i].layer, scene.objects[i].source);
+		});
+	});
+	threebox.repaint();
+	return objects.filter(o => o);
+}
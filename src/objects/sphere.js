@@ -15,7 +15,7 @@ function Sphere(opt) {
 	let mat = material(opt)
 	let output = new Mesh(geometry, mat);
 	//[jscastro] we convert it in Object3D to add methods, bounding box, model, tooltip...
-	return new Object3D({ obj: output, units: opt.units, anchor: opt.anchor, adjustment: opt.adjustment, bbox: opt.bbox, tooltip: opt.tooltip, raycasted: opt.raycasted });
+	return new Object3D({ obj: output, units: opt.units, anchor: opt.anchor, adjustment: opt.adjustment, rotation: opt.rotation, scale: opt.scale, bbox: opt.bbox, tooltip: opt.tooltip, raycasted: opt.raycasted, altitudeMode: opt.altitudeMode, heightReference: opt.heightReference, crs: opt.crs });
 
 }
 
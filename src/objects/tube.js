@@ -7,11 +7,51 @@ import material from "../utils/material.js";
 import Objects from './objects.js';
 import { Vector3, CatmullRomCurve3, TubeGeometry, Mesh } from "three";
 import Object3D from './Object3D.js';
+import { drapeZoom, drapeCoordinates } from './drape.js';
+import { toLnglat, WGS84 } from '../utils/crs.js';
+
+// tube over the terrain from lnglat coordinates, placed at their center and rebuilt as the terrain resolution changes
+function drapedTube(opt) {
+
+	const lnglats = opt.geometry.map(p => toLnglat(p, utils.coordinatesCrs(opt)));
+	let lngs = lnglats.map(p => p[0]);
+	let lats = lnglats.map(p => p[1]);
+	const center = [(Math.min(...lngs) + Math.max(...lngs)) / 2, (Math.min(...lats) + Math.max(...lats)) / 2, 0];
+	let zoom = drapeZoom(tb.map.getZoom());
+
+	// vertices relative to the object coordinates in the units of the tube, the coordinates follow the object when it's moved
+	function geometry(origin) {
+		let o = utils.projectToWorld(origin);
+		let units = opt.units === 'meters' ? utils.projectedUnitsPerMeter(origin[1]) : 1;
+		let coords = lnglats.map(p => [p[0] + origin[0] - center[0], p[1] + origin[1] - center[1]]);
+		let points = drapeCoordinates(coords, zoom, opt.drapeOffset).map(p => utils.projectToWorld(p).sub(o).divideScalar(units));
+		return new TubeGeometry(new CatmullRomCurve3(points), points.length, opt.radius, opt.sides, false);
+	}
+
+	let mesh = new Mesh(geometry(center), material(opt));
+	// the vertices have the terrain elevation, so the object is placed at altitude 0
+	let obj = new Object3D({ obj: mesh, units: opt.units, anchor: 'none', bbox: opt.bbox, tooltip: opt.tooltip, raycasted: opt.raycasted, altitudeMode: 'absolute' });
+	obj.setCoords(center, WGS84);
+
+	// rebuilds the tube when the terrain resolution changes with the zoom, or always if forced (i.e. terrain tiles loaded)
+	obj.updateDrape = function (force) {
+		let z = drapeZoom(tb.map.getZoom());
+		if (z === zoom && !force) return;
+		zoom = z;
+		mesh.geometry.dispose();
+		mesh.geometry = geometry(obj.coordinates);
+		tb.map.repaint = true;
+	}
+	obj.addEventListener('ObjectChanged', (e) => { if (e.detail.action.position) obj.updateDrape(true); });
+
+	return obj;
+}
 
 function tube(opt, world){
 
 	// validate and prep input geometry
 	opt = utils._validate(opt, Objects.prototype._defaults.tube);
+	if (opt.drape) return drapedTube(opt);
 
 	let points = []
 	opt.geometry.forEach(p => {
@@ -22,7 +62,7 @@ function tube(opt, world){
 	let mat = material(opt);
 	let obj = new Mesh(tube, mat);
 	//[jscastro] we convert it in Object3D to add methods, bounding box, model, tooltip...
-	return new Object3D({ obj: obj, units: opt.units, anchor: opt.anchor, adjustment: opt.adjustment, bbox: opt.bbox, tooltip: opt.tooltip, raycasted: opt.raycasted });
+	return new Object3D({ obj: obj, units: opt.units, anchor: opt.anchor, adjustment: opt.adjustment, rotation: opt.rotation, scale: opt.scale, bbox: opt.bbox, tooltip: opt.tooltip, raycasted: opt.raycasted, altitudeMode: opt.altitudeMode, heightReference: opt.heightReference, crs: opt.crs });
 }
 
 export default tube;
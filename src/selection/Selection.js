@@ -0,0 +1,149 @@
+/**
+ * Collection of the threebox objects selected on the map through click, shift + click or a selection box.
+ * The last object added is kept as map.selectedObject, so everything built on a single selection works as before
+ */
+import { EventDispatcher, Vector3 } from 'three';
+import { projectToWorld, unprojectFromWorld } from '../utils/utils.js';
+import { DEG2RAD } from '../utils/constants.js';
+import { WGS84 } from '../utils/crs.js';
+
+class Selection extends EventDispatcher {
+	constructor(threebox) {
+		super();
+		this.tb = threebox;
+		this._objects = [];
+		this._drag = null;
+	}
+
+	get objects() { return this._objects.slice(); }
+
+	get size() { return this._objects.length; }
+
+	// true while the selection is dragged as a group
+	get dragging() { return this._drag !== null; }
+
+	// average of the coordinates of the selected objects
+	get centroid() {
+		if (this.size === 0) return null;
+		let c = [0, 0, 0];
+		this._objects.forEach((obj) => {
+			c[0] += obj.coordinates[0];
+			c[1] += obj.coordinates[1];
+			c[2] += obj.coordinates[2] || 0;
+		});
+		return c.map(v => v / this.size);
+	}
+
+	has(obj) { return this._objects.includes(obj); }
+
+	forEach(fn) { this.objects.forEach(fn); }
+
+	[Symbol.iterator]() { return this.objects[Symbol.iterator](); }
+
+	add(obj) {
+		if (!obj || this.has(obj)) return this;
+		this._objects.push(obj);
+		obj.selected = true;
+		this.tb.map.selectedObject = obj;
+		this._changed('SelectionAdded', obj);
+		return this;
+	}
+
+	remove(obj) {
+		let i = this._objects.indexOf(obj);
+		if (i < 0) return this;
+		this._objects.splice(i, 1);
+		obj.selected = false;
+		let map = this.tb.map;
+		if (map.selectedObject === obj) map.selectedObject = this._objects[this._objects.length - 1] || null;
+		this._changed('SelectionRemoved', obj);
+		return this;
+	}
+
+	toggle(obj) {
+		return this.has(obj) ? this.remove(obj) : this.add(obj);
+	}
+
+	clear() {
+		let objects = this._objects;
+		this._objects = [];
+		objects.forEach(obj => obj.selected = false);
+		this.tb.map.selectedObject = null;
+		if (objects.length) this._changed('SelectionCleared');
+		return this;
+	}
+
+	// adds the objects whose position on screen is inside the box between two points in pixels
+	addBox(p1, p2) {
+		let minX = Math.min(p1.x, p2.x), maxX = Math.max(p1.x, p2.x);
+		let minY = Math.min(p1.y, p2.y), maxY = Math.max(p1.y, p2.y);
+		let added = [];
+		this.tb.world.children.forEach((obj) => {
+			// only objects with a 3D model that could be selected with a click
+			if (!obj.userData.isGeoGroup || !obj.model || obj.isInstances || !obj.visible || obj.raycasted === false) return;
+			let p = this.tb.projectToScreen(obj);
+			if (p.x >= minX && p.x <= maxX && p.y >= minY && p.y <= maxY && !this.has(obj)) {
+				this.add(obj);
+				added.push(obj);
+			}
+		});
+		return added;
+	}
+
+	// removes all the selected objects from the world, as a single entry of tb.history
+	removeObjects() {
+		let objects = this.objects;
+		this.clear();
+		this.tb.history.batch('remove', () => objects.forEach(obj => this.tb.remove(obj)));
+		this.tb.repaint();
+		return objects;
+	}
+
+	// saves the state of the objects to drag, the whole selection if the object is part of a multiple selection.
+	// It returns the objects to be dragged
+	beginDrag(obj) {
+		if (this.size < 2 || !this.has(obj)) return [obj];
+		let center = projectToWorld(this.centroid);
+		this._drag = {
+			center: center,
+			states: this._objects.map(o => ({ object: o, coordinates: o.coordinates.slice(), position: projectToWorld(o.coordinates), rotation: o.rotation.z }))
+		};
+		return this.objects;
+	}
+
+	// moves the objects from their state at beginDrag by a delta [lng, lat, alt] and rotates them around the centroid in degrees
+	dragBy(delta, degrees) {
+		if (!this._drag) return;
+		let tb = this.tb;
+		let angle = (degrees || 0) * DEG2RAD;
+		let cos = Math.cos(angle), sin = Math.sin(angle);
+		let c = this._drag.center;
+		this._drag.states.forEach((s) => {
+			let obj = s.object;
+			let coords = s.coordinates;
+			if (angle) {
+				let x = s.position.x - c.x, y = s.position.y - c.y;
+				coords = unprojectFromWorld(new Vector3(c.x + x * cos - y * sin, c.y + x * sin + y * cos, 0));
+				obj._setObject({ rotation: [obj.rotation.x, obj.rotation.y, s.rotation + angle] });
+			}
+			obj.setCoords([
+				Number((coords[0] + delta[0]).toFixed(tb.gridStep)),
+				Number((coords[1] + delta[1]).toFixed(tb.gridStep)),
+				// clamped objects keep their altitude on the ground
+				obj.altitudeMode === 'clampToGround' ? s.coordinates[2] : Number(((s.coordinates[2] || 0) + delta[2]).toFixed(tb.gridStep))
+			], WGS84);
+		});
+		tb.repaint();
+	}
+
+	endDrag() {
+		this._drag = null;
+	}
+
+	_changed(type, obj) {
+		this.dispatchEvent({ type: type, detail: { object: obj, objects: this.objects } });
+		this.tb.repaint();
+	}
+}
+
+export default Selection;
@@ -0,0 +1,311 @@
+/**
+ * Streaming of 3D Tiles 1.0/1.1 tilesets (b3dm and glb content) into tb.world.
+ * On every tb.update the tiles are selected by their screen space error from the camera synced by CameraSync,
+ * the missing ones are downloaded and parsed by the GLTFLoader, and the least recently used ones are unloaded
+ */
+import { Frustum, Group, LoaderUtils, Matrix4, Vector3 } from "three";
+import GLTFLoader from "../objects/loaders/GLTFLoader.js";
+import { _validate } from "../utils/utils.js";
+import { lnglatToEcef, ecefToLnglat, ecefToWorld } from "./ecef.js";
+
+const defaults = {
+	url: null,
+	// maximum screen space error in pixels, tiles over it are refined with their children
+	errorTarget: 16,
+	// tiles downloaded at the same time
+	maxRequests: 4,
+	// tiles kept loaded, the ones not rendered are unloaded over it
+	cacheSize: 128,
+	// options of loadObj for the compressed glTF decoders, i.e. dracoDecoderPath
+	decoders: {}
+};
+
+// glTF is y-up, 3D Tiles are z-up
+const Y_UP_TO_Z_UP = new Matrix4().makeRotationX(Math.PI / 2);
+
+function magic(bytes) {
+	return String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+}
+
+function resolve(uri, base) {
+	return LoaderUtils.resolveURL(uri, LoaderUtils.extractUrlBase(base));
+}
+
+// bounding sphere in ECEF of a tile bounding volume, box and sphere are transformed by the tile transform
+function boundingSphere(volume, transform) {
+	if (volume.region) {
+		const [west, south, east, north, minHeight, maxHeight] = volume.region;
+		const toDeg = 180 / Math.PI;
+		const points = [];
+		[west, (west + east) / 2, east].forEach(lng => [south, (south + north) / 2, north].forEach((lat) => {
+			points.push(lnglatToEcef(lng * toDeg, lat * toDeg, minHeight), lnglatToEcef(lng * toDeg, lat * toDeg, maxHeight));
+		}));
+		const center = lnglatToEcef((west + east) / 2 * toDeg, (south + north) / 2 * toDeg, (minHeight + maxHeight) / 2);
+		return { center: center, radius: Math.max(...points.map(p => p.distanceTo(center))) };
+	}
+	let center, radius;
+	if (volume.box) {
+		const b = volume.box;
+		center = new Vector3(b[0], b[1], b[2]);
+		radius = Math.sqrt(b.slice(3).reduce((sum, v) => sum + v * v, 0));
+	} else if (volume.sphere) {
+		center = new Vector3(volume.sphere[0], volume.sphere[1], volume.sphere[2]);
+		radius = volume.sphere[3];
+	} else {
+		throw new Error("Unsupported bounding volume " + JSON.stringify(volume));
+	}
+	return { center: center.applyMatrix4(transform), radius: radius * transform.getMaxScaleOnAxis() };
+}
+
+// geometries, materials and textures of a tile content
+function disposeContent(obj) {
+	obj.traverse((o) => {
+		if (o.geometry) o.geometry.dispose();
+		if (!o.material) return;
+		(Array.isArray(o.material) ? o.material : [o.material]).forEach((m) => {
+			Object.keys(m).forEach((key) => { if (m[key] && m[key].isTexture) m[key].dispose(); });
+			m.dispose();
+		});
+	});
+}
+
+class TilesLayer {
+	constructor(threebox, options) {
+		this.tb = threebox;
+		this.options = _validate(options, defaults);
+		this.root = null;
+		// contents of the tiles in world units, matrices are computed per tile
+		this.group = new Group();
+		this.group.name = "tileset";
+		this.group.userData.tileset = this;
+		this.group.matrixAutoUpdate = false;
+		this.tb.world.add(this.group);
+		// tiles are in world units, the group moves them to the floating origin of the world
+		this.tb.cameraSync.relativeToOrigin(this.group, true);
+
+		this.frame = 0;
+		this.active = 0;
+		this.requests = [];
+		this.selected = [];
+		this.loaded = new Set();
+		this.removed = false;
+
+		this.ready = this.options ? this._loadTileset(this.options.url) : Promise.reject(new Error("Invalid options provided to addTileset()"));
+		// errors are reported here, the promise only rejects for the app awaiting it
+		this.ready.catch(error => console.error(error.message));
+	}
+
+	// tiles queued or being downloaded
+	get loading() {
+		return this.active + this.requests.filter(tile => tile.state === 'unloaded').length;
+	}
+
+	// selects the tiles to render from the camera, requests the missing ones and unloads the unused ones
+	update() {
+		if (!this.root || this.removed || !this.tb.cameraSync) return;
+		this.frame++;
+		const camera = this.tb.camera;
+		const world = this.tb.world.matrix.clone().multiply(this.group.matrix);
+		// camera position and frustum in world units
+		this.cameraPosition = new Vector3().setFromMatrixPosition(camera.matrixWorld).applyMatrix4(world.clone().invert());
+		this.frustum = new Frustum().setFromProjectionMatrix(
+			new Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorld.clone().invert()).multiply(world)
+		);
+		this.sseFactor = this.tb.adapter.transform.height / (2 * Math.tan(this.tb.cameraSync.halfFov));
+
+		this.selected = [];
+		this.requests = [];
+		this._traverse(this.root);
+
+		this.selected.forEach((tile) => { tile.lastUsed = this.frame; });
+		this.loaded.forEach((tile) => { tile.object.visible = tile.lastUsed === this.frame; });
+		this._download();
+		this._unloadUnused();
+	}
+
+	// removes the tileset from the world and disposes all its tiles
+	remove() {
+		this.removed = true;
+		this.requests = [];
+		this._tiles(this.root).forEach((tile) => {
+			if (tile.controller) tile.controller.abort();
+			if (tile.state === 'loaded') this._unload(tile);
+		});
+		this.tb.world.remove(this.group);
+		let i = this.tb.tilesets.indexOf(this);
+		if (i >= 0) this.tb.tilesets.splice(i, 1);
+		this.tb.repaint();
+	}
+
+	async _loadTileset(url) {
+		const response = await fetch(url);
+		if (!response.ok) throw new Error("Could not load tileset " + url + ": HTTP " + response.status);
+		const json = await response.json();
+		if (this.removed) return this;
+		this.root = this._parseTile(json.root, null, url);
+		this.tb.repaint();
+		return this;
+	}
+
+	// builds the tile and its children, transforms are accumulated from the root
+	_parseTile(json, parent, url) {
+		const transform = parent ? parent.transform.clone() : new Matrix4();
+		if (json.transform) transform.multiply(new Matrix4().fromArray(json.transform));
+		const sphere = boundingSphere(json.boundingVolume, transform);
+		const [lng, lat, height] = ecefToLnglat(sphere.center);
+		const toWorld = ecefToWorld(lng, lat, height);
+		const scale = toWorld.getMaxScaleOnAxis();
+		// 3D Tiles 1.1 tiles can have several contents, only the first one is rendered
+		const content = json.content || (json.contents && json.contents[0]);
+		const uri = content && (content.uri || content.url);
+		const tile = {
+			parent: parent,
+			children: [],
+			transform: transform,
+			toWorld: toWorld,
+			center: sphere.center.clone().applyMatrix4(toWorld),
+			radius: sphere.radius * scale,
+			error: json.geometricError * scale,
+			refine: (json.refine || (parent ? parent.refine : 'REPLACE')).toUpperCase(),
+			url: uri ? resolve(uri, url) : null,
+			state: 'unloaded',
+			object: null,
+			lastUsed: 0
+		};
+		(json.children || []).forEach(child => tile.children.push(this._parseTile(child, tile, url)));
+		return tile;
+	}
+
+	_tiles(tile, list = []) {
+		if (!tile) return list;
+		list.push(tile);
+		tile.children.forEach(child => this._tiles(child, list));
+		return list;
+	}
+
+	// true if the tile area is covered by loaded contents, REPLACE tiles are rendered until all their children are
+	_traverse(tile) {
+		if (!this.frustum.intersectsSphere({ center: tile.center, radius: tile.radius })) return true;
+		tile.distance = Math.max(this.cameraPosition.distanceTo(tile.center) - tile.radius, 1e-6);
+		const sse = tile.error * this.sseFactor / tile.distance;
+		if (!tile.children.length || sse <= this.options.errorTarget) return this._show(tile);
+		if (tile.refine === 'ADD') {
+			this._show(tile);
+			tile.children.forEach(child => this._traverse(child));
+			return true;
+		}
+		const start = this.selected.length;
+		const covered = tile.children.map(child => this._traverse(child)).every(Boolean);
+		if (covered) return true;
+		// children are still loading, the tile is rendered instead of them
+		this.selected.length = start;
+		return this._show(tile);
+	}
+
+	_show(tile) {
+		if (!tile.url || tile.state === 'failed' || tile.state === 'external') return true;
+		if (tile.state === 'loaded') {
+			this.selected.push(tile);
+			return true;
+		}
+		this.requests.push(tile);
+		return false;
+	}
+
+	// downloads the requested tiles, the closest ones first
+	_download() {
+		this.requests.sort((a, b) => a.distance - b.distance);
+		for (const tile of this.requests) {
+			if (this.active >= this.options.maxRequests) break;
+			if (tile.state === 'unloaded') this._load(tile);
+		}
+	}
+
+	async _load(tile) {
+		tile.state = 'loading';
+		tile.controller = new AbortController();
+		this.active++;
+		try {
+			const response = await fetch(tile.url, { signal: tile.controller.signal });
+			if (!response.ok) throw new Error("HTTP " + response.status);
+			const bytes = new Uint8Array(await response.arrayBuffer());
+			if (bytes[0] === 123) { // '{'
+				// external tileset, its root becomes the only child of the tile
+				const json = JSON.parse(new TextDecoder().decode(bytes));
+				if (json.root) {
+					tile.children.push(this._parseTile(json.root, tile, tile.url));
+					tile.state = 'external';
+					return;
+				}
+			}
+			const obj = await this._parse(tile, bytes);
+			if (this.removed) {
+				disposeContent(obj);
+				return;
+			}
+			obj.matrixAutoUpdate = false;
+			obj.visible = false;
+			this.group.add(obj);
+			tile.object = obj;
+			tile.state = 'loaded';
+			this.loaded.add(tile);
+		} catch (error) {
+			if (error.name === 'AbortError') {
+				tile.state = 'unloaded';
+			} else {
+				tile.state = 'failed';
+				console.warn("Could not load tile " + tile.url + ": " + error.message);
+			}
+		} finally {
+			tile.controller = null;
+			this.active--;
+			if (!this.removed) this.tb.repaint();
+		}
+	}
+
+	// b3dm or glTF content placed in world units
+	async _parse(tile, bytes) {
+		const matrix = tile.toWorld.clone().multiply(tile.transform);
+		let data = bytes;
+		if (magic(bytes) === 'b3dm') {
+			const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+			const featureTableJSON = view.getUint32(12, true);
+			const offset = 28 + featureTableJSON + view.getUint32(16, true) + view.getUint32(20, true) + view.getUint32(24, true);
+			if (featureTableJSON) {
+				const featureTable = JSON.parse(new TextDecoder().decode(bytes.subarray(28, 28 + featureTableJSON)));
+				// positions are relative to the center of the tile
+				const rtc = featureTable.RTC_CENTER;
+				if (rtc) matrix.multiply(new Matrix4().makeTranslation(rtc[0], rtc[1], rtc[2]));
+			}
+			data = bytes.subarray(offset);
+		}
+		matrix.multiply(Y_UP_TO_Z_UP);
+
+		const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+		const gltf = await new Promise((resolve, reject) => {
+			const loader = this.tb.decoders.configure(new GLTFLoader(), this.options.decoders, buffer);
+			loader.parse(buffer, LoaderUtils.extractUrlBase(tile.url), resolve, reject);
+		});
+		const obj = new Group();
+		obj.add(gltf.scene);
+		obj.matrix.copy(matrix);
+		return obj;
+	}
+
+	_unload(tile) {
+		this.group.remove(tile.object);
+		disposeContent(tile.object);
+		tile.object = null;
+		tile.state = 'unloaded';
+		this.loaded.delete(tile);
+	}
+
+	// unloads the tiles not rendered, least recently used first, while over the cache size
+	_unloadUnused() {
+		if (this.loaded.size <= this.options.cacheSize) return;
+		const unused = Array.from(this.loaded).filter(tile => tile.lastUsed !== this.frame).sort((a, b) => a.lastUsed - b.lastUsed);
+		while (unused.length && this.loaded.size > this.options.cacheSize) this._unload(unused.shift());
+	}
+}
+
+export default TilesLayer;
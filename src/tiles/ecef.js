@@ -0,0 +1,67 @@
+/**
+ * WGS84 geodesy used by the 3D Tiles layer: tilesets are defined in ECEF (earth-centered, earth-fixed) meters,
+ * while threebox objects are placed in mercator world units from their lnglat
+ */
+import { Matrix4, Vector3 } from "three";
+import { DEG2RAD, RAD2DEG, EARTH_RADIUS } from "../utils/constants.js";
+import { projectToWorld, projectedUnitsPerMeter } from "../utils/utils.js";
+
+const A = 6378137.0;
+const F = 1 / 298.257223563;
+const B = A * (1 - F);
+const E2 = F * (2 - F);
+const EP2 = (A * A - B * B) / (B * B);
+
+// ECEF position in meters of a lnglat and an altitude in meters over the ellipsoid
+export function lnglatToEcef(lng, lat, height = 0) {
+	const lambda = lng * DEG2RAD;
+	const phi = lat * DEG2RAD;
+	const sinPhi = Math.sin(phi);
+	const n = A / Math.sqrt(1 - E2 * sinPhi * sinPhi);
+	return new Vector3(
+		(n + height) * Math.cos(phi) * Math.cos(lambda),
+		(n + height) * Math.cos(phi) * Math.sin(lambda),
+		(n * (1 - E2) + height) * sinPhi
+	);
+}
+
+// [lng, lat, height] of an ECEF position, Bowring's method is accurate to the millimeter on the earth surface
+export function ecefToLnglat(position) {
+	const { x, y, z } = position;
+	const p = Math.sqrt(x * x + y * y);
+	if (p < 1e-9) return [0, z >= 0 ? 90 : -90, Math.abs(z) - B];
+	const theta = Math.atan2(z * A, p * B);
+	const sinTheta = Math.sin(theta);
+	const cosTheta = Math.cos(theta);
+	const phi = Math.atan2(z + EP2 * B * sinTheta * sinTheta * sinTheta, p - E2 * A * cosTheta * cosTheta * cosTheta);
+	const sinPhi = Math.sin(phi);
+	const n = A / Math.sqrt(1 - E2 * sinPhi * sinPhi);
+	return [Math.atan2(y, x) * RAD2DEG, phi * RAD2DEG, p / Math.cos(phi) - n];
+}
+
+// east-north-up frame at a lnglat to ECEF, as Cesium.Transforms.eastNorthUpToFixedFrame
+export function enuToEcef(lng, lat, height = 0) {
+	const lambda = lng * DEG2RAD;
+	const phi = lat * DEG2RAD;
+	const east = new Vector3(-Math.sin(lambda), Math.cos(lambda), 0);
+	const north = new Vector3(-Math.sin(phi) * Math.cos(lambda), -Math.sin(phi) * Math.sin(lambda), Math.cos(phi));
+	const up = new Vector3(Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi));
+	const origin = lnglatToEcef(lng, lat, height);
+	return new Matrix4().makeBasis(east, north, up).setPosition(origin);
+}
+
+// ECEF meters to threebox world units around a lnglat, accurate in the surroundings of the point.
+// Mercator is projected from a sphere, so the meters east and north on the ellipsoid are scaled by its radii of curvature.
+// World x and y grow to the west and the south, so the east-north-up frame is turned 180 degrees
+export function ecefToWorld(lng, lat, height = 0) {
+	const scale = projectedUnitsPerMeter(lat);
+	const sinPhi = Math.sin(lat * DEG2RAD);
+	const w = 1 - E2 * sinPhi * sinPhi;
+	const n = A / Math.sqrt(w);
+	const m = A * (1 - E2) / (w * Math.sqrt(w));
+	const toWorld = new Matrix4()
+		.makeRotationZ(Math.PI)
+		.premultiply(new Matrix4().makeScale(scale * EARTH_RADIUS / n, scale * EARTH_RADIUS / m, scale))
+		.premultiply(new Matrix4().makeTranslation(projectToWorld([lng, lat, height])));
+	return toWorld.multiply(enuToEcef(lng, lat, height).invert());
+}
@@ -9,4 +9,7 @@ export const EARTH_CIRCUMFERENCE_EQUATOR = 40075017;
 export const FOV_ORTHO = 0.1 / 180 * Math.PI; // closest to 0
 export const FOV = Math.atan(3 / 4); // Math.atan(3/4) radians. If this value is changed, FOV_DEGREES must be calculated
 export const FOV_DEGREES = FOV * 180 / Math.PI; // Math.atan(3/4) in degrees
-export const TILE_SIZE = 512;
\ No newline at end of file
+export const TILE_SIZE = 512;
+// zoom range of the transition from the globe to mercator in Mapbox GL JS globe projection
+export const GLOBE_ZOOM_THRESHOLD_MIN = 5;
+export const GLOBE_ZOOM_THRESHOLD_MAX = 6;
\ No newline at end of file
@@ -0,0 +1,328 @@
+/**
+ * Coordinate reference systems of the coordinates given to threebox, registered through proj4 style definitions
+ * (i.e. "+proj=utm +zone=30 +ellps=GRS80 +units=m +no_defs" from epsg.io) and converted to WGS84 lnglats without any network request.
+ * Supported projections are longlat, merc, tmerc, utm, somerc and lcc, datums are shifted through +towgs84 (3 or 7 parameters).
+ * Altitudes are kept in meters as they're given
+ */
+import { DEG2RAD, RAD2DEG } from "./constants.js";
+
+export const WGS84 = 'EPSG:4326';
+
+const ELLIPSOIDS = {
+	WGS84: { a: 6378137, rf: 298.257223563 },
+	GRS80: { a: 6378137, rf: 298.257222101 },
+	bessel: { a: 6377397.155, rf: 299.1528128 },
+	intl: { a: 6378388, rf: 297 },
+	clrk66: { a: 6378206.4, b: 6356583.8 },
+	airy: { a: 6377563.396, b: 6356256.910 },
+	krass: { a: 6378245, rf: 298.3 },
+	sphere: { a: 6370997, b: 6370997 }
+};
+
+const DATUMS = {
+	WGS84: { ellps: 'WGS84', towgs84: '0,0,0' },
+	NAD83: { ellps: 'GRS80', towgs84: '0,0,0' },
+	ch1903: { ellps: 'bessel', towgs84: '674.374,15.056,405.346' },
+	osgb36: { ellps: 'airy', towgs84: '446.448,-125.157,542.060,0.1502,0.2470,0.8421,-20.4894' },
+	potsdam: { ellps: 'bessel', towgs84: '598.1,73.7,418.2,0.202,0.045,-2.455,6.7' }
+};
+
+const UNITS = { m: 1, km: 1000, ft: 0.3048, 'us-ft': 1200 / 3937 };
+
+const SEC_TO_RAD = DEG2RAD / 3600;
+
+// parses a proj4 string into the parameters of its projection, angles in radians and distances in meters
+function parse(definition) {
+	const params = {};
+	definition.trim().split(/\s+/).forEach((token) => {
+		const [key, value] = token.replace(/^\+/, '').split('=');
+		params[key] = value === undefined ? true : value;
+	});
+	if (!params.proj) throw new Error("Invalid CRS definition '" + definition + "', +proj is missing");
+
+	const datum = DATUMS[params.datum];
+	const ellps = ELLIPSOIDS[params.ellps || (datum && datum.ellps) || 'WGS84'];
+	if (!ellps) throw new Error("Unknown ellipsoid '" + params.ellps + "'");
+	const a = params.a ? Number(params.a) : ellps.a;
+	let b = params.b ? Number(params.b) : ellps.b;
+	if (!b) b = a * (1 - 1 / (params.rf ? Number(params.rf) : ellps.rf));
+	if (params.R) b = Number(params.R);
+	const towgs84 = (params.towgs84 || (datum && datum.towgs84) || '0,0,0').split(',').map(Number);
+
+	const crs = {
+		proj: params.proj === 'utm' ? 'tmerc' : params.proj,
+		a: params.R ? Number(params.R) : a,
+		es: 1 - (b * b) / (a * a),
+		lat0: Number(params.lat_0 || 0) * DEG2RAD,
+		long0: Number(params.lon_0 || 0) * DEG2RAD,
+		lat1: Number(params.lat_1 || params.lat_0 || 0) * DEG2RAD,
+		lat2: Number(params.lat_2 || params.lat_1 || params.lat_0 || 0) * DEG2RAD,
+		latTs: Number(params.lat_ts || 0) * DEG2RAD,
+		k0: Number(params.k_0 || params.k || 1),
+		x0: Number(params.x_0 || 0),
+		y0: Number(params.y_0 || 0),
+		toMeter: params.to_meter ? Number(params.to_meter) : UNITS[params.units || 'm'],
+		// 7 parameters in meters, radians and scale factor, as proj4 applies them (position vector)
+		towgs84: towgs84.length === 7 && towgs84.slice(3).some(v => v !== 0) ?
+			[towgs84[0], towgs84[1], towgs84[2], towgs84[3] * SEC_TO_RAD, towgs84[4] * SEC_TO_RAD, towgs84[5] * SEC_TO_RAD, towgs84[6] / 1e6 + 1] :
+			(towgs84.slice(0, 3).some(v => v !== 0) ? towgs84.slice(0, 3) : null)
+	};
+	if (crs.a === b) crs.es = 0;
+	crs.e = Math.sqrt(crs.es);
+	if (params.proj === 'utm') {
+		const zone = Number(params.zone);
+		if (!(zone >= 1 && zone <= 60)) throw new Error("Invalid UTM zone in '" + definition + "'");
+		crs.long0 = ((zone - 1) * 6 - 180 + 3) * DEG2RAD;
+		crs.lat0 = 0;
+		crs.k0 = 0.9996;
+		crs.x0 = 500000;
+		crs.y0 = params.south ? 10000000 : 0;
+	}
+	if (params.proj === 'longlat' || params.proj === 'latlong') crs.proj = 'longlat';
+	if (!PROJECTIONS[crs.proj]) throw new Error("Unsupported projection '" + params.proj + "'");
+	PROJECTIONS[crs.proj].init(crs);
+	return crs;
+}
+
+// conformal latitude of an ellipsoid latitude
+function conformal(phi, e) {
+	return Math.atan(Math.sinh(Math.asinh(Math.tan(phi)) - e * Math.atanh(e * Math.sin(phi))));
+}
+
+// isometric latitude helpers of the mercator and conic projections
+function tsfn(phi, e) {
+	const con = e * Math.sin(phi);
+	return Math.tan(0.5 * (Math.PI / 2 - phi)) / Math.pow((1 - con) / (1 + con), 0.5 * e);
+}
+
+function phi2(ts, e) {
+	let phi = Math.PI / 2 - 2 * Math.atan(ts);
+	for (let i = 0; i < 15; i++) {
+		const con = e * Math.sin(phi);
+		const dphi = Math.PI / 2 - 2 * Math.atan(ts * Math.pow((1 - con) / (1 + con), 0.5 * e)) - phi;
+		phi += dphi;
+		if (Math.abs(dphi) < 1e-12) break;
+	}
+	return phi;
+}
+
+function msfn(phi, e) {
+	const sin = Math.sin(phi);
+	return Math.cos(phi) / Math.sqrt(1 - e * e * sin * sin);
+}
+
+// sum of the Krüger series of the transverse mercator
+function kruger(coefs, xi, eta, sign) {
+	let x = xi, y = eta;
+	coefs.forEach((c, i) => {
+		const j = 2 * (i + 1);
+		x += sign * c * Math.sin(j * xi) * Math.cosh(j * eta);
+		y += sign * c * Math.cos(j * xi) * Math.sinh(j * eta);
+	});
+	return [x, y];
+}
+
+// every projection converts between [lng, lat] in radians and [x, y] in meters without the false easting and northing
+const PROJECTIONS = {
+	longlat: {
+		init() { },
+		forward: p => p,
+		inverse: p => p
+	},
+
+	merc: {
+		init(crs) {
+			if (crs.latTs) crs.k0 = msfn(crs.latTs, crs.e);
+		},
+		forward([lam, phi], crs) {
+			return [crs.a * crs.k0 * (lam - crs.long0), -crs.a * crs.k0 * Math.log(tsfn(phi, crs.e))];
+		},
+		inverse([x, y], crs) {
+			return [x / (crs.a * crs.k0) + crs.long0, phi2(Math.exp(-y / (crs.a * crs.k0)), crs.e)];
+		}
+	},
+
+	// Krüger series to the 4th order of n, accurate to the millimeter inside a UTM zone
+	tmerc: {
+		init(crs) {
+			const f = 1 - Math.sqrt(1 - crs.es);
+			const n = f / (2 - f);
+			const n2 = n * n, n3 = n2 * n, n4 = n3 * n;
+			crs.A = crs.a / (1 + n) * (1 + n2 / 4 + n4 / 64);
+			crs.alpha = [n / 2 - 2 * n2 / 3 + 5 * n3 / 16 + 41 * n4 / 180, 13 * n2 / 48 - 3 * n3 / 5 + 557 * n4 / 1440, 61 * n3 / 240 - 103 * n4 / 140, 49561 * n4 / 161280];
+			crs.beta = [n / 2 - 2 * n2 / 3 + 37 * n3 / 96 - n4 / 360, n2 / 48 + n3 / 15 - 437 * n4 / 1440, 17 * n3 / 480 - 37 * n4 / 840, 4397 * n4 / 161280];
+			crs.delta = [2 * n - 2 * n2 / 3 - 2 * n3 + 116 * n4 / 45, 7 * n2 / 3 - 8 * n3 / 5 - 227 * n4 / 45, 56 * n3 / 15 - 136 * n4 / 35, 4279 * n4 / 630];
+			// northing of the latitude of origin
+			crs.xi0 = kruger(crs.alpha, conformal(crs.lat0, crs.e), 0, 1)[0];
+		},
+		forward([lam, phi], crs) {
+			const chi = conformal(phi, crs.e);
+			const dlam = lam - crs.long0;
+			const xi = Math.atan2(Math.tan(chi), Math.cos(dlam));
+			const eta = Math.atanh(Math.cos(chi) * Math.sin(dlam));
+			const [x, y] = kruger(crs.alpha, xi, eta, 1);
+			return [crs.k0 * crs.A * y, crs.k0 * crs.A * (x - crs.xi0)];
+		},
+		inverse([x, y], crs) {
+			const [xi, eta] = kruger(crs.beta, y / (crs.k0 * crs.A) + crs.xi0, x / (crs.k0 * crs.A), -1);
+			const chi = Math.asin(Math.sin(xi) / Math.cosh(eta));
+			let phi = chi;
+			crs.delta.forEach((d, i) => { phi += d * Math.sin(2 * (i + 1) * chi); });
+			return [crs.long0 + Math.atan2(Math.sinh(eta), Math.cos(xi)), phi];
+		}
+	},
+
+	// Swiss oblique mercator, as defined by swisstopo for CH1903 and CH1903+
+	somerc: {
+		init(crs) {
+			const sin0 = Math.sin(crs.lat0);
+			crs.R = crs.k0 * crs.a * Math.sqrt(1 - crs.es) / (1 - crs.es * sin0 * sin0);
+			crs.alpha = Math.sqrt(1 + crs.es / (1 - crs.es) * Math.pow(Math.cos(crs.lat0), 4));
+			crs.b0 = Math.asin(sin0 / crs.alpha);
+			crs.K = Math.log(Math.tan(Math.PI / 4 + crs.b0 / 2)) - crs.alpha * Math.log(Math.tan(Math.PI / 4 + crs.lat0 / 2)) +
+				crs.alpha * crs.e / 2 * Math.log((1 + crs.e * sin0) / (1 - crs.e * sin0));
+		},
+		forward([lam, phi], crs) {
+			const sin = crs.e * Math.sin(phi);
+			const S = crs.alpha * (Math.log(Math.tan(Math.PI / 4 + phi / 2)) - crs.e / 2 * Math.log((1 + sin) / (1 - sin))) + crs.K;
+			const b = 2 * (Math.atan(Math.exp(S)) - Math.PI / 4);
+			const I = crs.alpha * (lam - crs.long0);
+			const rotI = Math.atan(Math.sin(I) / (Math.sin(crs.b0) * Math.tan(b) + Math.cos(crs.b0) * Math.cos(I)));
+			const rotB = Math.asin(Math.cos(crs.b0) * Math.sin(b) - Math.sin(crs.b0) * Math.cos(b) * Math.cos(I));
+			return [crs.R * rotI, crs.R / 2 * Math.log((1 + Math.sin(rotB)) / (1 - Math.sin(rotB)))];
+		},
+		inverse([x, y], crs) {
+			const rotI = x / crs.R;
+			const rotB = 2 * (Math.atan(Math.exp(y / crs.R)) - Math.PI / 4);
+			const b = Math.asin(Math.cos(crs.b0) * Math.sin(rotB) + Math.sin(crs.b0) * Math.cos(rotB) * Math.cos(rotI));
+			const I = Math.atan(Math.sin(rotI) / (Math.cos(crs.b0) * Math.cos(rotI) - Math.sin(crs.b0) * Math.tan(rotB)));
+			let phi = b;
+			for (let i = 0; i < 20; i++) {
+				const S = (Math.log(Math.tan(Math.PI / 4 + b / 2)) - crs.K) / crs.alpha + crs.e * Math.log(Math.tan(Math.PI / 4 + Math.asin(crs.e * Math.sin(phi)) / 2));
+				const next = 2 * Math.atan(Math.exp(S)) - Math.PI / 2;
+				if (Math.abs(next - phi) < 1e-12) return [crs.long0 + I / crs.alpha, next];
+				phi = next;
+			}
+			return [crs.long0 + I / crs.alpha, phi];
+		}
+	},
+
+	// Lambert conformal conic with one or two standard parallels
+	lcc: {
+		init(crs) {
+			const m1 = msfn(crs.lat1, crs.e), t1 = tsfn(crs.lat1, crs.e);
+			const m2 = msfn(crs.lat2, crs.e), t2 = tsfn(crs.lat2, crs.e);
+			crs.ns = Math.abs(crs.lat1 - crs.lat2) > 1e-10 ? Math.log(m1 / m2) / Math.log(t1 / t2) : Math.sin(crs.lat1);
+			crs.f0 = m1 / (crs.ns * Math.pow(t1, crs.ns));
+			crs.rh = crs.a * crs.f0 * Math.pow(tsfn(crs.lat0, crs.e), crs.ns);
+		},
+		forward([lam, phi], crs) {
+			const rho = crs.a * crs.f0 * Math.pow(tsfn(phi, crs.e), crs.ns);
+			const theta = crs.ns * (lam - crs.long0);
+			return [crs.k0 * rho * Math.sin(theta), crs.k0 * (crs.rh - rho * Math.cos(theta))];
+		},
+		inverse([x, y], crs) {
+			x /= crs.k0;
+			y = crs.rh - y / crs.k0;
+			const sign = crs.ns > 0 ? 1 : -1;
+			const rho = sign * Math.sqrt(x * x + y * y);
+			const theta = Math.atan2(sign * x, sign * y);
+			return [theta / crs.ns + crs.long0, phi2(Math.pow(rho / (crs.a * crs.f0), 1 / crs.ns), crs.e)];
+		}
+	}
+};
+
+// geodetic to geocentric coordinates of an ellipsoid, and back through Bowring's method
+function toGeocentric([lam, phi], crs) {
+	const sin = Math.sin(phi);
+	const n = crs.a / Math.sqrt(1 - crs.es * sin * sin);
+	return [n * Math.cos(phi) * Math.cos(lam), n * Math.cos(phi) * Math.sin(lam), n * (1 - crs.es) * sin];
+}
+
+function fromGeocentric([x, y, z], crs) {
+	const b = crs.a * Math.sqrt(1 - crs.es);
+	const ep2 = (crs.a * crs.a - b * b) / (b * b);
+	const p = Math.sqrt(x * x + y * y);
+	const theta = Math.atan2(z * crs.a, p * b);
+	const sin = Math.sin(theta), cos = Math.cos(theta);
+	return [Math.atan2(y, x), Math.atan2(z + ep2 * b * sin * sin * sin, p - crs.es * crs.a * cos * cos * cos)];
+}
+
+// datum shift to WGS84, or from it with inverse
+function shift(p, crs, inverse) {
+	const t = crs.towgs84;
+	let [x, y, z] = toGeocentric(p, inverse ? WGS84_ELLIPSOID : crs);
+	if (t.length === 3) {
+		const s = inverse ? -1 : 1;
+		return fromGeocentric([x + s * t[0], y + s * t[1], z + s * t[2]], inverse ? crs : WGS84_ELLIPSOID);
+	}
+	const [dx, dy, dz, rx, ry, rz, m] = t;
+	if (!inverse) return fromGeocentric([m * (x - rz * y + ry * z) + dx, m * (rz * x + y - rx * z) + dy, m * (-ry * x + rx * y + z) + dz], WGS84_ELLIPSOID);
+	x = (x - dx) / m; y = (y - dy) / m; z = (z - dz) / m;
+	return fromGeocentric([x + rz * y - ry * z, -rz * x + y + rx * z, ry * x - rx * y + z], crs);
+}
+
+const WGS84_ELLIPSOID = { a: ELLIPSOIDS.WGS84.a, es: 1 - Math.pow(1 - 1 / ELLIPSOIDS.WGS84.rf, 2) };
+
+const definitions = {};
+
+/**
+ * Registers a CRS by its name, i.e. defineCrs('EPSG:25830', '+proj=utm +zone=30 +ellps=GRS80 +units=m +no_defs')
+ * @param {string} name
+ * @param {string} definition proj4 string
+ */
+export function defineCrs(name, definition) {
+	definitions[name] = parse(definition);
+}
+
+export function getCrs(name) {
+	const crs = definitions[name];
+	if (!crs) throw new Error("Unknown CRS '" + name + "', it must be registered through defineCrs");
+	return crs;
+}
+
+// no conversion for WGS84 lnglats
+function isLnglat(name) {
+	return !name || name === WGS84;
+}
+
+/**
+ * @param {array} coords [x, y, alt] in the CRS, alt in meters
+ * @param {string} name CRS registered through defineCrs, WGS84 lnglats without it
+ * @returns {array} [lng, lat, alt] in WGS84
+ */
+export function toLnglat(coords, name) {
+	if (isLnglat(name)) return coords;
+	const crs = getCrs(name);
+	let p = [coords[0], coords[1]];
+	if (crs.proj === 'longlat') p = [p[0] * DEG2RAD, p[1] * DEG2RAD];
+	else p = PROJECTIONS[crs.proj].inverse([(p[0] * crs.toMeter - crs.x0), (p[1] * crs.toMeter - crs.y0)], crs);
+	if (crs.towgs84) p = shift(p, crs, false);
+	const result = [p[0] * RAD2DEG, p[1] * RAD2DEG];
+	if (coords.length > 2) result.push(coords[2]);
+	return result;
+}
+
+/**
+ * @param {array} lnglat [lng, lat, alt] in WGS84
+ * @param {string} name CRS registered through defineCrs
+ * @returns {array} [x, y, alt] in the CRS
+ */
+export function fromLnglat(lnglat, name) {
+	if (isLnglat(name)) return lnglat;
+	const crs = getCrs(name);
+	let p = [lnglat[0] * DEG2RAD, lnglat[1] * DEG2RAD];
+	if (crs.towgs84) p = shift(p, crs, true);
+	let result;
+	if (crs.proj === 'longlat') result = [p[0] * RAD2DEG, p[1] * RAD2DEG];
+	else {
+		const [x, y] = PROJECTIONS[crs.proj].forward(p, crs);
+		result = [(x + crs.x0) / crs.toMeter, (y + crs.y0) / crs.toMeter];
+	}
+	if (lnglat.length > 2) result.push(lnglat[2]);
+	return result;
+}
+
+defineCrs(WGS84, '+proj=longlat +datum=WGS84 +no_defs');
+defineCrs('EPSG:4258', '+proj=longlat +ellps=GRS80 +no_defs');
+defineCrs('EPSG:3857', '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +no_defs');
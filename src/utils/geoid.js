@@ -0,0 +1,314 @@
+/**
+ * Height of the EGM96 geoid over the WGS84 ellipsoid, to convert the ellipsoidal heights of GPS receivers into the altitudes over
+ * the sea level of the map terrain. The grid of 2 degrees is sampled from the EGM96 15' grid published by the NGA, with a mean error
+ * of 0.5 meters from the full model and up to 15 meters over the steepest areas of the geoid (i.e. Indonesia or the Andes)
+ */
+
+const STEP = 2;
+const ROWS = 180 / STEP + 1;
+const COLS = 360 / STEP;
+
+// heights in decimeters as little endian int16, by rows from 90N to 90S and columns from 180W to the east
+const DATA =
+	'iACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgA' +
+	'iACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgA' +
+	'iACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgAiACIAIgA' +
+	'cABwAHAAcABvAG8AbwBwAHEAcgBzAHQAdgB3AHgAeQB6AHsAewB8AHwAfQB+AH8AgACBAIIAhACFAIYAhwCIAIgAiQCJAIoAiwCMAI4AkACTAJYAmQCcAJ4AoQCjAKUApgCoAKkAqwCtAK8AsQC0ALYAuAC6ALwA' +
+	'vQC8ALwAugC4ALYAswCxAK8ArgCtAK0ArgCvALAAsQCyALMAtAC1ALUAtQC1ALUAtAC0ALMAsgCyALEAsACwALAArwCvAK8ArwCvAK4ArgCuAK0ArQCsAKwAqwCqAKoAqQCoAKcApQCkAKIAoQCgAJ4AnQCcAJsA' +
+	'mQCYAJcAlgCVAJQAkgCRAI8AjgCNAIsAigCJAIgAhwCGAIUAhQCEAIMAggCAAH4AfAB5AHYAdABxAG8AbgBvAHAAdAB4AH0AgwCJAI4AkQCTAJMAkgCOAIkAgwB9AHgAcwBvAGwAagBqAGoAawBsAG0AbgBvAHAA' +
+	'WgBcAF4AYABiAGQAZABkAGMAYwBiAGIAYgBjAGUAaABsAHAAdAB4AHsAfQCAAIIAhQCHAIkAigCLAIwAjQCOAJAAkgCTAJQAlQCXAJgAmgCbAJ0AnwChAKEAogCjAKMApQCnAKoArgCxALUAuAC7AMAAxwDQANgA' +
+	'4ADjAOIA3QDWANAAzADMAM0A0ADTANUA1gDXANkA2QDaANsA3ADdAN8A4QDjAOMA4gDgAN8A3wDgAOEA4wDjAOIA4QDgAOEA4gDjAOUA5QDkAOIA4ADeANsA2ADVANIAzwDNAMoAyADGAMMAvwC8ALgAtQCyALAA' +
+	'rgCtAKsAqgCoAKUAogCeAJoAlwCVAJMAkQCPAIwAiQCHAIUAhACCAIAAfQB5AHQAcABtAGsAagBpAGkAaABmAGIAXABYAFUAVwBeAGcAbwBzAHEAaQBfAFUATQBKAEkASgBJAEgARwBHAEkATQBRAFUAWABZAFkA' +
+	'PgBBAEQARgBHAEkASgBLAE4AUQBTAFQAUgBQAE8ATwBSAFQAVgBXAFUAUwBSAFIAUwBVAFgAWgBbAF0AXwBjAGcAawBvAHMAeAB8AIAAggCEAIcAiwCOAJEAlACYAJsAngCjAKkAsgC6AMAAxADHAMsA0ADVANkA' +
+	'3ADhAOgA7gDzAPYA+gD9AP4A/QD8AP0AAgEHAQoBCwELAQsBCwEKAQgBBwEHAQkBDAEPARABDwEQAREBEgERAQwBBwEEAQIBAQH/APwA+QD2APMA8ADsAOgA5ADfANsA1gDQAMsAxQDAALsAtQCwAKoApQCgAJsA' +
+	'lgCRAIwAiACEAIAAewB3AHMAbwBrAGcAZABhAGAAYABgAGAAXwBeAF0AXgBgAGAAXgBbAFwAYABkAGIAWABNAEYARQBHAEUAQAA6ADkAPwBJAFMAVgBSAEsARwBFAEIAPAA2ADIAMQAxADIAMwA1ADYANwA4ADoA' +
+	'KgArACwAKgAoACYAJgAlACQAJQAmACcAJwAlACUAIwAfABwAGgAZABoAGwAdAB8AIAAjACUAJQAlACYAKAAnACUAJwAsADEANQA8AEYAVABiAGsAbgBzAHsAgwCIAJEAoACuALYAwQDRANcAzwDFAMEAvACvAKEA' +
+	'ngCjAKwAtAC6AMEAzQDfAPkAEwEnATMBOgE+AT4BOwE0ASsBHgEQAQkBEAEhATMBPAE7ATABIwEgASsBNgE3ATQBNgE7ATwBNwEuASEBEwEKAQYB/wDyAOYA3wDbANUAzQDHAMcAygDMAMgAuwCxAK4ArgCqAKUA' +
+	'oACWAIQAdABtAGwAagBmAGEAWQBTAFIAUQBMAEoATQBPAEcAOAAuAC8AMQAsACUAIwAnACoAKgAqACsAKQAlACIAIQAfAB0AHgAeAB4AIwAuADUALgAjAB4AHwAdABgAFQAXABoAHQAfACEAIQAhACIAJQAoACkA' +
+	'LAAtACcAIAAbABsAHAAYAA4ACQAHAAMAAQD///7///////v/+P/1//H/8P/w/+v/5f/i/+X/5//n/+3/+v8IABcAKAAvACkAIAAWAA8AEwAgAC4APwBaAHAAbQBYAE0AVwB0AJIAmQCLAHMAWABIAE8AZAB+AJsA' +
+	'uQDUAOgA+QAKARgBIgEwAT4BSgFTAVsBZgFzAXUBbAFeAU4BQgE/AT8BPAE5AToBPAFDAVIBWQFUAU8BUwFZAV4BYgFiAWIBYAFWAUYBNQEqASMBGAEJAfwA8wDrAOEA1ADGALcAqwCkAJwAkACGAHwAcgBuAGkA' +
+	'XgBTAEoAQAA1ACsAJAAlACYAIQAYABAACgAHAAwADwARABQAFgAWABkAGgAXABEABQD8//j/9v/3//v/+//9/wEA///6//f/9v/4//n/+v8DAA8AFQAXABsAIAAdABQADwALAAYABAAFAAcADgAUABIAEgAcACcA' +
+	'IQAYABcAFwAVABsAJQAnACEAFgALAAAA/v/3/+X/5P/l/9v/0//O/8v/yP/E/8T/yP/N/9f/4f/m/+T/3v/h/+b/4//h/9j/0//X/9r/2v/Z/+T/9//5//P/9/8FACUAQQBWAGcAYwBYAF0AeQCdALcAzQDjAPgA' +
+	'BwEVASEBKQEvATIBOAFBAUoBUQFYAWIBbgF6AYUBgwF0AV4BQQEoASkBNAExAToBWgFpAXUBigGJAYABgQGFAZABjwGFAYUBdAFPAT8BNQEmASEBDwH1AOIAzwDAALUAqQCdAI4AggB5AG0AYgBWAEsAQgA7ADEA' +
+	'JgAgABoADgAEAPv/9P/w/+//7f/l/+D/2//W/9f/1v/W/9X/0P/M/87/3f/q//D/9P/x/+7/8P/v/+X/4v/q/+3/7f/t//3/EAAUABoAHQAVABAAFAAVABQAHgAeABcAHgAiACIAIgAgACQAJQAfABwAFQATAB8A' +
+	'DwAQAP7//f8DAAcADgAPAAQA9P/2//f/7P/h/+P/4P/c/9b/zf/D/7v/tP+v/7T/xf/O/87/wf+z/7X/r/+s/6//sP+k/5z/n/+d/6P/rf+4/8L/yP/S/+T/8P/x//n/CQAbAC8AUABwAIYAkQCYAKQAqwC1AMEA' +
+	'zgDgAP4AGAEqATgBQAFFAVQBZQF3AYcBlQGlAbUBzAHUAbkBjwF/AXwBeAGJAaABqgG5Ab0BswGqAacBsgGtAaoBqgGhAZYBhwGRAXQBRAEwAR4BDgH7AOgA0QC+ALEAoQCOAHoAaQBfAFMARwA7ADAAKwAfABUA' +
+	'EwATAAYA+f/q/97/1//O/8T/vf++/8L/u/+1/7b/uP+4/7v/s/+w/7H/tf++/8b/0v/b/9//5P/h/+T/6//u//b/+P/7/////v/8//v/BwAHAAYACgAMABIAFgAYABUAFQAWAB0AHQAaABsAGgAbAB4AHAATAA0A' +
+	'DQAPAA8ADgAPABgAGAAKAAQA/P/m/8//yf/D/8L/wv/I/9X/zP+9/7D/p/+e/57/qP/I/8r/q/+j/5//kP+H/3T/Z/9h/1r/Vv9W/1n/ZP91/4T/i/+Z/53/nv+l/7L/xf/V//P/HgBUAH0AkQCdAKIAtgDOAL8A' +
+	'tQDUAOwADgEuAUgBVQFiAW4BeAF9AY0BqAG6AcsB2AHVAdcB4AHhAeUB8QH7Ae0B5AHjAd4B3QHbAdgB0wHGAb4BwwG9AaoBnAGKAXgBXQE4ARYB+QDlANUAwQC2AKMAkwCCAHEAXQBOAEIANgAlABoAEAARAAEA' +
+	'7f/i/9z/2f/U/8//yv/A/7j/sv+t/6n/pP+g/53/mv+a/57/n/+V/4//kv+Y/5T/m/+j/6r/s/+5/7//xP/L/9H/1f/Y/9//4v/p/+//8f/3//j/AgADAAQACQANABoAHAARAAcACQAKAA4ADwAOAA4ACwAOAAwA' +
+	'FgAPAAUAAQADAAMAAwD//wEABgACAPr/6//l/9T/tf+v/63/rP+x/7L/tf+3/7r/yv/O/5z/l/+f/6D/jf97/2n/VP8//zD/Jv8m/xn/IP83/0n/T/9c/1T/Xv93/3//kP+m/7X/3f8GABQAQwBoAHcAjQCqAM8A' +
+	'9QAAAQEBGgFAAV0BbwF6AYoBlwGvAcgB4AHtAfYB/wH+AR0CEAIWAicCIQIaAh8CFwIWAhECDgIKAgQC+gHtAd4ByAG1AacBnAGaAXsBVwE1ARAB9ADeAMoAuQCqAJsAjQB5AGIAVQBKAEAAMQAdABcAEwD4/+f/' +
+	'4P/R/8j/wv+6/7j/r/+v/7D/o/+X/5P/i/+E/4H/gP97/3P/ef+B/4T/cv96/43/mv+a/5v/oP+j/6f/p/+0/7//uv+7/8L/zP/X/9//5P/q/+//9//9/wQABAAHAA4ADQARABYAEwAcABgAGQAZABIAFQAZABwA' +
+	'GgAVAAgABgALAAgACQAGAAEA+//5//n/+/////v/8v/v//H/7v/s/+P/2P/X/83/vP+x/6H/lP+G/3r/Zf9P/0z/SP80/wj/6f7o/uH+5v7t/uz+9f4E/wT///4C/xT/Kf8z/0j/Zv+U/9D/+f8dACgARACKALsA' +
+	'5gACARYBEQEEASsBWgF8AZUBsAHIAeQBBAIhAjQCPAIyAkICOAI4AlQCSQJSAk4CQwItAiACAQIBAvcB6AHbAc4BwAGyAaIBkAGFAXABTgEnARcB+wD4AOMAxwCwAJ0AjwCBAGsAYABQAEEALwAeABMA///v//D/' +
+	'4v/N/7r/tP+q/6T/nv+b/5X/jf+C/3f/c/9v/3X/e/+F/37/cP9u/2r/a/93/4n/mf+k/5T/jv+R/5n/qP+q/6L/nv+q/8P/xv/Y/+f/8f/5//f/+/8GABMAFgAXABYAGAAdACEAJwArACgAKQAqACYAJAAjAB0A' +
+	'MQAkABcADQAKAAYABgALABQAJAAqACkAQQBNAEkAWwBdAFQATgBCAC4AHQABAOn/5//T/8P/s/+n/5j/g/9a/0f/Fv/4/tv+yP69/rH+o/6e/qP+qf62/tL+1v7M/tn++P74/gH/Ff8y/1v/iv/L/wMAIgBbAJEA' +
+	'vgD1AP8A/QASAT4BaAGPAbIBzAHfAQECLgIuAjkCSgJNAlYCTQJeAmsCcAJmAlgCTAI2AiMCCwL8AfYB5wHhAdEBtgGaAZwBmQFnASwBOwEyARsB/ADiAM4AuwC1ALUAqQCVAH8AawBnAF4ASwAuAB4ABwD6/+z/' +
+	'4v/O/77/xv+1/5b/ev93/3X/c/9r/2b/Zf9m/1r/T/9S/13/W/9c/1v/XP9f/1r/W/9i/2r/c/+E/5H/k/+J/2j/dv+9/8z/0v/c/+j/CAANAAoACAAaACUALgAvADEAMwA3ADsAPQBHAE0AUQBBADkAQAA+AD4A' +
+	'MgArACYAIgAnACMAKQAxADUAOwBDAEsATQBWAF8AXgBfAFwAWQBXAFUARQA5ABUA7v/N/73/q/+I/2n/U/9F/0X/K/8R//T+0f63/p3+jv6B/nj+gv6S/pX+nP6q/qz+uf7I/tf+5v78/h7/Sf95/6//+v9AAFUA' +
+	'rgDOAPMAGwE6AVMBhwG0AdkB3QHjAesBEgI5AkQCVgJeAm4CfgKMApACjwKMAnkCagJIAjACGAIIAgEC9wHaAcEBsgGkAYwBdAFPAUMBMAEUAeoAywC9ALUArwCuALEAogCUAI0AeAB2AE4APwA5ABsACgD6/+b/' +
+	'z//E/9T/q/+S/3r/ZP9V/1T/Vv9K/0T/SP84/yf/I/8d/yH/If8f/yP/JP8x/zj/S/9W/2T/aP9j/2v/b/9w/2v/jf/I/9X/1P/r//7/EwAsADAANwBSAEYALABCAEkARQBOAFcAXwBiAGAAXwBUAEwAPQA4ADQA' +
+	'JwAsAC4AMQAyADUANAA7AEQAUwBiAGEAaAB1AHcAiACYAIcAgAB7AG4AYQBRADsAMAAhAP3/x/+i/4L/Xv9C/yL/Dv/y/t7+v/6r/o7+bv5T/kr+VP5j/m3+cf51/oH+kf6f/q7+w/7a/v7+Ov97/63/6P/y/0MA' +
+	'iACjANAA/wAcAUUBjwHPAfUB4AHTAQkCGQIcAjICUAJqAoUCjAKXApsClgKHAngCcAJXAj0CFwIHAgIC8gHTAasBsQGlAZcBaQFEAS4BHAHuAL4ArgCzALEAsACgAJ0AlgCQAIcAdwBjAFkAUAA5ACQACQD7/+P/' +
+	'7//D/53/if99/2r/V/9A/zD/Mf8t/yH/If8O/wb/Cv8M//X+7f7r/uD+4v7w/vr+BP8e/zH/PP8z/0P/Tf9W/2P/cf+W/6H/xf/8/xsAMgBAAEEAVwBeAGoAaQBfAGQAbgB3AHoAdgBwAG4AZABXAE4ARAAvACoA' +
+	'LQArADIAPQA/AEEATQBaAGgAcgB3AHoAewCcAHcAbwC2AKcAuQCoAH8AawBRADwAJAAQAAEA6P+4/37/av83/xH/6/7Z/sf+sf6f/oD+Yf5R/jz+KP4h/iD+K/4//k3+Yf55/pv+u/7i/gL/DP8t/1z/o//3/zwA' +
+	'XQB8AK8A2wD9ADkBdgHDAesB1AHzAf0BEAIqAkoCaQKAAosCiAKAAncCaQJdAlsCWgJSAkcCMQIMAu0B9gHeAcsBxAHOAaEBcgFUASwB6gDSALwAtwC6ALkAsACoAJQAjACEAHMAbwBoAFgATgA3ABMA/P/y/93/' +
+	'4f+p/5b/fv9Y/0H/LP8h/xL/Bf/3/u7+7f7x/vH+6/7f/tz+2P7J/sj+zv7W/tz+3v72/gr/D/8m/z7/Kf9y/4z/m/+0/9L/9f8GABYARwBeAHMAewB9AIEAjQCQAIwAkQCCAH8AggBuAGsAZwBwAF8APQAZADUA' +
+	'BAAtADMASABSAFwAaQB2AHkAhgCYAJMAlgCQAFwAhwCGAHcAbgBpAGkAbgBTADUAHAAFAOf/0f+Z/4T/Yf9J/yD/+v7a/sr+uv6h/o3+bf5b/kb+LP4V/hT+Kv4v/iz+R/5W/lj+hf7B/uf+A/8Z/z3/ff/P/wwA' +
+	'MABdAIoAvwD0AB0BSAGIAbUB2wHoAfwBHQJCAmQCfgKDAn0CcwJiAl8CVwJVAlQCQQIrAiwCKgIZAv4B4gHUAcABvAG/AZUBZgEzARAB5QC6AMIAvgCkAJkAoACeAKEAigByAHIAcABuAFUARgA8ACYAEAD1/+H/' +
+	'2f+Z/37/Yf9K/yv/E//9/u3+4P7O/sX+xP6//rb+rf6+/sb+p/6o/qr+sf6//sn+2v7r/uv+7v4a/0L/Wv+L/7P/1//n/wYAJQA0AD8AZQB6AHwAiQCMAJEAogCoAKYAlQCNAJAAkACEAHUAVwBZAPf/8//u//3/' +
+	'DwAMACgASABfAGoAcwCBAI0AmQCaAJcAnACBAHUAiwBmADwARgA1ABwAGQAoABIAGAAAAOr/y/+n/3v/af9E/yz/Ev/5/tz+z/69/q7+mv6D/mP+SP4y/iP+Hv4X/h7+Kf4y/kr+af6S/rP+1/7m/iH/Yv+l/7r/' +
+	'IQA/AHAAqADdAA0BRQF5AaEBxQHoAQwCMwJbAnMCdAJyAmkCYgJiAmYCXwJTAlQCLgItAj0CLwIQAuoB3gHKAbQBpgGXAX0BYwFFASUB+wDPAMcAwQDFALQAmwCbAJsAkACJAHcAbQBdAFgARwAzABcA+v/n/9b/' +
+	'z/+O/2v/TP8q/xL//v7k/tX+xP6y/qj+m/6d/pf+jP6F/pT+fv50/n3+lv6x/rD+uP7e/g//Nf9W/2H/gv+o/9D/CAAlAEcAYgBoAHEAigCPAIMAhwCUAJ0ApQCjAKgAqwC7ALcAqAB+AGAASQBCAB4AEQAKAAoA' +
+	'EQAdAB4AIgAvAGEAgACJAJMAmQCpAJAAfACMAEUASgBWAFIAQAAuABEA+v/Z//3/6f/g/73/s/+g/4H/a/9S/z//Lv8T//L+3v7d/s3+vv6o/o7+c/5c/kb+MP4m/iT+Jv4v/kj+Vv57/qH+x/7t/gr/V/+D/5z/' +
+	'wf81AE8AjgDDAAEBNwFuAZ0BxgHvARoCRwJiAmQCXwJiAmECawJ2AmMCZgJoAkACKAI4AkUCLgIcAvQB0wG+Aa4BogGZAYkBbgFcAT4BFQH4APMA4wDXAMcAuQCuAKgAmgCPAHQAWwBPAEAAMwAaAPr/0v++/7r/' +
+	's/97/1D/NP8c/wT/5f7N/rv+rP6k/p3+l/6a/on+gv6F/nj+cv5l/m3+g/6c/rH+vv7o/v7+Jv9O/47/p/+9/+3/EQA8AGkAewCHAJIAlQCOAJQAowCwALkAvwC4ALcA0ADwANIAkgBCAF4AUQA8ABgADgAAAPz/' +
+	'MQATACYAMQBFAGMAfgCwAKIAUwBNAFEAXABtAGwAagBVADUAHgACAOv/2P/F/6X/sf+l/5//k/+H/3n/d/9m/1H/N/8b/xD/Bf/+/u/+1P7L/qf+kP59/mz+Vv5A/jT+Pf5D/kj+W/54/qX+zf73/h7/OP9Q/27/' +
+	'pP/0/z0AiwCxAOwAKQFiAZABuwHoARYCQwJUAlkCWwJfAmICYAJbAmICYAJOAkQCTAJMAj8CMwIbAgACygGrAZ4BjgGIAYsBggFmAVEBLQElARsBDAH8AOIAxACrAKEAkwByAF0AUABEADIAHgAEAPX/yv+a/5z/' +
+	'if9Y/zj/Fv/9/u/+1/63/pv+h/5//n3+df52/oH+kP51/n7+kP6X/nj+e/6c/qz+v/7J/hP/Mf9V/4D/pv/D/+//JABDAGIAgwCbAKMAqgCzAKAApQCeALEAvADFAM0A3gD7ANcALgAmABkAFQArABcAGAAbABAA' +
+	'KAAnAEUASQA9ABAA5P8YAFIAbAByAGkAYQBYAEcAOQAlAA4A9//Y/73/pv+Q/4P/cP9z/3L/gP9//3L/bP9t/4b/S/87/z3/Mv8l/xv/Df/U/r/+uf6s/pP+ev5e/lX+U/5Q/kz+X/5+/qj+yv7m/hz/R/9f/4D/' +
+	'sv/1/ykAeQCuAN4ABwE+AW0BoQHXAfkBGwI6AlMCZgJrAmwCbwJoAmECQwJEAmICVgJIAjUCIQIbAuwBzwG9AbQBtQG9AbwBrwGYAYQBXQFFATEBGAERAewA2QDUALYAjgB3AGAASAA3ABAA9f/W/7j/o/9x/4P/' +
+	'Xv8x/wr/B//x/t3+xv6o/ov+c/5p/l3+S/5W/mf+e/5n/lX+bf57/pD+hf55/nf+qf7Y/gn/Lv9d/4z/vf/+/y0AQgBdAHsAnwC8ALYAwwDIALsAsAClALIAwQDKAN0A7gDvABMAHQBUAFkAOwAIAMb/DAA7ADkA' +
+	'x//P/+j/DwAhADcASgBVAFcAUQBKAEQAMwAkABEAAADs/9b/v/+n/43/df9h/1T/Tf9M/zz/a/9R/1r/YP9e/2b/ZP9R/1L/Uv8+/zz/Kf8S//X+3P7I/qz+ov6F/nb+cf57/nX+b/6H/qf+xv75/hT/H/8y/03/' +
+	'gP/N/yoAbQClAPIA6wAkAWEBkAG9Ae0BEAIsAk8CcAKBAn0CdgJzAmkCVQI/AjECPwJIAjECGgIIAuEBwgHBAckB4QHlAeAB2QHKAbkBqwGQAWABNgFEATgBEQHnAMMAjABuAGkATgAiANL/rf+K/2v/Zf88/0n/' +
+	'Pv8N/+X+2/7J/rL+p/6T/nn+XP5D/j7+Vf5p/mz+XP5B/jP+QP5W/l/+Z/5w/nr+qf7Z/gL/Lv9c/5P/0/8bAEIAawB4AJYAugDQAMwA2gDhAM8A0gC8AMEAywDUAN4A7wA2AD8AVQBEACcAKgAaABMACQAFAOL/' +
+	'9v8AAAgAFAAhACcAKQAsACkAJQAdAA4A/v/v/93/y/+z/57/hf9s/1T/QP8w/yj/J/8m/yT/H/81/yj/Tf9R/1z/af90/27/Yf9Z/0//Sf8k/wb/7/7c/sT+tf6k/oz+iv6H/oX+h/6n/rn+1f7t/g7/MP8+/1n/' +
+	'cv/W/xMATwCCAM4AEAE8AWcBdgGlAc8B+wEdAkQCaQKKAosCfQJyAm0CXwJIAjQCIAIJAhYCDAL7AekB2gHIAdAB4AHtAdIBxAHEAc8BtAGrAY8BgAFUAUYBKQH7AOEAxwChAHYARAAIAM7/iv9y/1f/P/8p/zT/' +
+	'Dv/g/rr+uP6k/oH+af5a/lD+Vf5A/iv+Av79/TL+V/4d/hr+Lf5E/k3+Sf5W/nL+qP7P/v/+MP9k/6L/7f8eAEIAcgChALUAvwDPAOoABQHrAO4A2ADGAMcAygDUAPoAGABnAF4AQQAgAAcA2f/I/+r/6v/s/+7/' +
+	'z//a/+P/6P/v//f//P/7//v/+//s/93/z/+9/6n/kv9//23/Vv88/yX/Ef8C//7+Af8K/wX/+/4d/zr/NP9K/2L/ev+L/5H/df9h/2P/Qf8i/wT/9P7v/uz+yv6t/p3+if6F/o/+lP6u/rv+4P77/gr/Jf8+/1f/' +
+	'fP+h/+//LABnALAA7QAjATYBYQGTAcAB7QEXAj4CZgKKApECjgJ2AmECXQJKAiYCCgLrAdoB0wHkAeMB4gH0AfcB7QEHAuoB3AHTAc0BwQG1AacBnQF1ATgBIwH2ANkArgCEAGwASQAiAPH/x/+Y/2z/Tv8k//3+' +
+	'4P7K/qT+iv58/mH+Vv5I/iD+BP7//fb9//2q/aX94f39/Rf+D/4S/iL+Qv5H/mv+lP7F/gL/RP95/7f/AQAmAEgAegCoAM0A2gDtACMBBQEAAQgB8QDmAOgA+gCsACQAeQBpAEYAHwD6/+f/tv/R/7v/wf/C/8z/' +
+	'sP+z/7n/xP/H/8v/0//S/8z/xf++/7D/ov+O/3//af9T/0L/MP8f/wb/9P7l/tz+3f7j/uv+4f4W/zL/Tf9W/2X/jf+T/7H/gP9u/3//Ov8H///+9v7f/s/+nf6X/qf+nf6U/pD+kP6r/tz+6f73/g3/F/8b/z7/' +
+	'bv+F/6v/4f9TAJwAsgDqABQBSgF5AbMB5AEQAjsCYQJ+An8CdwJyAlcCSAItAigC8wHZAfwB3gHOAecB5wH6Af0B/wHmAdABpQGmAboB1AHFAbEBkAFxAV4BRAH1AMwArgB/ANEAuABBAOv/tv+W/4L/XP82/wL/' +
+	'3/6+/p3+gP6J/mT+R/5A/jT+Jv4S/v799f2c/YT9oP29/av9vv3f/fj9Ev42/l3+i/6//gH/SP+a/9z/AwArAF4AoADMAP0A9QD6AAsBDQEoATkBMQE2Ab0A4/9WAHoAYwA/ACEA/f/j/9D/tf+z/5v/of+o/6r/' +
+	'kP+O/5b/nP+n/6n/qv+u/6j/nP+Y/4//gv92/2L/T/82/yL/D//9/uv+2f7N/sT+xP7K/s/+1P71/hz/OP9J/2D/bv9v/3H/cf+K/03/Qv8h/wb/5v7l/sL+sv6r/q3+oP6d/qL+vP63/sD+1f7k/vP+Av/5/vn+' +
+	'C/84/37/r//2/zQAdgC1AOsAJAFeAaABzAH7AS8CWgJnAmECVgJIAjcCHgIPAvkB/gEOAjMCOAIYAgUC9AEAAtcByAHKAdgB5AHlAdoBhwGYAb0BsQGOAYEBMAERASMB9gDJALwAygC8AHMA8v+Q/5P/df84/wP/' +
+	'6/7F/qn+fv5T/m/+h/6Y/o7+hv58/vX90/2m/ZD9iv2P/Yz9v/3S/db98f0f/k/+lv7a/h3/ZP+1/+j/GAA8AH4A0gD2APYA5wD3ABABIwFZAeEAkgBaAIoAqgCXAG8AQwAiAP//5P/J/7r/o/+f/4P/lf+J/5P/' +
+	'g/+F/4P/iP+N/5P/lP+S/47/hf99/3v/bP9c/0n/MP8h/wf/7f7W/sX+tv6n/p7+lv6S/pP+ov7K/uv+F/8d/zv/Qf9P/0j/ZP+F/0D/Gv8G//H+0f61/rX+s/65/qX+r/6m/q3+ov6l/q7+pf6m/qj+rv64/tX+' +
+	'8v4b/0r/iv/G/wwARgCHAMIAAAFDAX0BsgHqASUCTAJQAkkCNgIeAgcCBQLuAdYBygHlAS8CJAIMAg8C/wHeAeQBwgHKAckBuwHFAcEBhwFWAYsBmAGPAYQBgQF5AVsBQQEiAScBEQHgAMAAHwBh/0z/ZP9P/w//' +
+	'5f67/qD+j/52/mX+bv6l/mr+MP7T/Zn9gP1n/Wn9Zv18/Zb90/3G/df98f0o/lD+lf7g/jv/fP+c/9T/GwBUAI4AzADyAOYA+QAiATYBRQF5AXYBkQDPAMYApgB7AFEALwANAO7/0/+8/6f/kf+V/3n/kP+E/4H/' +
+	'g/+C/4L/gf+C/4X/hv+F/4b/ev9w/2X/Wf9N/zv/Iv8U//n+3/7G/rL+oP6U/or+gP5+/nz+hf6N/sH+/f4B/wn/HP9C/zr/WP9e/yv/Cv/2/uH+xP67/sD+0f7I/qz+rf6x/rz+sf6M/nv+XP5n/mr+hv6o/s/+' +
+	'7f4M/zb/bP+w/+z/JgBeAKAA6QAxAW0BogHeARACJgIrAisCFAL5AeYB5gHiAfUBwwHqASQCJgL8AQUC7AHNAb0BqwGgAbMBsQGnAXgBJwHpACQBhwGBAWwBbwFxAWIBXgEyAQIB6wDtALkAgwCz/4P/YP9j/0D/' +
+	'3/65/pT+h/5O/mr+0f7s/rL+/f3m/dr9zv3d/UH+Hf62/bj9HP4u/kX+Mv4r/lj+m/7W/jz/ZP+D/9L/HgBiAJkAzQAAAQIBGAE4AUQBagGgAWIBpwDeALoAhgBmAD8AGgD8/+D/2P+3/6L/lv+g/3D/i/+R/4b/' +
+	'kP+O/4z/fv98/3j/dv97/3v/cf9q/2P/Wf9J/zb/J/8S/wD/4P7K/rT+oP6P/n3+eP5v/mz+bP59/pT+q/7f/uD+7/4V/yz/Kv9D/zL/8f7a/uj+2P7e/t7+3f7a/tD+wf69/rj+mP5t/lL+Rf5R/lv+ef6Q/rH+' +
+	'0f7v/hX/Sv+P/8r/AwBJAIwA1wAXAVkBmQHIAdYB4QHlAd0B1QGzAZ4BrAHZAcoB1gGwAcYBoQHHAd0B2wHfAbkBsQGuAZABigFwATcBHQHNAHIAFAElAaUAmADRAPcA/AACAd8ApQCFAJYAeAA3AAkA2P+b/3z/' +
+	'Sv/1/uH+0f7C/uD+z/7K/gD/D//V/rP+qf6O/nj+Xv5J/jT+K/4m/jf+Vv5Z/pD+rf7g/ij/W/+M/+3/KwBoAJ8A2AAPARUBLAFLAWUBpwF+Ab4A2wDcALwAjABlADoAIQARAOv/zv+3/6L/nv+J/5L/kv+W/5n/' +
+	'oP+i/5z/if+F/4H/hv+I/4P/fP9y/2r/Yf9Z/0P/Lv8Z/wX/7v7Z/sT+sP6c/oP+cv5q/mT+Yv5j/nP+jP6q/rz+x/7g/g3/If8t/xH/+v7a/u/+4f7j/vL+7/7l/tP+y/7J/rD+e/5h/iL+Gv4o/kH+X/6D/qD+' +
+	's/7T/uv+IP9e/5//5f8rAHEAuAACAUQBbAGHAZcBpQGkAYsBfwF3AZIBrwHLAbABnAF2AbAByQEDAv4B4wHCAYUBMwEoAU8BTgFCATEBFQH/ALkAWgA5AA4ASwCAAJoAFAHfALAAaAANACoANgA7APr/yf+f/4T/' +
+	'VP8t/zn/H/8V/6L+Iv6J/gf/HP8E/+T+wf6o/o/+ff5s/mj+Zf5//pT+m/6U/oL+ov7l/hv/Rv+P/+f/LwBuALMA7AAZATcBPwFyAYwBcwGJAWwADQHwAMMAngBvAEkAKgAdAP//1f+x/6X/of+L/6b/pv+o/6v/' +
+	'pf+m/6D/pP+g/53/m/+c/6H/nf+P/3v/c/9z/2T/S/8t/xL//P7o/tb+w/6q/pL+f/5w/mn+YP5f/mH+aP6B/rv+p/7I/ub+AP8O//j+//7y/uP+9f7x/vX+8P7h/uj+6/7N/qf+ff5Q/gz+/v0M/iz+Tv51/or+' +
+	'k/6i/sj++P4v/3P/vf8GAFQAngDkAAsBKwFGAVkBZwF8AVUBRwFWAXsBjwGSAaEBrwHIAe4BKwL/AdcBmwF8AUQBGwEfAUEBQwE+AR8BCwEkARMB2ACLAGsAoQCvAKQA0QC8AJUARADq/53/c//Y//L/5P+//4f/' +
+	'df8z/xT/C//6/nX+Tf5E/jj+5v4M/+T+0/7E/qL+jv6M/oL+ef6S/q/+v/6j/mj+rf75/hX/Vf+k/+7/MwB3ALQA7QAiAT4BAgFFAWMBggGgAaMAHQEEAdkAqgCEAGwATAA8AA0A5//I/7H/qf+s/6z/o/+k/6X/' +
+	'tf+t/7j/wP/H/8v/xv/H/7//u/+p/5b/h/+B/3X/Yv9S/zr/G/8C/+f+zv62/p3+hf5r/lv+U/5N/k/+WP5m/oD+k/63/tb+Bf8L/x//EP8Z//X+4f7j/ur+7/7p/uf+4v7a/rz+fP4v/iz+/f37/Rn+N/5N/l/+' +
+	'aP6E/qX+0/4K/1D/mv/n/zMAeACjAMoA6gAGASEBLgFHATIBKgFAAVUBYwGFAZYBpAGyAewB2QG1AYYBYgEtARMBCAEJARYBLwE3AScBHAECAeQA3wDOAKgAogCjAKUAwQCQAGIAMQD9/6v/af9P/7r/sv/F/3r/' +
+	'af8p/xL/6f6w/nz+Ff42/hz+HP6n/gL/7v7X/s3+q/6k/qH+hP6h/sT+vv5L/mr+u/4T/yP/a/+5/wwARgCNAM4A/gApATABDAFYAXcBiwGnAfoAKwEbAesAwQCcAHsAWQA8ACEA/v/n/8z/wP+8/7n/wP+6/7r/' +
+	'zP/9/wYA0f/u//v/CQACAPf/7P/e/8P/rP+b/43/eP9n/0//M/8T//T+2P69/qP+iP5r/lT+SP5A/j7+Rf5P/k7+if6Z/sL+B/8R/yX/Lv8M/+n+8P7x/gD//v7S/tj+Cv/r/sf+lP46/jX+Cf76/Q3+JP4o/iv+' +
+	'OP5W/n3+r/7o/i7/dv/C/xEAOwBhAIQAqADKAOgAAgECAQwBDAEbAToBfQG6AZwBiwGGAXkBaAFmAToBGwEJARoBGQEiARwBHgEmAS8BHQH1ANcAxQCaAJEAkgCNAGwAswCMAGcAOQD+/77/bP8Z/xD/Q/8w/03/' +
+	'M/8J/8P+xP5K/kD+Kv4w/hv+zf2M/br98/21/tr+1f7Q/mL+Fv5w/rH+t/6L/qb+5P4f/0H/hv/M/yAAZACkAOUAJQE4AfkARwFfAX4BlwGyAeUBLgFKARQB3gC4AJcAbwBRADEAIAABAOv/2P/G/7r/uv/I/9D/' +
+	'2v/m/+n/PQAwAB4ALgAlACQAGwARAP7/3/+//6L/iP9w/1v/QP8m/wj/5v7F/qb+hv5o/lL+Pf40/jL+Mv4+/lD+Y/6V/qf+4f4p/zL/Tf84/wr/8f7J/uH+7v7//gD/Av8L/+P+t/5L/jv+EP7z/f/9Df4L/gP+' +
+	'Gv42/l7+k/7N/g3/Vf+g/9z/BwAmAEoAbACFAKYAzADiAPMA9gARAUEBUQE4AWgBhwGPAVwBPQE5ARwBAAEEATABUwFMATcBGwEHARoBGgHvANQAqQCKAH8AgwB+AIsAcgB6AHEATwAPANH/Z//6/tL+wP7K/iT/' +
+	'AP/V/sb+b/5K/jv+OP4l/un9yf2d/YH9a/18/b79C/4c/t39FP5c/oX+nP7L/tD+9/4x/1//qf/x/0kAgwC/AAEBIwEaARoBagFrAYkBpgG9AYQBiAFsAUEBDwHzAL4AkAByAFMAPwAbAAcA8f/d/9H/zP/N/9X/' +
+	'6//7/wQAEgAjACwASQCNAEUAMQAkACYAGADv/7n/m/9//2T/Rv8t/xD/7P7L/qf+kP5w/lf+Q/4w/ij+Kf40/kX+YP6P/rr+0P4g/0n/Zv98/zT/5/7O/ub+6f4v/w3/Av8A//j+8v6n/lL+JP4A/vX9/f32/fX9' +
+	'Cv4m/kn+fv6v/uv+MP95/6r/z//x/xEANQBeAIgAqwC7AM0A5gD7ABkBOAFbAY4BgAFsAUYBLgERAQcBJAE8AVEBcgFcAUcBGgECAQwBBQHgAK0AkQCQAIYAewBzAHEAWABNAE8APgAQAMr/Uf/m/rr+tP7W/tX+' +
+	'if5e/i7+Pf4v/h3+BP7y/d/9zf23/bX9u/3M/c391v3b/Qf+G/5U/nz+nf7D/sf+9f42/3v/w/8VAGEArgCaANYAEAEhAV8BdAFwAYcBtQHQAboBHwFvAVMBRwEYAfMAxwChAH4AawBFACcAGQAGAPr/8//u/+X/' +
+	'DgAJABQAKgA+AE8AWQBWAFMASgCPAEYA+f/6/87/qP+R/23/Tf8u/xH/8P7L/q7+k/51/lv+Q/4y/ib+Jv4u/kH+Xf6C/qb+yv4D/0v/ev+E/2H/E/8L/07/Z/91/07/Qv9N/yr/Ff/B/ob+VP4F/gb+/f33/QH+' +
+	'Dv4q/kn+bv6b/s7+EP9U/3//n//C/+n/GwBWAIoApwCuAL8A2gDuAPAADwFoAWQBcQFLATEBEQH/ABEBMAE7ATkBOgEqARIB/ADoAAgBGQHHAJMAhgCaAIIAbgBcAGcAVAAxADoAKgDp/53/Hv/M/q3+qP6h/sT+' +
+	'l/5d/kX+9f3n/eT9v/2q/aD9sP2l/ZP9qP2//bn9yv3j/f/9IP5d/oX+qf7Q/uH+Gv9S/6H/6f83AIwAvADqAAwBMAFTAWABcgGLAZkBxQHcAekBrQEBAXEBZwFCAQ4B6ADEAKUAmwByAFAAQQAvAB4AEgAUABoA' +
+	'KAAqACsAOwBSAFoAXwBXAFgAUgBMADYAtgDu/9r/uv+c/4D/W/87/xz//f7Z/rL+lP52/lz+RP4y/ib+JP4w/kT+Yf6I/q3+0f7a/mH/iv+6/8j/af9T/3n/lf+p/2T/Vf9L/z//Hv/7/pn+Zf4p/rT9ev2w/e79' +
+	'KP45/j7+Zv6F/rb+8/4x/1b/dv+a/8L/9v86AH4AqgC6ANYA6gAAAf0AFQFGAVEBSgEvAREBCwEOAR0BOgE8ARkB/wD2AAkB5ADIANcA8QCQAHcAhQCIAHcAXwBWAEUARwAaABMAIwDN/2j/D//L/qr+lP6e/p3+' +
+	'Vf4T/vn90/2c/Z/9cv1s/WL9Wf1Z/XT9iv2B/ZL9rf3b/Qv+H/5g/or+r/7X/gX/Mv+B/8X/EgBdAKYA1QAzATcBWQFtAXoBhgGXAbQB0QHpAegB7AGVAWQBmQFlAToBFwHuANgAwwCYAIcAcgBaAE8AOABBADEA' +
+	'PQA8AFMAWQBZAFoAWABTAE0AQgBEAEQAIwD7/+H/xf+s/5H/bP9I/yb/Cf/l/sD+nP59/mX+Uf4+/jD+LP43/kn+aP6O/rL+1f4J/xb/cf+6/9f/h/+B/5v/vP+u/5P/hv+Q/2r/af84/wj/2/6C/jr+X/43/hX+' +
+	'vf0c/jn+Xv52/p7+1v4Q/zH/T/93/6P/3v8fAF8AkAC0ANoA9wAEAQUBCQFIAVsBJwEbARQBDQEOAR4BIgENAe4A5gDyAP4A3AC0AJgAhAB2AG4AfgByAFoASwA4ACsAIwAFAPX/7P/d/3P/JP/0/t/+qP6k/nH+' +
+	'I/7x/dD9kv1q/TD9OP0c/RP9FP0P/TP9L/0d/U/9if2w/dz9IP5g/oz+u/7U/iz/YP+r/93/MQCGAN0AMgFyAWMBjAGaAZ4BpwGzAc0B4wH0AfMBAAK6ATUBmQF4AU8BMQEHAfEA1wDJALAAnwB8AHsAYgBQAEgA' +
+	'SQBMAE0ATABTAGAAZwBgAFMARgAzACoAHgAAAOD/0P+4/5//gf9i/0H/If8A/9r+sP6O/nH+Wv5J/j3+N/5C/lD+cv6T/rj+3P4U/z//Zv9x/7P/3v/B//H/7f/h//v/8P/c/7j/gf9X/x3/8v7F/pH+af5g/mT+' +
+	'm/0S/jT+M/5c/ob+wP72/hT/Nv9h/4//yv/7/zQAZQCWAMAA4gD7APoADwEsAUwBFQEdARcBFgEdARoB8QDyANcA0ADRANEArACaAIIAbQBxAHMAbwBYAEoAMwAfABMAAwANAN//yv/T/4r/Uv8t//7+y/6X/kr+' +
+	'8/3M/Zf9X/0c/fb82/ze/NT8svy+/M38vvzz/DL9f/2s/c39Kv5x/qH+z/70/j//i//B/yUAgwDFAB8BmgF6AZ4BvwHFAc0B0AHYAesB+wEAAgMCGAIPAmoBqAGbAV0BNQEkARkB7QDjAMsAtQCdAIQAdgBxAF0A' +
+	'XQBiAFwAWABeAGYAbgBwAF8ASwA7ACgAEwD7/+X/2v/L/7f/n/+F/2X/Rf8a//D+xf6i/oj+a/5V/kn+Rv5L/lv+e/6Z/sD+6v4Y/0j/b/+V/7X/wv+j/9b/BQAkADcAIgAGAOT/tP9t/zD/B/+2/pf+jP6J/mT+' +
+	'Lv4Z/iP+NP5Q/mv+n/7e/gr/Kv9P/3b/pP/S/wQAOQBpAJcAsAC+ANcAAQEuATgBMAE5AS0BHgEjAf0A7QDmANMAvwDJAMoAqQCHAH0AZQBSAGAAVgA2ACgAFgD+//D/5f/K/9v/rP+0/3n/Qv8P/9v+r/59/jr+' +
+	'4f2r/Wn9Mf31/L/8pPyg/KT8nvx5/Hb8oPze/Cb9ev2W/bX9Mv6D/rT+9v4q/3P/0//7/1QApgD/AFABbAHfAQ0CzwH1AfIB8AH6AQkCEwISAhACIwKtAa0BswGMAXEBbQE6ASABDQERAfEA2gCvAJsAjQCJAHAA' +
+	'bABuAG0AaQBrAGwAdgB8AG0AYQBQAD4ALgAaAAQA8f/g/8v/tf+b/3r/Uf8r/wf/4f69/p3+gv5t/mD+Wv5e/m3+h/6m/sz+8v4g/0v/df+Y/6v/w//f//n/6f/o/zkASQAfAAMA1v+Z/zf/ZP8d///+rf6//oT+' +
+	'Ev46/ir+P/5G/lf+gP7A/v3+If9D/2z/k//A/+//HwBOAHcAkgClALwA1QAaAS4BSgFKATIBIAEXAQUB8gDgAMoA0ADYAM0ArgCQAHgAUwA2ADEAJwAMAAAA+v/j/9H/2P/t/7D/nv9p/0L/Fv/k/qn+a/5B/gb+' +
+	'yP2K/Ub9B/3K/JH8gPxf/Hz8cfxe/E78h/y//CD9fv2Q/eT9M/6Y/tn+Ev9U/53/DAA8AIYA3wAzAX4B6QENAkkC2gEnAiMCGwIbAi0CMQIRAtABfwGhAdcBvgGeAYQBaQFPATwBNgERAQQB5gDbAMAAqgCQAIUA' +
+	'fwB4AGgAaABpAHUAegCFAIYAfQBmAFYARwA3ACIACwD5/+b/zf+v/47/af9D/xz/+/7b/r7+o/6M/n/+dv55/ob+m/65/t3+Af8j/0z/bf+M/6b/xf/g//n/DQAqAD8AiQA/AAgA8P/m/9T/gv+U/2X/H//E/j3+' +
+	'Xv5d/jb+P/5A/lT+df6i/t7+If9d/4H/pv/M//T/HABBAGYAgQCdAKsA0QAgATkBQQFHAT4BHAEOAf0A6QDvAOkA8gDvANgAtQCSAGYAOQAQAPv//v/p/9L/y/+9/9T/zv+2/5//ev9K/xv//P6//kb+Ef4K/gT+' +
+	'uv1s/Sv96Pyp/HH8Wfw5/Er8RvxA/DT8bvy0/B79h/2h/e39Wv7D/gL/Pv+G/83/HABsAMAAHwFuAcABCAIfAogCgQJKAlICRwJMAlMCWQJlAhwCFQIXAgACwgG2AZ0BkQF7AV0BSwEqARoB9gD6ANsAygCwAJUA' +
+	'kwCHAHkAZABsAHIAegCDAJEAigCNAHkAZQBVAEAALwAWAP7/5f/F/6L/gf9i/z3/F//7/uP+yf6z/qX+nv6e/qX+s/7L/uf+Bv8m/0r/bf+M/6b/v//X//H/CQAlAEcAbACOAJEAkgBZABIAAACo/5P/cP8q//P+' +
+	'2f65/pD+iv5Q/lv+cP6m/tb+B/9I/4f/tv/e//7/KwBIAGYAggCnALsAyADjADIBLwFTAVABLQERARABAwEEAf0A8QDdAMkAtgCPAFYAKAD6/+n/0f/D/7f/nf+X/43/s/+r/4T/Rf8l/+f+zv5+/vz95v34/eT9' +
+	'uf1p/Rj90fyS/Fz8Pfwh/Bj8HvxA/Eb8ZPyz/CT9lv27/RT+mf7w/kT/cf+5/wAATgCjAPgATgF+AfcBGgJUAsIChwJnAoMCgAKBAncCSQJzAmUCUQJWAksCCwINAt4BxwGnAYIBYQE5AR4BHAH9AOMA2AC9AKQA' +
+	'nACiAJMAfAB4AHQAgACNAJgAnwCeAJkAhQB1AGEASAA0ABoAAADl/8D/nv99/1z/RP8n/w3/9v7f/sz+wv6//sL+zf7e/vr+Ev8s/0z/av+G/57/tP/L/+D/+f8ZAD0AWACAAIkAeQAGAYYAOgDS/6D/wv98/1v/' +
+	'Hf/u/sT+wv61/n/+iP6n/tj+Dv9E/33/vP/6/yQAQQBdAG0AhQCgALkAtgDGANkA9QAsATIBIgEQARABAwHSAMEAugDTAOEAsAB8AE8ADADI/8X/tf+P/57/jf+B/3r/fP99/0r/+P7S/qj+df4b/un94v3o/cr9' +
+	'pv1q/Rn90fyL/Fb8NfwW/AX87PsU/BX8Sfyq/CP9qv3W/fT9r/4X/2z/tv/h/zkAjgDUAB0BXQHSARICVAKNAqECgQJbAqoCnwKXApsCjwKDAoUCdgJkAlMCNwITAggC7gHkAawBfwFdATUBJAEVARIB4gDWALUA' +
+	'qwCiAKoAlACIAIMAiACJAJYAqQCpAK0AmgCLAHQAYwBJADMAHgACAOP/wv+e/3z/YP9F/y3/Fv/+/ur+3/7a/t7+6P72/gn/H/81/0z/Zf9+/5T/qP++/9f/8P8OACUARABpAIgAZQALAb4APwATAN7/vP+q/3H/' +
+	'Sf8M/8r+uv67/r3+0/7C/ub+Gv9L/4L/vP/y/yUAQABXAGkAeQCNAJ0ApgC0AMEA0gDgAPwA5wDNAMsAsQCeAKYA0QC2AKAAiwBiADAA5P+u/6D/lf+W/5D/i/98/5D/X/9c/yD/1f7O/pD+VP4V/uH96v3Z/bb9' +
+	'jf1g/Sb94Pyc/Fz8MPwc/Pv77vvf+/77Svym/CX9pf3+/UT+uv43/5f/6v8dAGYAvgD9AEgBqQEKAisCSQJ6AqsCvgKMAscC0QLDArACowKaAp0ChgJ2Am0COwIVAhgCCgLuAdUBngF8AVcBOAEcAfsA7wDVAL0A' +
+	'wAC8ALAAnwCUAIsAiwCOAJkAmQCnALgAowCNAIoAdABgAEoAMgAUAPb/2P+1/5f/fv9j/0r/MP8Y/wX/+/71/vj+BP8R/x//Lv9B/1D/Yv92/43/of+2/87/4//2/w0ALgBaAGkAwwD0AMwArwBrACoA8v+//5v/' +
+	'Zf8n//3+3v7h/uL+5P7F/vX+JP9S/4H/s//o/xoAQQBUAGEAbABzAHkAgwCQAKAAyQDEALgAtgC+AKoAqQCiAJwAlwCOAH8AXgAsAPj/v/9z/1D/Y/92/4H/k/9x/2L/W/87/wr/2f65/mz+Df4P/gP+8v3X/bj9' +
+	'hf1V/R/97/yp/GX8OPwm/AD88/vz+wf8Rfyx/CL9oP3//U7+v/4u/7z//v9MAJoA5wAsAX0BwwEyAjsCIQJOAoECbQKrAtQC5wLXAscCvQK1ArQCnQKQAoICWAIuAjICJQIHAtkBuwGUAXoBUwEzARABAQHpANAA' +
+	'1ADFALsArACYAJgAlACQAJ8AnwCjAKQApgCVAIwAfwBvAFoAPwAiAAcA6P/G/6z/lv99/2P/Sf8z/yP/GP8R/xL/HP8n/zT/QP9K/1b/Y/9y/4D/j/+c/67/1f/m//z/HgBgAJAA9QC1AM8AugCJAEYABADR/6z/' +
+	'gv9D/xn/Af8O///++P4H/wj/Gf9G/3D/l/+//+7/FgA8AFYAZgBrAH4AlAC3AMEAvgDDAMEAwwC1AK8ArACoAKYAqACJAFoATgAgANv/jv9T/zn/L/9S/43/nv+H/1z/dP8///L+tv5j/j7+FP4X/hP+Bf7v/b/9' +
+	'jf1Z/SX99/zD/IH8TPw8/BL8/vv9+yb8X/y3/B/9iP3u/XL+2P5C/7j/FABoALUABAFTAZgB9gEkAhACRwJ3AiQC1AHSAv4C1wLaAqgCvQLSAtMCxAKnApACeQJRAksCSgIdAu0BwAGmAYcBagFAAR4BFAH3AOQA' +
+	'2wDFALsArwClAKEAmwCYAJcAkACZAJoAlgCUAIoAegBpAFcAQQArAA4A8P/U/7z/pv+N/3b/YP9O/z7/NP8s/y7/Nv8//0j/Uf9Z/1//aP9x/3r/gv+N/5//sP/M/+7/GgA/ALkA6gCgAMMAqgCWAGUAMQDq/7b/' +
+	'iP9c/0X/KP8d/xH/BP///iH/Qv9i/3//jv+u/8T/3f/3/xgANQBMAGIAgwCaALYAyADFAMAAtgCwALIAtgCyAKMAjAByAEEASQAsAOH/kv9P/zL/Mv9E/3f/rP9d/0j/Q/84/+D+iP5l/jr+KP4s/if+IP4B/tn9' +
+	'p/1u/T/9FP3p/KX8cPxf/DH8GfwU/FD8ePzF/C39gf3n/V3+0/4K/2H/MwB1ALwAAQFGAYoBwwH/AQACfgJkAmQCfwJRAqkCwgK5AtEC7QLIAt8CCAMIA/oC2gKYAmgCYwI5AgEC3wG4AZYBfgFbAUMBEQEPAfEA' +
+	'7gDOAL4AtgC0AKIApwCpAKYAlwCMAIkAiACBAH8AdQBjAEwAOAAfAAkA8f/X/8T/qv+Y/4b/dv9n/1z/Uf9M/0z/Uf9Z/2H/Z/9t/2//cP9x/3P/d/+A/43/of+6/97/BQABAJ8AgQB4AMgA0QC2AH4ATQDv/8f/' +
+	'sv+J/zn/OP8j/w7/Cf/t/hb/Qf98/6v/s/+5/8b/2f/g//f/DQAuAEsAcQCRAKoAvwC7ALcAtACxALQAsQCZAHcAXgBMADUAGwAdAOv/q/+A/2j/T/9R/2r/if9Z/zT/Qf8x/8r+jf5j/kz+Rf5G/kf+TP5K/gP+' +
+	'0v2b/Wb9P/0U/dX8ovx4/Fv8T/xV/HT8mfzd/Cr9i/3Z/Uj+tf4n/0X/5P9xAKwA7wAmAWEBpAHhAeEBNwJgAjACTQJPAkICIQKcAvQCNwMFAw8D7gIFAyYDHgPmAnsChQJkAjICBQLeAbQBmAF7AVUBMAEgAQgB' +
+	'BAHhAMoAwgC7AK0AqQCnAJ8AlACCAHQAdwBtAGcAVwBFADYAKgAaAAYA9P/b/8H/sP+h/5H/gf9z/27/aP9j/2b/a/9z/33/gP+C/33/d/92/3b/dv97/4X/lv+v/9L/9f/j/2MAvAB+ALIA3gDiALIAdQAfAPD/' +
+	'wv+O/1j/Mf8p/xv/Df8C/x7/Qv+K/7T/zv+r/6//u//H/93/+f8ZADgAZQCBAJgArwCuAKMAnwCfAKsApAB2AF4ATwBIAFAAagA4ACUA9//A/5//bv9p/2n/fP9l/0r/O/8a/8L+if53/mb+Yf5o/mz+ZP5O/j3+' +
+	'//3N/Zr9bP1L/Qr9Cf2p/I38g/x9/J78tvwA/TX9h/3L/ST+i/7x/ln/g//Y/4wA1AAHATcBcwGnAdAB8gECAiICHgIXAvUBtAE/AqgCvQLZAhEDOAPRAroCLQNdAjICiAJaAlcCLgIFAtkBuQGUAXQBVQFDARsB' +
+	'HgEGAewA0wDMAL0ArACmAJUAjgB6AGAAXABZAFMAPQAoABYAEQADAAgA7//Z/8D/rf+d/5L/if+B/3z/ev96/37/h/+R/5f/mf+W/47/f/99/37/fv+A/4n/mf+u/8r/7f/+/1UAxgB3AM4A7ADyAMkAkQBkACwA' +
+	'8/+1/3n/TP8+/yb/G/8Y/yf/Xv+R/7H/y/+h/5b/pP+z/8X/2/8BACsAUwBtAI8AlwCWAJMAkgCWAJgAgwBoAFoAVQBUAFoAbwCEAGQANwANAN7/uv+H/47/jv92/1r/VP8I/9r+n/6T/nT+cf6W/pX+hf58/lj+' +
+	'Q/4N/tj9rP2M/VD9Mf3s/NH8v/y//Nf86vwW/Uj9ef27/Q7+XP7Q/h3/bf+H/7z/fADrAAoBTAFPAXABewGdAcUB3AGmAccB/gF4AqACrwLGAuYC6QLyAuwCzQKvArYCpQKPAmcCSwIwAgMC5gG6AZUBgwFlAUsB' +
+	'YAE4AR0BEQH1ANcAtwCeAJsAjABtAFMASQBCAD0AMQAYAAMA8v/r/+f/6//Q/7z/rv+k/5z/mf+V/5T/kv+S/5n/p/+t/7L/rv+n/5r/jv+I/4r/jf+R/5X/ov+1/8v/6P8IAPj/ygAbAekABwESAfgA1gCfAG8A' +
+	'IQDY/7n/jf+A/0P/Q/9U/2z/W/+J/5b/ov+O/5T/of+u/7z/1P/4/ycARQBcAHgAgAB/AIMAhgCGAH4AcwBkAGIAZgBxAIIAmQCsAKQAagA/ABMA1P/O/8D/gf+O/1j/R/8W//X+1v68/rL+uP67/rz+sv6j/oH+' +
+	'g/5h/hj+9P3O/Z/9dv05/Rz9Cf0J/RH9If1D/Vb9e/27/fn9U/6e/vX+MP+P/9H/vv/q/zAAZgCJAMEAbAEQAU0BaQHTAQoCQgJkAokCkAK0AtEC4QK0AvECEAPoAtYCugKTAngCSAJWAkcCLAL6AdYBqgGJAWoB' +
+	'rAGIAVQBMQEJAeYAuACaAJAAkABnAFAAQwAwACAAGAAFAPD/3f/R/8//yv+6/67/qv+n/6P/of+k/6X/qP+s/7j/wP/F/8f/w/+7/6v/ov+f/5z/n/+i/6f/sP/B/9P/6f8NACYAZgA8ATYBNQETASUBDgHQALgA' +
+	'bQBRANL/oP+V/1z/Zv9k/2D/ff+M/5X/g/+W/6n/pf+v/7j/z//q/w8ALwBKAGAAZwBpAHUAdwB/AHYAbwBvAHIAeQCKAJ4ArADRANYAkgBiADMACgDv/8r/qf98/17/Q/8P/xb/9f4T/+f+B//5/uH+1P7M/rH+' +
+	'k/6U/mX+Sv4c/vH9uv2M/Wr9Vf1X/VD9W/1V/Xf9jf24/fX9Sf6F/rL+D/9U/4H/v/8EADkATgCEAKwA6gAnAW0BmQG/AesBFwI4Al0CagJwApkCqAKnApkCjQKSApsCnwKdApwCaQJWAs8BYAJTAjYCBALrAcsB' +
+	'2wG9AX8BQwFNASYBwwCcAIAAdQBbAEoAQAAxACEAGwD3/+f/2P/I/7z/s/+m/5//oP+h/6P/pf+q/7H/uP/E/87/1v/Z/9j/1f/N/8D/tf+z/7P/sv+0/7n/xP/N/9b/6f8NAD8AWAD1AHMBwAG6ATcBJgH4ALwA' +
+	'lQBmAPH/wf+o/6D/bv9z/33/eP+Z/4v/g/+c/7H/tv+4/77/zf/l/wQAIwA/AFgAYABqAHgAgwCCAIIAfwB9AIAAhQCSAJwAvgDYAM8AnwB4ADwAJwALAOj/uf+N/5X/Vf84/yP/Gf/4/gH/SP9d/xP/Bf8D//P+' +
+	'3f7O/q7+m/5x/kD+B/7f/b39rf2f/ZT9gf2N/a39rf3L/fH9M/5h/oX+1P7z/jL/cP+g/9T/CgA4AGgAwgANAUMBZQGFAakB3QECAhkCJQI5AmgCmAJ/AnwCbgJ2AnsClQKCAocCfAJoAgoChgJ9AmMCQgIgAv8B' +
+	'BALbAcMBpwHfAAYBxwCdAHwAawBcAEkAQgA6ADMAFADz////1v/N/8H/p/+X/5X/mf+g/6L/qP+w/7v/xP/P/9r/4v/l/+T/4P/c/87/yv/F/8P/v//A/8L/zP/Y/+T/9v8YAEMAgQB/ADABqAHHAZoB+QDfAOAA' +
+	'qgBWABMA6v/P/67/gv91/3//lP+h/6P/j/+s/7T/u/+4/7b/yf/j////IQA+AFQAYABtAHYAiwCDAIkAjQCOAI8AkgCVAKMA5ADwAMoAqwCMAGUASQAvABEAzP+u/4r/mf9l/2b/O/8+/0//f/90/z//Of85/yX/' +
+	'P/8K//b+5v7C/o/+Wf4w/hH+//3n/cr9tP26/eL9zf3j/f39GP5B/mv+i/60/ub+JP9R/47/sv/f/xUAiwDgAA4BSgFaAV4BhgGsAdoB8gENAi8CagJtAnUCggJ3AmYCZwJuAmQCXAJKAlYChAKUAn4CYQJBAhwC' +
+	'9AHwAeoB1AEDARAB1ACdAIUAcwBZAEoAOQAuABsAIwD//9r/yP/A/6z/pv+Z/5D/kf+V/5j/of+v/73/yf/V/+H/6f/s/+r/5f/g/9v/0v/M/8r/y//Q/9X/3//p//X/CAAlAE4AeACfAK4AtQB/AbsBngEwAdgA' +
+	'zwCFADwA9f/D/6X/fP+M/5L/m/+m/8X/vf+y/8D/x/+8/7b/w//m//7/IgA9AFIAZwB0AH8AfwCDAJMAmwCdAJ4AqwCvALgA3gAAAdMAwACtAHwAZABMACEAHwAUALH/m/+V/3D/dP+S/7n/zv96/2L/Yv9f/1j/' +
+	'W/9T/z//M/8T/97+sv6C/mn+S/4r/gr+7/3n/R/+7/33/Qz+E/4u/kr+Y/6V/sH+7/4k/1X/jP+2/wMAVQCOAMYA8QAbAT8BSgFxAZoBxwHxAQMCNwJVAkECWAJVAlICVwI8AkkCSgJVAloCQQKcAowCcwJSAjQC' +
+	'8QECAgkCrwEiAQYB0wCeAIMAcQBdAGAANAAcAAgA9//f/8b/tf+t/6b/nP+S/47/jf+O/5X/nf+s/7r/yf/W/+D/5f/q/+n/5f/h/97/2f/Y/9j/2//j/+f/8f/8/wYAFwA0AFIAbQCSALcAvABQAbABtAEqAewA' +
+	'xQClAFoA9f++/6//pf+v/8H/wf+9/7j/uP+3/8r/xP+9/73/x//d//r/GgA4AFIAdAB6AH4AgwCMAJoAowCqALgAzQDUAOcA+wD/AAYB+wDYAKQAigBvAGgASQAKAPT/2P+S/5f/ov+9/+r/9P+Q/4//lf+L/7v/' +
+	'l/+Q/4r/e/9b/zL/A//a/rH+jv5s/kj+Nv4y/j/+Hv4k/hn+If4j/jP+Wv6M/q7+1P7+/iL/Vf+4/+T/LABfAHAAmwDOAPQA9gA3AVcBhwHMAccBCgIzAjUCPgI/Ah4CKQItAjcCLwJZAmMCAQKAAogCcwJPAgsC' +
+	'+QEKAgwCAAEvAQABzgCaAH4AcQBkAEwAKAAVAPz/5v/N/8D/s/+m/5v/l/+V/5D/jv+Q/5L/mf+l/7X/xP/Q/9n/3//g/+H/4P/g/+H/4f/j/+b/7P/1//r/AgAMABYAKABBAFQAYgCGAKwAwwBNAbEBpAETAdYA' +
+	'ygCbAF0A+v/U/8L/wf/k/9n/zP+z/5z/of+w/8D/wf/A/8X/0v/q/wUAHwA9AFsAcgB7AH4AhQCRAJ8ArQDAANgA8wDtAOAA9AAWASoBIAH6AMEAsQCbAH0AaABMACAA+//n/+v/4v8BACQA/f+9/7//zf/Y/8X/' +
+	'yf/D/7z/r/+Z/3f/Tf8j//f+z/6x/pH+ff5u/nH+Qv40/jH+Nv4o/j3+X/6j/pv+yf7N/vf+aP+q/7n/6f8hAC0AQwB9AJQAuQD7ACkBUAGUAZgBsQHrAQkCFgIaAgcC/wEBAgoCHAINAlECRgICAmECRwIeAgAC' +
+	'+QEEAr4BPwE0AfcAxQCbAHwAbQBTADgAIgAPAPb/2//a/8D/rP+i/5f/jf+H/4T/hv+O/5b/mv+k/7D/vP/H/9D/0//W/9f/2f/c/+H/5v/t//L/+f8BAAcADwAXACEALQA+AFEAaQCOALYAqwBBAY4BsAEKAe8A' +
+	'ywChAFgAGAD2////4f/e/8L/qf+M/5//qv+2/8D/xP/M/9n/7v8EABsANgBQAG4AeQCAAIQAjACcAKcAvgDUAO8ADwHkAOUA/AAkAUUBJAEGAfAA3gC6ALoAmAB8AFMAOwAlABcADQAxAE0AFwDu//L/+P////D/' +
+	'8P/y/+n/3v/L/7T/jv9q/0H/F//x/tb+tv6f/pT+av5W/lD+Rf5C/lL+af59/o3+vP61/gb/Q/+A/5n/zv/c/+L/AwAiACIARwCBANoABgE6AT8BWwGkAdoB7QHnAb4BygHNAd4B+gHxAQMCKQIgAhQCGgIMAvYB' +
+	'6wH0AVEBUwE6AfcAxACYAHYAWgBJAC0AEwAFAPf/6v/X/9L/vP+n/5X/if9//3//gP+D/4//lP+d/6f/sv+5/8T/x//M/9D/0v/b/+L/6//s//P/+/8BAAoADwAZACcANQBAAF8AbwCRAK4AnABXAawBaQEKAfYA' +
+	'1ACoAGoAMQAwACYA///H/5P/mv+T/57/t//K/9b/2//p//v/EQAkADgATgBkAHsAhACJAJAAnQCrALkAyQDdAPkAHgH3APYAAgEyAVABKQEiAQsBAAEGAQABBQG+AIIAZAA+ACkAMgA1AFgAMAAZABQAFwAbABcA' +
+	'EwASABYACwADAOv/zf+p/33/VP8z/xD/8f7U/sf+mf59/mz+XP5g/nr+dP6F/o7+h/6k/vX+H/9R/1r/jP+W/67/wv8CACQAEgBQAHsAqgDRAPAAGwFaAYgBpgHCAaIBjAGZAbEBzQHPAdUB9wECAggCAQL1AeUB' +
+	'3gHeAfkAYQEqAfQAwACYAHoAVwA/ACQACwD8//L/7v/b/9H/1P/A/6X/j/+C/3r/ef9+/4X/jf+U/5z/of+l/63/tv+8/8T/yP/P/9T/2P/g/+f/8v/8/wcAEAAbACIALQA9AFAAbQCIAKcAggBfAV4BIwHxAOgA' +
+	'xwClAG4ATwBFADsADADB/5f/lP+U/6b/yf/j//b//v8LABgALAA+AE8AYQB0AIUAjgCQAJYAoACtAL8A0QDoAPAA9QD4AP8ACwEtAUUBQQEuATcBNgEvAUQBGgHvALAAmABiAFYAYwBVAHsAeQBQAEUASwBMAEUA' +
+	'SABZAFEAQwAqABQA/f/h/7n/kv9r/0b/J/8L/+z+yv6m/pP+h/6O/nb+gP6D/nv+dv6D/q/+D/81/z3/S/9m/3j/fP+E/5n/xv8jAEsAawCWAMcA+AAiAUIBYAGUAXsBaAFtAXgBlgGcAaEByQHbAeMB6AHeAdcB' +
+	'2wGPAfcAMQEKAeEAugCVAHYAVQA4AB8ADQD9//H/8v/b/8j/uv+z/6j/nP+O/4L/e/98/4X/i/+Q/5X/mP+c/6H/pv+s/7H/t/+9/8T/zP/U/9r/4//w/wEACQAMABUAIwA2AFAAZgCGAJ0AmABvAQ4B7gAAAdQA' +
+	'sgCZAIAAXwA9ABwACADA/7L/pf+p/8P/8/8FAA8AIwApADEARQBXAGYAdgCGAJYAlwCVAJkAnwCvAL8A1gDlAOEA7AD5AAMBCQEmATQBUwFRAUkBRQFXAWkBLgHvANMAxACLAIgAkwC1AL0ApACQAIgAlQCMAIwA' +
+	'lQCBAGsAZABTAD0AJgAMAPP/zf+j/4H/YP9A/y//BP/W/sX+sf6c/of+g/58/nT+cf51/oz+uf7t/hL/Hv8o/zT/S/9I/3D/w//1/yAAUAB+ALAA0QDxABUBPQFjASkBJgFDAU4BaAFlAXcBqQG3AcYBwgHDAccB' +
+	'ugHpABwBHgH1AMgApwCDAGwAUwA6AB0ACwACAPH/4//d/8P/rv+j/5//mf+S/4j/hf+G/4n/kP+U/5T/lP+V/5j/nP+k/6f/rP+y/7n/v//G/8r/0//h//H/9//+/wcAGgAxAEcAZACEAJ0AkgBDAdUA/QD1AMMA' +
+	'qACrAJsAgABSAC0A5f/P/7T/tv+1/8D/7v8FABcAKgA5AE4AYwB1AIUAkgCdAKQAoACcAJkAnwC3AMAAyADlAOUA5ADxAPoACQEVATEBQgFdAWcBVQFPATYBEAHnAPIA8gC0ALkA0wAHAfoA4gDQAMQAzADbANIA' +
+	'uQChAJcAigB4AGIATQA1ACAAAgDb/7j/l/9x/1//Lf8G/+f+2f6+/qb+jP5s/mz+af53/nn+l/7G/vf+Af/5/g7/NP83/0//hv+n/wIAKwBhAH8AhADIAO0AGgEkAd0A7QACASQBNQE3AUUBbwGEAZoBoQGnAa8B' +
+	'cQGxABEBAAHQAKwAmwB5AF0ARQA1ABsACwD7/+n/4P/U/8P/sP+j/5z/lv+P/4n/i/+S/5H/kf+N/4n/jf+P/4//k/+a/6H/p/+t/7X/vf/E/8n/0P/b/+X/6v/z/wEAFwAxAEoAYAB8AIUAwABAAdoA5ADUALUA' +
+	'qwClAJwAgABUABUA3v/I/73/tP+2/8T/2f/4/xwALwBHAF8AcwCJAJ0ArACxALMAqAChAKEApQCyALQAuADGAM4A1ADiAPAA/wADAQsBOAFHAT0BKAEQARUBAQENASYBCQHlAOgA+wA6AToBGQETAQwBFgEPAe4A' +
+	'0QDIAMMAsQCbAIcAbwBXAEUALwAPAOj/wv+l/37/V/8y/w//5/7J/rf+kv5x/mf+c/6Q/o3+nP7O/un+0P7U/vD+8P7r/hD/Sv+O/9b/BgAlADkAYQCOAL8A8wCyAKsAuwDHAOkAAAEQARwBPQFPAYQBggGNAZcB' +
+	'6ADYAPEA0ACzAKIAiQBsAFUAPAAnABEA///x/9//1f/B/7j/qv+i/5//mf+R/47/j/+O/43/j/+M/4v/hv+I/4z/lP+X/53/oP+n/7D/uP/C/8z/1P/f/+P/5v/v//z/FQAxAEkAYgB3AFoAzwAOAeUAuwCxAK8A' +
+	'qACqAH8AXAApAPH/0//H/7//uP+7/8H/1//z/xQAOABbAHYAjwCmALcAxADDAMEAuQC1ALEArACvAKcAqgC2AMAA0gDlAPIA/QAAAQoBHAE1AS8BFQEYARkBFgEnATEBEAEOARgBKQFSAVsBVgFZAVQBSQEhAfwA' +
+	'7ADsAOgA1wC+AKYAjwB4AGoAXAA8AA0A7v/K/6f/hP9g/zv/Ev/w/tf+uv6d/oP+dv5w/mr+b/5//oP+f/6N/pz+sP7I/tz+/P4q/5X/0P/2/x4AQABfAJ0ApgBbAHUAigCSAJ0AuwDeAPsACgEhATIBYwFsAUkB' +
+	'0ADmAMwAngCFAG8AegBRAEAALAAnABMA/f/p/9f/wf+2/6z/n/+V/5P/kP+L/4j/if+I/4X/hf+I/4P/gf+C/4f/jv+X/5z/nv+i/6n/sv+7/8v/2v/l/+n/7v/1/wEAFAAqAEEAWgBtAI8A0QDvALsAoQCYAJcA' +
+	'kgCVAG4AKwAIAOf/2f/N/8D/uf+9/8P/1//3/xgAQABfAH0AmACyAMUA1gDbANsA1gDSAMoAwgCtAJ8ApgCwAMIA0gDhAOkA+wAEAQoBEQEWASMBJQE6ATkBOgE5AUIBLQE4AVIBZgGAAYcBlwGWAXUBUQEyAQ8B' +
+	'/wD5APYA7gDfAMgArQCWAIwAiwBaADgAGgD7/9b/s/+Q/2v/Q/8g///+4v7H/rT+q/6j/pf+k/6V/pX+nf6m/rH+wv7W/ur+AP8g/z//Zv+x//n/HgBDAEEAQAApAEEAUwBcAGYAewCnALwA7wD5APkAGwEkAd0A' +
+	'zQC6AJgAagBSAD4ANwA8AB8AEwAJAAIA+P/p/9b/u/+n/5z/mf+O/4j/hf+C/3//f/+B/4T/hv+H/4H/f/+C/4j/j/+V/5n/nP+i/6z/s/+5/8f/2v/m//D/9f/8/wQAFgAtAEUAXgBuAIYA1wDjANMAowCNAIMA' +
+	'iACCAGAAEgD8/+b/1P/G/7r/tf+8/8z/4P/1/xUAPwBgAIEAnQC7ANEA4QDvAO0A6ADoAN0A2wC9ALMArwC3AMEAyADdAPgACAEFARYBJgEmASoBPwFeAVUBSgFWAUwBUAFgAX4BmQGqAa4BoAGVAYQBaQFOATIB' +
+	'HwERAQsBAQH9AOgAzgC4AKoApACDAGQASQApAAoA5//C/5z/dv9R/y7/Dv/1/tz+yf66/q/+qv6q/qv+sP63/sL+0P7f/u3+Af8e/z3/Wf9p/4v/7P/2/wgA6f/5/w4AHAAmADEASQBlAHoAsAC/AMUAmgCgAL4A' +
+	'mQCJAHEAVQA1ABoABgABAAEA7//n/9z/1//L/7//sP+c/47/jP+F/3r/eP92/3b/d/95/3//hP+I/4b/hf+I/43/k/+Z/5v/nv+k/6r/rv+2/8L/z//c/+z/9/8FABYAJwA7AFEAZwBrAJ0AyQDZAOMAnQCFAHsA' +
+	'egBhABcAAQDz/+X/4P/T/7//s/+4/8v/4P/6/xoAQABhAIAAoAC/ANoA7AD7APkA9ADuAOkA3wDWAMYA7ADXAMoA2ADwAAIBEgEcAR8BJgEtAToBVQFhAVkBSQFOAWMBfgGbAakBuAG0AasBrAGlAZUBhQFsAVsB' +
+	'QQErASQBGwEVAQcB8gDdANEAwACqAJMAdgBZADoAGADz/87/qP+B/1//Pv8i/wb/7v7c/s3+yP7D/sf+yP7L/tX+3/7q/vn+D/8h/zr/UP9e/2f/jP/t/+//u//F/9n/5//z////FQAsAEkAawB/AJgAawBhAI0A' +
+	'ZwBdAFwAIQD+/93/0v/J/8j/yP/J/7r/uf+u/6P/mf+O/4b/fP90/2//av9x/2//c/90/3n/gP+J/47/j/+R/5T/mf+c/57/ov+m/63/tf/A/8r/1f/c/+f/9P8IABoAKgA/AFMAZABnAIsAtQC8AKAAiAByAG8A' +
+	'YwA4AAkA///s/+n/5P/f/9H/xP/B/8v/4P/7/x0ARQBkAIQAowC/ANsA7gABAQAB/wD3APEA6QDfAOMA0ADUANUA5gDzAAgBEgEZASYBMQE/AUcBTgFQAU0BUAFfAYsBtwHJAc4BvQG9AboBuQGzAawBowGKAXQB' +
+	'VgFEATcBLgEqASIBFQEEAfIA3wDLALAAlwB5AFoAPQAbAPf/0/+u/4v/cP9P/zL/F/8B//D+5v7g/uH+4v7k/ur+8f73/gX/F/8n/z3/Tv9Y/2L/av+f/6L/pv+j/67/uP/H/83/4//3/w4AFABOAF8AaAB0AGoA' +
+	'7f/b/9j/y/+2/6n/oP+Z/5b/mP+d/5//pP+e/43/hf+A/3j/bv9m/2P/Xv9f/2f/a/9w/3n/gv+L/5L/lf+Y/5v/n/+g/6D/of+m/6r/sf+//8f/0P/c/+b/8/8CABEAJAA2AEwAYgBxALAA6gChAJAAdQB3AG4A' +
+	'VwAsAAQA+f/m/9v/1//c/9z/0v/W/9//6/8CACEARgBoAIUAnwC9ANcA7wABAQ4BCQEFAfcA8QDoAOMA4QDVANkA5gDyAP4ACwETASMBOgFEAUoBSQFKAU0BYwGQAb0BywHJAcgB0QG3AdgBvwEHAtkBsAGmAY4B' +
+	'cAFYAUUBSwFUAUcBOAElARYB/gDjAMsAswCXAHgAWgA6ABgA9//U/7X/kv91/1z/Qv8q/xf/B//9/vr++P73/vv+AP8G/xL/H/8v/0H/UP9Q/1z/Zf90/3f/ef+C/43/lf+b/63/v//S/+f/IwA6AAgABQAGAP3/' +
+	'z/+P/4P/ff94/3X/dP9y/3T/df9w/3H/d/95/3f/df9z/2f/Yv9c/1j/U/9W/1z/Zv9s/3j/g/+K/5L/mP+d/57/ov+g/5//nf+g/6L/qP+z/7z/wP/O/97/8f/5/wgAFwAoADsASQBtAJwAsQCYAHQAcwByAG8A' +
+	'ZABCACYACQD3/+z/5P/k//P/9f/9/wIADwAhADoAVQBwAIwAogC8ANIA5AD5AAYBFQEZAQoB/QDzAO0A6QDiAOIA7gAEAQgBBgEZAScBMwFDAUQBTAFTAWEBigGeAbQBswGrAbUBtQG3AcEBvwHBAb0BtwGqAZcB' +
+	'gQFxAWMBggGQAYIBXAE+ASkBEwH+AOUAyACuAJEAcgBSADIAFwD3/9b/t/+a/33/ZP9M/zj/J/8a/xD/C/8H/wj/DP8S/x3/Kf82/0T/Uf9N/1b/X/9j/3b/cf9q/2r/b/95/47/p/+W/8P/2f/N/8r/zP/I/83/' +
+	'Wv9X/1P/Ov9D/0X/RP9G/0j/S/9H/0r/Sv9T/1v/Xv9c/1j/Vf9O/1L/Uf9N/0//Vv9i/3H/f/+J/5L/mv+e/5//nP+Y/5b/lf+Y/5r/ov+q/7X/vP/B/8z/3v/s//z/CwAgADEANABkAJ4AiQByAGgAaQB5AIEA' +
+	'fABwAFwAPgAiABkAGAAXAC0AQAAiACEANABEAFcAbwB8AJYAqAC9AMwA2gDrAP8ABwENAREBDQEIAQIB+gD5APYA9QDsAPsABwEcATMBQAFMAVYBXwFlAXMBeAGRAZYBogGwAcIBwgG9AcQBxAG9AbsBsgGkAZMB' +
+	'fgFyAYYBgwGEAY8BbwFeAUABKAEQAfMA2AC7AJ4AfwBkAEgAKgAKAOr/zv+z/5j/fv9o/1L/QP8w/yf/Hf8X/xP/E/8Z/yD/KP8z/z7/Sf9H/1D/VP9N/1H/Vf9Y/1X/Wf9i/3T/gP+g/5//oP+b/53/lf+C/3T/' +
+	'Cf8D///+//4J/xH/Ev8V/xn/H/8p/y7/I/80/zb/Pv9E/0b/Sv9H/0v/Pf9F/0f/Tf9a/2b/df9//4n/k/+X/5X/kv+O/4v/jf+Q/5L/nP+h/6v/sP+1/73/y//Y/+v///8SACkANgBHAIMAawBdAGcAbwCEAIsA' +
+	'dwB2AHIAWwBCADkAMwApADIANAA6AFAAawB/AJIAmwCRALEAtwDCAMwA2QDlAPMA/AAHAREBGAEUAQ4BCAEGAQQBAAEEAQ8BKwE6AUsBWwFjAWwBbgFyAW8BhgGAAY0BqQHDAdYB5wHWAdgByAG8AbEBrgGgAY4B' +
+	'egFwAWkBYwFcAVkBfwF+AWoBMAEYAfsA3AC+AKEAigBtAFAAMgAVAPr/3//F/6v/kv97/2X/Tv8+/zH/Kf8e/xT/EP8a/x//Jf8q/zD/OP9B/0T/Sv9E/0H/Qf9E/0H/RP9K/2f/VP9O/2X/ZP9g/1v/RP8Z/w7/' +
+	'yf7E/sb+yf7O/tf+3f7k/uv+9v4A/wj/Ev8a/xf/H/8r/zP/Ov9A/0v/Tf9S/0v/R/9P/1//bf92/4H/iP+M/4j/hf+G/4T/gv+E/4n/i/+Z/6b/p/+m/7f/x//Q/9v/7P8EABoALwAqAFgAZwBhAHoAdwBkAGcA' +
+	'ZgBnAEsAWACGAHMAeQCMAIcAnwCZALkApgB4AIQAjQCDAJQAwADOANIA1wDgAOcA7wD9AAABDQESARUBEAELARUBEgEFAQsBFQEYAScBOwFNAWABagFtAWMBZAFxAYgBnQG4AdEB1wHIAcMBwAGuAb8BngGTAX8B' +
+	'eQFqAVsBWwFfAVsBYQFeAVgBMgH0AOsAywC2AJ4AhABpAFAAOAAcAAEA6f/Q/7j/nv+G/2z/VP9C/zX/J/8d/xL/Cv8O/xL/FP8W/xn/IP8p/zX/Ov8//yz/Mv8u/yr/IP8m/x3/Hf8T/yH/If8T//3+3f7U/s7+' +
+	'jP6J/o3+kP6c/qT+rP66/sD+0P7Y/ub+8/75/gT/Df8R/xj/Gf8k/y//OP86/zr/PP9B/0f/S/9X/2f/cf9z/3L/cP9v/2//cP9w/3f/hf+I/4//lv+T/6T/sP+9/87/4v/v/wcAHQAuADIAKwByAJQAjwCKAJ8A' +
+	'sgC9AK8AtQCsALMAsQCrAK0ArgC3AL0AwgDOANUA1QDUAC8AlADGAM0AygDTANkA3ADmAPMA/wD/APUA9ADvAPMA4QDXAN0A4ADxAAYBGAEmATIBOAE8AUABUAFjAW8BfwGOAZwBnwGdAZ4BmgGNAYMBfgF3AXEB' +
+	'ZQFfAV4BZgFXAU8BTgFDATIBHgH0AMgAugCrAJYAggBoAE4ANQAcAAAA6v/O/7b/n/+H/23/Vv9D/zL/JP8W/wv/Af/9/vz+//4A/wD/A/8H/xj/HP8h/xv/Gv8S/w//C//6/uz+2f7A/sz+tv6g/pH+jf6R/o7+' +
+	'Vf5X/lz+Yf5n/nL+gP6K/pf+p/6z/r/+y/7X/uD+6f7u/vD+9f74/vv+/v4G/xP/G/8h/yr/Mv8y/zn/PP89/zj/Qv8//0X/TP9W/1//bP9z/3v/h/+V/5z/q/+1/8L/0f/n//T/BQAbADEAVABvAIYAlwCiALgA' +
+	'wwDLAMgAxgDBAMAAxADKAMYAwQDDAMcA0gDYAOQA7QDkAMMAYAC3AMYAwwDCALoAvwDBANMA1QDPANIA0ADMAMAAvADDAMAAyADYAOkA/QAHARQBGQEhAS4BPQFGAVEBWgFqAXMBdgF3AXgBdAFrAWEBXwFeAVoB' +
+	'VQFRAUoBOwEyATABKgEsAS8BGgEEAeoAsgCWAIcAdABdAEYALAAKAPP/3f/F/6//mv+B/2r/U/9A/y3/HP8M///+8v7q/uP+4f7h/uD+4v7k/vD+9v79/gD//v76/vP+7P7E/sv+rf6Y/oT+dv5k/lv+Wv5Y/lX+' +
+	'Mf42/j/+RP5M/lP+W/5o/nL+fv6L/pj+pP6v/rj+vP7A/sb+yP7O/tL+1f7b/uL+7P71/vX+//4K/w7/FP8a/xr/GP8c/x7/Kf83/z3/SP9X/2H/cP94/4b/kf+i/7D/vv/O/93/8/8NACgAQgBeAIYAngCuALgA' +
+	'ygDPAMoAzgDVAMQAtACtAJ8AygDbAMwA2gDiAO0A6wDaAIEAhQDEANAA0gDFALgAsACnAKIAmwCYAJwAlwCcAJ8AqQC2AMcA3ADoAPMA/QD/AAUBBwEWAR4BIQEmATYBQAFHAVEBWQFYAVgBTwFJAUcBSAFDAUUB' +
+	'RgE7ATQBNQE0ASYBFQESARQBCAH6AO4A0wCOAG8AWQBCACkAEAD2/93/yf+2/6f/kP94/2H/SP8x/x3/Cv/6/uz+4P7R/sb+vf63/rf+t/62/r7+xv7L/s/+2P7d/sz+zf7I/qL+j/58/mT+Vf5D/jb+L/4q/i3+' +
+	'F/4a/iH+Kf4z/j3+RP5P/lj+YP5m/nH+ef6C/of+jf6R/pT+mP6b/p/+pv6r/rL+uv7B/sj+zv7W/tz+6P7y/vn+//4C/wf/Ev8c/yb/L/84/0T/Vv9j/2//f/+J/5j/qP+7/9L/6v8JACIAOQBVAHMAjgCXAI4A' +
+	'sQDbAN8A5gDQAMoAxADgAOEA0AC7AMgAzADCAMIAwgC8ALcAsQClAJ4AjwCLAIMAgQCFAIIAgAB/AIMAiQCQAJ0AsADDAM4A5QDrAO0A7wDxAPEA8gD1AP4ABQEJAREBIQEuATwBQQE/ATsBOQEzATABMQE3ATYB' +
+	'MwEuASQBGQEVAQ8BAgH3AOoA2gDXAMoAqQCCAGgASgAnAAYA8//g/8L/sf+l/43/dP9e/0H/JP8P//v+5f7U/sL+uf6o/qD+lv6P/on+gP58/ov+kP6R/pj+mP6n/qT+pP6e/pL+hP52/mX+Uv4r/h/+HP4X/hP+' +
+	'Bv4J/g7+EP4V/hz+I/4l/ir+L/41/j3+QP5H/lD+Vf5c/mH+a/5s/nT+eP55/oL+iv6W/qH+rP63/sL+yP7T/tr+4v7s/vX+//4J/xL/G/8k/zL/P/9T/17/dP+B/43/nf+y/8r/5v8AABgALQBFAGEAiwCtALgA' +
+	'zwDVANcAyQCnAJoApACnAKgApACgAJwAlwCTAJEAjACGAHkAewBwAGwAaQBlAGQAYgBhAGUAbABvAHgAhgCfAKwArgCzALkAwQDKANEAyADIAM4A0wDWANwA4wDiAO0ABQERARsBJQEhASIBJAEfASMBIAEjASkB' +
+	'IwEbARMBDAEIAfwA6gDeANcAyQCwAJoAigB3AGEAQgAsABsAEAAAAO7/s/+b/4r/ZP8//zL/If8a//b+1v69/q3+m/6K/nr+bv5m/mf+af5i/lP+Sv5V/lj+XP5h/mr+Zv5m/mH+Vf5H/jv+L/4l/iH+Ff4O/gf+' +
+	'2v3p/ej95/3p/e798P30/ff9+v38/QX+Cv4P/hT+HP4n/jP+Pf5H/lD+Uf5Y/l/+Z/53/oj+lf6f/qj+sP64/sD+yf7W/uT+8f75/gH/CP8S/x3/L/87/0T/Yv9s/33/jf+h/7X/yv/i//z/GABKAGgAeQCKAJwA' +
+	'lACQAKIAjQB9AHEAcAB5AHkAdwBzAHMAbgBqAGMAXQBYAFUAVABRAEwARwBKAE0ATgBQAFcAXwBnAHAAgQCRAJQAmACfAKYAtgC4ALAAqQCvALAArQC0ALsAxwDBAOYA6gDpAPIA/gAQARoBLgE1AVcBcgFRATYB' +
+	'HAEHAfsA9wDsAOIA1QDDALQAmQCYAJ0AjgB3AGgASwAxAA0A///k//L/4P+v/4f/cP9n/1D/MP8f/wr/+/7o/tT+xP6h/pT+iv5+/m/+XP5e/lL+Pv46/jX+PP4m/iL+KP4r/iT+Jf4b/hL+BP73/e394P3e/db9' +
+	'uP2n/Zn9m/2y/b39wP3D/cn90v3R/c/90/3Z/d795/3z/fz9CP4W/h/+Kf43/kT+VP5m/nT+gf6M/pX+nP6m/rH+vf7F/s/+1v7e/uj+8/7//gz/HP8o/zn/Uf9h/3D/fv+P/57/rv/M//r/FQAxAEYAUABcAFYA' +
+	'VgBaAF0ARAA+AEUASABGAEQARQBIAEgARwBDADwANgA0ADQANAA1ADgAPAA/AD8APwBDAE0AUwBhAGQAawBwAHgAgACMAJIAmgCRAJQAjQCYAJYAnACjAKoAsQDZAOkA9AD7AP4A9QD/AA8BKgFeAXABgAFYAU8B' +
+	'NwEpASMBEgH8AOYAxAC0AKUAtQCiAJIAhwB0AGkAXgBkAEcAKAAKAN7/tP+W/33/Zf9M/03/QP8R//7+9v7g/tr+x/6i/pL+jP6K/mT+ZP5i/kn+MP4X/gb++f3x/fr9A/79/er93v3d/dv92/3U/cj9wv26/bL9' +
+	'lf2I/YL9gf2H/Yj9hv2U/Zf9lv2a/aL9o/2q/bf9w/3L/db94P3v/fz9C/4e/i3+Pv5M/l/+bf50/nr+kP6W/qD+qP6w/rj+u/7I/tT+5v77/vb+8v4p/yj/Mf9V/37/kv+c/6H/tv/T/+H/AwAlAEkAdwCEAE0A' +
+	'NAAmABcA+//4/wMACQAOABMAGAAZABwAGQAUABAADwAQABQAFAAVABgAIQAmAC8AQgBYAGQAaABpAGsAkQCPAJQAlQCRAI0AnQCoALAAqgCfALwA1ADUAM0A0ADMANkA0QDCANEA5QAPAQgBCgELARgBFwEEAQAB' +
+	'AQH8ABsBBAHcAK0AqQCrAKEAoACcAJYAiAB6AGkAUgBEACkACQDo/8X/qP+L/3D/WP9J/z7/Ev8I//P+3v7V/sP+tf6n/o/+iP57/kf+Uf5J/jX+E/7//ff92/3O/c791P3V/c79wv3B/b79r/2z/br9s/2n/aD9' +
+	'lv2X/Yf9df1p/W39df10/X39gP2H/Yz9kf2Z/aD9qv2x/bv9zP3Z/ef99f0B/g7+I/42/kH+TP5Z/m7+gv6f/rL+uv7A/sn+0v7c/vL+CP8a/yP/Lv8g/zz/Uv9Z/2X/b/96/4X/jf+o/8f/6/8QABwAOABHABsA' +
+	'///2//f/9//2//f/9f/x//D/7v/u//D/8v/1//b/9f/3//b/+P/8/wQAFwA3AE8AUgBnAGcAiwCHAIAAfQCFAJ0AsQClAJsAmgCgAKAArwCrAMIA1ADlAMwA2gDbAOgAAQH/AAAB+ADaANsA7ADzAOUA0wDPAMoA' +
+	'xwDHAMoA0wC5AI0AgQCDAJQAlACTAIcAdgBkAEwANgAtABUA+P/T/7T/lP90/1P/NP8O//T+6v7X/sX+vv61/qX+j/6L/oj+cP5l/k7+I/4A/g3+Af76/eT9zP3J/b79xv3O/ez9zP3U/dj92v3m/cD9uf2m/Zn9' +
+	'm/2M/X79dv13/W79dv1y/Xf9ev17/X/9hv2K/ZL9mv2s/bf9wf3T/ez9C/4W/hb+QP5R/mL+d/5//o7+kv6H/ob+o/6+/s7+1v7k/ur++f4M/yX/OP9E/0v/T/9c/2T/Wv9i/3z/gf+T/63/w//Q/+3/9v/o/8H/' +
+	'uP+z/7r/wv/M/9D/1f/X/9r/2v/Z/9z/4v/y//3/+//y//D/9/8FAA8AGwAeADQAQwBOAF8AfQCJAH8AbQB5AI0AkgCcAKQArAC0ALcAvAC9ALYAtgC5AMAAtgC0ALgAtQCyAMMAxADFAL4AtAC6ALgArgCpAKkA' +
+	'qwCrAK4AsQCeAHcAegCEAHwAaABdAFUATgBGADYAJgANAO3/1v+6/6L/hf9p/0n/K//9/ub+2v7J/rf+o/6V/n/+bP5f/lr+Nf4y/jb+Fv4O/gb+9P3f/cz9wv27/bf9r/2//df9D/4R/sz9tv23/bH9sf2s/ab9' +
+	'q/2o/ab9r/2v/a79sv21/Z/9kv2O/Yn9i/2Z/b390P3f/e79B/4j/jv+Tf5Z/mr+af5x/o7+l/6b/pH+k/6d/pr+tf7F/rz+yP7Z/uP+7v74/gX/D/8c/yX/L/9A/0T/Q/9J/07/Rv9O/1D/Wv97/4H/cf9o/33/' +
+	'hf+C/4j/h/+K/4//lf+f/6f/rP+v/7L/s/+0/7b/u//E/9X/5P/u//v/9v8KACUANQA+AEAARABFAEQAOwA5AD8ASgBOAFgAXwBkAHQAfQCEAIgAkgCYAJkAkwB+AH8AhAB8AH0AgQB9AHsAegB+AIYAhgB8AHEA' +
+	'awBtAHAAYgBOAEQAOgA3ADIALgAuACsALAAjACgAAQDZ/8v/uf+m/4z/bv9V/0v/N/8d//j+2v7D/qf+mP6K/nv+aP5k/k/+Nv4Z/gr+Cv70/eH90/3I/b39v/3B/cv9y/3P/eD9yP25/cL9xf27/bv9xP27/bP9' +
+	'z/3J/cX9yf3M/cn9yf3P/dD90P3a/eX96/3q/eT97v36/f39Bv4F/v79FP4u/jb+Qv5X/m3+dv50/nv+iP6X/p7+n/6p/q7+qv6t/rv+x/7N/uD+8v4O/y3/Pv9s/23/JP8U/zL/NP8q/y7/Pv9E/0j/VP9X/1b/' +
+	'XP9g/1//ZP9k/2P/cP9z/23/af9u/3T/gP+f/6v/pv+s/6v/r/+7/8P/yv/R/9X/2f/a/97/5P/q//T/7P/o//j/AQAMABYAGwAkAC0AOABCAEcAUwBZAFcAWgBYAFMAUgBUAFUAWQBdAFgAVgBYAFoAZQBoAF0A' +
+	'VwBTAEcAPwA4ACwAKQApACcAKQAeABAABgDz/+n/6v/d/8L/pv+M/3P/Wf82/yL/I/8S//n+4/7E/q/+mf6C/nL+Yf5b/lL+RP40/hr+C/4A/u/93v3Q/cr9y/3Q/dj95P34/fH92/3j/ez95/3i/eL95f3k/dr9' +
+	'8v3x/fH98v3x/fL98/3y/fH98v30/fb99P3y/ff9/v0C/gv+Ff4a/iD+Kf4u/jf+TP5g/mf+af5s/nH+ev6C/oP+gP6C/oz+nf6x/sP+0f7k/vn+Bf8P/xz/IP8d/yD/JP8a/wr/CP8S/xf/Gf8j/yz/L/8z/zb/' +
+	'Mf8q/yb/J/8q/zf/TP9V/1L/Tf9N/1P/Vv9L/0X/Vf9o/2r/a/90/3z/gf+J/47/k/+Z/6H/p/+v/7f/uf+9/8j/0v/Z/+L/6f/v//f/AQAJAA8AFwAgACYAJwAhABkAFwAcACUAMAA0ADMANQA4ADgARgBbAFoA' +
+	'SwBGAD4ALQApAC8AMQA3ADwAMgAlABwAEgAFAPj/6f/U/7n/n/+L/3f/Yf9N/zj/JP8Q//f+4P7P/r/+rv6d/of+d/5w/mf+WP5K/jv+Jf4U/g3+Df4M/gz+C/4F/gP+Bv74/eD93/3y/f79Av4E/gH+/v37/fb9' +
+	'I/4g/hz+GP4U/hT+Ff4W/hf+Gf4b/hz+Hf4i/ir+MP40/jf+PP4//kL+Rv5N/lX+W/5d/mD+Zv5w/nz+if6S/pn+of6q/rP+uv7D/s3+1P7W/tf+2/7h/ub+6P7n/uL+3P7d/uL+5P7i/uX+7P7x/vb+/f4F/wb/' +
+	'A/8B/wP/B/8O/xb/Gv8V/xT/I/82/z3/Pf9G/1P/V/9T/1n/bP9//4f/iv+P/5X/l/+Y/5n/mv+Z/5b/lv+Z/53/of+i/6L/pf+s/7T/vP/E/9D/4f/0/wMACQAJAAYAAgD7//b/9f/1//L/8v/1//n//v8EAAsA' +
+	'DAAIAAYABwAMABEAFAAUAA4AAgD3/+v/4P/V/8n/uP+k/5H/f/9t/1z/Tf9A/zL/I/8T/wH/7/7f/s7+vv6y/qT+jv52/mr+bf5r/lr+Sf5F/kn+Sf5H/kn+Sv5L/lX+Z/5r/ln+Qv41/jD+K/4n/ib+Jf4j/iT+' +
+	'R/47/jr+QP5F/kX+Qv5C/kT+Rv5G/kX+Q/5C/kT+SP5N/lP+Wv5g/mb+af5r/m3+cv53/nv+fP5+/oT+jP6U/pn+nf6j/q7+vP7I/s/+0/7Y/t7+5P7m/ub+5f7k/uL+3/7d/t7+5P7t/vf+Af8K/xH/EP8I/wD/' +
+	'//4I/xX/Hv8e/xr/Gf8f/yv/OP9D/0v/T/9O/0r/Rf9E/0f/Tf9T/1n/YP9n/23/b/9w/3H/c/90/3H/bv9s/2z/b/9y/3f/fv+E/4j/h/+H/47/m/+r/7f/vv/C/8T/xP/B/7z/tv+z/7P/tv+4/7r/vf/A/8D/' +
+	'vv+8/77/w//H/8X/vP+x/6j/oP+Y/5D/h/9//3b/bP9h/1b/Tf9E/zn/Lv8k/xz/FP8I//n+6v7d/tD+wv60/qf+nf6Y/pT+kf6O/or+h/6F/oT+hP6D/oP+hv6N/pf+of6o/q3+sP6s/pz+gv5q/l/+X/5f/lb+' +
+	'sv6w/q3+q/6p/qb+o/6g/p3+mv6X/pP+kP6N/o3+j/6V/p7+qf6z/rz+wf7B/rz+tP6t/qv+sP65/sX+zP7N/sj+wP68/r3+xv7T/t/+5v7o/ub+4/7h/uH+4v7i/uL+4P7g/uH+5f7u/vn+Bv8R/xr/Hv8d/xr/' +
+	'Ff8Q/wz/CP8D//7++P72/vr+Bf8T/yP/Mf85/z3/Pv8//0H/Q/9H/0r/S/9M/0z/S/9K/0r/Sv9L/0v/Sv9K/0r/S/9O/1L/V/9b/17/X/9f/1//Yf9l/2n/bv9y/3X/d/94/3f/dv90/3H/cP9u/27/bv9t/2z/' +
+	'a/9o/2X/Yf9e/1r/V/9T/07/Sv9E/z//Of8z/y3/J/8i/xz/F/8R/wv/Bf/+/vb+7/7o/uH+2v7T/s3+x/7C/r3+uv63/rT+sf6u/qv+qf6m/qX+pP6j/qL+oP6d/pr+mP6W/pf+mv6e/qP+qP6t/rL+tf62/rX+' +
+	'1v7Y/tr+3P7e/uD+4f7i/uP+4/7j/uP+4v7h/uD+3v7d/tv+2f7Y/tf+1v7V/tX+1f7W/tf+2P7Z/tr+3P7d/t7+3/7g/uH+4f7i/uL+4v7i/uP+4/7k/uX+5v7o/ur+7P7u/vD+8/71/vb+9/74/vn++f75/vn+' +
+	'+P74/vf+9v72/vb+9v73/vj++v78/v/+Af8E/wb/B/8I/wj/B/8H/wX/BP8D/wL/Av8C/wL/A/8E/wX/B/8J/wr/DP8N/w7/D/8Q/xH/Ev8U/xX/F/8Y/xr/G/8c/x3/Hf8d/x3/HP8a/xj/Fv8U/xL/EP8P/w3/' +
+	'C/8K/wn/CP8H/wb/Bf8E/wP/Af///v3++/75/vb+9P7x/u/+7f7q/uj+5v7k/uL+4P7e/tz+2v7Z/tf+1v7U/tP+0f7Q/s/+zv7N/sz+y/7K/sn+yf7I/sf+x/7G/sb+xv7G/sb+x/7H/sj+yv7L/s3+z/7S/tT+' +
+	'2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+' +
+	'2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+' +
+	'2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+2f7Z/tn+';
+
+let grid = null;
+
+function decode() {
+	const binary = atob(DATA);
+	const view = new DataView(new ArrayBuffer(binary.length));
+	for (let i = 0; i < binary.length; i++) view.setUint8(i, binary.charCodeAt(i));
+	const values = new Float32Array(ROWS * COLS);
+	for (let i = 0; i < values.length; i++) values[i] = view.getInt16(i * 2, true) / 10;
+	return values;
+}
+
+/**
+ * @param {number} lng
+ * @param {number} lat
+ * @returns {number} meters of the geoid over the ellipsoid, bilinear interpolated from the grid
+ */
+export function geoidHeight(lng, lat) {
+	if (!grid) grid = decode();
+	const y = (90 - Math.max(-90, Math.min(90, lat))) / STEP;
+	const x = (((lng + 180) % 360) + 360) % 360 / STEP;
+	const r = Math.min(Math.floor(y), ROWS - 2);
+	const c = Math.floor(x) % COLS;
+	const c1 = (c + 1) % COLS;
+	const fy = y - r, fx = x - Math.floor(x);
+	const top = grid[r * COLS + c] * (1 - fx) + grid[r * COLS + c1] * fx;
+	const bottom = grid[(r + 1) * COLS + c] * (1 - fx) + grid[(r + 1) * COLS + c1] * fx;
+	return top * (1 - fy) + bottom * fy;
+}
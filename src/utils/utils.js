@@ -1,6 +1,7 @@
 import { Matrix4, Vector3, BufferGeometry, BufferAttribute, LineBasicMaterial, Line } from "three";
 import { MERCATOR_A, DEG2RAD, PROJECTION_WORLD_SIZE, WORLD_SIZE, EARTH_CIRCUMFERENCE } from "./constants.js";
 import validate from "./validate.js";
+import { toLnglat, fromLnglat } from "./crs.js";
 
 // Pretty print a 4x4 matrix
 export function prettyPrintMatrix(uglymatrix) {
@@ -87,8 +88,9 @@ export function degreeify(rad) {
   }
 }
 
-// Projects longitude/latitude (and optionally altitude) to world coordinates
-export function projectToWorld(coords) {
+// Projects longitude/latitude (and optionally altitude) to world coordinates, or the coordinates of a crs registered in crs.js
+export function projectToWorld(coords, crs) {
+  if (crs) coords = toLnglat(coords, crs);
   // Spherical mercator forward projection, re-scaling to WORLD_SIZE
   const projected = [
     -MERCATOR_A * DEG2RAD * coords[0] * PROJECTION_WORLD_SIZE,
@@ -105,6 +107,18 @@ export function projectToWorld(coords) {
   return new Vector3(projected[0], projected[1], projected[2]);
 }
 
+// floating origin of tb.world in world units (see CameraSync relativeToCenter), objects in the world are positioned
+// relative to it, the rest of them in plain world units
+const NO_ORIGIN = new Vector3();
+export function worldOrigin(obj) {
+  return (typeof tb !== 'undefined' && tb.cameraSync && obj && obj.parent === tb.world) ? tb.cameraSync.origin : NO_ORIGIN;
+}
+
+// crs of the coordinates given to an object, its crs option or the crs option of threebox, WGS84 lnglats without them
+export function coordinatesCrs(opt) {
+  return (opt && opt.crs) || (typeof tb !== 'undefined' && tb.options && tb.options.crs) || '';
+}
+
 // Calculate projected units per meter at a given latitude
 export function projectedUnitsPerMeter(latitude) {
   return Math.abs(WORLD_SIZE / Math.cos(DEG2RAD * latitude) / EARTH_CIRCUMFERENCE);
@@ -142,8 +156,8 @@ export function unprojectFromScreen(pixel) {
   console.log("WARNING: unproject is not yet implemented");
 }
 
-// Unprojects world units back to longitude/latitude/altitude
-export function unprojectFromWorld(worldUnits) {
+// Unprojects world units back to longitude/latitude/altitude, or to the coordinates of a crs
+export function unprojectFromWorld(worldUnits, crs) {
   const unprojected = [
     -worldUnits.x / (MERCATOR_A * DEG2RAD * PROJECTION_WORLD_SIZE),
     2 * (Math.atan(Math.exp(worldUnits.y / (PROJECTION_WORLD_SIZE * (-MERCATOR_A)))) - Math.PI / 4) / DEG2RAD
@@ -153,7 +167,7 @@ export function unprojectFromWorld(worldUnits) {
   const height = worldUnits.z || 0;
   unprojected.push(height / pixelsPerMeter);
 
-  return unprojected;
+  return crs ? fromLnglat(unprojected, crs) : unprojected;
 }
 
 // Converts an object's 3D world position to screen coordinates
@@ -255,9 +269,9 @@ export function flattenVectors(vectors) {
 }
 
 // Converts an array of longitude/latitude (and optional altitude) coordinates to world coordinates (Vector3)
-export function lnglatsToWorld(coords) {
+export function lnglatsToWorld(coords, crs) {
   const vector3 = coords.map(pt => {
-    const p = projectToWorld(pt);
+    const p = projectToWorld(pt, crs);
     return new Vector3(p.x, p.y, p.z);
   });
   return vector3;
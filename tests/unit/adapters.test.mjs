@@ -0,0 +1,39 @@
+// Tests of the map adapters of each engine, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import StubMapAdapter from '../../src/adapters/StubMapAdapter.js';
+import MapAdapter from '../../src/adapters/MapAdapter.js';
+import createMapAdapter from '../../src/adapters/createMapAdapter.js';
+import { EARTH_CIRCUMFERENCE } from '../../src/utils/constants.js';
+import { origin } from './helpers.mjs';
+
+test('HEADLESS engine detection', (t) => {
+	const transform = new StubMapAdapter().transform;
+	const mapboxV1 = { version: '1.13.1', transform: transform };
+	const mapboxV2 = { version: '2.2.0', transform: Object.assign(Object.create(transform), { _camera: {} }), setTerrain() { } };
+	const maplibre = { transform: transform, setTerrain() { } };
+
+	t.equal(createMapAdapter(mapboxV1).engine, 'mapbox-v1', 'Mapbox GL JS v1');
+	t.equal(createMapAdapter(mapboxV2).engine, 'mapbox', 'Mapbox GL JS v2 from its FreeCamera');
+	t.equal(createMapAdapter(maplibre).engine, 'maplibre', 'MapLibre without map.version');
+	const stub = new StubMapAdapter();
+	t.equal(createMapAdapter(stub), stub, 'adapters are not wrapped again');
+	t.end();
+});
+
+test('HEADLESS MapLibre camera', (t) => {
+	const stub = new StubMapAdapter({ center: origin, zoom: 16, pitch: 85 });
+	const adapter = createMapAdapter({ transform: stub.transform, setTerrain() { } });
+	const tr = stub.transform;
+	const distance = 0.5 / Math.tan(tr._fov / 2) * tr.height;
+
+	const { farZ } = adapter.getCameraFrustum(distance);
+	t.ok(isFinite(farZ) && farZ > distance, 'far plane beyond the center with pitch 85');
+	t.ok(new MapAdapter({ transform: tr }).getCameraFrustum(distance).farZ < 0, 'Mapbox GL JS v1 far plane is not valid with pitch 85');
+
+	t.equal(adapter.getCameraAltitude(tr.worldSize, 1000), 1000, 'no terrain keeps the camera altitude');
+	tr.elevation = 100;
+	const pixelsPerMeter = tr.worldSize / (EARTH_CIRCUMFERENCE * Math.cos(origin[1] * Math.PI / 180));
+	t.ok(Math.abs(adapter.getCameraAltitude(tr.worldSize, 1000) - (1000 + 100 * pixelsPerMeter)) < 1e-9, 'terrain elevation moves the camera up');
+	t.end();
+});
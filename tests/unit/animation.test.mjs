@@ -0,0 +1,125 @@
+// Tests of the animations and trajectories, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import Timeline from '../../src/animation/Timeline.js';
+import { origin, createThreebox } from './helpers.mjs';
+
+test('HEADLESS animation timeline', (t) => {
+	const { tb } = createThreebox();
+	let time = 0;
+	tb.clock.source = () => time;
+	const sphere = tb.sphere({ radius: 10, units: 'meters', anchor: 'center' }).setCoords(origin);
+	tb.add(sphere);
+	const end = [origin[0] + 0.001, origin[1], 0];
+	let finished = 0;
+	sphere.followPath({ path: [origin, end], duration: 1000, trackHeading: false, easing: 'easeInQuad', persist: true }, () => finished++);
+	const timeline = sphere.timeline;
+	const lng = () => (sphere.coordinates[0] - origin[0]) / 0.001;
+
+	time = 500;
+	tb.update();
+	t.equal(timeline.time, 500, 'timeline driven by the clock source');
+	t.ok(Math.abs(lng() - 0.25) < 1e-4, 'easing applied to the progress');
+
+	timeline.pause();
+	time = 800;
+	tb.update();
+	t.equal(timeline.time, 500, 'paused timeline keeps its time');
+
+	timeline.seek(1000);
+	tb.update();
+	t.ok(Math.abs(lng() - 1) < 1e-4 && timeline.finished, 'seek to the end');
+	t.equal(finished, 1, 'callback called at the end');
+	t.equal(sphere.animationQueue.length, 1, 'persist keeps the animation to scrub it');
+
+	timeline.reverse().play();
+	time = 1300;
+	tb.update();
+	t.equal(timeline.time, 500, 'reversed timeline plays backwards');
+	timeline.playbackRate = 2;
+	time = 1500;
+	tb.update();
+	t.equal(timeline.time, 100, 'playbackRate scales the time');
+	time = 1600;
+	tb.update();
+	t.ok(timeline.finished && Math.abs(lng()) < 1e-4, 'reversed timeline ends at the beginning');
+
+	sphere.stop();
+	sphere.set({ rotation: { z: 90 }, duration: 1000, loop: true });
+	time = 3100;
+	tb.update();
+	t.ok(Math.abs(sphere.timeline.time - 500) < 1e-9, 'looped timeline wraps around its duration');
+	t.ok(Math.abs(sphere.rotation.z - Math.PI / 4) < 1e-6, 'set animated by the loop');
+
+	// without source the clock follows the wall-clock time until paused
+	tb.clock.source = null;
+	tb.clock.pause().setTime(10000);
+	tb.update();
+	const paused = sphere.timeline.time;
+	tb.update();
+	t.equal(sphere.timeline.time, paused, 'paused clock stops the animations');
+	tb.clock.setTime(10250);
+	tb.update();
+	t.ok(Math.abs(sphere.timeline.time - ((paused + 250) % 1000)) < 1e-9, 'setTime moves the animations');
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS animation timeline without duration', (t) => {
+	let time = 0;
+	const clock = { now: () => time };
+	const timeline = new Timeline(clock, 0, { loop: true });
+	let finished = 0;
+	timeline.addEventListener('finished', () => finished++);
+	time = 16;
+	timeline.update();
+	t.equal(timeline.time, 0, 'time kept at 0 instead of NaN');
+	t.ok(timeline.finished && finished === 1, 'looped timeline without duration ends at once');
+	t.equal(timeline.progress, 1, 'progress at the end');
+	t.end();
+});
+
+test('HEADLESS trajectory playback', (t) => {
+	const { tb } = createThreebox();
+	const base = Date.parse('2024-05-01T10:00:00Z');
+	let time = base;
+	tb.clock.source = () => time;
+	const lng = origin[0], lat = origin[1];
+	const coordinates = [[lng, lat], [lng + 0.001, lat], [lng + 0.002, lat], [lng + 0.002, lat], [lng + 0.002, lat + 0.001], [lng + 0.002, lat + 0.002]];
+	const seconds = [0, 10, 30, 40, 50, 150];
+	const car = tb.sphere({ radius: 1, units: 'meters' }).setCoords(origin);
+	tb.add(car);
+	let finished = 0;
+	car.followTrajectory({ coordinates: coordinates, timestamps: seconds.map(s => base + s * 1000), maxGap: 60000 }, () => finished++);
+
+	time = base + 5000;
+	tb.update();
+	t.ok(Math.abs(car.coordinates[0] - (lng + 0.0005)) < 1e-6, 'position interpolated by the timestamps');
+	const east = car.rotation.z;
+	time = base + 20000;
+	tb.update();
+	t.ok(Math.abs(car.coordinates[0] - (lng + 0.0015)) < 1e-6, 'slower segment follows its own timestamps');
+	time = base + 35000;
+	tb.update();
+	t.ok(Math.abs(car.coordinates[0] - (lng + 0.002)) < 1e-6 && Math.abs(car.rotation.z - east) < 1e-6, 'stop keeps the position and the heading');
+	time = base + 100000;
+	tb.update();
+	t.ok(Math.abs(car.coordinates[1] - (lat + 0.001)) < 1e-6, 'gaps longer than maxGap are not interpolated');
+
+	// a vehicle added later replays in lockstep with the clock, timestamps can also be dates
+	const bus = tb.sphere({ radius: 1, units: 'meters' }).setCoords(origin);
+	tb.add(bus);
+	bus.followTrajectory({ coordinates: coordinates, timestamps: seconds.map(s => new Date(base + s * 1000).toISOString()) });
+	time = base + 45000;
+	tb.update();
+	t.ok(Math.abs(car.coordinates[1] - (lat + 0.0005)) < 1e-6, 'position at the clock time');
+	t.deepEqual(bus.coordinates, car.coordinates, 'trajectories in lockstep');
+
+	time = base + 200000;
+	tb.update();
+	t.equal(finished, 1, 'callback called at the end of the track');
+	tb.update();
+	t.equal(car.animationQueue.length, 0, 'trajectory removed from the queue');
+	tb.dispose();
+	t.end();
+});
@@ -0,0 +1,93 @@
+// Tests of the shared model assets, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import { origin, createThreebox } from './helpers.mjs';
+
+test('HEADLESS model assets', async (t) => {
+	const { tb } = createThreebox();
+	const triangle = 'data:text/plain,' + encodeURIComponent('v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 3\n');
+	const options = { obj: triangle, type: 'mtl', units: 'meters', scale: 1 };
+	const a = await tb.loadObj(Object.assign({}, options));
+	const b = await tb.loadObj(Object.assign({}, options));
+	const c = b.duplicate();
+	const geometry = a.model.geometry;
+	let disposed = 0;
+	geometry.addEventListener('dispose', () => disposed++);
+	t.equal(b.model.geometry, geometry, 'copies share the geometry');
+	t.equal(tb.assets.stats.copies, 3, 'copies counted, also the ones from duplicate');
+	[a, b, c].forEach(o => tb.add(o.setCoords(origin)));
+
+	tb.remove(a);
+	tb.remove(b);
+	t.equal(disposed, 0, 'shared geometry kept while a copy uses it');
+	tb.remove(c);
+	t.equal(disposed, 1, 'geometry disposed with the last copy');
+	t.notOk(tb.objectsCache.has(triangle), 'unused model evicted without memory budget');
+	tb.dispose();
+
+	const budgeted = createThreebox({ memoryBudget: { geometries: 10 } }).tb;
+	const d = await budgeted.loadObj(Object.assign({}, options));
+	budgeted.add(d.setCoords(origin));
+	budgeted.remove(d);
+	t.equal(budgeted.assets.stats.unused, 1, 'unused model kept under the budget');
+	budgeted.renderer.info.memory.geometries = 20;
+	const square = 'data:text/plain,' + encodeURIComponent('v 0 0 0\nv 1 0 0\nv 1 1 0\nv 0 1 0\nf 1 2 3 4\n');
+	const e = await budgeted.loadObj(Object.assign({}, options, { obj: square }));
+	t.notOk(budgeted.objectsCache.has(triangle), 'unused model evicted over the budget');
+	t.ok(budgeted.objectsCache.has(square), 'used model kept over the budget');
+	budgeted.renderer.info.memory.geometries = 0;
+	budgeted.remove(e);
+	t.deepEqual(budgeted.assets.evictUnused(), [square], 'evictUnused returns the models evicted');
+	t.equal(budgeted.assets.stats.models, 0, 'no models left');
+	t.end();
+});
+
+test('HEADLESS model assets with undoRemove', async (t) => {
+	const { tb } = createThreebox({ undoRemove: true });
+	const triangle = 'data:text/plain,' + encodeURIComponent('v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 3\n');
+	const a = await tb.loadObj({ obj: triangle, type: 'mtl', units: 'meters', scale: 1 });
+	const b = a.duplicate();
+	const geometry = a.model.geometry;
+	let disposed = 0;
+	geometry.addEventListener('dispose', () => disposed++);
+	[a, b].forEach(o => tb.add(o.setCoords(origin)));
+
+	tb.remove(a);
+	tb.remove(b);
+	t.ok(tb.history.canUndo, 'removals recorded');
+	t.equal(disposed, 1, 'removed copies kept by the history release the geometry');
+	t.notOk(tb.objectsCache.has(triangle), 'unused model evicted while the removals can be undone');
+
+	tb.history.undo();
+	t.equal(b.parent, tb.world, 'removal undone');
+	t.ok(tb.assets.owns(geometry), 'restored copy holds the geometry again');
+	tb.history.clear();
+	t.equal(disposed, 1, 'copies dropped by the history keep the geometry of the restored one');
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS model assets of several instances', async (t) => {
+	const { tb: first } = createThreebox();
+	const triangle = 'data:text/plain,' + encodeURIComponent('v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 3\n');
+	const a = await first.loadObj({ obj: triangle, type: 'mtl', units: 'meters', scale: 1 });
+	const b = a.duplicate();
+	// the global instance is the second one, the copies belong to the first
+	const { tb: second } = createThreebox();
+	const c = b.duplicate();
+	let disposed = 0;
+	a.model.geometry.addEventListener('dispose', () => disposed++);
+	t.equal(first.assets.stats.copies, 3, 'copies held by the asset manager that loaded the model');
+	t.equal(second.assets.stats.copies, 0, 'nothing held by the global instance');
+	[a, b, c].forEach(o => first.add(o.setCoords(origin)));
+
+	first.remove(a);
+	first.remove(b);
+	t.equal(disposed, 0, 'shared geometry kept while a copy uses it');
+	first.remove(c);
+	t.equal(disposed, 1, 'geometry disposed with the last copy');
+	t.equal(first.assets.stats.models, 0, 'unused model evicted from its asset manager');
+	first.dispose();
+	second.dispose();
+	t.end();
+});
@@ -0,0 +1,39 @@
+// Tests of the coordinate reference systems, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import { projectToWorld, projectedUnitsPerMeter } from '../../src/utils/utils.js';
+import { origin, createThreebox } from './helpers.mjs';
+
+test('HEADLESS coordinate reference systems', (t) => {
+	const { tb } = createThreebox({ crs: 'EPSG:2056' });
+	tb.defineCrs('EPSG:25830', '+proj=utm +zone=30 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs');
+	tb.defineCrs('EPSG:2056', '+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 +x_0=2600000 +y_0=1200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs');
+	const utm = [932623.1943518501, 4594439.590094539, 10];
+	const close = (a, b, e = 1e-7) => a.every((v, i) => Math.abs(v - b[i]) < e);
+
+	// Bern observatory, the origin of the swiss coordinates
+	const bern = tb.projectToWorld([2600000, 1200000, 0]);
+	t.ok(bern.distanceTo(tb.projectToWorld([7.438632420871835, 46.95108277051251, 0], 'EPSG:4326')) < 1e-4, 'coordinates in the crs of threebox projected');
+	t.ok(close(tb.unprojectFromWorld(bern), [2600000, 1200000, 0], 1e-2), 'world units unprojected to the crs of threebox');
+
+	const sphere = tb.sphere({ radius: 10, units: 'meters', crs: 'EPSG:25830' }).setCoords(utm);
+	tb.add(sphere);
+	t.equal(sphere.crs, 'EPSG:25830', 'crs of the object over the one of threebox');
+	t.ok(close(sphere.coordinates, [origin[0], origin[1], 10]), 'object coordinates kept as lnglats');
+	sphere.setCoords([932700.197459507, 4594555.671931082, 10]);
+	tb.history.undo();
+	t.ok(close(sphere.coordinates, [origin[0], origin[1], 10]), 'lnglats restored by the history');
+
+	const line = tb.line({ geometry: [utm, [932700.197459507, 4594555.671931082, 10]], crs: 'EPSG:25830' });
+	const lnglatLine = tb.line({ geometry: [[origin[0], origin[1], 10], [origin[0] + 0.001, origin[1] + 0.001, 10]], crs: 'EPSG:4326' });
+	t.ok(line.position.distanceTo(lnglatLine.position) < 1e-6, 'line geometry converted from its crs');
+
+	const square = [[932623, 4594439], [932723, 4594439], [932723, 4594539], [932623, 4594539]];
+	const points = tb.extrusion({ coordinates: [square], crs: 'EPSG:25830' }).model.geometry.parameters.shapes.getPoints();
+	const side = points[1].distanceTo(points[0]) / tb.projectedUnitsPerMeter(origin[1]);
+	t.ok(Math.abs(side - 100) < 1, 'extrusion shape built from its crs');
+
+	t.throws(() => tb.projectToWorld([0, 0], 'EPSG:9999'), /Unknown CRS/, 'unknown crs reported');
+	tb.dispose();
+	t.end();
+});
@@ -0,0 +1,109 @@
+// Tests of the delegated events, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import { origin, createThreebox, click } from './helpers.mjs';
+
+test('HEADLESS delegated events', (t) => {
+	const { map, tb } = createThreebox({ enableDraggingObjects: true });
+	const a = tb.sphere({ radius: 10, units: 'meters', anchor: 'center' }).setCoords([origin[0] - 0.0005, origin[1], 0]);
+	const b = tb.sphere({ radius: 10, units: 'meters', anchor: 'center' }).setCoords([origin[0] + 0.0005, origin[1], 0]);
+	tb.add(a, 'layer-a');
+	tb.add(b);
+	tb.update();
+	const pa = tb.projectToScreen(a), pb = tb.projectToScreen(b);
+	const fire = (type, p, originalEvent) => map.fire(type, { point: p, lngLat: { lng: origin[0], lat: origin[1] }, originalEvent: Object.assign({ button: 0, clientX: p.x, clientY: p.y }, originalEvent) });
+
+	let events = [];
+	const log = name => e => events.push(name + ':' + e.type + ':' + (e.object === a ? 'a' : 'b'));
+	const all = log('all');
+	tb.on('click', 'layer-a', log('layer')).on('click', all).on('click', o => o === b, log('filter'));
+	let clicked;
+	tb.on('click', (e) => { clicked = e; });
+
+	fire('click', pa);
+	t.deepEqual(events, ['layer:click:a', 'all:click:a'], 'click delegated to the listeners of the layer and all the objects');
+	t.equal(clicked.object, a, 'event with the object');
+	t.equal(clicked.layer, 'layer-a', 'event with the layer');
+	t.ok(clicked.face && clicked.point.x === pa.x && clicked.lngLat.lng === origin[0], 'event with the hit face, screen point and lngLat');
+	events = [];
+	fire('click', pb);
+	t.deepEqual(events, ['all:click:b', 'filter:click:b'], 'click delegated to the listeners of a filter');
+	events = [];
+	fire('click', { x: 10, y: 10 });
+	t.deepEqual(events, [], 'click out of the objects not delegated');
+	tb.off('click', all);
+	fire('click', pa);
+	t.deepEqual(events, ['layer:click:a'], 'listener removed');
+	tb.off('click');
+	tb.selection.clear();
+
+	events = [];
+	['mouseenter', 'mouseleave', 'dblclick', 'contextmenu'].forEach(type => tb.on(type, log('all')));
+	fire('mousemove', pa);
+	fire('mousemove', pb);
+	fire('mousemove', { x: 10, y: 10 });
+	fire('dblclick', pa);
+	fire('contextmenu', pb);
+	t.deepEqual(events, ['all:mouseenter:a', 'all:mouseleave:a', 'all:mouseenter:b', 'all:mouseleave:b', 'all:dblclick:a', 'all:contextmenu:b'], 'hover, double click and right click delegated');
+
+	let selection = [];
+	tb.on('selectionchange', e => selection.push((e.object === a ? 'a' : 'b') + ':' + e.selected));
+	fire('click', pa);
+	fire('click', pb);
+	fire('click', pb);
+	t.deepEqual(selection, ['a:true', 'a:false', 'b:true', 'b:false'], 'selection changes delegated');
+
+	let drags = [];
+	['dragstart', 'drag', 'dragend'].forEach(type => tb.on(type, 'layer-a', e => drags.push(e.type + ':' + e.action)));
+	fire('click', pa);
+	fire('mousedown', pa, { shiftKey: true });
+	map.fire('mousemove', { point: pa, lngLat: { lng: origin[0], lat: origin[1] + 0.0001 }, originalEvent: { shiftKey: true, clientX: pa.x, clientY: pa.y } });
+	fire('mouseup', pa, { shiftKey: true });
+	t.deepEqual(drags, ['dragstart:translate', 'drag:translate', 'dragend:translate'], 'drag events delegated with the action');
+
+	tb.on('unknown', all);
+	t.notOk(tb.events.listens('unknown'), 'unknown event types not listened');
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS delegated events without selection', (t) => {
+	const { map, tb } = createThreebox({ enableSelectingObjects: false });
+	const sphere = tb.sphere({ radius: 20, units: 'meters', anchor: 'center' }).setCoords(origin);
+	tb.add(sphere);
+	tb.update();
+	let clicks = 0;
+	tb.on('click', () => clicks++);
+	click(map, 400, 300);
+	t.equal(clicks, 1, 'objects raycasted for the listeners');
+	t.notOk(sphere.selected, 'objects not selected');
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS delegated events removed by filter', (t) => {
+	const { map, tb } = createThreebox();
+	const sphere = tb.sphere({ radius: 20, units: 'meters', anchor: 'center' }).setCoords(origin);
+	tb.add(sphere);
+	tb.update();
+	let filtered = 0, all = 0;
+	const spheres = (obj) => obj === sphere;
+	const count = () => all++;
+	tb.on('click', spheres, () => filtered++);
+	tb.on('click', count);
+
+	tb.off('click', spheres);
+	click(map, 400, 300);
+	t.equal(filtered, 0, 'listeners of a filter removed with two arguments');
+	t.equal(all, 1, 'other listeners kept');
+	tb.off('click', count);
+	click(map, 400, 300);
+	t.equal(all, 1, 'handler removed with two arguments');
+
+	tb.on('click', spheres, count);
+	tb.off('click', null, count);
+	click(map, 400, 300);
+	t.equal(all, 1, 'handler removed with a null target whatever its filter');
+	tb.dispose();
+	t.end();
+});
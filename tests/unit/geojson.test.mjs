@@ -0,0 +1,70 @@
+// Tests of the GeoJSON layers, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import { createThreebox } from './helpers.mjs';
+
+const fc = {
+	type: 'FeatureCollection',
+	features: [
+		{ type: 'Feature', id: 1, geometry: { type: 'Point', coordinates: [0, 0] }, properties: { h: 10 } },
+		{ type: 'Feature', id: 2, geometry: { type: 'Polygon', coordinates: [[[0, 0], [0.001, 0], [0.001, 0.001], [0, 0]]] }, properties: { height: 20 } }
+	]
+};
+
+test('HEADLESS GeoJSON layers', (t) => {
+	const { tb } = createThreebox();
+
+	const layer = tb.addGeoJSON(fc, { height: { property: 'h' }, color: 'red' });
+	t.deepEqual(layer.ids, [1, 2], 'an object per feature');
+	t.equal(layer.getObjects().length, 2, 'objects of the layer');
+	t.deepEqual(layer.getObjects(1)[0].coordinates, [0, 0, 10], 'height from the feature property');
+	t.equal(layer.getObjects(1)[0].userData.feature.id, 1, 'feature kept in the object');
+	t.equal(fc.features[0].properties.uuid, undefined, 'features not changed');
+
+	const point = layer.getObjects(1)[0];
+	const polygon = layer.getObjects(2)[0];
+	layer.setData({
+		type: 'FeatureCollection',
+		features: [
+			{ type: 'Feature', id: 1, geometry: { type: 'Point', coordinates: [1, 1] }, properties: { h: 10 } },
+			{ type: 'Feature', id: 3, geometry: { type: 'Point', coordinates: [2, 2] }, properties: { h: 0 } }
+		]
+	});
+	t.deepEqual(layer.ids, [1, 3], 'setData adds and removes the changed features');
+	t.equal(layer.getObjects(1)[0], point, 'same object for the same feature');
+	t.deepEqual(point.coordinates, [1, 1, 10], 'moved feature');
+	t.equal(tb.world.children.indexOf(polygon), -1, 'removed feature out of the world');
+
+	layer.remove();
+	t.equal(layer.ids.length, 0, 'remove clears all the objects');
+	t.end();
+});
+
+test('HEADLESS GeoJSON layers of models removed while loading', async (t) => {
+	const { tb } = createThreebox();
+	const triangle = 'data:text/plain,' + encodeURIComponent('v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 3\n');
+	const points = { type: 'FeatureCollection', features: [{ type: 'Feature', id: 1, geometry: { type: 'Point', coordinates: [0, 0] }, properties: {} }] };
+	let errors = [];
+	const error = console.error;
+	console.error = (message) => errors.push(message);
+
+	const layer = tb.addGeoJSON(points, { kind: 'loadObj', obj: triangle, type: 'mtl' });
+	layer.remove();
+	await new Promise(resolve => setTimeout(resolve, 50));
+	console.error = error;
+	t.equal(tb.world.children.length, 0, 'model not added once its feature is removed');
+	t.notOk(tb.objectsCache.has(triangle), 'loading aborted and the model dropped from the cache');
+	t.equal(tb.assets.stats.copies, 0, 'no copies holding the assets');
+	t.deepEqual(errors, [], 'abort not reported as an error');
+
+	const loaded = tb.addGeoJSON(points, { kind: 'loadObj', obj: triangle, type: 'mtl' });
+	await new Promise(resolve => setTimeout(resolve, 50));
+	t.equal(loaded.getObjects(1).length, 1, 'model added while its feature is kept');
+	loaded.setData({ type: 'FeatureCollection', features: points.features.concat([{ type: 'Feature', id: 2, geometry: { type: 'Point', coordinates: [1, 1] }, properties: {} }]) });
+	await new Promise(resolve => setTimeout(resolve, 50));
+	t.equal(loaded.getObjects(2).length, 1, 'copy of the cached model added for another feature');
+	loaded.remove();
+	t.equal(tb.assets.stats.copies, 0, 'assets released with the feature removed');
+	tb.dispose();
+	t.end();
+});
@@ -0,0 +1,104 @@
+// Tests of the transform gizmo, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import { Vector3 } from 'three';
+import { origin, createThreebox, click } from './helpers.mjs';
+
+test('HEADLESS transform gizmo', (t) => {
+	const { map, tb } = createThreebox({ enableGizmo: true, enableDraggingObjects: true, enableRotatingObjects: true, enableScalingObjects: true });
+	const sphere = tb.sphere({ radius: 1, units: 'scene', anchor: 'center' }).setCoords(origin);
+	tb.add(sphere);
+	tb.update();
+	t.notOk(tb.gizmo.root.visible, 'hidden without a selected object');
+	click(map, 400, 300);
+	tb.update();
+	t.ok(tb.gizmo.root.visible, 'shown over the selected object');
+
+	// screen position of a point of the handles, in handle units
+	const screen = (x, y, z) => {
+		const v = new Vector3(x, y, z).applyMatrix4(tb.gizmo.handles.matrixWorld).project(tb.camera);
+		return { x: (v.x + 1) / 2 * 800, y: (1 - v.y) / 2 * 600 };
+	};
+	let events = [];
+	sphere.addEventListener('ObjectDragged', (e) => events.push(e.detail.draggedAction));
+	const mouse = (type, point, lngLat) => map.fire(type, { point: point, lngLat: lngLat || { lng: origin[0], lat: origin[1] }, originalEvent: { button: 0 } });
+
+	const tip = screen(0.7, 0, 0);
+	t.equal(tb.gizmo.pick(tip), 'lng', 'lng arrow picked');
+	t.equal(tb.gizmo.pick(screen(0, 0, 0.7)), 'altitude', 'altitude handle picked');
+	mouse('mousedown', tip);
+	mouse('mousemove', tip, { lng: origin[0] + 0.0012345678, lat: origin[1] + 0.001 });
+	t.equal(sphere.coordinates[0], Number((origin[0] + 0.0012345678).toFixed(tb.gridStep)), 'moved in lng snapped to gridStep');
+	t.equal(sphere.coordinates[1], origin[1], 'lat not changed by the lng arrow');
+	mouse('mouseup', tip);
+	click(map, tip.x, tip.y);
+	t.ok(sphere.selected, 'click on a handle keeps the selection');
+
+	tb.update();
+	const onRing = (degrees) => screen(0.6 * Math.cos(degrees * Math.PI / 180), 0.6 * Math.sin(degrees * Math.PI / 180), 0);
+	const ring = onRing(45);
+	t.equal(tb.gizmo.pick(ring), 'rotate', 'rotation ring picked');
+	const center = screen(0, 0, 0);
+	mouse('mousedown', ring);
+	mouse('mousemove', onRing(70));
+	const z = Math.round(sphere.rotation.z * 180 / Math.PI);
+	t.ok(z > 0 && z < 45 && z % tb.rotationStep === 0, 'rotated counterclockwise snapped to rotationStep');
+	mouse('mouseup', ring);
+
+	tb.update();
+	const box = screen(0.75, 0.75, 0);
+	t.equal(tb.gizmo.pick(box), 'scale', 'scale handle picked');
+	mouse('mousedown', box);
+	mouse('mousemove', { x: center.x + (box.x - center.x) * 2, y: center.y + (box.y - center.y) * 2 });
+	t.ok(Math.abs(sphere.scale.x - 2) < 0.02, 'scaled uniformly');
+	mouse('mouseup', box);
+
+	t.deepEqual(events, ['translate', 'rotate', 'scale'], 'ObjectDragged fired for every handle');
+	tb.history.undo();
+	t.equal(sphere.scale.x, 1, 'scale undone');
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS transform gizmo without point clouds', async (t) => {
+	const { map, tb } = createThreebox({ enableGizmo: true, enableDraggingObjects: true });
+	const cloud = await tb.pointCloud({ positions: [origin, [origin[0] + 0.01, origin[1] + 0.01, 0]] });
+	tb.add(cloud);
+	tb.update();
+	click(map, 400, 300);
+	tb.update();
+	t.equal(map.selectedObject, cloud, 'point cloud selected');
+	t.notOk(tb.gizmo.root.visible, 'no gizmo over the point cloud');
+	const v = new Vector3(0.7, 0, 0).applyMatrix4(tb.gizmo.handles.matrixWorld).project(tb.camera);
+	const tip = { x: (v.x + 1) / 2 * 800, y: (1 - v.y) / 2 * 600 };
+	t.doesNotThrow(() => map.fire('mousedown', { point: tip, lngLat: { lng: origin[0], lat: origin[1] }, originalEvent: { button: 0 } }), 'mousedown where the lng arrow would be');
+	map.fire('mouseup', { point: tip, lngLat: { lng: origin[0], lat: origin[1] }, originalEvent: { button: 0 } });
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS transform gizmo over clamped objects', (t) => {
+	const { map, tb } = createThreebox({ enableGizmo: true, enableDraggingObjects: true });
+	const sphere = tb.sphere({ radius: 1, units: 'scene', anchor: 'center', altitudeMode: 'clampToGround' }).setCoords(origin);
+	tb.add(sphere);
+	tb.update();
+	click(map, 400, 300);
+	tb.update();
+	t.ok(tb.gizmo.root.visible, 'shown over the selected object');
+	t.notOk(tb.gizmo.parts.altitude.visible, 'altitude handle hidden for an object clamped to the ground');
+	const v = new Vector3(0, 0, 0.7).applyMatrix4(tb.gizmo.handles.matrixWorld).project(tb.camera);
+	const tip = { x: (v.x + 1) / 2 * 800, y: (1 - v.y) / 2 * 600 };
+	t.notEqual(tb.gizmo.pick(tip), 'altitude', 'altitude handle not picked');
+
+	// the handle was picked before the object was clamped
+	tb.gizmo.startDrag('altitude', { point: tip, lngLat: { lng: origin[0], lat: origin[1] } });
+	tb.gizmo.drag({ point: { x: tip.x, y: tip.y - 50 }, lngLat: { lng: origin[0], lat: origin[1] } });
+	tb.gizmo.endDrag();
+	t.equal(sphere.coordinates[2], 0, 'altitude not changed');
+
+	sphere.altitudeMode = 'absolute';
+	tb.update();
+	t.ok(tb.gizmo.parts.altitude.visible, 'altitude handle shown once the object is not clamped');
+	tb.dispose();
+	t.end();
+});
@@ -0,0 +1,20 @@
+// fixture shared by the headless tests: a threebox on the stub map adapter and renderer, loaded at the origin
+import Threebox from '../../src/Threebox.js';
+import StubMapAdapter from '../../src/adapters/StubMapAdapter.js';
+import { createStubRenderer } from '../../src/adapters/StubRenderer.js';
+
+export const origin = [2.1734, 41.3851, 0];
+
+export function createThreebox(options) {
+	const map = new StubMapAdapter({ center: origin, zoom: 16, pitch: 45, bearing: 0, width: 800, height: 600 });
+	const tb = new Threebox(map, null, Object.assign({ rendererFactory: createStubRenderer, enableSelectingObjects: true }, options));
+	// objects reach threebox through the global instance, as in the browser
+	globalThis.tb = tb;
+	map.fire('style.load');
+	map.fire('load');
+	return { map, tb };
+}
+
+export function click(map, x, y) {
+	map.fire('click', { point: { x: x, y: y }, lngLat: { lng: origin[0], lat: origin[1] } });
+}
@@ -0,0 +1,96 @@
+// Tests of the highlight styles, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import Objects from '../../src/objects/objects.js';
+import { origin, createThreebox } from './helpers.mjs';
+
+test('HEADLESS highlight styles', (t) => {
+	const { tb } = createThreebox({ highlight: { selected: { bbox: 0xff00ff } } });
+	const a = tb.sphere({ radius: 10, units: 'meters', anchor: 'center', material: 'MeshStandardMaterial', color: 0xffffff }).setCoords([origin[0] - 0.0005, origin[1], 0]);
+	const b = tb.sphere({ radius: 10, units: 'meters', anchor: 'center' }).setCoords([origin[0] + 0.0005, origin[1], 0]);
+	tb.add(a, 'layer-a');
+	tb.add(b);
+	tb.update();
+	const material = a.model.material;
+	tb.setHighlightStyle({ selected: { bbox: false, tint: 0x000000, tintOpacity: 0.5, emissive: 0x0000ff, outline: 0xff0000, outlineWidth: 4 } }, 'layer-a');
+
+	tb.selection.add(b);
+	t.equal(b.boundingBox.material.color.getHex(), 0xff00ff, 'bounding box color of threebox');
+	t.ok(b.boxGroup.visible, 'bounding box shown');
+	b.over = true;
+	t.equal(b.boundingBox.material.color.getHex(), 0xff00ff, 'selected style kept over the object');
+	tb.selection.clear();
+	t.equal(b.boundingBox.material, Objects.prototype._defaults.materials.boxOverMaterial, 'default over style once unselected');
+	b.over = false;
+	t.notOk(b.boxGroup, 'bounding box removed out of the object');
+
+	tb.selection.add(a);
+	t.notOk(a.boxGroup, 'bounding box disabled for the layer');
+	t.notEqual(a.model.material, material, 'copy of the material highlighted');
+	t.ok(a.model.material.color.r < 0.6 && a.model.material.emissive.getHex() === 0x0000ff, 'material tinted and emissive');
+	const outline = a.model.children.find(c => c.userData.isOutline);
+	t.ok(outline && outline.material.uniforms.width.value === 4, 'outline with its width');
+	t.equal(outline.material.uniforms.color.value.getHex(), 0xff0000, 'outline with its color');
+	const hits = tb.queryRenderedFeatures(tb.projectToScreen(a));
+	t.ok(hits.length && hits.every(h => !h.object.userData.isOutline), 'outline not raycasted');
+
+	tb.setHighlightStyle({ selected: { outline: null } }, 'layer-a');
+	t.notOk(a.model.children.some(c => c.userData.isOutline), 'style changed on the objects selected');
+	tb.selection.clear();
+	t.equal(a.model.material, material, 'material restored once unselected');
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS highlight of several instances', (t) => {
+	const first = createThreebox({ highlight: { selected: { bbox: 0xff00ff } } }).tb;
+	const second = createThreebox().tb;
+	const a = first.sphere({ radius: 10, units: 'meters', anchor: 'center' }).setCoords(origin);
+	first.add(a);
+	a.selected = true;
+	t.equal(a.boundingBox.material.color.getHex(), 0xff00ff, 'style of the threebox of the object, not the global one');
+	a.selected = false;
+
+	// without any threebox the objects get the default bounding box
+	const b = second.sphere({ radius: 10, units: 'meters', anchor: 'center' }).setCoords(origin);
+	delete globalThis.tb;
+	b.selected = true;
+	t.equal(b.boundingBox.material, Objects.prototype._defaults.materials.boxSelectedMaterial, 'default bounding box without threebox');
+	b.selected = false;
+	t.notOk(b.boxGroup, 'bounding box removed once unselected');
+	globalThis.tb = second;
+	first.dispose();
+	second.dispose();
+	t.end();
+});
+
+test('HEADLESS highlight of the objects removed', (t) => {
+	const { tb } = createThreebox({ highlight: { selected: { tint: 0x000000, outline: 0xff0000 }, over: { outline: 0xff0000 } } });
+	const spheres = [0, 1, 2].map(i => tb.sphere({ radius: 10, units: 'meters', anchor: 'center', material: 'MeshStandardMaterial' }).setCoords([origin[0] + i * 0.001, origin[1], 0]));
+	spheres.forEach(s => tb.add(s));
+	const [a, b, c] = spheres;
+	const material = a.model.material;
+	let originalDisposed = false;
+	material.addEventListener('dispose', () => originalDisposed = true);
+	a.selected = true;
+	const copy = a.model.material;
+	let copyDisposed = false;
+	copy.addEventListener('dispose', () => copyDisposed = true);
+	b.over = true;
+	c.selected = true;
+	const outline = c.model.children.find(o => o.userData.isOutline).material;
+	let outlineDisposed = false;
+	outline.addEventListener('dispose', () => outlineDisposed = true);
+
+	tb.remove(a);
+	tb.remove(b);
+	t.ok(copyDisposed && originalDisposed, 'the copy highlighted and the original material disposed');
+	t.notOk(outlineDisposed, 'outline material shared by the objects highlighted kept');
+	t.ok(c.model.children.some(o => o.userData.isOutline && o.material === outline), 'outline of the other objects still drawn');
+
+	// disposed without being removed, the highlight is also taken off
+	c.dispose();
+	t.notOk(outlineDisposed, 'outline material kept when an object highlighted is disposed');
+	tb.dispose();
+	t.end();
+});
@@ -0,0 +1,93 @@
+// Tests of the undo and redo history, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import { origin, createThreebox, click } from './helpers.mjs';
+
+test('HEADLESS history', (t) => {
+	const { map, tb } = createThreebox({ enableDraggingObjects: true, undoRemove: true });
+	const sphere = tb.sphere({ radius: 20, units: 'meters', anchor: 'center' }).setCoords(origin);
+	tb.add(sphere);
+	tb.update();
+
+	let events = [];
+	tb.history.addEventListener('HistoryChanged', (e) => events.push(e.detail.action));
+
+	t.ok(tb.history.canUndo, 'add recorded');
+	const moved = [origin[0] + 0.001, origin[1], 0];
+	sphere.setCoords(moved);
+	sphere.setRotation({ x: 0, y: 0, z: 90 });
+	t.ok(tb.history.undo(), 'rotation undone');
+	t.ok(Math.abs(sphere.rotation.z) < 1e-9, 'rotation restored');
+	t.ok(tb.history.undo(), 'setCoords undone');
+	t.deepEqual(sphere.coordinates, origin, 'coordinates restored');
+	t.ok(tb.history.redo(), 'setCoords redone');
+	t.deepEqual(sphere.coordinates, moved, 'coordinates redone');
+	t.ok(tb.history.canRedo, 'rotation can still be redone');
+	t.deepEqual(events, ['record', 'record', 'undo', 'undo', 'redo'], 'HistoryChanged fired on every change');
+
+	tb.remove(sphere);
+	t.equal(tb.world.children.length, 0, 'object removed');
+	t.notOk(tb.history.canRedo, 'a new change drops the redo entries');
+	tb.history.undo();
+	t.equal(sphere.parent, tb.world, 'removal undone with the same object');
+	t.ok(sphere.model, 'removed object is not disposed while it can be restored');
+
+	tb.history.undo();
+	t.deepEqual(sphere.coordinates, origin, 'back to the first coordinates');
+
+	// shift + drag moves the selected object, recorded as a single entry
+	tb.update();
+	const undoSize = tb.history.undoStack.length;
+	click(map, 400, 300);
+	const drag = (type, x, y) => map.fire(type, { point: { x: x, y: y }, lngLat: { lng: origin[0] + x * 1e-6, lat: origin[1] }, originalEvent: { shiftKey: true, button: 0, clientX: x, clientY: y } });
+	t.ok(sphere.selected, 'object selected to be dragged');
+	drag('mousedown', 400, 300);
+	drag('mousemove', 420, 300);
+	drag('mousemove', 440, 300);
+	drag('mouseup', 440, 300);
+	t.equal(tb.history.undoStack.length, undoSize + 1, 'drag recorded once');
+	t.equal(tb.history.undoStack[undoSize].action, 'translate', 'drag recorded as translate');
+	tb.history.undo();
+	t.deepEqual(sphere.coordinates.map(c => +c.toFixed(6)), origin, 'drag undone');
+
+	tb.history.ignore(() => sphere.setCoords(moved));
+	t.equal(tb.history.undoStack.length, undoSize, 'ignored changes are not recorded');
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS history without undoRemove', (t) => {
+	const { tb } = createThreebox();
+	const sphere = tb.sphere({ radius: 20, units: 'meters' }).setCoords(origin);
+	tb.add(sphere);
+	let disposed = false;
+	sphere.model.geometry.addEventListener('dispose', () => disposed = true);
+	const undoSize = tb.history.undoStack.length;
+
+	tb.remove(sphere);
+	t.equal(tb.history.undoStack.length, undoSize - 1, 'removal not recorded and the object forgotten');
+	t.ok(disposed, 'removed object disposed at once');
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS history of several instances', (t) => {
+	const { tb: first } = createThreebox();
+	const { tb: second } = createThreebox();
+	const sphere = first.sphere({ radius: 20, units: 'meters' }).setCoords(origin);
+	first.add(sphere);
+	const firstSize = first.history.undoStack.length;
+	const secondSize = second.history.undoStack.length;
+
+	// the global instance is the second one, the sphere belongs to the first
+	sphere.setCoords([origin[0] + 0.001, origin[1], 0]);
+	sphere.setRotation({ x: 0, y: 0, z: 90 });
+	t.equal(first.history.undoStack.length, firstSize + 2, 'changes recorded in the history of the threebox of the object');
+	t.equal(second.history.undoStack.length, secondSize, 'nothing recorded in the global instance');
+	first.history.undo();
+	first.history.undo();
+	t.deepEqual(sphere.coordinates, origin, 'changes undone in their threebox');
+	first.dispose();
+	second.dispose();
+	t.end();
+});
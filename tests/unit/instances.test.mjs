@@ -0,0 +1,78 @@
+// Tests of the instanced models, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import { Matrix4, Vector3 } from 'three';
+import { origin, createThreebox, click } from './helpers.mjs';
+
+// cube of 2 x 2 x 2 around its center
+const cube = 'data:text/plain,' + encodeURIComponent([
+	'v -1 -1 -1', 'v 1 -1 -1', 'v 1 1 -1', 'v -1 1 -1', 'v -1 -1 1', 'v 1 -1 1', 'v 1 1 1', 'v -1 1 1',
+	'f 1 4 3 2', 'f 5 6 7 8', 'f 1 2 6 5', 'f 2 3 7 6', 'f 3 4 8 7', 'f 4 1 5 8'
+].join('\n') + '\n');
+
+test('HEADLESS instances', async (t) => {
+	const { map, tb } = createThreebox();
+	const east = [origin[0] + 0.001, origin[1], 0];
+	const trees = await tb.instances({ obj: cube, type: 'mtl', anchor: 'center', positions: [origin.concat([0, 10]), east.concat([45, 10])] });
+	tb.add(trees);
+	tb.update();
+	const mesh = trees.children[0];
+	const matrixAt = (i) => { const m = new Matrix4(); mesh.getMatrixAt(i, m); return m; };
+	// position over the ground of an instance, in world units
+	const position = (i) => new Vector3().setFromMatrixPosition(matrixAt(i).premultiply(trees.matrix)).setZ(0);
+	t.ok(trees.isInstances && trees.count === 2 && mesh.isInstancedMesh, 'an instanced mesh per mesh of the model');
+	t.ok(position(0).distanceTo(tb.projectToWorld(origin)) < 1e-3, 'instance placed at its coordinates');
+
+	trees.setCoords(1, [origin[0], origin[1] + 0.001, 5]);
+	t.deepEqual(trees.getCoords(1), [origin[0], origin[1] + 0.001, 5], 'coordinates of an instance');
+	t.ok(position(1).distanceTo(tb.projectToWorld([origin[0], origin[1] + 0.001, 0])) < 1e-3, 'instance moved');
+	t.equal(trees.getRotation(1), 45, 'rotation of an instance');
+	trees.setRotation(1, { z: 90 });
+	t.equal(trees.getRotation(1), 90, 'instance rotated');
+	trees.setVisibility(1, false);
+	t.notOk(trees.getVisibility(1), 'instance hidden');
+	t.equal(new Vector3().setFromMatrixScale(matrixAt(1)).length(), 0, 'hidden instance collapsed');
+	trees.setVisibility(1, true);
+	trees.setColor(0, 0xff0000);
+	t.equal(mesh.instanceColor.getX(0), 1, 'instance colored');
+	t.equal(mesh.instanceColor.getY(0), 0, 'color of a single instance');
+
+	const errors = console.error;
+	console.error = () => { };
+	t.equal(trees.getCoords(5), null, 'coordinates out of range');
+	t.equal(trees.getRotation(-1), null, 'rotation out of range');
+	t.equal(trees.setCoords(5, origin), trees, 'setCoords out of range ignored');
+	console.error = errors;
+
+	let selected = [];
+	trees.addEventListener('SelectedChange', (e) => selected.push(e.detail.selectedInstance));
+	tb.update();
+	click(map, 400, 300);
+	t.ok(trees.selected, 'instances selected through the raycaster');
+	t.deepEqual(selected, [0], 'SelectedChange with the instance clicked');
+
+	let disposed = false;
+	mesh.geometry.addEventListener('dispose', () => disposed = true);
+	tb.remove(trees);
+	t.ok(disposed && trees.children.length === 0, 'instanced meshes disposed');
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS instances of several threeboxes', async (t) => {
+	const { tb: first } = createThreebox();
+	const trees = await first.instances({ obj: cube, type: 'mtl', positions: [origin, [origin[0] + 0.001, origin[1], 0]] });
+	first.add(trees);
+	// the global instance is the second one, the instances belong to the first
+	const { tb: second } = createThreebox();
+	first.map.repaint = second.map.repaint = false;
+	trees.setColor(0, '#ff0000');
+	t.ok(first.map.repaint, 'color change repaints the threebox of the instances');
+	first.map.repaint = false;
+	trees.setCoords(1, origin);
+	t.ok(first.map.repaint, 'position change repaints the threebox of the instances');
+	t.notOk(second.map.repaint, 'global instance not repainted');
+	first.dispose();
+	second.dispose();
+	t.end();
+});
@@ -0,0 +1,175 @@
+// Tests of the model loaders, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import GLTFLoader from '../../src/objects/loaders/GLTFLoader.js';
+import ModelLoadError from '../../src/objects/loaders/ModelLoadError.js';
+import { detectModelType } from '../../src/objects/loaders/modelFormats.js';
+import { BufferGeometry, Float32BufferAttribute, Mesh } from 'three';
+import { createThreebox } from './helpers.mjs';
+
+test('HEADLESS compressed glTF decoders', async (t) => {
+	const { tb } = createThreebox({ decoderWorkers: 2, dracoDecoderPath: '/libs/draco/', ktx2TranscoderPath: '/libs/basis/' });
+	const gltf = tb.decoders.configure(new GLTFLoader());
+	t.equal(gltf.dracoLoader.decoderPath, '/libs/draco/', 'Draco decoder from the path of the options');
+	t.equal(gltf.dracoLoader.workerLimit, 2, 'worker count from the options');
+	t.ok(gltf.ktx2Loader, 'KTX2 loader set');
+	t.ok(gltf.meshoptDecoder, 'Meshopt decoder set');
+	t.equal(tb.decoders.configure(new GLTFLoader()).dracoLoader, gltf.dracoLoader, 'loaders shared by all the models');
+
+	const own = tb.decoders.configure(new GLTFLoader(), { dracoDecoderPath: '/draco/', ktx2TranscoderPath: null });
+	t.equal(own.dracoLoader.decoderPath, '/draco/', 'loadObj options override the decoder path');
+	t.equal(own.ktx2Loader, null, 'null path disables the decoder');
+
+	let disposed = 0;
+	gltf.dracoLoader.dispose = () => disposed++;
+	own.dracoLoader.dispose = () => disposed++;
+	tb.decoders.dispose();
+	t.equal(disposed, 2, 'decoders disposed with threebox');
+
+	// without paths nothing is downloaded from a CDN, the compressed models ask for them
+	const remote = createThreebox().tb;
+	t.equal(remote.decoders.configure(new GLTFLoader()).dracoLoader, null, 'no Draco decoder by default');
+	const compressed = (extension) => 'data:model/gltf+json,' + encodeURIComponent(JSON.stringify({ asset: { version: '2.0' }, extensionsUsed: [extension], extensionsRequired: [extension] }));
+	try {
+		await remote.loadObj({ obj: compressed('KHR_draco_mesh_compression'), type: 'gltf', clone: false });
+		t.fail('Draco model without decoder');
+	} catch (error) {
+		t.ok(error instanceof ModelLoadError && error.code === 'invalid-options' && /dracoDecoderPath/.test(error.message), 'Draco model rejected asking for dracoDecoderPath');
+	}
+	try {
+		await remote.loadObj({ obj: compressed('KHR_texture_basisu'), type: 'gltf', clone: false });
+		t.fail('KTX2 model without transcoder');
+	} catch (error) {
+		t.ok(error instanceof ModelLoadError && /ktx2TranscoderPath/.test(error.message), 'KTX2 model rejected asking for ktx2TranscoderPath');
+	}
+	t.end();
+});
+
+test('HEADLESS model loading', async (t) => {
+	const { tb } = createThreebox();
+	const triangle = 'data:text/plain,' + encodeURIComponent('v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 3\n');
+	let progress = [];
+	let called = 0;
+	const model = await tb.loadObj({ obj: triangle, type: 'mtl', units: 'meters', onProgress: e => progress.push(e) }, () => called++);
+	t.ok(model.model && model.model.isMesh, 'promise resolves with the model');
+	t.equal(called, 1, 'callback still called');
+	t.ok(progress.length > 0 && progress[progress.length - 1].loaded > 0, 'progress reported in bytes');
+	const copy = await tb.loadObj({ obj: triangle, type: 'mtl', units: 'meters', scale: 1 });
+	t.notEqual(copy, model, 'cached model duplicated');
+
+	try {
+		await tb.loadObj({ obj: triangle, type: 'abc', clone: false });
+		t.fail('unknown type');
+	} catch (error) {
+		t.ok(error instanceof ModelLoadError && error.code === 'invalid-options', 'unknown type rejected');
+	}
+
+	const unreachable = 'http://127.0.0.1:1/model.glb';
+	try {
+		await tb.loadObj({ obj: unreachable, type: 'glb' });
+		t.fail('network error');
+	} catch (error) {
+		t.equal(error.code, 'network', 'network error rejected');
+	}
+	t.notOk(tb.objectsCache.has(unreachable), 'failed model evicted from the cache');
+
+	const garbage = 'data:application/octet-stream,' + encodeURIComponent('not a glb');
+	try {
+		await tb.loadObj({ obj: garbage, type: 'glb', clone: false });
+		t.fail('parse error');
+	} catch (error) {
+		t.equal(error.code, 'parse', 'parse error rejected');
+	}
+
+	const controller = new AbortController();
+	const loading = tb.loadObj({ obj: triangle + '%0A', type: 'mtl', signal: controller.signal });
+	controller.abort();
+	try {
+		await loading;
+		t.fail('aborted');
+	} catch (error) {
+		t.equal(error.code, 'aborted', 'aborted through the signal');
+	}
+	t.notOk(tb.objectsCache.has(triangle + '%0A'), 'aborted model evicted from the cache');
+	t.end();
+});
+
+test('HEADLESS model formats', async (t) => {
+	const { tb } = createThreebox();
+	const stl = 'solid part\nfacet normal 0 0 1\nouter loop\nvertex 0 0 0\nvertex 1 0 0\nvertex 0 1 0\nendloop\nendfacet\nendsolid part\n';
+	const ply = 'ply\nformat ascii 1.0\nelement vertex 3\nproperty float x\nproperty float y\nproperty float z\nproperty uchar red\nproperty uchar green\nproperty uchar blue\nelement face 1\nproperty list uchar int vertex_indices\nend_header\n0 0 0 255 0 0\n1 0 0 0 255 0\n0 1 0 0 0 255\n3 0 1 2\n';
+	const url = text => 'data:application/octet-stream,' + encodeURIComponent(text);
+
+	const part = await tb.loadObj({ obj: url(stl), clone: false, anchor: 'center' });
+	t.equal(part.userData.type, 'stl', 'STL detected from its bytes');
+	t.ok(part.model.isMesh && part.model.geometry.attributes.position.count === 3, 'STL geometry wrapped in a mesh');
+	t.ok(part.anchor && part.setCoords, 'same structure than the rest of the models');
+
+	const scan = await tb.loadObj({ obj: url(ply), clone: false });
+	t.equal(scan.userData.type, 'ply', 'PLY detected from its bytes');
+	t.ok(scan.model.material.vertexColors, 'PLY vertex colors kept');
+
+	t.equal(detectModelType('/models/part.3MF?v=2'), '3mf', '3MF detected from the extension');
+	t.equal(detectModelType('/models/chair.usdz'), 'usdz', 'USDZ detected from the extension');
+	t.equal(detectModelType('/models/soldier.glb'), 'glb', 'glTF detected from the extension');
+
+	let parsed = 0;
+	tb.registerModelFormat('xyz', {
+		extensions: ['xyz'],
+		responseType: 'text',
+		detect: bytes => bytes[0] === 35, // '#'
+		parse: (text) => {
+			parsed++;
+			const geometry = new BufferGeometry();
+			geometry.setAttribute('position', new Float32BufferAttribute(text.split(/\s+/).filter(v => v && v !== '#').map(Number), 3));
+			return geometry;
+		}
+	});
+	const cloud = await tb.loadObj({ obj: url('# 0 0 0 1 0 0 0 1 0'), clone: false });
+	t.ok(parsed === 1 && cloud.model.isMesh, 'format registered through the plugin hook');
+	t.equal(detectModelType('/scans/cloud.xyz'), 'xyz', 'plugin detected from the extension');
+
+	try {
+		await tb.loadObj({ obj: url('unknown'), clone: false });
+		t.fail('unknown format');
+	} catch (error) {
+		t.equal(error.code, 'parse', 'unknown format rejected');
+	}
+	t.end();
+});
+
+test('HEADLESS registered loaders', async (t) => {
+	const { tb } = createThreebox();
+	// in-house binary format, a magic number followed by the xyz of its vertices
+	class TriLoader {
+		parse(data, path, onLoad) {
+			const values = new Float32Array(data, 4);
+			const geometry = new BufferGeometry();
+			geometry.setAttribute('position', new Float32BufferAttribute(Array.from(values), 3));
+			setTimeout(() => onLoad({ scene: new Mesh(geometry), clips: [] }));
+		}
+	}
+	let extracted = 0;
+	tb.registerLoader('tri', {
+		loader: TriLoader,
+		extract: (result) => { extracted++; return { object: result.scene, animations: result.clips }; },
+		extensions: ['tri'],
+		detect: bytes => bytes[0] === 84 && bytes[1] === 82 && bytes[2] === 73 // 'TRI'
+	});
+	const file = new Uint8Array(4 + 9 * 4);
+	file.set([84, 82, 73, 0]);
+	new Float32Array(file.buffer, 4).set([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+	const url = 'data:application/octet-stream;base64,' + Buffer.from(file).toString('base64');
+
+	const first = await tb.loadObj({ obj: url, scale: 1 });
+	t.equal(first.userData.type, 'tri', 'registered loader detected from the bytes');
+	t.ok(first.model.isMesh && first.model.geometry.attributes.position.count === 3, 'model extracted from the loader result');
+	const second = await tb.loadObj({ obj: url, scale: 1 });
+	t.equal(extracted, 1, 'registered loader models are cached');
+	t.notEqual(first, second, 'cached model duplicated');
+	t.equal(detectModelType('/tiles/12/34.tri'), 'tri', 'registered loader detected from the extension');
+
+	tb.registerLoader('bad', { extensions: ['bad'] });
+	t.equal(detectModelType('/tiles/12/34.bad'), null, 'loader without parse not registered');
+	t.end();
+});
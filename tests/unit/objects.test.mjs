@@ -0,0 +1,17 @@
+// Tests of the object creation, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import { origin, createThreebox } from './helpers.mjs';
+
+test('HEADLESS object creation', (t) => {
+	const { tb } = createThreebox();
+	const sphere = tb.sphere({ radius: 10, units: 'meters', anchor: 'center' }).setCoords(origin);
+	tb.add(sphere);
+	t.equal(tb.world.children.length, 1, 'object added to the world');
+	t.deepEqual(sphere.coordinates.map(c => +c.toFixed(6)), origin, 'coordinates kept');
+	t.ok(sphere.userData.units === 'meters', 'units kept');
+	tb.remove(sphere);
+	t.equal(tb.world.children.length, 0, 'object removed from the world');
+	tb.dispose();
+	t.end();
+});
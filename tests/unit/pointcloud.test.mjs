@@ -0,0 +1,92 @@
+// Tests of the point clouds, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import { Vector3 } from 'three';
+import { projectToWorld } from '../../src/utils/utils.js';
+import { origin, createThreebox, click } from './helpers.mjs';
+
+// LAS 1.2 file with point format 2 (rgb), coordinates in degrees
+function las(points) {
+	const header = 227, length = 26;
+	const bytes = Buffer.alloc(header + points.length * length);
+	bytes.write('LASF', 0);
+	bytes.writeUInt8(1, 24);
+	bytes.writeUInt8(2, 25);
+	bytes.writeUInt16LE(header, 94);
+	bytes.writeUInt32LE(header, 96);
+	bytes.writeUInt8(2, 104);
+	bytes.writeUInt16LE(length, 105);
+	bytes.writeUInt32LE(points.length, 107);
+	[1e-7, 1e-7, 0.01].forEach((s, i) => bytes.writeDoubleLE(s, 131 + i * 8));
+	points.forEach((p, i) => {
+		const o = header + i * length;
+		bytes.writeInt32LE(Math.round(p.xyz[0] / 1e-7), o);
+		bytes.writeInt32LE(Math.round(p.xyz[1] / 1e-7), o + 4);
+		bytes.writeInt32LE(Math.round(p.xyz[2] / 0.01), o + 8);
+		bytes.writeUInt16LE(p.intensity, o + 12);
+		bytes.writeUInt8(p.classification, o + 15);
+		p.rgb.forEach((c, j) => bytes.writeUInt16LE(c * 257, o + 20 + j * 2));
+	});
+	return 'data:application/octet-stream;base64,' + bytes.toString('base64');
+}
+
+test('HEADLESS point clouds', async (t) => {
+	const { map, tb } = createThreebox();
+	// a grid of 100 points around the origin, higher to the east
+	const positions = [];
+	for (let i = 0; i < 10; i++) for (let j = 0; j < 10; j++) positions.push([origin[0] + (i - 5) * 0.0005, origin[1] + (j - 5) * 0.0005, i * 2]);
+	const grid = await tb.pointCloud({ positions: positions, colorBy: 'elevation', lodZoom: 18 });
+	tb.add(grid);
+	t.ok(grid.isPointCloud && grid.count === 100, 'point cloud created from positions');
+	t.equal(grid.drawnPoints, 7, 'points decimated under lodZoom');
+	map.jumpTo({ zoom: 18 });
+	map.fire('zoom');
+	t.equal(grid.drawnPoints, 100, 'all the points drawn from lodZoom');
+	map.jumpTo({ zoom: 16 });
+	map.fire('zoom');
+
+	// the points are projected from their lnglat, relative to the center of the cloud
+	const points = grid.children[0];
+	const index = Array.from({ length: 100 }, (v, i) => i).find(i => grid.getPointIndex(i) === 55);
+	const drawn = new Vector3().fromBufferAttribute(points.geometry.attributes.position, index).add(grid.position);
+	t.ok(drawn.distanceTo(projectToWorld(positions[55])) < 1e-3, 'points placed through projectToWorld');
+	const color = new Vector3().fromBufferAttribute(points.geometry.attributes.color, index);
+	t.ok(color.x > color.z, 'high points colored red by elevation');
+
+	// a single point at the center of the map is picked by the raycaster
+	const survey = await tb.pointCloud({
+		url: las([
+			{ xyz: [origin[0], origin[1], 0], intensity: 100, classification: 6, rgb: [255, 0, 0] },
+			{ xyz: [origin[0] + 0.01, origin[1] + 0.01, 10], intensity: 200, classification: 2, rgb: [0, 255, 0] }
+		]),
+		colorBy: 'classification'
+	});
+	t.equal(survey.count, 2, 'LAS file parsed');
+	t.deepEqual(survey.getPoint(0).coordinates.map(c => +c.toFixed(6)), origin, 'LAS coordinates scaled');
+	t.equal(survey.getPoint(1).classification, 2, 'LAS classification read');
+	t.deepEqual(survey.getPoint(1).color, [0, 1, 0], 'LAS colors normalized');
+	tb.remove(grid);
+	tb.add(survey);
+	tb.update();
+	t.equal(tb.raycaster.params.Points.threshold, 5, 'points threshold set from the options');
+	click(map, 400, 300);
+	t.ok(survey.selected && survey.selectedPoint === 0, 'point selected through the raycaster');
+	survey.setColorBy('intensity');
+	t.equal(survey.colorBy, 'intensity', 'color changed by intensity');
+
+	const xyz = await tb.pointCloud({ url: 'data:text/plain,' + encodeURIComponent('# lng lat alt r g b\n2.1734 41.3851 5 255 255 255\n2.1735 41.3852 6 0 0 0\n'), format: 'xyz' });
+	t.ok(xyz.count === 2 && xyz.colorBy === 'rgb', 'XYZ file with colors');
+	const ply = 'ply\nformat ascii 1.0\nelement vertex 1\nproperty double x\nproperty double y\nproperty double z\nproperty float intensity\nend_header\n2.17341234 41.38512345 3 50\n';
+	const scan = await tb.pointCloud({ url: 'data:application/octet-stream,' + encodeURIComponent(ply) });
+	t.ok(scan.getPoint(0).coordinates[0] === 2.17341234 && scan.getPoint(0).intensity === 50, 'PLY coordinates kept as doubles');
+	const exported = tb.exportScene().objects.find(o => o.kind === 'pointCloud');
+	t.ok(exported && exported.options.colorBy === 'classification', 'point clouds exported with the scene');
+
+	try {
+		await tb.pointCloud({ url: 'data:application/octet-stream,LASF', format: 'laz' });
+		t.fail('LAZ without decoder');
+	} catch (error) {
+		t.equal(error.code, 'parse', 'LAZ files need a decoder');
+	}
+	t.end();
+});
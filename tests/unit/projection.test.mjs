@@ -0,0 +1,109 @@
+// Tests of the projection of the world, the camera and the globe, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import Threebox from '../../src/Threebox.js';
+import StubMapAdapter from '../../src/adapters/StubMapAdapter.js';
+import { createStubRenderer } from '../../src/adapters/StubRenderer.js';
+import { WORLD_SIZE, TILE_SIZE } from '../../src/utils/constants.js';
+import { Vector3 } from 'three';
+import { projectToWorld } from '../../src/utils/utils.js';
+import { origin, createThreebox } from './helpers.mjs';
+
+test('HEADLESS camera math', (t) => {
+	const { map, tb } = createThreebox();
+	const scale = (zoom) => Math.pow(2, zoom) * TILE_SIZE / WORLD_SIZE;
+
+	t.ok(Math.abs(Math.abs(tb.world.matrix.elements[0]) - scale(16)) < 1e-9, 'world scaled to the map zoom');
+	map.jumpTo({ zoom: 18 });
+	t.ok(Math.abs(Math.abs(tb.world.matrix.elements[0]) - scale(18)) < 1e-9, 'world scale follows the map zoom');
+
+	const distance = 0.5 / Math.tan(map.transform._fov / 2) * map.transform.height;
+	t.ok(Math.abs(tb.cameraSync.cameraToCenterDistance - distance) < 1e-9, 'camera distance to center from fov and height');
+	const position = tb.camera.matrixWorld.elements.slice(12, 15);
+	t.ok(Math.abs(position[1] + distance * Math.sin(Math.PI / 4)) < 1e-6 && Math.abs(position[2] - distance * Math.cos(Math.PI / 4)) < 1e-6, 'camera pitched 45 degrees');
+
+	map.resize(1000, 500);
+	t.equal(tb.camera.aspect, 2, 'camera aspect follows the map size');
+
+	let synced = false;
+	map.on('CameraSynced', () => synced = true);
+	map.jumpTo({ bearing: 90 });
+	t.ok(synced, 'CameraSynced fired through the adapter');
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS globe projection', (t) => {
+	const map = new StubMapAdapter({ center: [0, 0], zoom: 3, pitch: 0, bearing: 0, width: 800, height: 600 });
+	const tb = new Threebox(map, null, { rendererFactory: createStubRenderer });
+	globalThis.tb = tb;
+	map.fire('style.load');
+	map.fire('load');
+	const center = tb.sphere({ radius: 1000, units: 'meters', anchor: 'center' }).setCoords([0, 0, 0]);
+	const east = tb.sphere({ radius: 1000, units: 'meters', anchor: 'center' }).setCoords([90, 0, 0]);
+	tb.add(center);
+	tb.add(east);
+	const placed = (obj) => {
+		tb.scene.updateMatrixWorld();
+		return new Vector3().setFromMatrixPosition(obj.matrixWorld);
+	};
+	const near = (a, b, e = 1e-6) => Math.abs(a - b) < e;
+
+	const flat = placed(east);
+	map.setProjection('globe');
+	const radius = 512 * 8 / (2 * Math.PI);
+	let p = placed(east);
+	t.ok(near(p.x, radius) && near(p.y, 0) && near(p.z, -radius), 'object placed on the sphere');
+	// the object up axis follows the surface normal, to the east of the map center
+	const up = new Vector3(0, 0, 1).transformDirection(east.matrixWorld);
+	t.ok(near(up.x, 1) && near(up.z, 0), 'object oriented by the surface normal');
+	p = placed(center);
+	t.ok(near(p.length(), 0), 'object at the map center stays at the center');
+
+	map.jumpTo({ zoom: 5.5 });
+	const globe = new Vector3(1, 0, -1).multiplyScalar(512 * Math.pow(2, 5.5) / (2 * Math.PI));
+	map.setProjection('mercator');
+	const mercator = placed(east);
+	map.setProjection('globe');
+	p = placed(east);
+	t.equal(map.getGlobeTransition(), 0.5, 'halfway through the transition');
+	t.ok(near(p.x, (globe.x + mercator.x) / 2, 1e-3) && near(p.z, globe.z / 2, 1e-3), 'placement mixed with mercator through the transition');
+
+	map.jumpTo({ zoom: 7 });
+	t.equal(tb.cameraSync.globe, null, 'flat map over the transition zoom range');
+	t.ok(placed(east).distanceTo(flat.multiplyScalar(16)) < 1e-3, 'mercator placement over the transition zoom range');
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS relative to center', (t) => {
+	const far = [origin[0] + 0.05, origin[1] + 0.05];
+	const screen = (options) => {
+		const { map, tb } = createThreebox(options);
+		const sphere = tb.sphere({ radius: 10, units: 'meters', anchor: 'center' }).setCoords([origin[0] + 0.001, origin[1], 20]);
+		const line = tb.line({ geometry: [far, [far[0] + 0.002, far[1] + 0.002]] });
+		tb.add(sphere);
+		tb.add(line);
+		map.jumpTo({ center: far });
+		sphere.setCoords([far[0] + 0.001, far[1], 20]);
+		tb.update();
+		return { tb: tb, sphere: sphere, line: tb.projectToScreen(line), points: tb.projectToScreen(sphere) };
+	};
+	const plain = screen();
+	plain.tb.dispose();
+	const rtc = screen({ relativeToCenter: true, undoRemove: true });
+	const { tb, sphere } = rtc;
+	const near = (a, b) => Math.abs(a.x - b.x) < 1e-3 && Math.abs(a.y - b.y) < 1e-3;
+	t.ok(tb.cameraSync.origin.distanceTo(tb.projectToWorld(far)) < 1e-6, 'origin moved to the map center');
+	t.ok(sphere.position.length() < 5, 'object positioned relative to the origin');
+	t.deepEqual(sphere.coordinates.map(c => +c.toFixed(6)), [+(far[0] + 0.001).toFixed(6), +far[1].toFixed(6), 20], 'coordinates kept');
+	t.ok(near(rtc.points, plain.points), 'object placed on the map as without the origin');
+	t.ok(near(rtc.line, plain.line), 'objects moved with the origin keep their place');
+	tb.remove(sphere);
+	t.ok(sphere.position.distanceTo(tb.projectToWorld(sphere.coordinates)) < 1e-6, 'removed object back in world units');
+	tb.history.undo();
+	tb.update();
+	t.ok(near(tb.projectToScreen(sphere), rtc.points), 'restored object placed relative to the origin');
+	tb.dispose();
+	t.end();
+});
@@ -0,0 +1,93 @@
+// Tests of the selection of the objects with the mouse and the keyboard, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import { origin, createThreebox, click } from './helpers.mjs';
+
+test('HEADLESS selection', (t) => {
+	const { map, tb } = createThreebox();
+	const sphere = tb.sphere({ radius: 20, units: 'meters', anchor: 'center' }).setCoords(origin);
+	tb.add(sphere);
+	tb.update();
+
+	let changes = 0;
+	sphere.addEventListener('SelectedChange', () => changes++);
+
+	click(map, 10, 10);
+	t.notOk(sphere.selected, 'click far from the object does not select it');
+	click(map, 400, 300);
+	t.ok(sphere.selected, 'click over the object selects it');
+	t.equal(map.selectedObject, sphere, 'object kept as selected by the map');
+	click(map, 400, 300);
+	t.notOk(sphere.selected, 'second click unselects it');
+	t.equal(changes, 2, 'SelectedChange fired on select and unselect');
+
+	map.fire('mousemove', { point: { x: 400, y: 300 }, lngLat: { lng: origin[0], lat: origin[1] } });
+	t.ok(sphere.over, 'mouse over the object');
+	map.fire('mousemove', { point: { x: 10, y: 10 }, lngLat: { lng: origin[0], lat: origin[1] } });
+	t.notOk(sphere.over, 'mouse out of the object');
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS multiple selection', (t) => {
+	const { map, tb } = createThreebox({ enableMultiSelectingObjects: true, enableDraggingObjects: true, enableRotatingObjects: true, undoRemove: true });
+	const coords = [[origin[0] - 0.0005, origin[1], 0], [origin[0] + 0.0005, origin[1], 0], [origin[0], origin[1] + 0.002, 0]];
+	const spheres = coords.map(c => {
+		const s = tb.sphere({ radius: 10, units: 'meters', anchor: 'center' }).setCoords(c);
+		tb.add(s);
+		return s;
+	});
+	tb.update();
+	const points = spheres.map(s => tb.projectToScreen(s));
+	const shiftEvent = (type, p, lngLat) => map.fire(type, { point: p, lngLat: lngLat || { lng: origin[0], lat: origin[1] }, originalEvent: { shiftKey: true, button: 0, clientX: p.x, clientY: p.y } });
+
+	let events = [];
+	['SelectionAdded', 'SelectionRemoved', 'SelectionCleared'].forEach(type => tb.selection.addEventListener(type, () => events.push(type)));
+
+	click(map, points[0].x, points[0].y);
+	shiftEvent('click', points[1]);
+	t.deepEqual(tb.selection.objects, [spheres[0], spheres[1]], 'shift + click adds to the selection');
+	t.ok(spheres[0].selected && spheres[1].selected, 'all the objects highlighted as selected');
+	t.equal(map.selectedObject, spheres[1], 'last object added kept as map.selectedObject');
+	shiftEvent('click', points[0]);
+	t.deepEqual(tb.selection.objects, [spheres[1]], 'shift + click on a selected object removes it');
+	click(map, points[2].x, points[2].y);
+	t.deepEqual(tb.selection.objects, [spheres[2]], 'click without shift selects only that object');
+	t.deepEqual(events, ['SelectionAdded', 'SelectionAdded', 'SelectionRemoved', 'SelectionCleared', 'SelectionAdded'], 'selection events fired');
+
+	// box around the two first objects
+	tb.selection.clear();
+	const corner = (dx, dy) => ({ x: Math.min(points[0].x, points[1].x) + dx, y: points[0].y + dy });
+	shiftEvent('mousedown', corner(-20, -20));
+	shiftEvent('mousemove', { x: Math.max(points[0].x, points[1].x) + 20, y: points[0].y + 20 });
+	shiftEvent('mouseup', { x: Math.max(points[0].x, points[1].x) + 20, y: points[0].y + 20 });
+	t.deepEqual(tb.selection.objects, [spheres[0], spheres[1]], 'objects inside the box selected');
+	const centroid = tb.selection.centroid;
+	t.ok(Math.abs(centroid[0] - origin[0]) < 1e-9 && Math.abs(centroid[1] - origin[1]) < 1e-9, 'centroid of the selection');
+
+	// shift + drag over a selected object moves the group
+	const from = { lng: spheres[0].coordinates[0], lat: spheres[0].coordinates[1] };
+	shiftEvent('mousedown', points[0], from);
+	shiftEvent('mousemove', points[0], { lng: from.lng + 0.001, lat: from.lat });
+	shiftEvent('mouseup', points[0], { lng: from.lng + 0.001, lat: from.lat });
+	t.ok(Math.abs(spheres[0].coordinates[0] - (coords[0][0] + 0.001)) < 1e-6 && Math.abs(spheres[1].coordinates[0] - (coords[1][0] + 0.001)) < 1e-6, 'group moved together');
+	t.deepEqual(spheres[2].coordinates, coords[2], 'objects out of the selection not moved');
+	tb.history.undo();
+	t.ok(Math.abs(spheres[0].coordinates[0] - coords[0][0]) < 1e-9 && Math.abs(spheres[1].coordinates[0] - coords[1][0]) < 1e-9, 'group move undone at once');
+
+	// rotating 180 degrees around the centroid swaps the objects
+	tb.selection.beginDrag(spheres[0]);
+	tb.selection.dragBy([0, 0, 0], 180);
+	tb.selection.endDrag();
+	t.ok(Math.abs(spheres[0].coordinates[0] - coords[1][0]) < 1e-6 && Math.abs(spheres[1].coordinates[0] - coords[0][0]) < 1e-6, 'group rotated around the centroid');
+	t.ok(Math.abs(spheres[0].rotation.z - Math.PI) < 1e-9, 'objects rotated with the group');
+
+	const removed = tb.selection.removeObjects();
+	t.equal(removed.length, 2, 'selected objects removed');
+	t.equal(tb.world.children.length, 1, 'only the unselected object left');
+	t.equal(tb.selection.size, 0, 'selection cleared');
+	tb.history.undo();
+	t.equal(tb.world.children.length, 3, 'group removal undone at once');
+	tb.dispose();
+	t.end();
+});
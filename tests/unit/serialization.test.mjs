@@ -0,0 +1,83 @@
+// Tests of the scene serialization, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import { origin, createThreebox } from './helpers.mjs';
+
+test('HEADLESS scene serialization', async (t) => {
+	const { tb } = createThreebox();
+	const sphere = tb.sphere({ radius: 5, color: 0x00ff00, units: 'meters' }).setCoords([origin[0], origin[1], 20]);
+	sphere.setRotation({ x: 0, y: 0, z: 45 });
+	tb.add(sphere, 'layer1', 'source1');
+	const tube = tb.tube({ geometry: [[0, 0, 0], [10, 10, 10]], radius: 2, units: 'meters' }).setCoords(origin);
+	tb.add(tube);
+	const extrusion = tb.extrusion({ coordinates: [[[0, 0], [10, 0], [10, 10], [0, 0]]], geometryOptions: { depth: 10 } }).setCoords(origin);
+	tb.add(extrusion);
+
+	const scene = JSON.parse(JSON.stringify(tb.exportScene()));
+	t.equal(scene.objects.length, 3, 'all the objects exported');
+	t.deepEqual(scene.objects.map(o => o.kind), ['sphere', 'tube', 'extrusion'], 'kinds exported');
+	t.equal(scene.objects[0].options.radius, 5, 'creation options exported');
+	t.equal(scene.objects[0].layer, 'layer1', 'layer exported');
+
+	await tb.clear(null, true);
+	t.equal(tb.world.children.length, 0, 'world cleared');
+
+	const objects = await tb.importScene(scene);
+	t.equal(objects.length, 3, 'all the objects imported');
+	t.equal(tb.world.children.length, 3, 'objects added to the world');
+	const restored = objects[0];
+	t.deepEqual(restored.coordinates, [origin[0], origin[1], 20], 'coordinates restored');
+	t.ok(Math.abs(restored.rotation.z - Math.PI / 4) < 1e-9, 'rotation restored');
+	t.equal(restored.layer, 'layer1', 'layer restored');
+	t.equal(restored.source, 'source1', 'source restored');
+	t.equal(restored.userData.factory.options.radius, 5, 'rebuilt from its creation options');
+	t.deepEqual(JSON.parse(JSON.stringify(tb.exportScene())), scene, 'export of the imported scene is the same');
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS scene serialization of instances', async (t) => {
+	const { tb } = createThreebox();
+	const cube = 'data:text/plain,' + encodeURIComponent('v 0 0 0\nv 1 0 0\nv 1 1 0\nv 0 1 0\nv 0 0 1\nv 1 0 1\nv 1 1 1\nv 0 1 1\nf 1 2 3 4\nf 5 6 7 8\nf 1 2 6 5\n');
+	const east = [origin[0] + 0.001, origin[1], 0];
+	const trees = await tb.instances({ obj: cube, type: 'mtl', positions: [origin.concat([0, 2]), east, east] });
+	tb.add(trees, 'trees');
+	trees.setCoords(1, [origin[0], origin[1] + 0.001, 5]);
+	trees.setRotation(1, 30);
+	trees.setVisibility(2, false);
+	trees.setColor(0, '#ff0000');
+
+	const scene = JSON.parse(JSON.stringify(tb.exportScene()));
+	t.deepEqual(scene.objects.map(o => o.kind), ['instances'], 'instances exported');
+	await tb.clear(null, true);
+	const [restored] = await tb.importScene(scene);
+	t.ok(restored && restored.isInstances && restored.count === 3, 'instances rebuilt');
+	t.equal(restored.layer, 'trees', 'layer restored');
+	t.deepEqual(restored.getCoords(1), [origin[0], origin[1] + 0.001, 5], 'coordinates of the instances restored');
+	t.equal(restored.getRotation(1), 30, 'rotation of the instances restored');
+	t.equal(restored.getScale(0), 2, 'scale of the instances restored');
+	t.notOk(restored.getVisibility(2), 'hidden instances restored');
+	t.equal(restored.getColor(0), '#ff0000', 'colors of the instances restored');
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS scene import undone in a single step', async (t) => {
+	const { tb } = createThreebox();
+	const a = tb.sphere({ radius: 5, units: 'meters' }).setCoords([origin[0], origin[1], 20]);
+	const b = tb.sphere({ radius: 5, units: 'meters' }).setCoords([origin[0] + 0.001, origin[1], 0]);
+	[a, b].forEach(o => tb.add(o));
+	const scene = JSON.parse(JSON.stringify(tb.exportScene()));
+	await tb.clear(null, true);
+	tb.history.clear();
+
+	const objects = await tb.importScene(scene);
+	t.equal(tb.history.undoStack.length, 1, 'import recorded as a single entry');
+	t.equal(tb.history.undoStack[0].action, 'import', 'entry of the import');
+	tb.history.undo();
+	t.equal(tb.world.children.length, 0, 'all the objects imported removed at once');
+	tb.history.redo();
+	t.deepEqual(tb.world.children, objects, 'all the objects imported restored at once');
+	tb.dispose();
+	t.end();
+});
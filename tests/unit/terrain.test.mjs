@@ -0,0 +1,160 @@
+// Tests of the altitudes over the terrain, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import Threebox from '../../src/Threebox.js';
+import StubMapAdapter from '../../src/adapters/StubMapAdapter.js';
+import MapLibreAdapter from '../../src/adapters/MapLibreAdapter.js';
+import { createStubRenderer } from '../../src/adapters/StubRenderer.js';
+import { projectToWorld, projectedUnitsPerMeter } from '../../src/utils/utils.js';
+import { origin, createThreebox } from './helpers.mjs';
+
+test('HEADLESS terrain altitude modes', (t) => {
+	const { map, tb } = createThreebox();
+	let time = 0;
+	tb.clock.source = () => time;
+	// ground rising 1m every 0.00001 degrees to the east
+	let ground = (lng) => 100 + Math.round((lng - origin[0]) * 1e5);
+	map.setTerrain({ source: 'dem', elevation: (lng) => ground(lng) });
+	const z = (lnglat, alt) => projectToWorld([lnglat[0], lnglat[1], alt]).z;
+	const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+	const absolute = tb.sphere({ radius: 1, units: 'meters' }).setCoords([origin[0], origin[1], 10]);
+	const relative = tb.sphere({ radius: 1, units: 'meters', altitudeMode: 'relativeToGround' }).setCoords([origin[0], origin[1], 10]);
+	const clamped = tb.sphere({ radius: 1, units: 'meters', altitudeMode: 'clampToGround' }).setCoords([origin[0], origin[1], 10]);
+	[absolute, relative, clamped].forEach(o => tb.add(o));
+	t.ok(near(absolute.position.z, z(origin, 10)), 'absolute altitude ignores the terrain');
+	t.ok(near(relative.position.z, z(origin, 110)), 'relativeToGround altitude over the terrain');
+	t.ok(near(clamped.position.z, z(origin, 100)), 'clampToGround on the terrain');
+	t.equal(relative.coordinates[2], 10, 'coordinates keep the altitude over the ground');
+
+	tb.terrainExaggeration = 2;
+	t.equal(map.getTerrain().exaggeration, 2, 'exaggeration set on the map terrain');
+	t.ok(near(relative.position.z, z(origin, 210)) && near(clamped.position.z, z(origin, 200)), 'objects placed again with the exaggeration');
+	t.ok(near(absolute.position.z, z(origin, 10)), 'absolute objects not moved');
+
+	// tiles of the terrain source loaded with a more detailed ground
+	ground = () => 50;
+	map.fire('sourcedata', { sourceId: 'dem' });
+	t.ok(near(clamped.position.z, z(origin, 100)), 'objects placed again when the terrain tiles are loaded');
+	tb.terrainExaggeration = 1;
+
+	ground = (lng) => 100 + Math.round((lng - origin[0]) * 1e5);
+	const end = [origin[0] + 0.001, origin[1], 10];
+	relative.followPath({ path: [[origin[0], origin[1], 10], end], duration: 1000, trackHeading: false });
+	time = 1000;
+	tb.update();
+	t.ok(near(relative.position.z, z(end, 210)), 'followPath over the terrain');
+	t.ok(Math.abs(relative.coordinates[2] - 10) < 1e-6, 'followPath coordinates over the ground');
+
+	clamped.altitudeMode = 'absolute';
+	t.ok(near(clamped.position.z, z(origin, 10)), 'altitudeMode changed on the object');
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS draped lines and tubes', (t) => {
+	const { map, tb } = createThreebox();
+	// ground rising 1m every 0.00001 degrees to the east
+	map.setTerrain({ source: 'dem', elevation: (lng) => 100 + (lng - origin[0]) * 1e5 });
+	const end = [origin[0] + 0.01, origin[1], 0];
+	const line = tb.line({ geometry: [origin, end], drape: true, drapeOffset: 5 });
+	tb.add(line);
+	// altitude in meters of every vertex of the line
+	const altitudes = () => {
+		const start = line.geometry.attributes.instanceStart;
+		const alts = [];
+		for (let i = 0; i < start.count; i++) alts.push((start.getZ(i) + line.position.z) / projectedUnitsPerMeter(origin[1]));
+		return alts;
+	};
+	const vertices = line.geometry.attributes.instanceStart.count + 1;
+	t.ok(vertices > 2, 'line densified, ' + vertices + ' vertices');
+	const alts = altitudes();
+	t.ok(Math.abs(alts[0] - 105) < 1e-2 && Math.abs(alts[alts.length - 1] - (1100 + 5 - (1000 / (vertices - 1)))) < 1e-2, 'vertices over the terrain with the offset');
+
+	map.jumpTo({ zoom: 12 });
+	map.fire('zoom');
+	t.ok(line.geometry.attributes.instanceStart.count + 1 < vertices, 'fewer vertices with a lower terrain resolution');
+
+	map.setTerrain({ source: 'dem', elevation: () => 50 });
+	map.fire('sourcedata', { sourceId: 'dem' });
+	t.ok(altitudes().every(a => Math.abs(a - 55) < 1e-2), 'line rebuilt when the terrain tiles are loaded');
+
+	const tube = tb.tube({ geometry: [origin, end], radius: 2, units: 'meters', drape: true });
+	tb.add(tube);
+	t.ok(Math.abs(tube.coordinates[0] - (origin[0] + 0.005)) < 1e-9, 'tube placed at the center of its coordinates');
+	const box = () => tube.model.geometry.boundingBox || (tube.model.geometry.computeBoundingBox(), tube.model.geometry.boundingBox);
+	t.ok(Math.abs(box().min.z - 48) < 1e-3 && Math.abs(box().max.z - 52) < 1e-3, 'tube over the terrain in meters');
+
+	map.setTerrain({ source: 'dem', elevation: () => 10 });
+	tube.setCoords([origin[0], origin[1], 0]);
+	t.ok(Math.abs(box().min.z - 8) < 1e-3, 'tube draped again when it is moved');
+	tb.dispose();
+	t.end();
+});
+
+test('HEADLESS height references', (t) => {
+	const { map, tb } = createThreebox();
+	const z = (alt) => projectToWorld([origin[0], origin[1], alt]).z;
+	const near = (a, b) => Math.abs(a - b) < 1e-6;
+	const undulation = tb.geoidHeight(origin);
+	// EGM96 geoid height at Barcelona is 49.4m
+	t.ok(Math.abs(undulation - 49.4) < 1, 'geoid height from the bundled grid');
+
+	const geoid = tb.sphere({ radius: 1, units: 'meters' }).setCoords([origin[0], origin[1], 100]);
+	const ellipsoid = tb.sphere({ radius: 1, units: 'meters', heightReference: 'ellipsoid' }).setCoords([origin[0], origin[1], 100]);
+	[geoid, ellipsoid].forEach(o => tb.add(o));
+	t.equal(geoid.heightReference, 'geoid', 'altitudes over the geoid by default');
+	t.ok(near(geoid.position.z, z(100)), 'geoid altitude over the sea level');
+	t.ok(near(ellipsoid.position.z, z(100 - undulation)), 'ellipsoid altitude placed the geoid height lower');
+	t.equal(ellipsoid.coordinates[2], 100, 'coordinates keep the ellipsoid height');
+
+	map.setTerrain({ source: 'dem', elevation: () => 30 });
+	const terrain = tb.sphere({ radius: 1, units: 'meters', heightReference: 'terrain' }).setCoords([origin[0], origin[1], 10]);
+	tb.add(terrain);
+	t.ok(near(terrain.position.z, z(40)), 'terrain altitude over the ground');
+	tb.terrainExaggeration = 2;
+	t.ok(near(terrain.position.z, z(70)), 'terrain objects placed again with the terrain');
+
+	ellipsoid.heightReference = 'geoid';
+	t.ok(near(ellipsoid.position.z, z(100)), 'heightReference changed on the object');
+	tb.dispose();
+	t.end();
+});
+
+// MapLibre adapter over the stub map, that keeps the size of the canvas without DOM
+class StubMapLibreAdapter extends MapLibreAdapter {
+	getCanvasSize() { return this.map.getCanvasSize(); }
+	getPixelRatio() { return 1; }
+}
+
+test('HEADLESS terrain on MapLibre', (t) => {
+	const map = new StubMapAdapter({ center: origin, zoom: 16, pitch: 45, bearing: 0, width: 800, height: 600 });
+	const tb = new Threebox(new StubMapLibreAdapter(map), null, { rendererFactory: createStubRenderer });
+	globalThis.tb = tb;
+	map.fire('style.load');
+	map.fire('load');
+	t.equal(tb.engine, 'maplibre', 'MapLibre adapter');
+
+	// MapLibre returns the exaggerated elevation relative to the one at the map center
+	const ground = (lng) => 100 + Math.round((lng - origin[0]) * 1e5);
+	map.transform.elevation = ground(origin[0]) * 2;
+	map.setTerrain({ source: 'dem', exaggeration: 2, elevation: (lng) => ground(lng) * 2 - map.transform.elevation });
+	const east = [origin[0] + 0.001, origin[1], 10];
+	const z = (lnglat, alt) => projectToWorld([lnglat[0], lnglat[1], alt]).z;
+	const relative = tb.sphere({ radius: 1, units: 'meters', altitudeMode: 'relativeToGround' }).setCoords(east);
+	const clamped = tb.sphere({ radius: 1, units: 'meters', altitudeMode: 'clampToGround' }).setCoords(east);
+	[relative, clamped].forEach(o => tb.add(o));
+	t.equal(tb.queryTerrainElevation(east), ground(east[0]) * 2, 'elevation of the MapLibre terrain with its exaggeration');
+	t.ok(Math.abs(relative.position.z - z(east, ground(east[0]) * 2 + 10)) < 1e-6, 'relativeToGround over the MapLibre terrain');
+	t.ok(Math.abs(clamped.position.z - z(east, ground(east[0]) * 2)) < 1e-6, 'clampToGround on the MapLibre terrain');
+
+	let warnings = [];
+	const warn = console.warn;
+	console.warn = (message) => warnings.push(message);
+	tb.terrain = true;
+	console.warn = warn;
+	t.notOk(tb.terrain, 'tb.terrain not set on MapLibre');
+	t.ok(/Mapbox GL JS v2\+.*map\.setTerrain/.test(warnings[0]), 'warning to set the terrain on the map');
+	tb.dispose();
+	t.end();
+});
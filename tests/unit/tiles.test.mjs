@@ -0,0 +1,124 @@
+// Tests of the 3D Tiles streaming, running in Node with the stub map adapter and renderer
+// run with `npm run test:headless`
+import test from 'tape';
+import { Vector3 } from 'three';
+import { enuToEcef, ecefToLnglat } from '../../src/tiles/ecef.js';
+import { projectToWorld, projectedUnitsPerMeter } from '../../src/utils/utils.js';
+import http from 'node:http';
+import { origin, createThreebox } from './helpers.mjs';
+
+// glb with a single mesh, positions in glTF y-up coordinates
+function glb(positions) {
+	const bin = Buffer.from(new Float32Array(positions).buffer);
+	const min = [0, 1, 2].map(i => Math.min(...positions.filter((v, j) => j % 3 === i)));
+	const max = [0, 1, 2].map(i => Math.max(...positions.filter((v, j) => j % 3 === i)));
+	let json = JSON.stringify({
+		asset: { version: '2.0' }, scene: 0, scenes: [{ nodes: [0] }], nodes: [{ mesh: 0 }],
+		meshes: [{ primitives: [{ attributes: { POSITION: 0 } }] }],
+		accessors: [{ bufferView: 0, componentType: 5126, count: positions.length / 3, type: 'VEC3', min: min, max: max }],
+		bufferViews: [{ buffer: 0, byteLength: bin.length }], buffers: [{ byteLength: bin.length }]
+	});
+	while (json.length % 4) json += ' ';
+	const header = Buffer.alloc(12);
+	header.write('glTF', 0);
+	header.writeUInt32LE(2, 4);
+	header.writeUInt32LE(12 + 8 + json.length + 8 + bin.length, 8);
+	const chunk = (length, type) => { const b = Buffer.alloc(8); b.writeUInt32LE(length, 0); b.writeUInt32LE(type, 4); return b; };
+	return Buffer.concat([header, chunk(json.length, 0x4E4F534A), Buffer.from(json), chunk(bin.length, 0x004E4942), bin]);
+}
+
+function b3dm(model, rtc) {
+	let featureTable = JSON.stringify({ BATCH_LENGTH: 0, RTC_CENTER: rtc });
+	while ((28 + featureTable.length) % 8) featureTable += ' ';
+	const header = Buffer.alloc(28);
+	header.write('b3dm', 0);
+	header.writeUInt32LE(1, 4);
+	header.writeUInt32LE(28 + featureTable.length + model.length, 8);
+	header.writeUInt32LE(featureTable.length, 12);
+	return Buffer.concat([header, Buffer.from(featureTable), model]);
+}
+
+// static file server for the tileset, as server.js
+function serve(files) {
+	let requests = [];
+	const server = http.createServer((request, response) => {
+		requests.push(request.url);
+		const file = files[request.url];
+		response.writeHead(file ? 200 : 404);
+		response.end(file);
+	});
+	return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: 'http://127.0.0.1:' + server.address().port })));
+}
+
+// updates threebox until the tileset has no tiles loading
+async function settle(tb, tileset) {
+	for (let i = 0; i < 100; i++) {
+		tb.update();
+		if (!tileset.loading) return;
+		await new Promise(resolve => setTimeout(resolve, 10));
+	}
+}
+
+test('HEADLESS 3D Tiles streaming', async (t) => {
+	const { map, tb } = createThreebox();
+	// tiles in east-north-up meters around the origin, a triangle at (e, n) is (e, 0, -n) in glTF
+	const triangle = (e, n) => [e, 0, -n, e + 10, 0, -n, e, 10, -n];
+	const box = (e, size) => ({ box: [e, 0, 0, size, 0, 0, 0, size, 0, 0, 0, 50] });
+	const files = {
+		'/city/tileset.json': JSON.stringify({
+			asset: { version: '1.1' },
+			geometricError: 1000,
+			root: {
+				transform: enuToEcef(origin[0], origin[1]).toArray(),
+				boundingVolume: box(0, 200), geometricError: 100, refine: 'REPLACE',
+				content: { uri: 'root.glb' },
+				children: [
+					{ boundingVolume: box(-100, 100), geometricError: 0, content: { uri: 'west.b3dm' } },
+					{ boundingVolume: box(100, 100), geometricError: 0, content: { uri: 'east.glb' } }
+				]
+			}
+		}),
+		'/city/root.glb': glb(triangle(0, 0)),
+		// positions relative to an RTC_CENTER 100 m west of the origin, in the frame of the tile
+		'/city/west.b3dm': b3dm(glb(triangle(0, 0)), [-100, 0, 0]),
+		'/city/east.glb': glb(triangle(100, 0))
+	};
+	const { server, requests, url } = await serve(files);
+
+	const tileset = tb.addTileset(url + '/city/tileset.json');
+	t.equal(await tileset.ready, tileset, 'tileset.json loaded');
+	t.ok(tileset.group.parent === tb.world, 'tiles placed in tb.world');
+	await settle(tb, tileset);
+	const tile = name => Array.from(tileset.loaded).find(l => l.url.endsWith(name));
+	t.ok(tile('west.b3dm') && tile('east.glb'), 'children loaded when the root error is over the target');
+	t.ok(tile('west.b3dm').object.visible && tile('east.glb').object.visible, 'children rendered');
+	t.notOk(tile('root.glb') && tile('root.glb').object.visible, 'root replaced by its children');
+
+	// vertices land on the mercator position of their ECEF coordinates
+	const expected = (e, n) => projectToWorld(ecefToLnglat(new Vector3(e, n, 0).applyMatrix4(enuToEcef(origin[0], origin[1]))));
+	const vertex = (name) => {
+		const mesh = tile(name).object.getObjectByProperty('isMesh', true);
+		tb.world.updateMatrixWorld(true);
+		// mesh position in world units, without the camera transform of tb.world
+		const matrix = tb.world.matrixWorld.clone().invert().multiply(mesh.matrixWorld);
+		return new Vector3().fromBufferAttribute(mesh.geometry.attributes.position, 0).applyMatrix4(matrix);
+	};
+	const cm = projectedUnitsPerMeter(origin[1]) * 0.01;
+	t.ok(vertex('east.glb').distanceTo(expected(100, 0)) < cm, 'glb content placed from ECEF');
+	t.ok(vertex('west.b3dm').distanceTo(expected(-100, 0)) < cm, 'b3dm RTC_CENTER applied');
+
+	// zooming out the root error is under the target, the children are unloaded over the cache size
+	tileset.options.cacheSize = 1;
+	map.jumpTo({ zoom: 10 });
+	await settle(tb, tileset);
+	t.ok(tile('root.glb') && tile('root.glb').object.visible, 'root rendered when zoomed out');
+	t.equal(tileset.loaded.size, 1, 'children unloaded');
+	t.equal(requests.filter(r => r.endsWith('.glb') || r.endsWith('.b3dm')).length, 3, 'every tile downloaded once');
+
+	t.equal(tb.exportScene().objects.length, 0, 'tilesets not exported with the scene');
+	tileset.remove();
+	t.equal(tileset.loaded.size, 0, 'tiles disposed on remove');
+	t.ok(tileset.group.parent === null && tb.tilesets.length === 0, 'tileset removed from the world');
+	server.close();
+	t.end();
+});